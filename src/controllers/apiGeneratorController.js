@@ -2,6 +2,12 @@ const mistralService = require('../services/mistralService');
 const schemaGenerator = require('../services/schemaGenerator');
 const apiGenerator = require('../services/apiGenerator');
 const apiPublisher = require('../services/apiPublisher');
+const accessRuleService = require('../services/accessRuleService');
+const softDeleteService = require('../services/softDeleteService');
+const searchService = require('../services/searchService');
+const fileService = require('../services/fileService');
+const columnDefinitionService = require('../services/columnDefinitionService');
+const schemaVersionService = require('../services/schemaVersionService');
 
 class APIGeneratorController {
   constructor() {
@@ -11,7 +17,9 @@ class APIGeneratorController {
   }
 
   // Helper method to generate SQL
-  generateSQL(tables, XAuthUserId, apiIdentifier = null) {
+  // options.accessRules adds RLS policies for tables whose rule has rls: true
+  // options.softDelete adds the deleted_at column to tables with soft delete
+  generateSQL(tables, XAuthUserId, apiIdentifier = null, options = {}) {
     // Generate a unique API identifier if not provided
     const effectiveApiId = apiIdentifier || Math.random().toString(36).substring(2, 8);
     
@@ -55,6 +63,37 @@ CREATE EXTENSION IF NOT EXISTS "pgcrypto";
       }
     });
 
+    // Add row level security policies matching the tables' access rules
+    const accessRules = options.accessRules || {};
+    tables.forEach(schema => {
+      const rule = accessRules[schema.name];
+      if (rule && rule.rls) {
+        const tableName = `${XAuthUserId}_${effectiveApiId}_${schema.name}`.toLowerCase();
+        sql += accessRuleService.generatePolicySQL(tableName, rule);
+        sql += '\n\n';
+      }
+    });
+
+    // Add full-text search to tables with searchable columns
+    tables.forEach(schema => {
+      const searchColumns = searchService.getSearchableColumns(schema);
+      if (searchColumns.length > 0) {
+        const tableName = `${XAuthUserId}_${effectiveApiId}_${schema.name}`.toLowerCase();
+        sql += searchService.generateSQL(tableName, searchColumns);
+        sql += '\n';
+      }
+    });
+
+    // Add the deleted_at column of tables with soft delete
+    const softDelete = options.softDelete || {};
+    tables.forEach(schema => {
+      if (softDelete[schema.name]) {
+        const tableName = `${XAuthUserId}_${effectiveApiId}_${schema.name}`.toLowerCase();
+        sql += softDeleteService.generateColumnSQL(tableName);
+        sql += '\n';
+      }
+    });
+
     // Add sample data for each table
     sql += `-- Insert sample data\n`;
     tables.forEach(schema => {
@@ -74,11 +113,15 @@ CREATE EXTENSION IF NOT EXISTS "pgcrypto";
   generateTableSQL(tableSchema, XAuthUserId) {
     const { name, columns, relationships = [] } = tableSchema;
     const fullTableName = name;
+    // The table name is unquoted below, so Postgres folds it to lowercase
+    const sqlTableName = fullTableName.toLowerCase();
+    const beforeTableSQL = columnDefinitionService.getBeforeTableSQL(sqlTableName, columns);
+    const afterTableSQL = columnDefinitionService.getAfterTableSQL(sqlTableName, columns);
 
     // Generate column definitions
     const columnDefs = columns.map(col => {
       // Extract foreign key declarations for separate handling
-      let colString = `    ${col.name} ${col.type}`;
+      let colString = `    ${col.name} ${fileService.toSqlType(col.type)}`;
       
       // Convert any array constraints to string
       let constraints = Array.isArray(col.constraints) 
@@ -93,6 +136,9 @@ CREATE EXTENSION IF NOT EXISTS "pgcrypto";
         colString += ` ${constraints}`;
       }
       
+      // Add computed, slug, autoCode, enum and default options
+      colString += columnDefinitionService.getColumnSQL(col, sqlTableName);
+      
       return colString.trim();
     });
 
@@ -138,7 +184,7 @@ CREATE EXTENSION IF NOT EXISTS "pgcrypto";
 
     return `
 -- Create table: ${fullTableName}
-CREATE TABLE IF NOT EXISTS ${fullTableName} (
+${beforeTableSQL ? `${beforeTableSQL}\n` : ''}CREATE TABLE IF NOT EXISTS ${fullTableName} (
 ${allDefs.join(',\n')}
 );
 
@@ -157,7 +203,7 @@ CREATE TRIGGER set_timestamp_${fullTableName}
 BEFORE UPDATE ON ${fullTableName}
 FOR EACH ROW
 EXECUTE FUNCTION update_modified_column_${fullTableName}();
-`;
+${afterTableSQL ? `\n${afterTableSQL}\n` : ''}`;
   }
 
   // Generate relationships SQL
@@ -187,6 +233,11 @@ EXECUTE FUNCTION update_modified_column_${fullTableName}();
       } else if (col.name === 'id' && col.type.includes('serial')) {
         // Skip serial IDs as they're auto-generated
         return;
+      } else if (col.computed !== undefined || col.slug || col.autoCode) {
+        // Filled by the database
+        return;
+      } else if (Array.isArray(col.enum) && col.enum.length > 0) {
+        columnValues[col.name] = `'${String(col.enum[0]).replace(/'/g, "''")}'`;
       } else if (col.name === 'created_at' || col.name === 'updated_at') {
         columnValues[col.name] = "now()";
       } else if (col.name === 'XAuthUserId') {
@@ -283,6 +334,13 @@ EXECUTE FUNCTION update_modified_column_${fullTableName}();
       console.log('Publishing API...');
       const apiId = apiPublisher.publishAPI(router, safeMetadata);
       
+      // Record the initial schema as version 1 of the API's history
+      try {
+        await schemaVersionService.ensureBaseline({ ...safeMetadata, apiId });
+      } catch (versionError) {
+        console.error(`Error recording initial schema version of API ${apiId}:`, versionError);
+      }
+      
       // Store in memory for quick access - use a deep clone
       this.generatedApis.set(apiId, JSON.parse(JSON.stringify({
         prompt,
@@ -341,6 +399,77 @@ EXECUTE FUNCTION update_modified_column_${fullTableName}();
     }
   }
 
+  // Deep clone table schemas and add the prefixed names used in the database
+  prefixTableSchemas(tables, XAuthUserId, apiIdentifier) {
+    const safeTableSchemas = JSON.parse(JSON.stringify(tables));
+    
+    // Update all tables with proper prefixing including the API identifier
+    safeTableSchemas.forEach(table => {
+      // Store the original name for reference
+      table.originalName = table.name;
+      // Set the prefixed name that will be used in the database with API identifier - using lowercase
+      table.prefixedName = this.standardizeTableName(XAuthUserId, apiIdentifier, table.name);
+      
+      // For relationships, ensure they point to prefixed tables
+      if (table.relationships && Array.isArray(table.relationships)) {
+        table.relationships.forEach(rel => {
+          // Store original target table
+          rel.originalTargetTable = rel.targetTable;
+          // Update target table to use the prefixed name with API identifier
+          rel.targetTable = this.standardizeTableName(XAuthUserId, apiIdentifier, rel.targetTable);
+        });
+      }
+    });
+    
+    return safeTableSchemas;
+  }
+
+  // Rebuild the router of an existing API for new table definitions and
+  // republish it under the same API ID (the tables must already be migrated)
+  async republishAPI(apiId, tables, updateData = {}) {
+    const metadata = apiPublisher.getApiMetadata(apiId);
+    if (!metadata) {
+      throw new Error(`API ${apiId} not found`);
+    }
+    
+    const { XAuthUserId, apiIdentifier } = metadata;
+    const safeTableSchemas = this.prefixTableSchemas(tables, XAuthUserId, apiIdentifier);
+    const tableNames = safeTableSchemas.map(table => table.name);
+    
+    // Drop access rules of tables that no longer exist
+    const accessRules = {};
+    Object.entries(updateData.accessRules || metadata.accessRules || {}).forEach(([tableName, rule]) => {
+      if (tableNames.includes(tableName)) accessRules[tableName] = rule;
+    });
+    
+    // Same for soft delete settings
+    const softDelete = {};
+    Object.entries(updateData.softDelete || metadata.softDelete || {}).forEach(([tableName, settings]) => {
+      if (tableNames.includes(tableName)) softDelete[tableName] = settings;
+    });
+    
+    const router = apiGenerator.generateEndpoints(safeTableSchemas, XAuthUserId, apiIdentifier);
+    const sql = this.generateSQL(safeTableSchemas, XAuthUserId, apiIdentifier, { accessRules, softDelete });
+    
+    const updatedMetadata = await apiPublisher.republishAPI(apiId, router, {
+      ...updateData,
+      tables: safeTableSchemas,
+      accessRules,
+      softDelete,
+      sql
+    });
+    
+    // Keep the in-memory copy used by /my-apis and /api/:apiId/sql in sync
+    const generatedApi = this.generatedApis.get(apiId);
+    if (generatedApi) {
+      generatedApi.tables = safeTableSchemas;
+      generatedApi.sql = sql;
+      generatedApi.router = router;
+    }
+    
+    return updatedMetadata;
+  }
+
   // Generate database schema from prompt - improved method for better handling of complex relationships
   async generateDatabaseSchema(prompt, XAuthUserId = 'default') {
     try {
@@ -734,33 +863,15 @@ Please modify the existing schema based on the modification request. Return the
   }
 
   // Generate API from provided schema - new method for separate endpoint
-  async generateAPIFromSchema(tables, XAuthUserId = 'default') {
+  async generateAPIFromSchema(tables, XAuthUserId = 'default', options = {}) {
     try {
       // Generate a unique API identifier for this specific API instance
       const apiIdentifier = Math.random().toString(36).substring(2, 8);
       
       console.log(`Generating API from provided schema for user: ${XAuthUserId} with identifier: ${apiIdentifier}`);
       
-      // Ensure we have a deep clone of the tables
-      const safeTableSchemas = JSON.parse(JSON.stringify(tables));
-      
-      // Update all tables with proper prefixing including the API identifier
-      safeTableSchemas.forEach(table => {
-        // Store the original name for reference
-        table.originalName = table.name;
-        // Set the prefixed name that will be used in the database with API identifier - using lowercase
-        table.prefixedName = this.standardizeTableName(XAuthUserId, apiIdentifier, table.name);
-        
-        // For relationships, ensure they point to prefixed tables
-        if (table.relationships && Array.isArray(table.relationships)) {
-          table.relationships.forEach(rel => {
-            // Store original target table
-            rel.originalTargetTable = rel.targetTable;
-            // Update target table to use the prefixed name with API identifier
-            rel.targetTable = this.standardizeTableName(XAuthUserId, apiIdentifier, rel.targetTable);
-          });
-        }
-      });
+      // Ensure we have a deep clone of the tables, prefixed with the API identifier
+      const safeTableSchemas = this.prefixTableSchemas(tables, XAuthUserId, apiIdentifier);
       
       console.log('Creating tables in Supabase...');
       
@@ -915,7 +1026,7 @@ Please modify the existing schema based on the modification request. Return the
                   "id" uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
                   ${table.columns
                     .filter(col => col.name !== 'id')
-                    .map(col => `"${col.name}" ${col.type}${col.constraints ? ' ' + (Array.isArray(col.constraints) ? col.constraints.join(' ') : col.constraints).replace(/references\s+[^\s,)]+(\([^\s,)]+\))?/gi, '') : ''}`.trim())
+                    .map(col => `"${col.name}" ${fileService.toSqlType(col.type)}${col.constraints ? ' ' + (Array.isArray(col.constraints) ? col.constraints.join(' ') : col.constraints).replace(/references\s+[^\s,)]+(\([^\s,)]+\))?/gi, '') : ''}`.trim())
                     .join(',\n                  ')
                   }${table.columns.some(col => col.name === 'created_at') ? '' : ',\n                  "created_at" timestamp with time zone DEFAULT now()'}${table.columns.some(col => col.name === 'updated_at') ? '' : ',\n                  "updated_at" timestamp with time zone DEFAULT now()'}${table.columns.some(col => col.name === 'XAuthUserId') ? '' : ',\n                  "XAuthUserId" varchar(255)'}
                 );
@@ -965,13 +1076,15 @@ Please modify the existing schema based on the modification request. Return the
       const router = apiGenerator.generateEndpoints(safeTableSchemas, XAuthUserId, apiIdentifier);
       
       // Generate SQL for the tables
-      const sql = this.generateSQL(safeTableSchemas, XAuthUserId, apiIdentifier);
+      const accessRules = options.accessRules || {};
+      const sql = this.generateSQL(safeTableSchemas, XAuthUserId, apiIdentifier, { accessRules });
       
       // Create metadata with all necessary information
       const safeMetadata = {
         XAuthUserId,
         apiIdentifier,
         tables: safeTableSchemas,
+        accessRules,
         createdAt: new Date().toISOString(),
         sql: sql, // Include the SQL in the metadata
         prompt: 'Created from schema', // Add a default prompt
@@ -981,6 +1094,13 @@ Please modify the existing schema based on the modification request. Return the
       console.log('Publishing API...');
       const apiId = apiPublisher.publishAPI(router, safeMetadata);
       
+      // Record the initial schema as version 1 of the API's history
+      try {
+        await schemaVersionService.ensureBaseline({ ...safeMetadata, apiId });
+      } catch (versionError) {
+        console.error(`Error recording initial schema version of API ${apiId}:`, versionError);
+      }
+      
       // Store in memory for quick access - use a deep clone
       const apiObject = {
         XAuthUserId,
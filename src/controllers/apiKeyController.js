@@ -0,0 +1,116 @@
+const apiKeyService = require('../services/apiKeyService');
+
+/**
+ * API Key Controller
+ * Lets API owners create, list, rotate and revoke keys for their generated APIs
+ */
+class ApiKeyController {
+  /**
+   * Get the table names of the API behind the request
+   * @private
+   */
+  _getTableNames(req) {
+    const tables = (req.apiMetadata && req.apiMetadata.tables) || [];
+    return tables.map(table => table.name);
+  }
+
+  /**
+   * Create a key
+   * The plain key is only returned in this response
+   */
+  async createKey(req, res) {
+    try {
+      const body = req.body || {};
+      const errors = [];
+
+      if (!body.name || typeof body.name !== 'string' || !body.name.trim()) {
+        errors.push('name is required');
+      }
+
+      errors.push(...apiKeyService.validateScopes(body.scopes, this._getTableNames(req)));
+
+      const { expiresAt, error: expiryError } = apiKeyService.parseExpiry(body);
+      if (expiryError) errors.push(expiryError);
+
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid API key settings', details: errors });
+      }
+
+      const result = await apiKeyService.createKey(req.apiId, {
+        name: body.name.trim(),
+        scopes: apiKeyService.normalizeScopes(body.scopes),
+        expiresAt,
+        createdBy: req.XAuthUserId
+      });
+
+      res.status(201).json({
+        success: true,
+        key: { ...result.key, status: apiKeyService.getStatus(result.key) },
+        apiKey: result.apiKey,
+        message: 'Store this API key now - it will not be shown again'
+      });
+    } catch (error) {
+      console.error('Error creating API key:', error);
+      res.status(500).json({ error: 'Failed to create API key', details: error.message });
+    }
+  }
+
+  /**
+   * List the keys of an API
+   * Revoked keys are included with ?include_revoked=true
+   */
+  async listKeys(req, res) {
+    try {
+      const includeRevoked = req.query.include_revoked === 'true';
+      const keys = await apiKeyService.listKeys(req.apiId, includeRevoked);
+
+      res.json({ success: true, apiId: req.apiId, keys });
+    } catch (error) {
+      console.error('Error listing API keys:', error);
+      res.status(500).json({ error: 'Failed to list API keys', details: error.message });
+    }
+  }
+
+  /**
+   * Rotate a key, returning its new secret
+   */
+  async rotateKey(req, res) {
+    try {
+      const result = await apiKeyService.rotateKey(req.apiId, req.params.keyId);
+
+      if (!result) {
+        return res.status(404).json({ error: 'API key not found or revoked' });
+      }
+
+      res.json({
+        success: true,
+        key: { ...result.key, status: apiKeyService.getStatus(result.key) },
+        apiKey: result.apiKey,
+        message: 'Store this API key now - it will not be shown again'
+      });
+    } catch (error) {
+      console.error('Error rotating API key:', error);
+      res.status(500).json({ error: 'Failed to rotate API key', details: error.message });
+    }
+  }
+
+  /**
+   * Revoke a key
+   */
+  async revokeKey(req, res) {
+    try {
+      const key = await apiKeyService.revokeKey(req.apiId, req.params.keyId);
+
+      if (!key) {
+        return res.status(404).json({ error: 'API key not found or already revoked' });
+      }
+
+      res.json({ success: true, key: { ...key, status: 'revoked' } });
+    } catch (error) {
+      console.error('Error revoking API key:', error);
+      res.status(500).json({ error: 'Failed to revoke API key', details: error.message });
+    }
+  }
+}
+
+module.exports = new ApiKeyController();
@@ -0,0 +1,391 @@
+const apiPublisher = require('../services/apiPublisher');
+const apiAuthService = require('../services/apiAuthService');
+const accessRuleService = require('../services/accessRuleService');
+const endUserAuthService = require('../services/endUserAuthService');
+const softDeleteService = require('../services/softDeleteService');
+const apiGeneratorController = require('./apiGeneratorController');
+
+/**
+ * API Settings Controller
+ * Lets API owners configure how their generated APIs are accessed
+ */
+class ApiSettingsController {
+  /**
+   * Get the auth mode of an API
+   */
+  async getAuthSettings(req, res) {
+    try {
+      const config = apiAuthService.getAuthConfig(req.apiMetadata);
+
+      res.json({
+        success: true,
+        apiId: req.apiId,
+        auth: config,
+        availableModes: apiAuthService.modes
+      });
+    } catch (error) {
+      console.error('Error getting API auth settings:', error);
+      res.status(500).json({ error: 'Failed to get API auth settings' });
+    }
+  }
+
+  /**
+   * Change the auth mode of an API
+   * In api_key mode callers use keys managed under /api/:apiId/settings/keys
+   */
+  async updateAuthSettings(req, res) {
+    try {
+      const errors = apiAuthService.validateConfig(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid auth settings', details: errors });
+      }
+
+      if (req.body.mode === 'api_users' && !endUserAuthService.getSettings(req.apiMetadata)) {
+        return res.status(400).json({
+          error: 'Invalid auth settings',
+          details: [`Enable end-user auth with PUT /api/${req.apiId}/settings/end-user-auth first`]
+        });
+      }
+
+      const auth = apiAuthService.normalizeConfig(req.body);
+
+      await apiPublisher.updateApiMetadata(req.apiId, { auth });
+
+      console.log(`Auth mode of API ${req.apiId} set to ${auth.mode} by ${req.XAuthUserId}`);
+
+      res.json({
+        success: true,
+        apiId: req.apiId,
+        auth,
+        ...(auth.mode === 'api_key'
+          ? { message: `Create keys with POST /api/${req.apiId}/settings/keys` }
+          : {})
+      });
+    } catch (error) {
+      console.error('Error updating API auth settings:', error);
+      res.status(500).json({ error: 'Failed to update API auth settings' });
+    }
+  }
+
+  /**
+   * Get the row-level access rules of an API's tables
+   */
+  async getAccessRules(req, res) {
+    try {
+      const tables = (req.apiMetadata.tables || []).map(table => table.originalName || table.name);
+      const rules = {};
+      tables.forEach(tableName => {
+        rules[tableName] = accessRuleService.getRule(req.apiMetadata, tableName);
+      });
+
+      res.json({
+        success: true,
+        apiId: req.apiId,
+        rules,
+        availableModes: accessRuleService.modes
+      });
+    } catch (error) {
+      console.error('Error getting API access rules:', error);
+      res.status(500).json({ error: 'Failed to get API access rules' });
+    }
+  }
+
+  /**
+   * Replace the row-level access rules of an API's tables
+   * Tables left out of the body become public. The API's SQL is regenerated so
+   * it carries RLS policies for rules with rls: true.
+   */
+  async updateAccessRules(req, res) {
+    try {
+      const metadata = req.apiMetadata;
+      const tables = metadata.tables || [];
+      const rules = req.body && req.body.rules;
+
+      const errors = accessRuleService.validateRules(rules, tables);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid access rules', details: errors });
+      }
+
+      const accessRules = accessRuleService.normalizeRules(rules);
+
+      const tableSchemas = tables.map(table => ({ ...table, name: table.originalName || table.name }));
+      const sql = apiGeneratorController.generateSQL(tableSchemas, metadata.XAuthUserId, metadata.apiIdentifier, {
+        accessRules,
+        softDelete: metadata.softDelete
+      });
+
+      await apiPublisher.updateApiMetadata(req.apiId, { accessRules, sql });
+
+      // Keep the SQL served by /api/:apiId/sql in sync
+      const generatedApi = apiGeneratorController.generatedApis.get(req.apiId);
+      if (generatedApi) {
+        generatedApi.sql = sql;
+      }
+
+      console.log(`Access rules of API ${req.apiId} updated by ${req.XAuthUserId}`);
+
+      // Policies for the owner to apply to the existing tables
+      const rlsSql = tableSchemas
+        .filter(table => accessRules[table.name] && accessRules[table.name].rls)
+        .map(table => accessRuleService.generatePolicySQL(
+          (table.prefixedName || `${metadata.XAuthUserId}_${metadata.apiIdentifier}_${table.name}`).toLowerCase(),
+          accessRules[table.name]
+        ))
+        .join('\n');
+
+      res.json({
+        success: true,
+        apiId: req.apiId,
+        rules: accessRules,
+        ...(rlsSql ? { rlsSql } : {})
+      });
+    } catch (error) {
+      console.error('Error updating API access rules:', error);
+      res.status(500).json({ error: 'Failed to update API access rules' });
+    }
+  }
+
+  /**
+   * Get the prefixed table name of one of the API's tables
+   * @private
+   */
+  _getPrefixedTableName(metadata, tableName) {
+    const table = (metadata.tables || []).find(t => (t.originalName || t.name) === tableName);
+    return ((table && table.prefixedName) || `${metadata.XAuthUserId}_${metadata.apiIdentifier}_${tableName}`).toLowerCase();
+  }
+
+  /**
+   * Get the soft delete settings of an API's tables
+   */
+  async getSoftDeleteSettings(req, res) {
+    try {
+      const tables = {};
+      (req.apiMetadata.tables || []).forEach(table => {
+        const tableName = table.originalName || table.name;
+        const settings = softDeleteService.getSettings(req.apiMetadata, tableName);
+        tables[tableName] = settings ? { enabled: true, ...settings } : { enabled: false };
+      });
+
+      res.json({ success: true, apiId: req.apiId, tables });
+    } catch (error) {
+      console.error('Error getting soft delete settings:', error);
+      res.status(500).json({ error: 'Failed to get soft delete settings' });
+    }
+  }
+
+  /**
+   * Replace the soft delete settings of an API's tables
+   * Tables left out of the body (or with enabled: false) delete rows for good.
+   * Enabling adds the deleted_at column; a table can only be switched back
+   * once it has no deleted rows left (restore or purge them first).
+   */
+  async updateSoftDeleteSettings(req, res) {
+    try {
+      const metadata = req.apiMetadata;
+      const tables = req.body && req.body.tables;
+
+      const errors = softDeleteService.validateSettings(tables, metadata.tables || []);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid soft delete settings', details: errors });
+      }
+
+      const softDelete = softDeleteService.normalizeSettings(tables);
+      const current = metadata.softDelete || {};
+
+      // Switching soft delete off would bring deleted rows back
+      const disabled = Object.keys(current).filter(tableName => !softDelete[tableName]);
+      const blocked = [];
+      for (const tableName of disabled) {
+        const count = await softDeleteService.countDeleted(this._getPrefixedTableName(metadata, tableName));
+        if (count > 0) {
+          blocked.push(`${tableName} has ${count} deleted rows - restore them or purge with POST /api/${req.apiId}/settings/soft-delete/purge`);
+        }
+      }
+      if (blocked.length > 0) {
+        return res.status(409).json({ error: 'Soft delete cannot be disabled', details: blocked });
+      }
+
+      for (const tableName of Object.keys(softDelete).filter(name => !current[name])) {
+        await softDeleteService.addColumn(this._getPrefixedTableName(metadata, tableName));
+      }
+
+      const tableSchemas = (metadata.tables || []).map(table => ({ ...table, name: table.originalName || table.name }));
+      const sql = apiGeneratorController.generateSQL(tableSchemas, metadata.XAuthUserId, metadata.apiIdentifier, {
+        accessRules: metadata.accessRules,
+        softDelete
+      });
+
+      await apiPublisher.updateApiMetadata(req.apiId, { softDelete, sql });
+
+      // Keep the SQL served by /api/:apiId/sql in sync
+      const generatedApi = apiGeneratorController.generatedApis.get(req.apiId);
+      if (generatedApi) {
+        generatedApi.sql = sql;
+      }
+
+      console.log(`Soft delete settings of API ${req.apiId} updated by ${req.XAuthUserId}`);
+
+      res.json({ success: true, apiId: req.apiId, softDelete });
+    } catch (error) {
+      console.error('Error updating soft delete settings:', error);
+      res.status(500).json({ error: 'Failed to update soft delete settings', details: error.message });
+    }
+  }
+
+  /**
+   * Remove deleted rows for good
+   * Body: { table, olderThanDays } - both optional (all tables, every deleted row)
+   */
+  async purgeDeletedRows(req, res) {
+    try {
+      const metadata = req.apiMetadata;
+      const { table, olderThanDays } = req.body || {};
+      const enabledTables = Object.keys(metadata.softDelete || {});
+      const errors = [];
+
+      if (table !== undefined && !enabledTables.includes(table)) {
+        errors.push(`Soft delete is not enabled for table "${table}"`);
+      }
+      if (olderThanDays !== undefined && olderThanDays !== null && (!Number.isInteger(olderThanDays) || olderThanDays < 0)) {
+        errors.push('olderThanDays must be a whole number of days');
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid purge request', details: errors });
+      }
+
+      const purged = {};
+      for (const tableName of table !== undefined ? [table] : enabledTables) {
+        const schema = (metadata.tables || []).find(t => (t.originalName || t.name) === tableName);
+        purged[tableName] = await softDeleteService.purge(
+          this._getPrefixedTableName(metadata, tableName),
+          olderThanDays === undefined ? null : olderThanDays,
+          schema ? { apiId: req.apiId, schema } : null
+        );
+      }
+
+      console.log(`Deleted rows of API ${req.apiId} purged by ${req.XAuthUserId}`);
+
+      res.json({ success: true, apiId: req.apiId, purged });
+    } catch (error) {
+      console.error('Error purging deleted rows:', error);
+      res.status(500).json({ error: 'Failed to purge deleted rows', details: error.message });
+    }
+  }
+
+  /**
+   * Get the end-user auth settings of an API
+   */
+  async getEndUserAuthSettings(req, res) {
+    try {
+      const settings = req.apiMetadata.endUserAuth || { enabled: false };
+
+      res.json({ success: true, apiId: req.apiId, endUserAuth: settings });
+    } catch (error) {
+      console.error('Error getting end-user auth settings:', error);
+      res.status(500).json({ error: 'Failed to get end-user auth settings' });
+    }
+  }
+
+  /**
+   * Enable, disable or configure end-user auth for an API
+   * Enabling creates the API's users table. rotateSecret: true signs every
+   * existing end-user token out.
+   */
+  async updateEndUserAuthSettings(req, res) {
+    try {
+      const body = req.body || {};
+      const current = req.apiMetadata.endUserAuth || {};
+      const errors = [];
+
+      if (typeof body.enabled !== 'boolean') {
+        errors.push('enabled must be a boolean');
+      }
+      if (body.allowRegistration !== undefined && typeof body.allowRegistration !== 'boolean') {
+        errors.push('allowRegistration must be a boolean');
+      }
+      if (body.defaultRoles !== undefined &&
+          (!Array.isArray(body.defaultRoles) || body.defaultRoles.some(role => typeof role !== 'string' || !role))) {
+        errors.push('defaultRoles must be an array of role names');
+      }
+      if (body.enabled === false && apiAuthService.getAuthConfig(req.apiMetadata).mode === 'api_users') {
+        errors.push('Switch the API away from the api_users auth mode before disabling end-user auth');
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid end-user auth settings', details: errors });
+      }
+
+      const endUserAuth = {
+        enabled: body.enabled,
+        table: current.table || endUserAuthService.getTableName(req.apiMetadata),
+        allowRegistration: body.allowRegistration !== undefined ? body.allowRegistration : current.allowRegistration !== false,
+        defaultRoles: body.defaultRoles || current.defaultRoles || ['user'],
+        secretVersion: (current.secretVersion || 1) + (body.rotateSecret === true ? 1 : 0)
+      };
+
+      if (endUserAuth.enabled) {
+        await endUserAuthService.createUsersTable(endUserAuth.table);
+      }
+
+      await apiPublisher.updateApiMetadata(req.apiId, { endUserAuth });
+
+      console.log(`End-user auth of API ${req.apiId} ${endUserAuth.enabled ? 'enabled' : 'disabled'} by ${req.XAuthUserId}`);
+
+      res.json({ success: true, apiId: req.apiId, endUserAuth });
+    } catch (error) {
+      console.error('Error updating end-user auth settings:', error);
+      res.status(500).json({ error: 'Failed to update end-user auth settings', details: error.message });
+    }
+  }
+
+  /**
+   * List the end users of an API
+   */
+  async listEndUsers(req, res) {
+    try {
+      const settings = endUserAuthService.getSettings(req.apiMetadata);
+      if (!settings) {
+        return res.status(404).json({ error: 'End-user auth is not enabled for this API' });
+      }
+
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+      const { users, total } = await endUserAuthService.listUsers(settings, { page, limit });
+
+      res.json({ success: true, users, pagination: { page, limit, total } });
+    } catch (error) {
+      console.error('Error listing end users:', error);
+      res.status(500).json({ error: 'Failed to list end users', details: error.message });
+    }
+  }
+
+  /**
+   * Replace the roles of an end user (used by role based access rules)
+   */
+  async updateEndUserRoles(req, res) {
+    try {
+      const settings = endUserAuthService.getSettings(req.apiMetadata);
+      if (!settings) {
+        return res.status(404).json({ error: 'End-user auth is not enabled for this API' });
+      }
+
+      const roles = req.body && req.body.roles;
+      if (!Array.isArray(roles) || roles.some(role => typeof role !== 'string' || !role)) {
+        return res.status(400).json({ error: 'roles must be an array of role names' });
+      }
+
+      const user = await endUserAuthService.setRoles(settings, req.params.userId, [...new Set(roles)]);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      res.json({ success: true, user });
+    } catch (error) {
+      console.error('Error updating end-user roles:', error);
+      res.status(500).json({ error: 'Failed to update end-user roles', details: error.message });
+    }
+  }
+}
+
+module.exports = new ApiSettingsController();
@@ -0,0 +1,33 @@
+const projectExportService = require('../services/projectExportService');
+
+/**
+ * Project Export Controller
+ * Lets API owners download their API as a standalone Express project
+ */
+class ProjectExportController {
+  /**
+   * Stream the project of an API as a zip archive
+   */
+  async exportProject(req, res) {
+    try {
+      const name = projectExportService.getProjectName(req.apiMetadata);
+
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="${name}.zip"`);
+
+      await projectExportService.writeZip(req.apiMetadata, res);
+      console.log(`Exported API ${req.apiId} as project ${name}`);
+    } catch (error) {
+      console.error('Error exporting project:', error);
+
+      // Once the archive started streaming the response can only be aborted
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      res.removeHeader('Content-Disposition');
+      res.status(500).json({ error: 'Failed to export project', details: error.message });
+    }
+  }
+}
+
+module.exports = new ProjectExportController();
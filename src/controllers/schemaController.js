@@ -1,29 +1,72 @@
+const apiGeneratorController = require('./apiGeneratorController');
+const schemaMigrationService = require('../services/schemaMigrationService');
+const schemaVersionService = require('../services/schemaVersionService');
+
 /**
  * Schema Controller
  * Handles operations related to schema management
+ *
+ * Changes are staged per API as a full set of pending tables, starting from the
+ * tables stored in api_registry. Applying them migrates the database and
+ * republishes the API's router.
  */
 class SchemaController {
   constructor() {
     this.pendingChanges = new Map();
   }
 
+  /**
+   * Get the pending changes of an API, starting from its current tables
+   * @private
+   */
+  _getOrCreatePending(req) {
+    if (!this.pendingChanges.has(req.apiId)) {
+      this.pendingChanges.set(req.apiId, {
+        XAuthUserId: req.XAuthUserId,
+        tables: schemaMigrationService.getTables(req.apiMetadata)
+      });
+    }
+    return this.pendingChanges.get(req.apiId);
+  }
+
+  /**
+   * Stage tables as the pending changes of an API
+   * Used by /modify-schema so AI modifications go through apply like any other change.
+   * @param {string} apiId - API ID
+   * @param {Object} pending - { XAuthUserId, tables, source, prompt }
+   * @returns {Object} Pending changes
+   */
+  stagePendingChanges(apiId, pending) {
+    this.pendingChanges.set(apiId, pending);
+    return pending;
+  }
+
+  /**
+   * Diff the pending tables of an API against its current tables
+   * @private
+   */
+  _diffPending(req, pending) {
+    const current = schemaMigrationService.getTables(req.apiMetadata);
+    return schemaMigrationService.diffTables(current, pending.tables);
+  }
+
   /**
    * Get schema for an API
    */
   getSchema(req, res) {
     const { apiId } = req.params;
     const XAuthUserId = req.XAuthUserId;
-    
+
     console.log(`Getting schema for API ${apiId} for user ${XAuthUserId}`);
-    
-    // Return a placeholder response
+
     res.json({
       message: 'Schema retrieved successfully',
       apiId,
       XAuthUserId,
       schema: {
-        tables: []
-      }
+        tables: schemaMigrationService.getTables(req.apiMetadata)
+      },
+      hasPendingChanges: this.pendingChanges.has(apiId)
     });
   }
 
@@ -34,17 +77,17 @@ class SchemaController {
     const { apiId } = req.params;
     const { tables } = req.body;
     const XAuthUserId = req.XAuthUserId;
-    
+
     console.log(`Updating schema for API ${apiId} for user ${XAuthUserId}`);
-    
-    // Store pending changes
-    if (!this.pendingChanges.has(apiId)) {
-      this.pendingChanges.set(apiId, { XAuthUserId, tables: [] });
+
+    const errors = schemaMigrationService.validateTables(tables);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid schema', details: errors });
     }
-    
-    // Update pending changes
-    this.pendingChanges.get(apiId).tables = tables || [];
-    
+
+    // Store pending changes
+    this.pendingChanges.set(apiId, { XAuthUserId, tables, source: 'schema_routes' });
+
     res.json({
       message: 'Schema update pending',
       apiId,
@@ -54,31 +97,357 @@ class SchemaController {
 
   /**
    * Apply pending schema changes
+   * Runs the ALTER statements in one transaction, then republishes the API.
+   * Changes that delete data need body.confirmationToken from the plan endpoint.
    */
-  applySchemaChanges(req, res) {
+  async applySchemaChanges(req, res) {
     const { apiId } = req.params;
     const XAuthUserId = req.XAuthUserId;
-    
+
     console.log(`Applying schema changes for API ${apiId} for user ${XAuthUserId}`);
-    
+
     // Check if there are pending changes
     if (!this.pendingChanges.has(apiId)) {
       return res.status(400).json({
         error: 'No pending changes found'
       });
     }
-    
-    // Get pending changes
+
     const pendingChanges = this.pendingChanges.get(apiId);
-    
-    // Clear pending changes
-    this.pendingChanges.delete(apiId);
-    
-    res.json({
-      message: 'Schema changes applied successfully',
-      apiId,
-      appliedChanges: pendingChanges
+
+    try {
+      const errors = schemaMigrationService.validateTables(pendingChanges.tables);
+      const { changes, errors: diffErrors } = this._diffPending(req, pendingChanges);
+      errors.push(...diffErrors);
+
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid schema changes', details: errors });
+      }
+
+      if (changes.length === 0) {
+        this.pendingChanges.delete(apiId);
+        return res.json({
+          message: 'Schema is already up to date',
+          apiId,
+          changes: []
+        });
+      }
+
+      const plan = await schemaMigrationService.planChanges(changes, req.apiMetadata);
+      if (!this._isConfirmed(req, res, plan)) return;
+
+      const result = await this._migrate(req, pendingChanges.tables, changes, {
+        source: pendingChanges.source || 'schema_routes',
+        prompt: pendingChanges.prompt || null
+      });
+
+      // The transaction was rolled back, keep the pending changes for a retry
+      if (!result.success) {
+        return res.status(422).json({
+          error: 'Schema migration failed and was rolled back',
+          details: result.error,
+          statements: result.statements
+        });
+      }
+
+      // Clear pending changes
+      this.pendingChanges.delete(apiId);
+
+      res.json({
+        message: 'Schema changes applied successfully',
+        apiId,
+        version: result.version,
+        changes,
+        statements: result.statements,
+        schema: {
+          tables: schemaMigrationService.stripRenames(pendingChanges.tables)
+        },
+        ...(result.warning ? { warning: result.warning } : {})
+      });
+    } catch (error) {
+      console.error(`Error applying schema changes for API ${apiId}:`, error);
+      res.status(500).json({ error: 'Failed to apply schema changes', details: error.message });
+    }
+  }
+
+  /**
+   * Preview the migration for a proposed table set without running it
+   * Plans body.tables, or the pending changes when no tables are sent.
+   */
+  async planSchemaChanges(req, res) {
+    const { apiId } = req.params;
+    const proposed = req.body && req.body.tables;
+    const pendingChanges = this.pendingChanges.get(apiId);
+
+    console.log(`Planning schema changes for API ${apiId} for user ${req.XAuthUserId}`);
+
+    if (!proposed && !pendingChanges) {
+      return res.status(400).json({
+        error: 'No tables to plan',
+        details: 'Send a tables array or stage pending changes first'
+      });
+    }
+
+    try {
+      const tables = proposed || pendingChanges.tables;
+      const errors = schemaMigrationService.validateTables(tables);
+      const { changes, errors: diffErrors } = this._diffPending(req, { tables });
+      errors.push(...diffErrors);
+
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid schema changes', details: errors });
+      }
+
+      const plan = await schemaMigrationService.planChanges(changes, req.apiMetadata);
+
+      res.json({
+        success: true,
+        apiId,
+        source: proposed ? 'request' : 'pending',
+        ...this._planResponse(apiId, plan)
+      });
+    } catch (error) {
+      console.error(`Error planning schema changes for API ${apiId}:`, error);
+      res.status(500).json({ error: 'Failed to plan schema changes', details: error.message });
+    }
+  }
+
+  /**
+   * Build the response body of a plan, with a confirmation token when it loses data
+   * @private
+   */
+  _planResponse(apiId, plan) {
+    return {
+      steps: plan.steps,
+      summary: plan.summary,
+      destructive: plan.destructive,
+      ...(plan.destructive ? schemaMigrationService.createConfirmationToken(apiId, plan.steps) : {})
+    };
+  }
+
+  /**
+   * Make sure a destructive plan was confirmed with body.confirmationToken
+   * Sends a 409 and returns false when it was not.
+   * @private
+   */
+  _isConfirmed(req, res, plan) {
+    if (!plan.destructive) return true;
+
+    const token = req.body && req.body.confirmationToken;
+    if (schemaMigrationService.verifyConfirmationToken(req.apiId, plan.steps, token)) return true;
+
+    res.status(409).json({
+      error: 'Confirmation required',
+      message: token
+        ? 'The confirmation token is invalid, expired or was issued for different changes'
+        : 'These changes delete data. Review the plan and send its confirmationToken to run them',
+      dataLoss: plan.steps.filter(step => step.risk === 'data-loss'),
+      summary: plan.summary
+    });
+    return false;
+  }
+
+  /**
+   * Run a migration, republish the API and record the new schema version
+   * @private
+   * @returns {Promise<Object>} { success, version, statements, warning } or { success: false, error, statements }
+   */
+  async _migrate(req, tables, changes, { source, prompt = null, rollbackTo = null }) {
+    const { apiId } = req;
+    const latest = await schemaVersionService.ensureBaseline(req.apiMetadata);
+    const version = latest.version + 1;
+
+    const statements = schemaMigrationService.generateStatements(changes, req.apiMetadata);
+    const sqlStatements = statements.map(statement => statement.sql);
+
+    const result = await schemaMigrationService.runStatements(statements);
+    if (!result.success) {
+      return { success: false, error: result.error, statements: sqlStatements };
+    }
+
+    await apiGeneratorController.republishAPI(apiId, schemaMigrationService.stripRenames(tables), {
+      schemaVersion: version,
+      schemaUpdatedAt: new Date().toISOString(),
+      schemaUpdatedBy: req.XAuthUserId
     });
+
+    // The database already changed, a failed history write must not hide that
+    try {
+      await schemaVersionService.recordVersion(apiId, version, {
+        tables,
+        changes,
+        statements: sqlStatements,
+        source,
+        author: req.XAuthUserId,
+        prompt,
+        rollbackTo
+      });
+    } catch (error) {
+      console.error(`Error recording schema version ${version} of API ${apiId}:`, error);
+      return { success: true, version, statements: sqlStatements, warning: 'Schema applied but its version could not be recorded' };
+    }
+
+    return { success: true, version, statements: sqlStatements };
+  }
+
+  /**
+   * List the schema versions of an API
+   */
+  async listVersions(req, res) {
+    try {
+      await schemaVersionService.ensureBaseline(req.apiMetadata);
+      const versions = await schemaVersionService.listVersions(req.apiId);
+
+      res.json({
+        success: true,
+        apiId: req.apiId,
+        currentVersion: versions.length > 0 ? versions[0].version : null,
+        versions
+      });
+    } catch (error) {
+      console.error(`Error listing schema versions of API ${req.apiId}:`, error);
+      res.status(500).json({ error: 'Failed to list schema versions', details: error.message });
+    }
+  }
+
+  /**
+   * Get a schema version of an API, including its tables
+   */
+  async getVersion(req, res) {
+    try {
+      const version = await this._findVersion(req, req.params.version);
+      if (!version) {
+        return res.status(404).json({ error: `Schema version ${req.params.version} not found` });
+      }
+
+      res.json({ success: true, apiId: req.apiId, version });
+    } catch (error) {
+      console.error(`Error getting schema version of API ${req.apiId}:`, error);
+      res.status(500).json({ error: 'Failed to get schema version', details: error.message });
+    }
+  }
+
+  /**
+   * Diff two schema versions of an API
+   * ?from=<version>&to=<version>, to defaults to the current version
+   */
+  async diffVersions(req, res) {
+    try {
+      const latest = await schemaVersionService.ensureBaseline(req.apiMetadata);
+
+      if (req.query.from === undefined) {
+        return res.status(400).json({ error: 'from is required' });
+      }
+
+      const from = await this._findVersion(req, req.query.from);
+      const to = req.query.to === undefined ? latest : await this._findVersion(req, req.query.to);
+
+      if (!from || !to) {
+        return res.status(404).json({ error: `Schema version ${!from ? req.query.from : req.query.to} not found` });
+      }
+
+      const { changes, errors } = await schemaVersionService.diffVersions(req.apiId, from, to);
+
+      res.json({
+        success: true,
+        apiId: req.apiId,
+        from: from.version,
+        to: to.version,
+        changes,
+        statements: schemaMigrationService.generateStatements(changes, req.apiMetadata).map(statement => statement.sql),
+        ...(errors.length > 0 ? { errors } : {})
+      });
+    } catch (error) {
+      console.error(`Error diffing schema versions of API ${req.apiId}:`, error);
+      res.status(500).json({ error: 'Failed to diff schema versions', details: error.message });
+    }
+  }
+
+  /**
+   * Roll an API back to a previous schema version
+   * Generates the down migration from the current schema and records the
+   * result as a new version. body.dryRun: true only returns the plan; a
+   * destructive rollback needs body.confirmationToken from that plan.
+   */
+  async rollbackToVersion(req, res) {
+    const { apiId } = req.params;
+
+    console.log(`Rolling back schema of API ${apiId} to version ${req.params.version} for user ${req.XAuthUserId}`);
+
+    try {
+      const latest = await schemaVersionService.ensureBaseline(req.apiMetadata);
+      const target = await this._findVersion(req, req.params.version);
+
+      if (!target) {
+        return res.status(404).json({ error: `Schema version ${req.params.version} not found` });
+      }
+
+      if (target.version === latest.version) {
+        return res.status(400).json({ error: `Schema version ${target.version} is already the current version` });
+      }
+
+      const { tables, changes, errors } = await schemaVersionService.diffVersions(apiId, latest, target);
+      if (errors.length > 0) {
+        return res.status(409).json({ error: 'Schema version cannot be rolled back to', details: errors });
+      }
+
+      const plan = await schemaMigrationService.planChanges(changes, req.apiMetadata);
+
+      // dryRun: true returns the down migration without running it
+      if (req.body && req.body.dryRun === true) {
+        return res.json({
+          success: true,
+          apiId,
+          from: latest.version,
+          to: target.version,
+          ...this._planResponse(apiId, plan)
+        });
+      }
+
+      if (!this._isConfirmed(req, res, plan)) return;
+
+      const result = await this._migrate(req, tables, changes, {
+        source: 'rollback',
+        rollbackTo: target.version
+      });
+
+      if (!result.success) {
+        return res.status(422).json({
+          error: 'Schema rollback failed and was rolled back',
+          details: result.error,
+          statements: result.statements
+        });
+      }
+
+      // Pending changes were based on the schema that was just replaced
+      this.pendingChanges.delete(apiId);
+
+      res.json({
+        message: `Schema rolled back to version ${target.version}`,
+        apiId,
+        version: result.version,
+        rolledBackTo: target.version,
+        changes,
+        statements: result.statements,
+        schema: {
+          tables: target.tables
+        },
+        ...(result.warning ? { warning: result.warning } : {})
+      });
+    } catch (error) {
+      console.error(`Error rolling back schema of API ${apiId}:`, error);
+      res.status(500).json({ error: 'Failed to roll back schema', details: error.message });
+    }
+  }
+
+  /**
+   * Find a version of the API behind the request
+   * @private
+   */
+  async _findVersion(req, value) {
+    const version = Number(value);
+    if (!Number.isInteger(version) || version < 1) return null;
+    return schemaVersionService.getVersion(req.apiId, version);
   }
 
   /**
@@ -87,9 +456,9 @@ class SchemaController {
   getPendingChanges(req, res) {
     const { apiId } = req.params;
     const XAuthUserId = req.XAuthUserId;
-    
+
     console.log(`Getting pending changes for API ${apiId} for user ${XAuthUserId}`);
-    
+
     // Check if there are pending changes
     if (!this.pendingChanges.has(apiId)) {
       return res.json({
@@ -98,11 +467,16 @@ class SchemaController {
         pendingChanges: null
       });
     }
-    
+
+    const pendingChanges = this.pendingChanges.get(apiId);
+    const { changes, errors } = this._diffPending(req, pendingChanges);
+
     res.json({
       message: 'Pending changes retrieved',
       apiId,
-      pendingChanges: this.pendingChanges.get(apiId)
+      pendingChanges,
+      changes,
+      ...(errors.length > 0 ? { errors } : {})
     });
   }
 
@@ -112,19 +486,19 @@ class SchemaController {
   cancelPendingChanges(req, res) {
     const { apiId } = req.params;
     const XAuthUserId = req.XAuthUserId;
-    
+
     console.log(`Canceling pending changes for API ${apiId} for user ${XAuthUserId}`);
-    
+
     // Check if there are pending changes
     if (!this.pendingChanges.has(apiId)) {
       return res.status(400).json({
         error: 'No pending changes found'
       });
     }
-    
+
     // Clear pending changes
     this.pendingChanges.delete(apiId);
-    
+
     res.json({
       message: 'Pending changes canceled successfully',
       apiId
@@ -138,29 +512,37 @@ class SchemaController {
     const { apiId } = req.params;
     const { table } = req.body;
     const XAuthUserId = req.XAuthUserId;
-    
+
     console.log(`Adding table to schema for API ${apiId} for user ${XAuthUserId}`);
-    
+
     // Validate table
     if (!table || !table.name) {
       return res.status(400).json({
         error: 'Table must have a name'
       });
     }
-    
-    // Initialize pending changes if needed
-    if (!this.pendingChanges.has(apiId)) {
-      this.pendingChanges.set(apiId, { XAuthUserId, tables: [] });
+
+    const pendingChanges = this._getOrCreatePending(req);
+
+    if (pendingChanges.tables.some(t => t.name === table.name)) {
+      return res.status(409).json({
+        error: `Table ${table.name} already exists`
+      });
     }
-    
-    // Add table to pending changes
-    this.pendingChanges.get(apiId).tables.push(table);
-    
+
+    const tables = [...pendingChanges.tables, table];
+    const errors = schemaMigrationService.validateTables(tables);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid table', details: errors });
+    }
+
+    pendingChanges.tables = tables;
+
     res.json({
       message: 'Table added to schema',
       apiId,
       table,
-      pendingChanges: this.pendingChanges.get(apiId)
+      pendingChanges
     });
   }
 
@@ -171,35 +553,41 @@ class SchemaController {
     const { apiId, tableName } = req.params;
     const { table } = req.body;
     const XAuthUserId = req.XAuthUserId;
-    
+
     console.log(`Updating table ${tableName} in schema for API ${apiId} for user ${XAuthUserId}`);
-    
-    // Check if there are pending changes
-    if (!this.pendingChanges.has(apiId)) {
-      return res.status(400).json({
-        error: 'No pending changes found'
-      });
-    }
-    
-    // Get pending changes
-    const pendingChanges = this.pendingChanges.get(apiId);
-    
+
+    const pendingChanges = this._getOrCreatePending(req);
+
     // Find table index
     const tableIndex = pendingChanges.tables.findIndex(t => t.name === tableName);
-    
+
     if (tableIndex === -1) {
       return res.status(404).json({
         error: `Table ${tableName} not found`
       });
     }
-    
-    // Update table
-    pendingChanges.tables[tableIndex] = table;
-    
+
+    if (!table || typeof table !== 'object') {
+      return res.status(400).json({
+        error: 'Table definition is required'
+      });
+    }
+
+    // Renaming tables is not supported, the name in the URL wins
+    const tables = [...pendingChanges.tables];
+    tables[tableIndex] = { ...table, name: tableName };
+
+    const errors = schemaMigrationService.validateTables(tables);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid table', details: errors });
+    }
+
+    pendingChanges.tables = tables;
+
     res.json({
       message: 'Table updated in schema',
       apiId,
-      table,
+      table: tables[tableIndex],
       pendingChanges
     });
   }
@@ -210,22 +598,39 @@ class SchemaController {
   removeTable(req, res) {
     const { apiId, tableName } = req.params;
     const XAuthUserId = req.XAuthUserId;
-    
+
     console.log(`Removing table ${tableName} from schema for API ${apiId} for user ${XAuthUserId}`);
-    
-    // Check if there are pending changes
-    if (!this.pendingChanges.has(apiId)) {
+
+    const pendingChanges = this._getOrCreatePending(req);
+
+    if (!pendingChanges.tables.some(t => t.name === tableName)) {
+      return res.status(404).json({
+        error: `Table ${tableName} not found`
+      });
+    }
+
+    const tables = pendingChanges.tables.filter(t => t.name !== tableName);
+
+    // Relationships pointing at the removed table would be left dangling
+    const referencedBy = tables
+      .filter(t => (t.relationships || []).some(rel => rel.targetTable === tableName))
+      .map(t => t.name);
+
+    if (referencedBy.length > 0) {
+      return res.status(409).json({
+        error: `Table ${tableName} is referenced by other tables`,
+        details: referencedBy
+      });
+    }
+
+    if (tables.length === 0) {
       return res.status(400).json({
-        error: 'No pending changes found'
+        error: 'An API must keep at least one table'
       });
     }
-    
-    // Get pending changes
-    const pendingChanges = this.pendingChanges.get(apiId);
-    
-    // Filter out the table
-    pendingChanges.tables = pendingChanges.tables.filter(t => t.name !== tableName);
-    
+
+    pendingChanges.tables = tables;
+
     res.json({
       message: 'Table removed from schema',
       apiId,
@@ -235,4 +640,4 @@ class SchemaController {
   }
 }
 
-module.exports = new SchemaController(); 
\ No newline at end of file
+module.exports = new SchemaController();
@@ -0,0 +1,63 @@
+const schemaImportService = require('../services/schemaImportService');
+const schemaMigrationService = require('../services/schemaMigrationService');
+
+/**
+ * Schema Import Controller
+ * Turns an uploaded SQL DDL file into tables for /create-api-from-schema
+ */
+class SchemaImportController {
+  /**
+   * Import a DDL file sent as multipart "file" field or as { sql } in the body
+   * Responds with the same structure as /generate-schema plus import warnings.
+   */
+  async importSchema(req, res) {
+    try {
+      const sql = req.file ? req.file.buffer.toString('utf8') : req.body.sql;
+      if (!sql || typeof sql !== 'string' || !sql.trim()) {
+        return res.status(400).json({ error: 'SQL is required', details: 'Upload a .sql file as "file" or send { sql }' });
+      }
+
+      let result;
+      try {
+        result = schemaImportService.importSQL(sql);
+      } catch (parseError) {
+        return res.status(400).json({ error: 'Could not parse SQL', details: parseError.message });
+      }
+
+      const { tables, warnings } = result;
+      if (tables.length === 0) {
+        return res.status(422).json({ error: 'No CREATE TABLE statements found', details: warnings });
+      }
+
+      const errors = [...schemaMigrationService.validateTables(tables), ...schemaMigrationService.checkTableNames(tables)];
+      if (errors.length > 0) {
+        return res.status(422).json({ error: 'Imported schema is not supported', details: errors, warnings, tables });
+      }
+
+      const XAuthUserId = req.XAuthUserId;
+      console.log(`Imported ${tables.length} tables from SQL for ${XAuthUserId} (${warnings.length} warnings)`);
+
+      res.json({
+        success: true,
+        XAuthUserId,
+        tables,
+        warnings,
+        metadata: {
+          relationships: tables.reduce((acc, table) => {
+            if (table.relationships.length > 0) {
+              acc[table.name] = table.relationships;
+            }
+            return acc;
+          }, {}),
+          tableCount: tables.length,
+          totalColumns: tables.reduce((sum, table) => sum + table.columns.length, 0)
+        }
+      });
+    } catch (error) {
+      console.error('Error importing SQL schema:', error);
+      res.status(500).json({ error: 'Failed to import SQL schema', details: error.message });
+    }
+  }
+}
+
+module.exports = new SchemaImportController();
@@ -0,0 +1,73 @@
+const sdkGeneratorService = require('../services/sdkGeneratorService');
+
+/**
+ * SDK Controller
+ * Lets API owners download generated client SDKs for their API
+ */
+class SdkController {
+  /**
+   * Download the TypeScript client as a single file
+   */
+  async getTypeScriptClient(req, res) {
+    try {
+      const source = sdkGeneratorService.generateTypeScript(req.apiMetadata, this._getBaseUrl(req));
+
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="client.ts"');
+      res.send(source);
+    } catch (error) {
+      console.error('Error generating TypeScript client:', error);
+      res.status(500).json({ error: 'Failed to generate TypeScript client', details: error.message });
+    }
+  }
+
+  /**
+   * Download the JavaScript (ESM) client as a single file
+   */
+  async getJavaScriptClient(req, res) {
+    try {
+      const source = sdkGeneratorService.generateJavaScript(req.apiMetadata, this._getBaseUrl(req));
+
+      res.setHeader('Content-Type', 'application/javascript; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="client.js"');
+      res.send(source);
+    } catch (error) {
+      console.error('Error generating JavaScript client:', error);
+      res.status(500).json({ error: 'Failed to generate JavaScript client', details: error.message });
+    }
+  }
+
+  /**
+   * Stream the client as an npm package tarball
+   */
+  async getPackage(req, res) {
+    try {
+      const name = sdkGeneratorService.getPackageName(req.apiMetadata);
+
+      res.setHeader('Content-Type', 'application/gzip');
+      res.setHeader('Content-Disposition', `attachment; filename="${name}-1.0.0.tgz"`);
+
+      await sdkGeneratorService.writePackage(req.apiMetadata, this._getBaseUrl(req), res);
+      console.log(`Generated SDK package ${name} for API ${req.apiId}`);
+    } catch (error) {
+      console.error('Error generating SDK package:', error);
+
+      // Once the archive started streaming the response can only be aborted
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      res.removeHeader('Content-Disposition');
+      res.status(500).json({ error: 'Failed to generate SDK package', details: error.message });
+    }
+  }
+
+  /**
+   * URL of the API the generated clients default to
+   * @private
+   */
+  _getBaseUrl(req) {
+    return `${req.protocol}://${req.get('host')}/api/${req.apiId}`;
+  }
+}
+
+module.exports = new SdkController();
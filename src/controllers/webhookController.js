@@ -0,0 +1,239 @@
+const webhookService = require('../services/webhookService');
+
+/**
+ * Webhook Controller
+ * Lets API owners manage webhook subscriptions of their generated APIs and
+ * inspect or retry their deliveries
+ */
+class WebhookController {
+  /**
+   * Get the table names of the API behind the request
+   * @private
+   */
+  _getTableNames(req) {
+    const tables = (req.apiMetadata && req.apiMetadata.tables) || [];
+    return tables.map(table => table.originalName || table.name);
+  }
+
+  /**
+   * Read page and limit query parameters
+   * @private
+   */
+  _getPaging(req) {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    return { page, limit };
+  }
+
+  /**
+   * Create a subscription
+   * The signing secret is only returned in this response
+   */
+  async createWebhook(req, res) {
+    try {
+      const body = req.body || {};
+      const errors = webhookService.validateSubscription(body, this._getTableNames(req));
+
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid webhook settings', details: errors });
+      }
+
+      const result = await webhookService.createSubscription(req.apiId, {
+        url: body.url,
+        table: body.table,
+        events: body.events,
+        description: body.description,
+        active: body.active,
+        secret: body.secret,
+        createdBy: req.XAuthUserId
+      });
+
+      res.status(201).json({
+        success: true,
+        webhook: result.webhook,
+        secret: result.secret,
+        message: 'Store this signing secret now - it will not be shown again'
+      });
+    } catch (error) {
+      console.error('Error creating webhook:', error);
+      res.status(500).json({ error: 'Failed to create webhook', details: error.message });
+    }
+  }
+
+  /**
+   * List the subscriptions of an API
+   */
+  async listWebhooks(req, res) {
+    try {
+      const webhooks = await webhookService.listSubscriptions(req.apiId);
+      res.json({ success: true, apiId: req.apiId, webhooks });
+    } catch (error) {
+      console.error('Error listing webhooks:', error);
+      res.status(500).json({ error: 'Failed to list webhooks', details: error.message });
+    }
+  }
+
+  /**
+   * Get a subscription
+   */
+  async getWebhook(req, res) {
+    try {
+      const webhook = await webhookService.getSubscription(req.apiId, req.params.webhookId);
+
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      res.json({ success: true, webhook });
+    } catch (error) {
+      console.error('Error getting webhook:', error);
+      res.status(500).json({ error: 'Failed to get webhook', details: error.message });
+    }
+  }
+
+  /**
+   * Update a subscription (only the fields sent are changed)
+   */
+  async updateWebhook(req, res) {
+    try {
+      const body = req.body || {};
+      const errors = webhookService.validateSubscription(body, this._getTableNames(req), { partial: true });
+
+      if (body.secret !== undefined) {
+        errors.push('secret cannot be changed here - use rotate-secret');
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid webhook settings', details: errors });
+      }
+
+      const webhook = await webhookService.updateSubscription(req.apiId, req.params.webhookId, body);
+
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      res.json({ success: true, webhook });
+    } catch (error) {
+      console.error('Error updating webhook:', error);
+      res.status(500).json({ error: 'Failed to update webhook', details: error.message });
+    }
+  }
+
+  /**
+   * Delete a subscription and its delivery log
+   */
+  async deleteWebhook(req, res) {
+    try {
+      const deleted = await webhookService.deleteSubscription(req.apiId, req.params.webhookId);
+
+      if (!deleted) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      res.json({ success: true, message: 'Webhook deleted' });
+    } catch (error) {
+      console.error('Error deleting webhook:', error);
+      res.status(500).json({ error: 'Failed to delete webhook', details: error.message });
+    }
+  }
+
+  /**
+   * Replace the signing secret of a subscription
+   */
+  async rotateSecret(req, res) {
+    try {
+      const result = await webhookService.rotateSecret(req.apiId, req.params.webhookId);
+
+      if (!result) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      res.json({
+        success: true,
+        webhook: result.webhook,
+        secret: result.secret,
+        message: 'Store this signing secret now - it will not be shown again'
+      });
+    } catch (error) {
+      console.error('Error rotating webhook secret:', error);
+      res.status(500).json({ error: 'Failed to rotate webhook secret', details: error.message });
+    }
+  }
+
+  /**
+   * List the deliveries of a subscription
+   * Filter with ?status=pending|delivering|retrying|succeeded|failed
+   */
+  async listDeliveries(req, res) {
+    try {
+      const { status } = req.query;
+
+      if (status && !webhookService.statuses.includes(status)) {
+        return res.status(400).json({
+          error: 'Invalid status',
+          details: [`status must be one of: ${webhookService.statuses.join(', ')}`]
+        });
+      }
+
+      const webhook = await webhookService.getSubscription(req.apiId, req.params.webhookId);
+
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      const { page, limit } = this._getPaging(req);
+      const { deliveries, total } = await webhookService.listDeliveries(req.apiId, {
+        webhookId: webhook.id,
+        status,
+        page,
+        limit
+      });
+
+      res.json({ success: true, webhookId: webhook.id, deliveries, pagination: { page, limit, total } });
+    } catch (error) {
+      console.error('Error listing webhook deliveries:', error);
+      res.status(500).json({ error: 'Failed to list webhook deliveries', details: error.message });
+    }
+  }
+
+  /**
+   * List the deliveries of an API that ran out of attempts
+   */
+  async listDeadLetters(req, res) {
+    try {
+      const { page, limit } = this._getPaging(req);
+      const { deliveries, total } = await webhookService.listDeliveries(req.apiId, {
+        webhookId: req.query.webhook_id,
+        status: 'failed',
+        page,
+        limit
+      });
+
+      res.json({ success: true, apiId: req.apiId, deliveries, pagination: { page, limit, total } });
+    } catch (error) {
+      console.error('Error listing webhook dead letters:', error);
+      res.status(500).json({ error: 'Failed to list webhook dead letters', details: error.message });
+    }
+  }
+
+  /**
+   * Send a delivery again right away, with a fresh set of retries
+   */
+  async retryDelivery(req, res) {
+    try {
+      const delivery = await webhookService.retryDelivery(req.apiId, req.params.deliveryId);
+
+      if (!delivery) {
+        return res.status(404).json({ error: 'Delivery not found or currently being sent' });
+      }
+
+      res.json({ success: true, delivery });
+    } catch (error) {
+      console.error('Error retrying webhook delivery:', error);
+      res.status(500).json({ error: 'Failed to retry webhook delivery', details: error.message });
+    }
+  }
+}
+
+module.exports = new WebhookController();
@@ -3,8 +3,21 @@ const dotenv = require('dotenv');
 const cors = require('cors');
 const APIGeneratorController = require('./controllers/apiGeneratorController');
 const apiPublisher = require('./services/apiPublisher');
+const apiAuthService = require('./services/apiAuthService');
+const accessRuleService = require('./services/accessRuleService');
+const endUserAuthService = require('./services/endUserAuthService');
+const schemaMigrationService = require('./services/schemaMigrationService');
+const realtimeService = require('./services/realtimeService');
+const softDeleteService = require('./services/softDeleteService');
+const fileService = require('./services/fileService');
+const schemaController = require('./controllers/schemaController');
 const swaggerUi = require('swagger-ui-express');
 const schemaRoutes = require('./routes/schemaRoutes');
+const schemaImportRoutes = require('./routes/schemaImportRoutes');
+const projectExportRoutes = require('./routes/projectExportRoutes');
+const sdkRoutes = require('./routes/sdkRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const apiSettingsRoutes = require('./routes/apiSettingsRoutes');
 const { ensureCorsHeaders, setCorsHeaders } = require('./middleware/corsMiddleware');
 const bcrypt = require('bcrypt');
 const { createClient } = require('@supabase/supabase-js');
@@ -12,6 +25,7 @@ const loggerMiddleware = require('./middleware/loggerMiddleware');
 const limitMiddleware = require('./middleware/limitMiddleware');
 const planMiddleware = require('./middleware/planMiddleware');
 const usageLimitMiddleware = require('./middleware/usageLimitMiddleware');
+const apiUsageMiddleware = require('./middleware/apiUsageMiddleware');
 const security = require('./security');
 const { initializeSecurityTables } = require('./utils/security/initializeSecurityTables');
 const EpointTablesSetup = require('./utils/setup/epointTables');
@@ -130,6 +144,33 @@ emailTablesSetup.createTables().catch(err => {
   console.warn('Email features might not work correctly');
 });
 
+// Initialize API key tables
+const ApiKeyTablesSetup = require('./utils/setup/apiKeyTables');
+const apiKeyTablesSetup = new ApiKeyTablesSetup();
+apiKeyTablesSetup.createTables().catch(err => {
+  console.error('Error initializing API key tables:', err);
+  console.warn('API key authentication for generated APIs might not work correctly');
+});
+
+// Initialize schema version tables
+const SchemaVersionTablesSetup = require('./utils/setup/schemaVersionTables');
+const schemaVersionTablesSetup = new SchemaVersionTablesSetup();
+schemaVersionTablesSetup.createTables().catch(err => {
+  console.error('Error initializing schema version tables:', err);
+  console.warn('Schema history and rollback for generated APIs might not work correctly');
+});
+
+// Initialize webhook tables, then start retrying failed deliveries
+const WebhookTablesSetup = require('./utils/setup/webhookTables');
+const webhookService = require('./services/webhookService');
+const webhookTablesSetup = new WebhookTablesSetup();
+webhookTablesSetup.createTables().then(() => {
+  webhookService.start();
+}).catch(err => {
+  console.error('Error initializing webhook tables:', err);
+  console.warn('Webhooks of generated APIs might not work correctly');
+});
+
 // Initialize Analysis tables
 const AnalysisTablesSetup = require('./utils/setup/analysisTables');
 const analysisTablesSetup = new AnalysisTablesSetup();
@@ -182,7 +223,8 @@ app.options('*', (req, res) => {
 app.use(ensureCorsHeaders);
 
 // Parse request body before extracting XAuthUserId from it
-app.use(express.json());
+// The limit leaves room for bulk requests on generated APIs
+app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Add a route for extracting XAuthUserId from various sources
@@ -1034,16 +1076,43 @@ app.post('/generate-schema', usageLimitMiddleware.checkProjectLimit(), async (re
 });
 
 // New endpoint for modifying an existing schema
-app.post('/modify-schema', (req, res) => {
+app.post('/modify-schema', async (req, res) => {
   // Ensure CORS headers are set
   setCorsHeaders(res);
   
-  const { prompt, tables, XAuthUserId } = req.body;
+  const { prompt, XAuthUserId, apiId } = req.body;
+  let { tables } = req.body;
   
   if (!prompt) {
     return res.status(400).json({ error: 'Prompt is required' });
   }
   
+  // With an apiId the modified tables are staged as pending schema changes of
+  // that API, to be applied through /api/:apiId/schema/apply
+  if (apiId) {
+    try {
+      await apiPublisher.getRouter(apiId);
+    } catch (error) {
+      console.error(`Error loading API ${apiId} for schema modification:`, error);
+    }
+    
+    const apiMetadata = apiPublisher.getApiMetadata(apiId);
+    if (!apiMetadata || apiMetadata.deleted_at) {
+      return res.status(404).json({ error: 'API not found' });
+    }
+    if (!req.XAuthUserId || apiMetadata.XAuthUserId !== req.XAuthUserId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the owner of this API can modify its schema'
+      });
+    }
+    
+    // Default to the API's current tables
+    if (!tables) {
+      tables = schemaMigrationService.getTables(apiMetadata);
+    }
+  }
+  
   if (!tables || !Array.isArray(tables) || tables.length === 0) {
     return res.status(400).json({ 
       error: 'Valid tables structure is required',
@@ -1107,11 +1176,22 @@ app.post('/modify-schema', (req, res) => {
           console.log(`- Table "${table.name}" with ${table.columns.length} columns`);
         });
         
+        if (apiId) {
+          schemaController.stagePendingChanges(apiId, {
+            XAuthUserId: XAuthUserIdToUse,
+            tables: validTables,
+            source: 'modify_schema',
+            prompt
+          });
+          console.log(`Staged modified schema as pending changes of API ${apiId}`);
+        }
+        
         // Send back the modified schema
         res.json({
           success: true,
           XAuthUserId: XAuthUserIdToUse,
           tables: validTables, // Return only the validated tables with proper structure
+          ...(apiId ? { apiId, pending: true, applyUrl: `/api/${apiId}/schema/apply` } : {})
         });
       })
       .catch(error => {
@@ -1156,6 +1236,15 @@ app.post('/create-api-from-schema', usageLimitMiddleware.checkBothLimits(), asyn
     });
   }
   
+  // Tables named like a platform route (e.g. export) would lose their routes to it
+  const tableNameErrors = schemaMigrationService.checkTableNames(tables);
+  if (tableNameErrors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid table names',
+      details: tableNameErrors
+    });
+  }
+  
   // Ensure every table has an ID column
   tables.forEach(table => {
     // Check if table already has an ID column
@@ -1179,6 +1268,19 @@ app.post('/create-api-from-schema', usageLimitMiddleware.checkBothLimits(), asyn
     }
   });
   
+  // Optional row-level access rules per table
+  let accessRules = {};
+  if (req.body.accessRules !== undefined) {
+    const accessRuleErrors = accessRuleService.validateRules(req.body.accessRules, tables);
+    if (accessRuleErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid access rules',
+        details: accessRuleErrors
+      });
+    }
+    accessRules = accessRuleService.normalizeRules(req.body.accessRules);
+  }
+  
   const XAuthUserIdToUse = XAuthUserId || req.XAuthUserId;
   
   console.log(`Creating API from schema for user: ${XAuthUserIdToUse}`);
@@ -1187,7 +1289,7 @@ app.post('/create-api-from-schema', usageLimitMiddleware.checkBothLimits(), asyn
   // Generate API from the provided schema
   try {
     // This would call the API generator with the provided schema
-    const result = await apiGeneratorController.generateAPIFromSchema(tables, XAuthUserIdToUse);
+    const result = await apiGeneratorController.generateAPIFromSchema(tables, XAuthUserIdToUse, { accessRules });
     
     // After API generation, verify that tables actually exist in the database before returning success
     console.log("Verifying all tables have been created properly...");
@@ -1424,6 +1526,25 @@ app.get('/my-apis/deleted', (req, res) => {
 // Usage routes - must be before dynamic API routing
 app.use('/api/usage', usageRoutes);
 
+// API management routes (owner only) - must be before dynamic API routing
+// so they are not subject to the generated API's own auth mode. schemaRoutes
+// used to be mounted after it, which ran the owner's schema requests through
+// the API's auth mode. Their first path segments are reserved table names
+// (utils/naming.js) so no generated table route is hidden behind them.
+app.use('/', apiSettingsRoutes);
+app.use('/', schemaRoutes);
+app.use('/', schemaImportRoutes);
+app.use('/', projectExportRoutes);
+app.use('/', sdkRoutes);
+app.use('/', webhookRoutes);
+
+// Paths of a generated API that are served without its auth mode:
+// Swagger UI (and its static assets), GraphiQL and the OpenAPI document
+const docsPathPattern = /^\/(?:docs\/?|docs\/graphql\/?|docs\/[\w.-]+\.(?:js|css|png|html|map)|swagger\.json)$/;
+
+// Records each generated API request in api_usage with its API and API key
+const trackApiUsage = apiUsageMiddleware.trackUsage();
+
 // Dynamic API routing - verify user has access to the API
 app.use('/api/:apiId', usageLimitMiddleware.checkRequestLimit(), async (req, res, next) => {
   try {
@@ -1452,42 +1573,8 @@ app.use('/api/:apiId', usageLimitMiddleware.checkRequestLimit(), async (req, res
     }
   }
 
-  // Skip authentication for Swagger UI and docs
-  if (req.path.includes('/docs') || req.path.includes('/swagger.json')) {
-    console.log(`Skipping authentication for documentation path: ${req.path}`);
-    const router = apiPublisher.getRouter(apiId);
-    
-    if (!router || typeof router !== 'function') {
-      console.error(`API not found in registry or router is not a function: ${apiId}`, typeof router);
-      // Ensure CORS headers are set even for error responses
-      setCorsHeaders(res);
-      return res.status(404).json({ error: 'API not found' });
-    }
-    
-    // Ensure CORS headers are set for this request
-    setCorsHeaders(res);
-    
-    // Store the apiId on the request for use in the router
-    req.apiId = apiId;
-    
-    // Use the router as middleware instead
-    req.url = req.url.replace(`/api/${apiId}`, '') || '/';
-    
-    // Double check router exists before using it
-    if (!router || typeof router !== 'function') {
-      console.error(`Router not found for API ${apiId} or router is not a function:`, typeof router);
-      return res.status(404).json({ error: 'API not found in registry' });
-    }
-    
-    return router(req, res, next);
-  }
-  
-  // Check if authentication is optional for this API (from query param or header)
-  const skipAuth = req.query.skipAuth === 'true' || 
-                  req.headers['x-skip-auth'] === 'true' || 
-                  req.headers['X-Skip-Auth'] === 'true';
-  
-  const router = apiPublisher.getRouter(apiId);
+  // Resolve the router, restoring the API from the registry if it is not loaded
+  const router = await apiPublisher.getRouter(apiId);
   
   if (!router || typeof router !== 'function') {
     console.error(`API not found in registry or router is not a function: ${apiId}`, typeof router);
@@ -1496,39 +1583,57 @@ app.use('/api/:apiId', usageLimitMiddleware.checkRequestLimit(), async (req, res
     return res.status(404).json({ error: 'API not found' });
   }
   
-  // If skipAuth is true, bypass authentication
-  if (skipAuth) {
-    console.log(`Skipping authentication for API ${apiId} as requested by client`);
-    
-    // Set a default user ID for unauthenticated access
-    req.XAuthUserId = 'anonymous';
-    req.user = { username: 'anonymous', type: 'anonymous' };
-    
-    // Ensure CORS headers are set for this request
-    setCorsHeaders(res);
-    
-    // Store the apiId on the request for use in the router
-    req.apiId = apiId;
+  // Skip authentication for Swagger UI, docs and CORS preflight requests
+  // Only the exact docs paths match, so tables such as "docs" or "docsets" stay protected
+  const isDocsRequest = docsPathPattern.test(req.path);
+  
+  // End-user sign up, login and token routes check their own credentials
+  const isEndUserAuthRequest = req.path.startsWith('/auth/') &&
+    !!endUserAuthService.getSettings(apiPublisher.getApiMetadata(apiId));
+  
+  // Signed file download URLs are checked against their signature by the router
+  const isSignedFileRequest = fileService.isSignedRequest(req);
+  
+  if (isDocsRequest) {
+    console.log(`Skipping authentication for documentation path: ${req.path}`);
+  } else if (isEndUserAuthRequest) {
+    console.log(`Skipping API authentication for end-user auth path: ${req.path}`);
+  } else if (isSignedFileRequest) {
+    console.log(`Skipping API authentication for signed file download: ${req.path}`);
+  } else if (req.method !== 'OPTIONS') {
+    // Enforce the auth mode stored in the API's registry metadata
+    const metadata = apiPublisher.getApiMetadata(apiId);
+    const authResult = await apiAuthService.authenticate(req, metadata);
+    
+    if (!authResult.success) {
+      console.log(`Authentication failed for API ${apiId}: ${authResult.message}`);
+      setCorsHeaders(res);
+      if (authResult.status === 401) {
+        const mode = apiAuthService.getAuthConfig(metadata).mode;
+        res.setHeader('WWW-Authenticate', mode === 'api_key' ? 'ApiKey header="X-API-Key"' : 'Bearer');
+      }
+      return res.status(authResult.status).json({
+        error: authResult.error,
+        message: authResult.message
+      });
+    }
     
-    // Use the router as middleware instead
-    req.url = req.url.replace(`/api/${apiId}`, '') || '/';
+    // Caller identity as established by the API's auth mode
+    req.apiUser = authResult.user;
     
-    // Double check router exists before using it
-    if (!router || typeof router !== 'function') {
-      console.error(`Router not found for API ${apiId} or router is not a function:`, typeof router);
-      return res.status(404).json({ error: 'API not found in registry' });
+    // Attribute the request to the API key that made it (used by usage tracking)
+    if (authResult.apiKey) {
+      req.apiKey = authResult.apiKey;
     }
     
-    return router(req, res, next);
+    // Apply usage limits even for open access mode
+    console.log(`Applying usage limits to API ${apiId} for user: ${req.XAuthUserId || 'anonymous'}`);
+    
+    // Set default user ID for unauthenticated access
+    req.XAuthUserId = req.XAuthUserId || 'anonymous';
+    req.user = { username: authResult.user.username || req.XAuthUserId, type: authResult.user.type };
   }
   
-  // Apply usage limits even for open access mode
-  console.log(`Applying usage limits to API ${apiId} for user: ${req.XAuthUserId || 'anonymous'}`);
-  
-  // Set default user ID for unauthenticated access
-  req.XAuthUserId = req.XAuthUserId || 'anonymous';
-  req.user = { username: req.XAuthUserId, type: 'anonymous' };
-  
   // Ensure CORS headers are set for this request
   setCorsHeaders(res);
   
@@ -1538,13 +1643,8 @@ app.use('/api/:apiId', usageLimitMiddleware.checkRequestLimit(), async (req, res
   // Use the router as middleware instead
   req.url = req.url.replace(`/api/${apiId}`, '') || '/';
   
-  // Double check router exists before using it
-  if (!router) {
-    console.error(`Router not found for API ${apiId}`);
-    return res.status(404).json({ error: 'API not found in registry' });
-  }
-  
-  return router(req, res, next);
+  // Usage is tracked once the auth mode has set req.apiKey
+  return trackApiUsage(req, res, () => router(req, res, next));
 
   } catch (error) {
     console.error('Error in dynamic API routing middleware:', error);
@@ -1668,7 +1768,10 @@ app.use('/api/:apiId/docs', (req, res, next) => {
   try {
     // Use the router's _generateSwaggerSpec method directly, which ensures proper isolation
     if (typeof router._generateSwaggerSpec === 'function') {
-      swaggerSpec = router._generateSwaggerSpec();
+      swaggerSpec = router._generateSwaggerSpec({
+        auth: apiAuthService.getAuthConfig(apiPublisher.getApiMetadata(apiId)),
+        endUserAuth: !!endUserAuthService.getSettings(apiPublisher.getApiMetadata(apiId))
+      });
       console.log('Generated Swagger spec using router method');
     } else {
       // Fallback to finding a route handler for /swagger
@@ -1843,9 +1946,6 @@ app.get('/debug/api/:apiId', (req, res) => {
   });
 });
 
-// Add schema management routes
-app.use('/', schemaRoutes);
-
 // Add payment routes with flexible authentication
 const paymentRoutes = require('./routes/paymentRoutes');
 app.use('/api/payment', paymentRoutes);
@@ -1901,6 +2001,9 @@ app.get('/health', (req, res) => {
     console.log('Loading APIs from registry...');
     await apiPublisher.loadAllAPIs();
     console.log('API loading complete');
+    
+    // Remove soft-deleted rows past their retention period
+    softDeleteService.startPurgeJob();
   } catch (error) {
     console.error('Error loading APIs:', error);
   }
@@ -2263,8 +2366,11 @@ app.use('*', (req, res) => {
   });
 });
 
-app.listen(PORT, '0.0.0.0', () => {
+const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Backlify-v2 server running on port ${PORT}`);
   console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`💻 Hostname: ${process.env.RENDER_EXTERNAL_HOSTNAME || 'localhost'}`);
-});
\ No newline at end of file
+});
+
+// WebSocket upgrades of generated API change streams (GET /api/:apiId/:table/stream)
+realtimeService.attach(server, app);
\ No newline at end of file
@@ -0,0 +1,63 @@
+const apiPublisher = require('../services/apiPublisher');
+const { setCorsHeaders } = require('./corsMiddleware');
+const { verifyToken } = require('../utils/security/auth');
+
+class ApiOwnerMiddleware {
+  /**
+   * Only let the owner of an API (the XAuthUserId it was generated for) manage it
+   * The owner is the username of a verified Backlify access token; the
+   * XAuthUserId header, query and body values are not trusted here.
+   * Loads the API metadata into req.apiMetadata
+   */
+  requireApiOwner() {
+    return async (req, res, next) => {
+      try {
+        const { apiId } = req.params;
+
+        const authHeader = req.headers.authorization;
+        const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
+        const tokenResult = token ? await verifyToken(token) : null;
+
+        if (!tokenResult || !tokenResult.success || tokenResult.data.type !== 'access' || !tokenResult.data.username) {
+          setCorsHeaders(res);
+          return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'A valid access token is required to manage this API'
+          });
+        }
+
+        const username = tokenResult.data.username;
+
+        // getRouter restores the API from the registry when it is not loaded yet
+        await apiPublisher.getRouter(apiId);
+        const metadata = apiPublisher.getApiMetadata(apiId);
+
+        if (!metadata || metadata.deleted_at) {
+          setCorsHeaders(res);
+          return res.status(404).json({ error: 'API not found' });
+        }
+
+        if (metadata.XAuthUserId !== username) {
+          console.log(`User ${username} tried to manage API ${apiId} owned by ${metadata.XAuthUserId}`);
+          setCorsHeaders(res);
+          return res.status(403).json({
+            error: 'Forbidden',
+            message: 'Only the owner of this API can manage it'
+          });
+        }
+
+        req.user = tokenResult.data;
+        req.XAuthUserId = username;
+        req.apiId = apiId;
+        req.apiMetadata = metadata;
+        next();
+      } catch (error) {
+        console.error('Error in API owner middleware:', error);
+        setCorsHeaders(res);
+        res.status(500).json({ error: 'Failed to verify API ownership' });
+      }
+    };
+  }
+}
+
+module.exports = new ApiOwnerMiddleware();
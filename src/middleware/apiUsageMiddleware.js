@@ -12,6 +12,8 @@ class ApiUsageMiddleware {
    * Middleware to track API usage
    */
   trackUsage() {
+    const middleware = this;
+
     return async (req, res, next) => {
       const startTime = Date.now();
       
@@ -25,11 +27,11 @@ class ApiUsageMiddleware {
         // Track usage asynchronously (don't block response)
         setImmediate(async () => {
           try {
-            await this.logApiUsage(req, res, responseTime, data);
+            await middleware.logApiUsage(req, res, responseTime, data);
           } catch (error) {
             console.error('Error logging API usage:', error);
           }
-        }.bind(this));
+        });
         
         // Call original json method
         return originalJson.call(this, data);
@@ -51,6 +53,8 @@ class ApiUsageMiddleware {
       }
 
       const userId = req.user?.id || null;
+      const apiId = req.apiId || null;
+      const apiKeyId = req.apiKey?.id || null;
       const endpoint = req.path;
       const method = req.method;
       const statusCode = res.statusCode;
@@ -64,6 +68,8 @@ class ApiUsageMiddleware {
         .from('api_usage')
         .insert([{
           user_id: userId,
+          api_id: apiId,
+          api_key_id: apiKeyId,
           endpoint: endpoint,
           method: method,
           status_code: statusCode,
@@ -7,9 +7,10 @@ class PlanMiddleware {
   constructor() {
     this.validPlans = ['basic', 'pro', 'enterprise'];
     this.planLimits = {
-      basic: { projects: 2, requests: 1000 },
-      pro: { projects: 10, requests: 10000 },
-      enterprise: { projects: -1, requests: -1 } // Unlimited
+      // bulkBatchSize: maximum number of items per bulk create/update/delete request
+      basic: { projects: 2, requests: 1000, bulkBatchSize: 100 },
+      pro: { projects: 10, requests: 10000, bulkBatchSize: 1000 },
+      enterprise: { projects: -1, requests: -1, bulkBatchSize: 5000 } // Unlimited projects and requests
     };
   }
 
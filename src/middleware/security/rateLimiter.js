@@ -1,5 +1,6 @@
 const { createClient } = require('@supabase/supabase-js');
 const dotenv = require('dotenv');
+const securityConfig = require('../../config/security');
 
 dotenv.config();
 
@@ -149,4 +150,64 @@ const rateLimiter = async (req, res, next) => {
   }
 };
 
-module.exports = rateLimiter; 
\ No newline at end of file
+// Recent attempts per client on the sensitive routes of generated APIs
+const sensitiveAttempts = new Map();
+
+// Forget clients whose attempts have all left the window
+setInterval(() => {
+  const windowStart = Date.now() - securityConfig.rateLimiting.sensitive.windowMs;
+  sensitiveAttempts.forEach((attempts, key) => {
+    if (attempts[attempts.length - 1] <= windowStart) sensitiveAttempts.delete(key);
+  });
+}, 10 * 60 * 1000).unref();
+
+/**
+ * Rate limiter for the sensitive routes of generated APIs (end-user login/register)
+ * Requests to these routes are logged under the API owner, so the log based
+ * count above cannot tell end users apart. Attempts are counted in memory per
+ * API and IP instead, with the sensitive limits of the security config.
+ */
+const sensitiveRateLimiter = async (req, res, next) => {
+  const ip = req.ip || req.headers['x-forwarded-for'] || req.connection.remoteAddress;
+  const { windowMs, maxRequests } = securityConfig.rateLimiting.sensitive;
+  const key = `${req.apiId || req.params.apiId || ''}:${ip}`;
+  const now = Date.now();
+
+  const attempts = (sensitiveAttempts.get(key) || []).filter(time => time > now - windowMs);
+
+  if (attempts.length >= maxRequests) {
+    sensitiveAttempts.set(key, attempts);
+
+    try {
+      await supabase.from('security_logs').insert([{
+        ip,
+        user_id: req.XAuthUserId || 'anonymous',
+        method: req.method,
+        path: req.path,
+        headers: req.headers,
+        type: 'RATE_LIMIT_EXCEEDED',
+        detection: {
+          count: attempts.length,
+          limit: maxRequests,
+          window: `${windowMs / 60000} minutes`
+        },
+        endpoint: req.originalUrl
+      }]);
+    } catch (error) {
+      console.error('Error logging rate limit event:', error);
+    }
+
+    res.set('Retry-After', String(Math.ceil((attempts[0] + windowMs - now) / 1000)));
+    return res.status(429).json({
+      error: 'Too many requests',
+      message: `Rate limit exceeded. Please try again in ${windowMs / 60000} minutes.`
+    });
+  }
+
+  attempts.push(now);
+  sensitiveAttempts.set(key, attempts);
+  next();
+};
+
+module.exports = rateLimiter;
+module.exports.sensitiveRateLimiter = sensitiveRateLimiter;
@@ -0,0 +1,97 @@
+const express = require('express');
+const router = express.Router();
+const apiSettingsController = require('../controllers/apiSettingsController');
+const apiKeyController = require('../controllers/apiKeyController');
+const apiOwnerMiddleware = require('../middleware/apiOwnerMiddleware');
+
+// Get the auth mode of an API
+router.get('/api/:apiId/settings/auth',
+  apiOwnerMiddleware.requireApiOwner(),
+  apiSettingsController.getAuthSettings.bind(apiSettingsController)
+);
+
+// Change the auth mode of an API
+router.put('/api/:apiId/settings/auth',
+  apiOwnerMiddleware.requireApiOwner(),
+  apiSettingsController.updateAuthSettings.bind(apiSettingsController)
+);
+
+// Get the row-level access rules of an API's tables
+router.get('/api/:apiId/settings/access-rules',
+  apiOwnerMiddleware.requireApiOwner(),
+  apiSettingsController.getAccessRules.bind(apiSettingsController)
+);
+
+// Replace the row-level access rules of an API's tables
+router.put('/api/:apiId/settings/access-rules',
+  apiOwnerMiddleware.requireApiOwner(),
+  apiSettingsController.updateAccessRules.bind(apiSettingsController)
+);
+
+// Get the end-user auth settings of an API
+router.get('/api/:apiId/settings/end-user-auth',
+  apiOwnerMiddleware.requireApiOwner(),
+  apiSettingsController.getEndUserAuthSettings.bind(apiSettingsController)
+);
+
+// Enable, disable or configure end-user auth for an API
+router.put('/api/:apiId/settings/end-user-auth',
+  apiOwnerMiddleware.requireApiOwner(),
+  apiSettingsController.updateEndUserAuthSettings.bind(apiSettingsController)
+);
+
+// List the end users of an API
+router.get('/api/:apiId/settings/end-users',
+  apiOwnerMiddleware.requireApiOwner(),
+  apiSettingsController.listEndUsers.bind(apiSettingsController)
+);
+
+// Replace the roles of an end user
+router.put('/api/:apiId/settings/end-users/:userId/roles',
+  apiOwnerMiddleware.requireApiOwner(),
+  apiSettingsController.updateEndUserRoles.bind(apiSettingsController)
+);
+
+// Get the soft delete settings of an API's tables
+router.get('/api/:apiId/settings/soft-delete',
+  apiOwnerMiddleware.requireApiOwner(),
+  apiSettingsController.getSoftDeleteSettings.bind(apiSettingsController)
+);
+
+// Enable or disable soft delete per table
+router.put('/api/:apiId/settings/soft-delete',
+  apiOwnerMiddleware.requireApiOwner(),
+  apiSettingsController.updateSoftDeleteSettings.bind(apiSettingsController)
+);
+
+// Remove soft-deleted rows for good
+router.post('/api/:apiId/settings/soft-delete/purge',
+  apiOwnerMiddleware.requireApiOwner(),
+  apiSettingsController.purgeDeletedRows.bind(apiSettingsController)
+);
+
+// List the API keys of an API
+router.get('/api/:apiId/settings/keys',
+  apiOwnerMiddleware.requireApiOwner(),
+  apiKeyController.listKeys.bind(apiKeyController)
+);
+
+// Create an API key
+router.post('/api/:apiId/settings/keys',
+  apiOwnerMiddleware.requireApiOwner(),
+  apiKeyController.createKey.bind(apiKeyController)
+);
+
+// Rotate an API key
+router.post('/api/:apiId/settings/keys/:keyId/rotate',
+  apiOwnerMiddleware.requireApiOwner(),
+  apiKeyController.rotateKey.bind(apiKeyController)
+);
+
+// Revoke an API key
+router.delete('/api/:apiId/settings/keys/:keyId',
+  apiOwnerMiddleware.requireApiOwner(),
+  apiKeyController.revokeKey.bind(apiKeyController)
+);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const projectExportController = require('../controllers/projectExportController');
+const apiOwnerMiddleware = require('../middleware/apiOwnerMiddleware');
+
+// Download the API as a standalone Express project (zip)
+router.get('/api/:apiId/export',
+  apiOwnerMiddleware.requireApiOwner(),
+  projectExportController.exportProject.bind(projectExportController)
+);
+
+module.exports = router;
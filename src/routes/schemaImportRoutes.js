@@ -0,0 +1,68 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const schemaImportController = require('../controllers/schemaImportController');
+
+const router = express.Router();
+
+// DDL files are small, keep them in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedMimeTypes = [
+      'application/sql',
+      'application/x-sql',
+      'text/plain',
+      'text/x-sql',
+      'application/octet-stream'
+    ];
+
+    if (path.extname(file.originalname).toLowerCase() === '.sql' || allowedMimeTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only .sql files are allowed.'), false);
+    }
+  }
+});
+
+/**
+ * @route POST /import-schema
+ * @desc Parse a SQL DDL file (multipart "file" or JSON { sql }) into tables for /create-api-from-schema
+ */
+router.post('/import-schema',
+  upload.single('file'),
+  schemaImportController.importSchema.bind(schemaImportController)
+);
+
+// Error handling middleware for multer errors
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        success: false,
+        error: 'File too large',
+        details: 'File size exceeds the 5MB limit'
+      });
+    }
+    return res.status(400).json({
+      success: false,
+      error: 'Upload error',
+      details: error.message
+    });
+  }
+
+  if (error.message.includes('Invalid file type')) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid file type',
+      details: error.message
+    });
+  }
+
+  next(error);
+});
+
+module.exports = router;
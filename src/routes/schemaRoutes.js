@@ -1,29 +1,84 @@
 const express = require('express');
 const router = express.Router();
 const schemaController = require('../controllers/schemaController');
+const apiOwnerMiddleware = require('../middleware/apiOwnerMiddleware');
 
 // Get schema for an API
-router.get('/api/:apiId/schema', schemaController.getSchema.bind(schemaController));
+router.get('/api/:apiId/schema',
+  apiOwnerMiddleware.requireApiOwner(),
+  schemaController.getSchema.bind(schemaController)
+);
 
 // Update entire schema (all tables) for an API
-router.put('/api/:apiId/schema', schemaController.updateSchema.bind(schemaController));
+router.put('/api/:apiId/schema',
+  apiOwnerMiddleware.requireApiOwner(),
+  schemaController.updateSchema.bind(schemaController)
+);
+
+// Preview the migration for proposed or pending changes
+router.post('/api/:apiId/schema/plan',
+  apiOwnerMiddleware.requireApiOwner(),
+  schemaController.planSchemaChanges.bind(schemaController)
+);
 
 // Apply pending schema changes to database
-router.post('/api/:apiId/schema/apply', schemaController.applySchemaChanges.bind(schemaController));
+router.post('/api/:apiId/schema/apply',
+  apiOwnerMiddleware.requireApiOwner(),
+  schemaController.applySchemaChanges.bind(schemaController)
+);
 
 // Get pending schema changes
-router.get('/api/:apiId/schema/pending', schemaController.getPendingChanges.bind(schemaController));
+router.get('/api/:apiId/schema/pending',
+  apiOwnerMiddleware.requireApiOwner(),
+  schemaController.getPendingChanges.bind(schemaController)
+);
 
 // Cancel pending schema changes
-router.delete('/api/:apiId/schema/pending', schemaController.cancelPendingChanges.bind(schemaController));
+router.delete('/api/:apiId/schema/pending',
+  apiOwnerMiddleware.requireApiOwner(),
+  schemaController.cancelPendingChanges.bind(schemaController)
+);
 
 // Add a new table to schema
-router.post('/api/:apiId/schema/tables', schemaController.addTable.bind(schemaController));
+router.post('/api/:apiId/schema/tables',
+  apiOwnerMiddleware.requireApiOwner(),
+  schemaController.addTable.bind(schemaController)
+);
 
 // Update a specific table in schema
-router.put('/api/:apiId/schema/tables/:tableName', schemaController.updateTable.bind(schemaController));
+router.put('/api/:apiId/schema/tables/:tableName',
+  apiOwnerMiddleware.requireApiOwner(),
+  schemaController.updateTable.bind(schemaController)
+);
 
 // Remove a table from schema
-router.delete('/api/:apiId/schema/tables/:tableName', schemaController.removeTable.bind(schemaController));
+router.delete('/api/:apiId/schema/tables/:tableName',
+  apiOwnerMiddleware.requireApiOwner(),
+  schemaController.removeTable.bind(schemaController)
+);
+
+// List the schema versions of an API
+router.get('/api/:apiId/schema/versions',
+  apiOwnerMiddleware.requireApiOwner(),
+  schemaController.listVersions.bind(schemaController)
+);
+
+// Diff two schema versions (?from=&to=)
+router.get('/api/:apiId/schema/diff',
+  apiOwnerMiddleware.requireApiOwner(),
+  schemaController.diffVersions.bind(schemaController)
+);
+
+// Get a schema version with its tables
+router.get('/api/:apiId/schema/versions/:version',
+  apiOwnerMiddleware.requireApiOwner(),
+  schemaController.getVersion.bind(schemaController)
+);
+
+// Roll the schema back to a previous version
+router.post('/api/:apiId/schema/versions/:version/rollback',
+  apiOwnerMiddleware.requireApiOwner(),
+  schemaController.rollbackToVersion.bind(schemaController)
+);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
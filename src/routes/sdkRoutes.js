@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const sdkController = require('../controllers/sdkController');
+const apiOwnerMiddleware = require('../middleware/apiOwnerMiddleware');
+
+// Download the TypeScript client (client.ts)
+router.get('/api/:apiId/sdk/typescript',
+  apiOwnerMiddleware.requireApiOwner(),
+  sdkController.getTypeScriptClient.bind(sdkController)
+);
+
+// Download the JavaScript client (client.js, ES module)
+router.get('/api/:apiId/sdk/javascript',
+  apiOwnerMiddleware.requireApiOwner(),
+  sdkController.getJavaScriptClient.bind(sdkController)
+);
+
+// Download the client as an npm package (npm install ./<file>.tgz)
+router.get('/api/:apiId/sdk/package',
+  apiOwnerMiddleware.requireApiOwner(),
+  sdkController.getPackage.bind(sdkController)
+);
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const apiOwnerMiddleware = require('../middleware/apiOwnerMiddleware');
+
+// List the webhooks of an API
+router.get('/api/:apiId/settings/webhooks',
+  apiOwnerMiddleware.requireApiOwner(),
+  webhookController.listWebhooks.bind(webhookController)
+);
+
+// Subscribe a URL to changes of a table
+router.post('/api/:apiId/settings/webhooks',
+  apiOwnerMiddleware.requireApiOwner(),
+  webhookController.createWebhook.bind(webhookController)
+);
+
+// List deliveries that ran out of attempts (dead letters)
+router.get('/api/:apiId/settings/webhooks/dead-letters',
+  apiOwnerMiddleware.requireApiOwner(),
+  webhookController.listDeadLetters.bind(webhookController)
+);
+
+// Send a delivery again
+router.post('/api/:apiId/settings/webhooks/deliveries/:deliveryId/retry',
+  apiOwnerMiddleware.requireApiOwner(),
+  webhookController.retryDelivery.bind(webhookController)
+);
+
+// Get a webhook
+router.get('/api/:apiId/settings/webhooks/:webhookId',
+  apiOwnerMiddleware.requireApiOwner(),
+  webhookController.getWebhook.bind(webhookController)
+);
+
+// Update a webhook
+router.put('/api/:apiId/settings/webhooks/:webhookId',
+  apiOwnerMiddleware.requireApiOwner(),
+  webhookController.updateWebhook.bind(webhookController)
+);
+
+// Delete a webhook
+router.delete('/api/:apiId/settings/webhooks/:webhookId',
+  apiOwnerMiddleware.requireApiOwner(),
+  webhookController.deleteWebhook.bind(webhookController)
+);
+
+// Replace the signing secret of a webhook
+router.post('/api/:apiId/settings/webhooks/:webhookId/rotate-secret',
+  apiOwnerMiddleware.requireApiOwner(),
+  webhookController.rotateSecret.bind(webhookController)
+);
+
+// List the delivery log of a webhook
+router.get('/api/:apiId/settings/webhooks/:webhookId/deliveries',
+  apiOwnerMiddleware.requireApiOwner(),
+  webhookController.listDeliveries.bind(webhookController)
+);
+
+module.exports = router;
@@ -0,0 +1,298 @@
+/**
+ * Access Rule Service
+ * Row-level access rules for the tables of generated APIs, stored in the API
+ * metadata as accessRules: { [tableName]: rule }.
+ *
+ * Modes:
+ *   public       - no row restrictions (default)
+ *   owner_only   - callers only read and write the rows they own
+ *   public_read  - anyone reads, callers only write the rows they own
+ *   role_based   - readRoles / writeRoles decide who reads and writes
+ *
+ * The owner of a row is the caller identity established by the API's auth mode
+ * (req.apiUser.id), stored in ownerColumn (XAuthUserId by default). Callers with
+ * one of adminRoles bypass ownership checks.
+ */
+class AccessRuleService {
+  constructor() {
+    this.modes = ['public', 'owner_only', 'public_read', 'role_based'];
+    this.defaultOwnerColumn = 'XAuthUserId';
+  }
+
+  /**
+   * Get the access rule of a table, defaulting to public
+   * @param {Object} metadata - API metadata from the registry
+   * @param {string} tableName - Table name without prefix
+   * @returns {Object} Access rule
+   */
+  getRule(metadata, tableName) {
+    const rule = metadata && metadata.accessRules && metadata.accessRules[tableName];
+    if (!rule || !this.modes.includes(rule.mode)) {
+      return { mode: 'public' };
+    }
+    return rule;
+  }
+
+  /**
+   * Validate the access rules submitted by the API owner
+   * @param {Object} rules - { [tableName]: rule }
+   * @param {Array<Object>} tables - Table schemas of the API
+   * @returns {Array<string>} Validation errors
+   */
+  validateRules(rules, tables = []) {
+    const errors = [];
+
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      return ['rules must be an object keyed by table name'];
+    }
+
+    const tablesByName = new Map(tables.map(table => [table.originalName || table.name, table]));
+    const isRoleList = (value) => Array.isArray(value) && value.every(role => typeof role === 'string' && role);
+
+    Object.entries(rules).forEach(([tableName, rule]) => {
+      const table = tablesByName.get(tableName);
+      if (!table) {
+        errors.push(`Unknown table "${tableName}"`);
+        return;
+      }
+
+      if (!rule || !this.modes.includes(rule.mode)) {
+        errors.push(`${tableName}: mode must be one of: ${this.modes.join(', ')}`);
+        return;
+      }
+
+      if (rule.ownerColumn !== undefined) {
+        const columns = (table.columns || []).map(col => col.name);
+        if (typeof rule.ownerColumn !== 'string' ||
+            (rule.ownerColumn !== this.defaultOwnerColumn && !columns.includes(rule.ownerColumn))) {
+          errors.push(`${tableName}: ownerColumn must be a column of the table`);
+        }
+      }
+
+      ['adminRoles', 'readRoles', 'writeRoles'].forEach(key => {
+        if (rule[key] !== undefined && !isRoleList(rule[key])) {
+          errors.push(`${tableName}: ${key} must be an array of role names`);
+        }
+      });
+
+      if (rule.mode === 'role_based' && !isRoleList(rule.readRoles) && !isRoleList(rule.writeRoles)) {
+        errors.push(`${tableName}: role_based rules need readRoles or writeRoles`);
+      }
+
+      if (rule.rls !== undefined && typeof rule.rls !== 'boolean') {
+        errors.push(`${tableName}: rls must be a boolean`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Build the rules stored in metadata, keeping only known fields
+   * @param {Object} rules - Validated rules
+   * @returns {Object} Rules to persist
+   */
+  normalizeRules(rules) {
+    const normalized = {};
+
+    Object.entries(rules).forEach(([tableName, rule]) => {
+      const entry = { mode: rule.mode };
+
+      if (rule.mode === 'owner_only' || rule.mode === 'public_read') {
+        entry.ownerColumn = rule.ownerColumn || this.defaultOwnerColumn;
+        if (rule.adminRoles && rule.adminRoles.length > 0) entry.adminRoles = rule.adminRoles;
+      }
+
+      if (rule.mode === 'role_based') {
+        entry.readRoles = rule.readRoles || [];
+        entry.writeRoles = rule.writeRoles || [];
+      }
+
+      if (rule.rls === true && rule.mode !== 'public') entry.rls = true;
+
+      normalized[tableName] = entry;
+    });
+
+    return normalized;
+  }
+
+  /**
+   * Get the identity of the caller of a generated API
+   * @param {Object} req - Express request object
+   * @returns {Object|null} { id, roles } or null for anonymous callers
+   */
+  getCaller(req) {
+    const user = req.apiUser;
+    if (!user || user.type === 'anonymous' || !user.id) return null;
+    return { id: String(user.id), roles: Array.isArray(user.roles) ? user.roles : [] };
+  }
+
+  /**
+   * Decide whether a caller may read or write a table
+   * @param {Object} rule - Access rule of the table
+   * @param {Object|null} caller - Caller from getCaller
+   * @param {string} action - read or write
+   * @returns {Object} { allowed: true, scoped, ownerColumn, ownerId } or { allowed: false, status, error, message }
+   */
+  authorize(rule, caller, action) {
+    const hasRole = (roles) => !!caller && Array.isArray(roles) && roles.some(role => caller.roles.includes(role));
+
+    switch (rule.mode) {
+      case 'owner_only':
+      case 'public_read': {
+        const ownerColumn = rule.ownerColumn || this.defaultOwnerColumn;
+
+        if (rule.mode === 'public_read' && action === 'read') {
+          return { allowed: true, scoped: false, ownerColumn, ownerId: caller ? caller.id : null };
+        }
+
+        if (!caller) {
+          return this._denied(401, 'Unauthorized', 'Authentication is required to access this table');
+        }
+
+        // Admins see and change every row, other callers only their own
+        return { allowed: true, scoped: !hasRole(rule.adminRoles), ownerColumn, ownerId: caller.id };
+      }
+
+      case 'role_based': {
+        const roles = action === 'read' ? rule.readRoles : rule.writeRoles;
+
+        if (Array.isArray(roles) && roles.includes('*')) {
+          return { allowed: true, scoped: false, ownerColumn: null, ownerId: null };
+        }
+
+        if (!caller) {
+          return this._denied(401, 'Unauthorized', 'Authentication is required to access this table');
+        }
+
+        if (!hasRole(roles)) {
+          return this._denied(403, 'Forbidden', `Your roles do not allow ${action} access to this table`);
+        }
+
+        return { allowed: true, scoped: false, ownerColumn: null, ownerId: null };
+      }
+
+      default:
+        return { allowed: true, scoped: false, ownerColumn: null, ownerId: null };
+    }
+  }
+
+  /**
+   * Build a denied authorization result
+   * @private
+   */
+  _denied(status, error, message) {
+    return { allowed: false, status, error, message };
+  }
+
+  /**
+   * Restrict a query to the caller's rows when the access is scoped
+   * @param {Object} query - Supabase query builder
+   * @param {Object} access - Result of authorize
+   * @returns {Object} Query builder
+   */
+  scopeQuery(query, access) {
+    return access && access.scoped ? query.eq(access.ownerColumn, access.ownerId) : query;
+  }
+
+  /**
+   * Check whether a row may be changed by the caller
+   * @param {Object} row - Row including the owner column
+   * @param {Object} access - Result of authorize
+   * @returns {boolean} True when the row is the caller's or the access is not scoped
+   */
+  ownsRow(row, access) {
+    return !access || !access.scoped || (row && String(row[access.ownerColumn]) === access.ownerId);
+  }
+
+  /**
+   * Stamp the caller as owner of a row about to be inserted
+   * @param {Object} data - Prepared row
+   * @param {Object} access - Result of authorize
+   * @returns {Object} Row with the owner column set
+   */
+  stampOwner(data, access) {
+    if (access && access.ownerColumn && access.ownerId) {
+      data[access.ownerColumn] = access.ownerId;
+    }
+    return data;
+  }
+
+  /**
+   * Keep updates from changing the owner of a row
+   * @param {Object} data - Prepared update
+   * @param {Object} access - Result of authorize
+   * @returns {Object} Update without the owner column
+   */
+  protectOwner(data, access) {
+    if (data && access && access.ownerColumn) {
+      delete data[access.ownerColumn];
+    }
+    return data;
+  }
+
+  /**
+   * Generate Postgres RLS policies matching a table's access rule
+   * Policies read the caller from the JWT claims PostgREST exposes in
+   * request.jwt.claims (sub for the owner, role for role checks). The API
+   * server itself connects with the service key and is not affected by them.
+   * @param {string} tableName - Prefixed table name
+   * @param {Object} rule - Access rule
+   * @returns {string} SQL statements
+   */
+  generatePolicySQL(tableName, rule) {
+    const table = `"${tableName.replace(/"/g, '""')}"`;
+    const policy = (suffix) => `"${`${tableName}_${suffix}`.replace(/"/g, '""')}"`;
+    const literalList = (values) => values.map(v => `'${String(v).replace(/'/g, "''")}'`).join(', ');
+    const claim = (name) => `(current_setting('request.jwt.claims', true)::json->>'${name}')`;
+    const roleCheck = (roles) => {
+      if (!roles || roles.length === 0) return 'false';
+      if (roles.includes('*')) return 'true';
+      return `${claim('role')} IN (${literalList(roles)})`;
+    };
+
+    let ownerCheck = 'true';
+    if (rule.mode === 'owner_only' || rule.mode === 'public_read') {
+      const ownerColumn = `"${(rule.ownerColumn || this.defaultOwnerColumn).replace(/"/g, '""')}"`;
+      ownerCheck = `${ownerColumn} = ${claim('sub')}`;
+      if (rule.adminRoles && rule.adminRoles.length > 0) {
+        ownerCheck = `(${ownerCheck} OR ${roleCheck(rule.adminRoles)})`;
+      }
+    }
+
+    const policies = [];
+    switch (rule.mode) {
+      case 'owner_only':
+        policies.push({ name: 'owner_all', command: 'ALL', using: ownerCheck, check: ownerCheck });
+        break;
+      case 'public_read':
+        policies.push({ name: 'public_read', command: 'SELECT', using: 'true' });
+        policies.push({ name: 'owner_insert', command: 'INSERT', check: ownerCheck });
+        policies.push({ name: 'owner_update', command: 'UPDATE', using: ownerCheck, check: ownerCheck });
+        policies.push({ name: 'owner_delete', command: 'DELETE', using: ownerCheck });
+        break;
+      case 'role_based':
+        policies.push({ name: 'role_read', command: 'SELECT', using: roleCheck(rule.readRoles) });
+        policies.push({ name: 'role_insert', command: 'INSERT', check: roleCheck(rule.writeRoles) });
+        policies.push({ name: 'role_update', command: 'UPDATE', using: roleCheck(rule.writeRoles), check: roleCheck(rule.writeRoles) });
+        policies.push({ name: 'role_delete', command: 'DELETE', using: roleCheck(rule.writeRoles) });
+        break;
+      default:
+        return '';
+    }
+
+    let sql = `-- Row level security for table: ${tableName} (${rule.mode})\n`;
+    sql += `ALTER TABLE ${table} ENABLE ROW LEVEL SECURITY;\n`;
+    policies.forEach(({ name, command, using, check }) => {
+      sql += `DROP POLICY IF EXISTS ${policy(name)} ON ${table};\n`;
+      sql += `CREATE POLICY ${policy(name)} ON ${table} FOR ${command}`;
+      if (using) sql += ` USING (${using})`;
+      if (check) sql += ` WITH CHECK (${check})`;
+      sql += ';\n';
+    });
+
+    return sql;
+  }
+}
+
+module.exports = new AccessRuleService();
@@ -0,0 +1,390 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const axios = require('axios');
+const apiKeyService = require('./apiKeyService');
+const endUserAuthService = require('./endUserAuthService');
+
+/**
+ * API Auth Service
+ * Authenticates callers of generated APIs according to the auth mode stored
+ * in each API's api_registry metadata (metadata.auth).
+ *
+ * Modes:
+ *   public        - no authentication
+ *   api_key       - X-API-Key header, checked against the API's keys (see apiKeyService)
+ *   backlify_jwt  - Bearer access token issued by Backlify
+ *   external_jwt  - Bearer token from an external issuer, verified with its JWKS
+ *   api_users     - Bearer token of the API's own end users (see endUserAuthService)
+ *
+ * Public APIs with end-user auth enabled still identify callers that send an
+ * end-user token, so row ownership rules can apply to them.
+ */
+class ApiAuthService {
+  constructor() {
+    this.modes = ['public', 'api_key', 'backlify_jwt', 'external_jwt', 'api_users'];
+
+    // Algorithms accepted for external JWTs (asymmetric only, keys come from a JWKS)
+    this.externalAlgorithms = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+    // JWKS documents fetched from external issuers, keyed by URI
+    this.jwksCache = new Map();
+    this.jwksCacheTtl = 10 * 60 * 1000; // 10 minutes
+
+    // Tokens with unknown key ids refetch the JWKS at most this often per URI,
+    // so callers cannot make every request trigger an outgoing fetch
+    this.jwksRefreshInterval = 60 * 1000; // 1 minute
+    this.jwksFetchedAt = new Map();
+  }
+
+  /**
+   * Get the auth configuration of an API, defaulting to public
+   * @param {Object} metadata - API metadata from the registry
+   * @returns {Object} Auth configuration
+   */
+  getAuthConfig(metadata) {
+    const auth = metadata && metadata.auth;
+    if (!auth || !this.modes.includes(auth.mode)) {
+      return { mode: 'public' };
+    }
+    return auth;
+  }
+
+  /**
+   * Validate an auth configuration submitted by the API owner
+   * @param {Object} config - { mode, issuer, audience, jwksUri, jwks, rolesClaim, allowedUsers }
+   * @returns {Array<string>} Validation errors
+   */
+  validateConfig(config) {
+    const errors = [];
+
+    if (!config || !this.modes.includes(config.mode)) {
+      errors.push(`mode must be one of: ${this.modes.join(', ')}`);
+      return errors;
+    }
+
+    if (config.mode === 'external_jwt') {
+      if (!config.issuer || typeof config.issuer !== 'string') {
+        errors.push('issuer is required for external_jwt');
+      }
+      if (!config.jwksUri && !config.jwks) {
+        errors.push('jwksUri or jwks is required for external_jwt');
+      }
+      if (config.jwksUri && !/^https:\/\//i.test(config.jwksUri)) {
+        errors.push('jwksUri must be an https URL');
+      }
+      if (config.jwks && (!Array.isArray(config.jwks.keys) || config.jwks.keys.length === 0)) {
+        errors.push('jwks must be a JWKS document with a non-empty keys array');
+      }
+    }
+
+    if (config.rolesClaim !== undefined && (typeof config.rolesClaim !== 'string' || !config.rolesClaim)) {
+      errors.push('rolesClaim must be the name of a token claim');
+    }
+
+    if (config.allowedUsers !== undefined && !Array.isArray(config.allowedUsers)) {
+      errors.push('allowedUsers must be an array of usernames');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Build the auth configuration stored in metadata, keeping only known fields
+   * @param {Object} config - Validated configuration
+   * @returns {Object} Configuration to persist
+   */
+  normalizeConfig(config) {
+    const normalized = { mode: config.mode };
+
+    if (config.mode === 'backlify_jwt' && Array.isArray(config.allowedUsers)) {
+      normalized.allowedUsers = config.allowedUsers;
+    }
+
+    if (config.mode === 'external_jwt') {
+      normalized.issuer = config.issuer;
+      if (config.audience) normalized.audience = config.audience;
+      if (config.jwksUri) normalized.jwksUri = config.jwksUri;
+      if (config.jwks) normalized.jwks = { keys: config.jwks.keys };
+      if (config.rolesClaim) normalized.rolesClaim = config.rolesClaim;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Read a bearer token from the Authorization header
+   * @private
+   */
+  _getBearerToken(req) {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+    return authHeader.slice(7).trim() || null;
+  }
+
+  /**
+   * Authenticate a request against an API's auth mode
+   * @param {Object} req - Express request object
+   * @param {Object} metadata - API metadata from the registry
+   * @returns {Promise<Object>} { success, user, apiKey? } or { success: false, status, error, message }
+   */
+  async authenticate(req, metadata) {
+    const config = this.getAuthConfig(metadata);
+
+    switch (config.mode) {
+      case 'api_key':
+        return this._authenticateApiKey(req, metadata);
+      case 'backlify_jwt':
+        return this._authenticateBacklifyJwt(req, config);
+      case 'external_jwt':
+        return this._authenticateExternalJwt(req, config);
+      case 'api_users':
+        return this._authenticateEndUser(req, metadata, true);
+      default:
+        return this._authenticateEndUser(req, metadata, false);
+    }
+  }
+
+  /**
+   * Authenticate with the X-API-Key header
+   * @private
+   */
+  async _authenticateApiKey(req, metadata) {
+    const key = req.headers['x-api-key'];
+    if (!key) {
+      return this._failure('API key is required (X-API-Key header)');
+    }
+
+    const { key: apiKey, reason } = await apiKeyService.findKey(metadata.apiId, key);
+    if (!apiKey) {
+      return this._failure(reason);
+    }
+
+    const scopeError = apiKeyService.checkScopes(apiKey.scopes, req.method, req.path);
+    if (scopeError) {
+      return { success: false, status: 403, error: 'Forbidden', message: scopeError };
+    }
+
+    apiKeyService.touchLastUsed(apiKey);
+
+    // The key id survives rotation (the prefix does not), so rows created with the key stay its own
+    return {
+      success: true,
+      user: { id: `api_key:${apiKey.id}`, type: 'api_key' },
+      apiKey: { id: apiKey.id, name: apiKey.name, prefix: apiKey.key_prefix, scopes: apiKey.scopes }
+    };
+  }
+
+  /**
+   * Authenticate with an end-user access token of the API
+   * When the token is optional (public APIs), callers without one are anonymous.
+   * @private
+   */
+  async _authenticateEndUser(req, metadata, required) {
+    const anonymous = { success: true, user: { id: 'anonymous', type: 'anonymous' } };
+    const settings = endUserAuthService.getSettings(metadata);
+    const token = this._getBearerToken(req);
+
+    if (!settings) {
+      return required ? this._failure('End-user auth is not enabled for this API') : anonymous;
+    }
+
+    if (!token) {
+      return required ? this._failure('Bearer token is required') : anonymous;
+    }
+
+    const claims = endUserAuthService.verifyToken(metadata.apiId, settings, token, 'access');
+    if (!claims) {
+      return this._failure('Invalid or expired token');
+    }
+
+    return { success: true, user: endUserAuthService.toApiUser(claims) };
+  }
+
+  /**
+   * Authenticate with a Backlify access token
+   * @private
+   */
+  async _authenticateBacklifyJwt(req, config) {
+    const token = this._getBearerToken(req);
+    if (!token) {
+      return this._failure('Bearer token is required');
+    }
+
+    // Imported lazily like the XAuthUserId extraction middleware does
+    const authUtils = require('../utils/security/auth');
+    const result = await authUtils.verifyToken(token);
+
+    if (!result.success || result.data.type !== 'access') {
+      return this._failure('Invalid or expired token');
+    }
+
+    if (Array.isArray(config.allowedUsers) && config.allowedUsers.length > 0 &&
+        !config.allowedUsers.includes(result.data.username)) {
+      return { success: false, status: 403, error: 'Forbidden', message: 'User is not allowed to access this API' };
+    }
+
+    return {
+      success: true,
+      user: { id: result.data.username, username: result.data.username, type: 'backlify' }
+    };
+  }
+
+  /**
+   * Authenticate with a JWT from an external issuer
+   * @private
+   */
+  async _authenticateExternalJwt(req, config) {
+    const token = this._getBearerToken(req);
+    if (!token) {
+      return this._failure('Bearer token is required');
+    }
+
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || !decoded.header) {
+      return this._failure('Malformed token');
+    }
+
+    if (!this.externalAlgorithms.includes(decoded.header.alg)) {
+      return this._failure(`Unsupported token algorithm: ${decoded.header.alg}`);
+    }
+
+    try {
+      const publicKey = await this._getSigningKey(config, decoded.header.kid);
+      if (!publicKey) {
+        return this._failure('No matching signing key found for token');
+      }
+
+      const claims = jwt.verify(token, publicKey, {
+        algorithms: this.externalAlgorithms,
+        issuer: config.issuer,
+        ...(config.audience ? { audience: config.audience } : {})
+      });
+
+      // Roles are read from the configured claim (a string or an array)
+      const roleClaim = claims[config.rolesClaim || 'roles'];
+      const roles = Array.isArray(roleClaim) ? roleClaim : (roleClaim ? [roleClaim] : []);
+
+      return {
+        success: true,
+        user: { id: claims.sub, type: 'external', issuer: claims.iss, roles, claims }
+      };
+    } catch (error) {
+      console.error('External JWT verification failed:', error.message);
+      return this._failure('Invalid or expired token');
+    }
+  }
+
+  /**
+   * Find the public key for a key id in the issuer's JWKS
+   * @private
+   */
+  async _getSigningKey(config, kid) {
+    const findKey = (jwks) => {
+      const keys = (jwks && jwks.keys) || [];
+      const jwk = kid ? keys.find(k => k.kid === kid) : (keys.length === 1 ? keys[0] : null);
+      return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+    };
+
+    if (config.jwks) {
+      return findKey(config.jwks);
+    }
+
+    let key = findKey(await this._fetchJwks(config.jwksUri, false));
+
+    // The issuer may have rotated its keys since the JWKS was cached;
+    // within the refresh interval the cached keys are used and unknown kids rejected
+    if (!key) {
+      key = findKey(await this._fetchJwks(config.jwksUri, true));
+    }
+
+    return key;
+  }
+
+  /**
+   * Fetch a JWKS document, using the cache when possible
+   * @private
+   */
+  async _fetchJwks(uri, forceRefresh) {
+    const cached = this.jwksCache.get(uri);
+    if (cached && !forceRefresh && Date.now() - cached.fetchedAt < this.jwksCacheTtl) {
+      return cached.jwks;
+    }
+
+    // Failed fetches count too, an unreachable JWKS is not retried on every request
+    const lastAttempt = this.jwksFetchedAt.get(uri);
+    if (lastAttempt && Date.now() - lastAttempt < this.jwksRefreshInterval) {
+      if (cached) return cached.jwks;
+      throw new Error(`JWKS of ${uri} is not available, retrying after the refresh interval`);
+    }
+    this.jwksFetchedAt.set(uri, Date.now());
+
+    const response = await axios.get(uri, { timeout: 5000 });
+    this.jwksCache.set(uri, { jwks: response.data, fetchedAt: Date.now() });
+    return response.data;
+  }
+
+  /**
+   * Build an authentication failure result
+   * @private
+   */
+  _failure(message) {
+    return { success: false, status: 401, error: 'Unauthorized', message };
+  }
+
+  /**
+   * Get the OpenAPI security schemes for an auth configuration
+   * @param {Object} config - Auth configuration
+   * @returns {Object|null} { securitySchemes, security } or null for public APIs
+   */
+  getSwaggerSecurity(config) {
+    switch (config && config.mode) {
+      case 'api_key':
+        return {
+          securitySchemes: {
+            ApiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+          },
+          security: [{ ApiKeyAuth: [] }]
+        };
+      case 'backlify_jwt':
+        return {
+          securitySchemes: {
+            BearerAuth: {
+              type: 'http',
+              scheme: 'bearer',
+              bearerFormat: 'JWT',
+              description: 'Access token issued by Backlify'
+            }
+          },
+          security: [{ BearerAuth: [] }]
+        };
+      case 'external_jwt':
+        return {
+          securitySchemes: {
+            BearerAuth: {
+              type: 'http',
+              scheme: 'bearer',
+              bearerFormat: 'JWT',
+              description: `JWT issued by ${config.issuer}`
+            }
+          },
+          security: [{ BearerAuth: [] }]
+        };
+      case 'api_users':
+        return {
+          securitySchemes: {
+            BearerAuth: {
+              type: 'http',
+              scheme: 'bearer',
+              bearerFormat: 'JWT',
+              description: 'Access token from /auth/login'
+            }
+          },
+          security: [{ BearerAuth: [] }]
+        };
+      default:
+        return null;
+    }
+  }
+}
+
+module.exports = new ApiAuthService();
@@ -2,8 +2,45 @@ const express = require('express');
 const { createClient } = require('@supabase/supabase-js');
 const config = require('../config/config');
 const schemaGenerator = require('./schemaGenerator');
+const queryBuilder = require('./queryBuilder');
+const relationshipService = require('./relationshipService');
+const bulkOperationService = require('./bulkOperationService');
+const schemaValidator = require('./schemaValidator');
+const apiAuthService = require('./apiAuthService');
+const accessRuleService = require('./accessRuleService');
+const endUserAuthService = require('./endUserAuthService');
+const graphqlService = require('./graphqlService');
+const webhookService = require('./webhookService');
+const realtimeService = require('./realtimeService');
+const softDeleteService = require('./softDeleteService');
+const searchService = require('./searchService');
+const importExportService = require('./importExportService');
+const fileService = require('./fileService');
+const columnDefinitionService = require('./columnDefinitionService');
+const apiUsageService = require('./apiUsageService');
+const planMiddleware = require('../middleware/planMiddleware');
 const swaggerUi = require('swagger-ui-express');
+const multer = require('multer');
 const { setCorsHeaders } = require('../middleware/corsMiddleware');
+const { sensitiveRateLimiter } = require('../middleware/security/rateLimiter');
+
+// Files uploaded to POST /:table/import are kept in memory while they are read
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: importExportService.maxImportFileSize,
+    files: 1
+  }
+}).single('file');
+
+// Files attached to file columns; the limit of each column is checked after the upload
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: fileService.maxFileSize,
+    files: 1
+  }
+}).single('file');
 
 class APIGenerator {
   constructor() {
@@ -129,7 +166,12 @@ class APIGenerator {
             { method: 'GET', path: `/${tableName}/:id`, description: 'Get record by ID' },
             { method: 'POST', path: `/${tableName}`, description: 'Create new record' },
             { method: 'PUT', path: `/${tableName}/:id`, description: 'Update record' },
-            { method: 'DELETE', path: `/${tableName}/:id`, description: 'Delete record' }
+            { method: 'PATCH', path: `/${tableName}/:id`, description: 'Update only the supplied fields' },
+            { method: 'PUT', path: `/${tableName}?on_conflict=:column`, description: 'Insert or update a record by a unique column' },
+            { method: 'DELETE', path: `/${tableName}/:id`, description: 'Delete record' },
+            { method: 'POST', path: `/${tableName}/bulk`, description: 'Create many records' },
+            { method: 'PATCH', path: `/${tableName}/bulk`, description: 'Update many records by id' },
+            { method: 'DELETE', path: `/${tableName}/bulk`, description: 'Delete many records by id' }
           ],
           schema: {
             columns: columns
@@ -150,6 +192,147 @@ class APIGenerator {
       });
     });
 
+    // Get the registry metadata of the API this request was routed to
+    const getApiMetadata = (req) => {
+      const apiPublisher = require('./apiPublisher');
+      return req.apiId ? apiPublisher.getApiMetadata(req.apiId) : null;
+    };
+
+    // Maximum bulk batch size on the plan of the API owner
+    // The plan comes from the owner's stored account or subscription, never from
+    // request headers, so callers cannot raise the limit themselves.
+    const getMaxBatchSize = async (req) => {
+      const metadata = getApiMetadata(req);
+      const plan = await apiUsageService.getUserPlan((metadata && metadata.XAuthUserId) || XAuthUserId);
+      const limit = planMiddleware.getPlanLimits(plan).bulkBatchSize;
+      return typeof limit === 'number' && limit > 0 ? limit : bulkOperationService.defaultMaxBatchSize;
+    };
+
+    // Resolve the end-user auth settings of the API, responding with 404 when disabled
+    const getEndUserAuth = (req, res) => {
+      const metadata = getApiMetadata(req);
+      if (!endUserAuthService.getSettings(metadata)) {
+        res.status(404).json({ error: 'End-user auth is not enabled for this API' });
+        return null;
+      }
+      return metadata;
+    };
+
+    // Send the result of an end-user auth operation
+    const sendAuthResult = (res, result, successStatus = 200) => {
+      if (!result.success) {
+        return res.status(result.status).json({
+          error: result.error,
+          ...(result.details ? { details: result.details } : {})
+        });
+      }
+      res.status(successStatus).json({
+        ...(result.user ? { user: result.user } : {}),
+        ...result.tokens
+      });
+    };
+
+    // End-user sign up
+    router.post('/auth/register', sensitiveRateLimiter, async (req, res) => {
+      try {
+        const metadata = getEndUserAuth(req, res);
+        if (!metadata) return;
+        
+        sendAuthResult(res, await endUserAuthService.register(metadata, req.body), 201);
+      } catch (error) {
+        console.error('Error in POST /auth/register:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // End-user login
+    router.post('/auth/login', sensitiveRateLimiter, async (req, res) => {
+      try {
+        const metadata = getEndUserAuth(req, res);
+        if (!metadata) return;
+        
+        sendAuthResult(res, await endUserAuthService.login(metadata, req.body));
+      } catch (error) {
+        console.error('Error in POST /auth/login:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Exchange a refresh token for new tokens
+    router.post('/auth/refresh', async (req, res) => {
+      try {
+        const metadata = getEndUserAuth(req, res);
+        if (!metadata) return;
+        
+        sendAuthResult(res, await endUserAuthService.refresh(metadata, req.body && req.body.refreshToken));
+      } catch (error) {
+        console.error('Error in POST /auth/refresh:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // The signed-in end user
+    router.get('/auth/me', async (req, res) => {
+      try {
+        const metadata = getEndUserAuth(req, res);
+        if (!metadata) return;
+        
+        const settings = endUserAuthService.getSettings(metadata);
+        const authHeader = req.headers.authorization || '';
+        const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null;
+        const claims = token ? endUserAuthService.verifyToken(metadata.apiId, settings, token, 'access') : null;
+        
+        if (!claims) {
+          return res.status(401).json({ error: 'Unauthorized', message: 'A valid end-user access token is required' });
+        }
+        
+        const user = await endUserAuthService.getUser(settings, claims.sub);
+        if (!user) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+        
+        res.json({ user });
+      } catch (error) {
+        console.error('Error in GET /auth/me:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Per-table helpers shared with the GraphQL resolvers
+    const graphqlTables = [];
+
+    // GraphQL endpoint over the same tables, built on first use. Registered
+    // before the table routes; graphql is also a reserved table name.
+    let graphqlSchema = null;
+    const handleGraphQL = async (req, res) => {
+      try {
+        if (!graphqlSchema) {
+          graphqlSchema = graphqlService.buildSchema(graphqlTables, `${XAuthUserId}_${apiIdentifier}_`);
+        }
+        
+        const { status, body } = await graphqlService.execute(
+          graphqlSchema,
+          req.method === 'GET' ? req.query : req.body,
+          {
+            req,
+            metadata: getApiMetadata(req),
+            supabase: createClient(config.supabase.url, config.supabase.key)
+          },
+          { allowMutations: req.method === 'POST' }
+        );
+        
+        if (status === 405) {
+          res.setHeader('Allow', 'POST');
+        }
+        res.status(status).json(body);
+      } catch (error) {
+        console.error(`Error in GraphQL request for API ${router._instanceId}:`, error);
+        res.status(500).json({ errors: [{ message: error.message }] });
+      }
+    };
+    router.get('/graphql', handleGraphQL);
+    router.post('/graphql', handleGraphQL);
+
     // Generate endpoints for each table
     safeTableSchemas.forEach(schema => {
       const tableName = schema.originalName || schema.name;
@@ -170,11 +353,116 @@ class APIGenerator {
         //console.log(`Generated new prefixedName: ${prefixedTableName}`);
       }
 
+      // Soft delete settings of this table (null when rows are deleted for good)
+      const getSoftDelete = (req) => softDeleteService.getSettings(getApiMetadata(req), tableName);
+      
+      // Settings used to hide deleted rows from a read, null with ?with_deleted=true
+      const getDeletedFilter = (req) =>
+        String(req.query.with_deleted).toLowerCase() === 'true' ? null : getSoftDelete(req);
+
+      // Parse ?fields= and ?include= for reads of this table
+      const resolveReadOptions = (fieldsParam, include, req) => {
+        const { fields, errors: fieldErrors } = relationshipService.parseFields(fieldsParam, schema);
+        if (fieldErrors.length > 0) {
+          return { error: { error: 'Invalid fields parameter', details: fieldErrors } };
+        }
+        
+        // Relations are resolved per request so every table has its prefixed name by then
+        const relations = relationshipService.getRelations(schema, safeTableSchemas, `${XAuthUserId}_${apiIdentifier}_`);
+        const { includes, errors: includeErrors } = relationshipService.parseIncludes(include, relations);
+        if (includeErrors.length > 0) {
+          return { error: { error: 'Invalid include parameter', details: includeErrors } };
+        }
+        
+        // Deleted rows of related tables with soft delete are not embedded
+        includes.forEach(item => {
+          item.hideDeleted = !!softDeleteService.getSettings(getApiMetadata(req), item.target);
+        });
+        
+        return { fields, includes };
+      };
+
+      // Check this table's access rule for the caller, responding with 401/403 when denied
+      const authorizeAccess = (req, res, action) => {
+        const rule = accessRuleService.getRule(getApiMetadata(req), tableName);
+        const access = accessRuleService.authorize(rule, accessRuleService.getCaller(req), action);
+        if (!access.allowed) {
+          res.status(access.status).json({ error: access.error, message: access.message });
+          return null;
+        }
+        return access;
+      };
+
       // GET all items with pagination and filtering
+      // Supports offset pagination (?page=&limit=) and keyset pagination (?cursor=)
       router.get(`/${tableName}`, async (req, res) => {
         try {
-          const { page = 1, limit = 10, sort, order = 'asc', ...filters } = req.query;
+          const access = authorizeAccess(req, res, 'read');
+          if (!access) return;
+          
+          const { page = 1, limit = 10, sort, order = 'asc', cursor, count: countParam, fields: fieldsParam, include, with_deleted: withDeleted, ...filterParams } = req.query;
+          const deletedFilter = getDeletedFilter(req);
           const offset = (parseInt(page) - 1) * parseInt(limit);
+          const useCursor = cursor !== undefined;
+          
+          // Offset pagination counts exactly by default, cursor pagination skips counting
+          const countMode = countParam === undefined
+            ? (useCursor ? 'none' : 'exact')
+            : String(countParam).toLowerCase();
+          if (!Object.prototype.hasOwnProperty.call(queryBuilder.countModes, countMode)) {
+            return res.status(400).json({
+              error: 'Invalid count parameter',
+              details: `count must be one of: ${Object.keys(queryBuilder.countModes).join(', ')}`
+            });
+          }
+          const countOption = queryBuilder.countModes[countMode];
+          
+          // Validate the filter expressions against the table's column types
+          const { filters, errors: filterErrors } = queryBuilder.parseFilters(filterParams, schema);
+          if (filterErrors.length > 0) {
+            return res.status(400).json({
+              error: 'Invalid filter parameters',
+              details: filterErrors
+            });
+          }
+          
+          // Validate sparse fieldsets and relationship embeds
+          const readOptions = resolveReadOptions(fieldsParam, include, req);
+          if (readOptions.error) {
+            return res.status(400).json(readOptions.error);
+          }
+          const { fields, includes } = readOptions;
+          
+          // Resolve the keyset position when paginating with a cursor
+          let keyset = null;
+          if (useCursor) {
+            const primaryKey = queryBuilder.getPrimaryKey(schema);
+            const sortColumn = sort || primaryKey;
+            const sortOrder = String(order).toLowerCase() === 'desc' ? 'desc' : 'asc';
+            
+            if (sortColumn !== primaryKey && !queryBuilder.getFilterableColumns(schema).has(sortColumn)) {
+              return res.status(400).json({
+                error: 'Invalid sort parameter',
+                details: `Unknown column "${sortColumn}"`
+              });
+            }
+            
+            let position = null;
+            if (cursor !== '') {
+              position = queryBuilder.decodeCursor(String(cursor));
+              if (!position) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+              }
+              if (position.column !== sortColumn || position.order !== sortOrder) {
+                return res.status(400).json({
+                  error: 'Invalid cursor',
+                  details: 'The cursor was issued for a different sort column or order'
+                });
+              }
+            }
+            
+            keyset = { primaryKey, sortColumn, sortOrder, position };
+          }
           
           // Add debug logging about the table being accessed
           console.log(`[API ${router._instanceId}] Accessing table: ${prefixedTableName} for GET all items`);
@@ -185,26 +473,115 @@ class APIGenerator {
           // Log the table name being accessed for debugging
           console.log(`Table being accessed: "${prefixedTableName}"`);
           
-          let query = supabase
-            .from(prefixedTableName)
-            .select('*', { count: 'exact' });
+          // Embed related rows, then hide XAuthUserId and internal columns
+          const shapeRows = async (rows) => {
+            const items = rows || [];
+            await relationshipService.embed(supabase, items, includes);
+            return items.map(item => relationshipService.project(item, fields, includes));
+          };
           
-          // Apply all filters from query params
-          Object.entries(filters).forEach(([key, value]) => {
-            query = query.eq(key, value);
-          });
+          // Fetch one page using offset pagination
+          const fetchOffsetPage = async (targetTableName) => {
+            let listQuery = supabase
+              .from(targetTableName)
+              .select(relationshipService.buildSelect(fields, includes), countOption ? { count: countOption } : undefined);
+            
+            // Apply all filters from query params, then the table's access rule
+            listQuery = queryBuilder.applyFilters(listQuery, filters);
+            listQuery = accessRuleService.scopeQuery(listQuery, access);
+            listQuery = softDeleteService.hideDeleted(listQuery, deletedFilter);
+            
+            // Apply sorting if specified
+            if (sort) {
+              const orderDirection = order.toLowerCase() === 'desc' ? false : true;
+              listQuery = listQuery.order(sort, { ascending: orderDirection });
+            }
+            
+            // Apply pagination
+            const { data, error, count } = await listQuery.range(offset, offset + parseInt(limit) - 1);
+            if (error) return { error };
+            
+            return {
+              body: {
+                data: await shapeRows(data),
+                pagination: {
+                  page: parseInt(page),
+                  limit: parseInt(limit),
+                  total: countOption ? (count || 0) : null
+                }
+              }
+            };
+          };
           
-          // Apply sorting if specified
-          if (sort) {
-            const orderDirection = order.toLowerCase() === 'desc' ? false : true;
-            query = query.order(sort, { ascending: orderDirection });
-          }
+          // Fetch one page using keyset pagination
+          const fetchCursorPage = async (targetTableName) => {
+            const { primaryKey, sortColumn, sortOrder, position } = keyset;
+            const pageSize = parseInt(limit);
+            const backwards = position?.direction === 'prev';
+            
+            // Walking backwards reads the rows before the cursor in reverse order
+            let listQuery = supabase
+              .from(targetTableName)
+              .select(relationshipService.buildSelect(fields, includes, [sortColumn, primaryKey]));
+            listQuery = queryBuilder.applyFilters(listQuery, filters);
+            listQuery = accessRuleService.scopeQuery(listQuery, access);
+            listQuery = softDeleteService.hideDeleted(listQuery, deletedFilter);
+            listQuery = queryBuilder.applyCursor(listQuery, {
+              column: sortColumn,
+              primaryKey,
+              ascending: (sortOrder === 'asc') !== backwards,
+              position
+            });
+            
+            // Fetch one extra row to know whether another page exists
+            const { data, error } = await listQuery.limit(pageSize + 1);
+            if (error) return { error };
+            
+            const hasMore = data.length > pageSize;
+            const rows = data.slice(0, pageSize);
+            if (backwards) rows.reverse();
+            
+            const hasNext = backwards ? true : hasMore;
+            const hasPrev = backwards ? hasMore : position !== null;
+            const cursorFor = (row, direction) => queryBuilder.encodeCursor({
+              column: sortColumn,
+              order: sortOrder,
+              value: row[sortColumn],
+              key: row[primaryKey],
+              direction
+            });
+            
+            // The total ignores the cursor so it stays stable across pages
+            let total = null;
+            if (countOption) {
+              let countQuery = supabase
+                .from(targetTableName)
+                .select('*', { count: countOption, head: true });
+              countQuery = queryBuilder.applyFilters(countQuery, filters);
+              countQuery = accessRuleService.scopeQuery(countQuery, access);
+              countQuery = softDeleteService.hideDeleted(countQuery, deletedFilter);
+              const { count, error: countError } = await countQuery;
+              if (countError) return { error: countError };
+              total = count || 0;
+            }
+            
+            return {
+              body: {
+                data: await shapeRows(rows),
+                pagination: {
+                  limit: pageSize,
+                  next_cursor: hasNext && rows.length > 0 ? cursorFor(rows[rows.length - 1], 'next') : null,
+                  prev_cursor: hasPrev && rows.length > 0 ? cursorFor(rows[0], 'prev') : null,
+                  total
+                }
+              }
+            };
+          };
           
-          // Apply pagination
-          query = query.range(offset, offset + parseInt(limit) - 1);
+          const fetchPage = useCursor ? fetchCursorPage : fetchOffsetPage;
           
           // Execute the query
-          const { data, error, count } = await query;
+          const { body, error } = await fetchPage(prefixedTableName);
           
           if (error) {
             console.error(`Error fetching ${prefixedTableName}:`, error);
@@ -219,26 +596,7 @@ class APIGenerator {
                 console.log(`Retrying with lowercase table name: ${lowercaseTableName}`);
                 
                 // Retry the query with lowercase table name
-                let retryQuery = supabase
-                  .from(lowercaseTableName)
-                  .select('*', { count: 'exact' });
-                
-                // Re-apply filters
-                Object.entries(filters).forEach(([key, value]) => {
-                  retryQuery = retryQuery.eq(key, value);
-                });
-                
-                // Re-apply sorting
-                if (sort) {
-                  const orderDirection = order.toLowerCase() === 'desc' ? false : true;
-                  retryQuery = retryQuery.order(sort, { ascending: orderDirection });
-                }
-                
-                // Re-apply pagination
-                retryQuery = retryQuery.range(offset, offset + parseInt(limit) - 1);
-                
-                // Execute retry query
-                const retryResult = await retryQuery;
+                const retryResult = await fetchPage(lowercaseTableName);
                 
                 if (!retryResult.error) {
                   console.log('Retry with lowercase table name successful');
@@ -246,20 +604,7 @@ class APIGenerator {
                   // Update schema to use lowercase name for future requests
                   schema.prefixedName = lowercaseTableName;
                   
-                  return res.json({
-                    data: retryResult.data?.map(item => {
-                      if (item) {
-                        const { XAuthUserId, ...rest } = item;
-                        return rest;
-                      }
-                      return item;
-                    }) || [],
-                    pagination: {
-                      page: parseInt(page),
-                      limit: parseInt(limit),
-                      total: retryResult.count || 0
-                    }
-                  });
+                  return res.json(retryResult.body);
                 }
               }
             }
@@ -270,25 +615,331 @@ class APIGenerator {
             });
           }
           
-          // Filter out XAuthUserId from response
-          const filteredData = data?.map(item => {
-            if (item) {
-              const { XAuthUserId, ...rest } = item;
-              return rest;
-            }
-            return item;
-          }) || [];
-          
+          res.json(body);
+        } catch (error) {
+          console.error(`Error in GET ${tableName}:`, error);
+          res.status(500).json({ error: error.message });
+        }
+      });
+
+      // GET a live stream of inserts, updates and deletes (Server-Sent Events,
+      // or a WebSocket when the request asks to upgrade). Takes the same filters
+      // as the list endpoint, checked against the row after the change.
+      router.get(`/${tableName}/stream`, (req, res) => {
+        try {
+          const access = authorizeAccess(req, res, 'read');
+          if (!access) return;
+
+          const { fields: fieldsParam, include, last_event_id: lastEventIdParam, with_deleted: withDeleted, ...filterParams } = req.query;
+          const deletedFilter = getDeletedFilter(req);
+
+          if (include !== undefined) {
+            return res.status(400).json({
+              error: 'Invalid include parameter',
+              details: 'Related rows are not embedded in streamed changes'
+            });
+          }
+
+          const { filters, errors: filterErrors } = queryBuilder.parseFilters(filterParams, schema);
+          if (filterErrors.length > 0) {
+            return res.status(400).json({
+              error: 'Invalid filter parameters',
+              details: filterErrors
+            });
+          }
+
+          const { fields, errors: fieldErrors } = relationshipService.parseFields(fieldsParam, schema);
+          if (fieldErrors.length > 0) {
+            return res.status(400).json({ error: 'Invalid fields parameter', details: fieldErrors });
+          }
+
+          if (!realtimeService.canConnect(req.apiId)) {
+            return res.status(429).json({
+              error: 'Too many streams',
+              message: `This API already has ${realtimeService.maxConnectionsPerApi} open streams`
+            });
+          }
+
+          realtimeService.stream(req, res, {
+            apiId: req.apiId,
+            tableName,
+            lastEventId: req.get('Last-Event-ID') || lastEventIdParam,
+            // Only rows the caller could read through the list endpoint. Changes to
+            // soft-deleted rows are hidden like in the list, but the delete event
+            // itself is still sent so clients can drop the row.
+            accept: (row, event) => accessRuleService.ownsRow(row, access) &&
+              (!deletedFilter || event === 'delete' || row[softDeleteService.column] == null) &&
+              queryBuilder.matchesFilters(row, filters, schema),
+            shape: row => relationshipService.project(row, fields, [])
+          });
+        } catch (error) {
+          console.error(`Error in GET ${tableName}/stream:`, error);
+          res.status(500).json({ error: error.message });
+        }
+      });
+
+      // GET full-text search results, best match first (?q= in websearch syntax).
+      // Takes the same filters, fields, include and page/limit/count parameters
+      // as the list endpoint; each row gets its rank and highlight snippets.
+      router.get(`/${tableName}/search`, async (req, res) => {
+        try {
+          const access = authorizeAccess(req, res, 'read');
+          if (!access) return;
+
+          if (searchService.getSearchableColumns(schema).length === 0) {
+            return res.status(400).json({
+              error: 'Full-text search is not enabled for this table',
+              details: 'Mark text columns with searchable: true to search them'
+            });
+          }
+
+          const { q, page = 1, limit = 10, sort, order, cursor, count: countParam, fields: fieldsParam, include, with_deleted: withDeleted, ...filterParams } = req.query;
+          const searchQuery = typeof q === 'string' ? q.trim() : '';
+
+          if (!searchQuery || searchQuery.length > searchService.maxQueryLength) {
+            return res.status(400).json({
+              error: 'Invalid search query',
+              details: `q must be between 1 and ${searchService.maxQueryLength} characters`
+            });
+          }
+
+          if (sort !== undefined || cursor !== undefined) {
+            return res.status(400).json({
+              error: 'Invalid search parameters',
+              details: 'Search results are ordered by relevance and paginated with page and limit'
+            });
+          }
+
+          const countMode = countParam === undefined ? 'exact' : String(countParam).toLowerCase();
+          if (!Object.prototype.hasOwnProperty.call(queryBuilder.countModes, countMode)) {
+            return res.status(400).json({
+              error: 'Invalid count parameter',
+              details: `count must be one of: ${Object.keys(queryBuilder.countModes).join(', ')}`
+            });
+          }
+          const countOption = queryBuilder.countModes[countMode];
+
+          const { filters, errors: filterErrors } = queryBuilder.parseFilters(filterParams, schema);
+          if (filterErrors.length > 0) {
+            return res.status(400).json({
+              error: 'Invalid filter parameters',
+              details: filterErrors
+            });
+          }
+
+          const readOptions = resolveReadOptions(fieldsParam, include, req);
+          if (readOptions.error) {
+            return res.status(400).json(readOptions.error);
+          }
+          const { fields, includes } = readOptions;
+
+          const offset = (parseInt(page) - 1) * parseInt(limit);
+          const supabase = createClient(config.supabase.url, config.supabase.key);
+
+          // The search function returns the table's rows ordered by rank, so the
+          // list endpoint's filters, access rule and soft delete apply unchanged
+          let searchQueryBuilder = supabase
+            .rpc(searchService.getFunctionNames(prefixedTableName).search, { search_query: searchQuery }, countOption ? { count: countOption } : undefined)
+            .select(relationshipService.buildSelect(fields, includes, ['id']));
+          searchQueryBuilder = queryBuilder.applyFilters(searchQueryBuilder, filters);
+          searchQueryBuilder = accessRuleService.scopeQuery(searchQueryBuilder, access);
+          searchQueryBuilder = softDeleteService.hideDeleted(searchQueryBuilder, getDeletedFilter(req));
+
+          const { data, error, count } = await searchQueryBuilder.range(offset, offset + parseInt(limit) - 1);
+
+          if (error) {
+            console.error(`Error searching ${prefixedTableName}:`, error);
+            return res.status(500).json({
+              error: `Database error: ${error.message}`,
+              hint: 'Ensure the table was created with its full-text search column and functions'
+            });
+          }
+
+          const rows = data || [];
+          const matches = await searchService.getMatches(supabase, prefixedTableName, searchQuery, rows.map(row => row.id));
+          await relationshipService.embed(supabase, rows, includes);
+
           res.json({
-            data: filteredData,
+            data: rows.map(row => ({
+              ...relationshipService.project(row, fields, includes),
+              _search: matches.get(String(row.id)) || { rank: 0, highlights: {} }
+            })),
             pagination: {
               page: parseInt(page),
               limit: parseInt(limit),
-              total: count || 0
+              total: countOption ? (count || 0) : null
             }
           });
         } catch (error) {
-          console.error(`Error in GET ${tableName}:`, error);
+          console.error(`Error in GET ${tableName}/search:`, error);
+          res.status(500).json({ error: error.message });
+        }
+      });
+
+      // GET aggregated metrics, optionally grouped
+      // (?group_by=status&metrics=count,sum:amount,avg:price). Takes the same
+      // filters as the list endpoint; one row per group, ordered by the groups.
+      router.get(`/${tableName}/aggregate`, async (req, res) => {
+        try {
+          const access = authorizeAccess(req, res, 'read');
+          if (!access) return;
+
+          const { group_by: groupByParam, metrics: metricsParam, with_deleted: withDeleted, ...filterParams } = req.query;
+
+          const { groupBy, metrics, errors: aggregateErrors } = queryBuilder.parseAggregation(groupByParam, metricsParam, schema);
+          if (aggregateErrors.length > 0) {
+            return res.status(400).json({
+              error: 'Invalid aggregation parameters',
+              details: aggregateErrors
+            });
+          }
+
+          const { filters, errors: filterErrors } = queryBuilder.parseFilters(filterParams, schema);
+          if (filterErrors.length > 0) {
+            return res.status(400).json({
+              error: 'Invalid filter parameters',
+              details: filterErrors
+            });
+          }
+
+          const supabase = createClient(config.supabase.url, config.supabase.key);
+
+          let aggregateQuery = supabase
+            .from(prefixedTableName)
+            .select(queryBuilder.buildAggregateSelect(groupBy, metrics));
+          aggregateQuery = queryBuilder.applyFilters(aggregateQuery, filters);
+          aggregateQuery = accessRuleService.scopeQuery(aggregateQuery, access);
+          aggregateQuery = softDeleteService.hideDeleted(aggregateQuery, getDeletedFilter(req));
+          groupBy.forEach(column => {
+            aggregateQuery = aggregateQuery.order(column, { ascending: true });
+          });
+
+          // Fetch one extra group to know whether the result was cut off
+          const { data, error } = await aggregateQuery.limit(queryBuilder.maxAggregateGroups + 1);
+
+          if (error) {
+            // PostgREST only computes aggregates when the project allows it
+            if (error.code === 'PGRST123') {
+              return res.status(501).json({
+                error: 'Aggregate functions are not enabled on the database',
+                details: "Run ALTER ROLE authenticator SET pgrst.db_aggregates_enabled = 'true'; NOTIFY pgrst, 'reload config';"
+              });
+            }
+
+            console.error(`Error aggregating ${prefixedTableName}:`, error);
+            return res.status(500).json({ error: `Database error: ${error.message}` });
+          }
+
+          const groups = data || [];
+
+          res.json({
+            data: groups.slice(0, queryBuilder.maxAggregateGroups),
+            groupBy,
+            metrics: metrics.map(metric => metric.name),
+            truncated: groups.length > queryBuilder.maxAggregateGroups
+          });
+        } catch (error) {
+          console.error(`Error in GET ${tableName}/aggregate:`, error);
+          res.status(500).json({ error: error.message });
+        }
+      });
+
+      // GET all matching rows as a file download (?format=csv|xlsx|ndjson).
+      // Takes the same filters and fields as the list endpoint; rows are read
+      // in batches by primary key and streamed to the client.
+      router.get(`/${tableName}/export`, async (req, res) => {
+        try {
+          const access = authorizeAccess(req, res, 'read');
+          if (!access) return;
+
+          const { format = 'csv', fields: fieldsParam, with_deleted: withDeleted, ...filterParams } = req.query;
+          const exportFormat = importExportService.formats[String(format).toLowerCase()];
+
+          if (!exportFormat) {
+            return res.status(400).json({
+              error: 'Invalid format parameter',
+              details: `format must be one of: ${Object.keys(importExportService.formats).join(', ')}`
+            });
+          }
+
+          const { filters, errors: filterErrors } = queryBuilder.parseFilters(filterParams, schema);
+          if (filterErrors.length > 0) {
+            return res.status(400).json({
+              error: 'Invalid filter parameters',
+              details: filterErrors
+            });
+          }
+
+          const { fields, errors: fieldErrors } = relationshipService.parseFields(fieldsParam, schema);
+          if (fieldErrors.length > 0) {
+            return res.status(400).json({ error: 'Invalid fields parameter', details: fieldErrors });
+          }
+
+          const deletedFilter = getDeletedFilter(req);
+          const primaryKey = queryBuilder.getPrimaryKey(schema);
+          const columns = importExportService.getExportColumns(schema, fields, !deletedFilter && !!getSoftDelete(req));
+          const supabase = createClient(config.supabase.url, config.supabase.key);
+
+          const buildQuery = (select, options) => {
+            let exportQuery = supabase.from(prefixedTableName).select(select, options);
+            exportQuery = queryBuilder.applyFilters(exportQuery, filters);
+            exportQuery = accessRuleService.scopeQuery(exportQuery, access);
+            return softDeleteService.hideDeleted(exportQuery, deletedFilter);
+          };
+
+          const { count, error: countError } = await buildQuery(primaryKey, { count: 'exact', head: true });
+          if (countError) {
+            console.error(`Error counting ${prefixedTableName} for export:`, countError);
+            return res.status(500).json({ error: `Database error: ${countError.message}` });
+          }
+
+          if (count > importExportService.maxExportRows) {
+            return res.status(413).json({
+              error: 'Too many rows to export',
+              details: `The export matches ${count} rows; narrow it down with filters to at most ${importExportService.maxExportRows}`
+            });
+          }
+
+          // Reads the batch after the given primary key value
+          const selectClause = relationshipService.buildSelect(fields, [], [primaryKey]);
+          const readBatch = (after) => {
+            let batchQuery = buildQuery(selectClause);
+            if (after !== undefined) batchQuery = batchQuery.gt(primaryKey, after);
+            return batchQuery.order(primaryKey, { ascending: true }).limit(importExportService.exportBatchSize);
+          };
+
+          // The first batch is read before any output so errors still get a JSON response
+          let { data: batch, error } = await readBatch();
+          if (error) {
+            console.error(`Error exporting ${prefixedTableName}:`, error);
+            return res.status(500).json({ error: `Database error: ${error.message}` });
+          }
+
+          console.log(`[API ${router._instanceId}] Exporting ${count} rows of ${prefixedTableName} as ${format}`);
+
+          res.setHeader('Content-Type', exportFormat.contentType);
+          res.setHeader('Content-Disposition', `attachment; filename="${tableName}.${exportFormat.extension}"`);
+
+          const writer = importExportService.createWriter(exportFormat.extension, res, columns, tableName);
+          let closed = false;
+          res.on('close', () => { closed = true; });
+
+          while (batch && batch.length > 0 && !closed) {
+            await writer.write(batch.map(row => relationshipService.project(row, fields || columns, [])));
+            if (batch.length < importExportService.exportBatchSize) break;
+
+            ({ data: batch, error } = await readBatch(batch[batch.length - 1][primaryKey]));
+            if (error) {
+              // Headers are gone, so cut the download short rather than send a complete-looking file
+              console.error(`Error exporting ${prefixedTableName}:`, error);
+              return res.destroy(error);
+            }
+          }
+
+          if (!closed) await writer.end();
+        } catch (error) {
+          console.error(`Error in GET ${tableName}/export:`, error);
+          if (res.headersSent) return res.destroy(error);
           res.status(500).json({ error: error.message });
         }
       });
@@ -299,13 +950,32 @@ class APIGenerator {
           // Add debug logging about the table being accessed
           console.log(`[API ${router._instanceId}] Accessing table: ${prefixedTableName} for GET by ID: ${req.params.id}`);
           
+          const access = authorizeAccess(req, res, 'read');
+          if (!access) return;
+          
+          // Validate sparse fieldsets and relationship embeds
+          const readOptions = resolveReadOptions(req.query.fields, req.query.include, req);
+          const deletedFilter = getDeletedFilter(req);
+          if (readOptions.error) {
+            return res.status(400).json(readOptions.error);
+          }
+          const { fields, includes } = readOptions;
+          const selectClause = relationshipService.buildSelect(fields, includes);
+          
           // Use a new Supabase client instance to avoid shared state
           const supabase = createClient(config.supabase.url, config.supabase.key);
           
-          const { data, error } = await supabase
+          // Embed related rows, then hide XAuthUserId and internal columns
+          const shapeRow = async (row) => {
+            await relationshipService.embed(supabase, [row], includes);
+            return relationshipService.project(row, fields, includes);
+          };
+          
+          // Rows the caller may not see (or deleted rows) are reported as not found
+          const { data, error } = await softDeleteService.hideDeleted(accessRuleService.scopeQuery(supabase
             .from(prefixedTableName)
-            .select('*')
-            .eq('id', req.params.id)
+            .select(selectClause)
+            .eq('id', req.params.id), access), deletedFilter)
             .single();
           
           if (error) {
@@ -325,10 +995,10 @@ class APIGenerator {
                 console.log(`Retrying with lowercase table name: ${lowercaseTableName}`);
                 
                 // Retry the query with lowercase table name
-                const retryResult = await supabase
+                const retryResult = await softDeleteService.hideDeleted(accessRuleService.scopeQuery(supabase
                   .from(lowercaseTableName)
-                  .select('*')
-                  .eq('id', req.params.id)
+                  .select(selectClause)
+                  .eq('id', req.params.id), access), deletedFilter)
                   .single();
                 
                 if (!retryResult.error) {
@@ -339,8 +1009,7 @@ class APIGenerator {
                   
                   // Filter out XAuthUserId from response data
                   if (retryResult.data) {
-                    const { XAuthUserId, ...filteredData } = retryResult.data;
-                    return res.json(filteredData);
+                    return res.json(await shapeRow(retryResult.data));
                   }
                   
                   return res.json(retryResult.data);
@@ -353,8 +1022,7 @@ class APIGenerator {
           
           // Filter out XAuthUserId from response data
           if (data) {
-            const { XAuthUserId, ...filteredData } = data;
-            return res.json(filteredData);
+            return res.json(await shapeRow(data));
           }
           
           res.json(data);
@@ -364,69 +1032,609 @@ class APIGenerator {
         }
       });
 
-      // POST new item
-      router.post(`/${tableName}`, async (req, res) => {
-        try {
-          // Clone the request body to avoid modifying the original
-          const requestData = { ...req.body };
+      // Prepare a request body for insertion: drop placeholder values and
+      // stamp ownership and timestamps
+      const prepareInsertData = (body, req, access) => {
+        // Clone the request body to avoid modifying the original
+        const requestData = { ...body };
+        
+        // Only remove ID if it's one of our placeholder values
+        if (requestData.id === "uuid-generated-by-database" || 
+            requestData.id === "string" || 
+            requestData.id === "" || 
+            requestData.id === undefined) {
+          delete requestData.id;
+        }
+        
+        // Check if the table has an XAuthUserId column before adding it
+        const hasXAuthUserIdColumn = schema.columns && 
+          Array.isArray(schema.columns) && 
+          schema.columns.some(col => col.name === 'XAuthUserId');
+        
+        // Only add XAuthUserId if the column exists in the table
+        if (hasXAuthUserIdColumn) {
+          // Always remove any client-provided XAuthUserId first
+          delete requestData.XAuthUserId;
           
-          // Add debug logging about the table being accessed
-          console.log(`[API ${router._instanceId}] Accessing table: ${prefixedTableName} for POST new item`);
+          // Use this API instance's XAuthUserId or the authenticated user's ID
+          requestData.XAuthUserId = req.XAuthUserId || router.XAuthUserId;
+          console.log(`Adding XAuthUserId: ${requestData.XAuthUserId} to request`);
+        } else {
+          // Remove XAuthUserId if it was included but doesn't exist in the table
+          if (requestData.XAuthUserId !== undefined) {
+            console.log(`Removing XAuthUserId as the column doesn't exist in table ${prefixedTableName}`);
+            delete requestData.XAuthUserId;
+          }
+        }
+        
+        // Add proper timestamps if not provided or if they're placeholder values
+        if (!requestData.created_at || requestData.created_at === "string") {
+          requestData.created_at = new Date().toISOString();
+        }
+        if (!requestData.updated_at || requestData.updated_at === "string") {
+          requestData.updated_at = new Date().toISOString();
+        }
+        
+        // Clean any placeholder values for foreign keys
+        Object.keys(requestData).forEach(key => {
+          // Only clean placeholder values, keep valid values
+          if (requestData[key] === "string" || 
+              (key.endsWith('_id') && 
+               (requestData[key] === "00000000-0000-0000-0000-000000000000" || 
+                requestData[key] === ""))) {
+            
+            if (key.endsWith('_id')) {
+              // For foreign keys, use null instead of empty values
+              requestData[key] = null;
+            } else if (key !== 'created_at' && key !== 'updated_at' && key !== 'id') {
+              // For regular string fields
+              requestData[key] = '';
+            }
+          }
+        });
+        
+        // Tables with an ownership rule are owned by the calling end-user
+        accessRuleService.stampOwner(requestData, access);
+        
+        return requestData;
+      };
+
+      // Prepare a request body for an update: stamp ownership and updated_at
+      const prepareUpdateData = (body, req, access) => {
+        // Clone the request body to avoid modifying it
+        const updateData = { ...body };
+        
+        // Check if the table has an XAuthUserId column before adding it
+        const hasXAuthUserIdColumn = schema.columns && 
+          Array.isArray(schema.columns) && 
+          schema.columns.some(col => col.name === 'XAuthUserId');
+        
+        // Only add XAuthUserId if the column exists in the table
+        if (hasXAuthUserIdColumn) {
+          // Always remove any client-provided XAuthUserId first
+          delete updateData.XAuthUserId;
+          
+          // Use this API instance's XAuthUserId or the authenticated user's ID
+          updateData.XAuthUserId = req.XAuthUserId || router.XAuthUserId;
+          console.log(`Adding XAuthUserId: ${updateData.XAuthUserId} to update data`);
+        } else {
+          // Remove XAuthUserId if it was included but doesn't exist in the table
+          if (updateData.XAuthUserId !== undefined) {
+            console.log(`Removing XAuthUserId as the column doesn't exist in table ${prefixedTableName}`);
+            delete updateData.XAuthUserId;
+          }
+        }
+        
+        // Updates never change the owner of a row with an ownership rule
+        accessRuleService.protectOwner(updateData, access);
+        
+        // Always add updated_at timestamp
+        updateData.updated_at = new Date().toISOString();
+        
+        return updateData;
+      };
+
+      // Prepare a request body for a partial update: keep only the supplied
+      // fields, never change ownership or the primary key
+      const preparePatchData = (body, access) => {
+        const patchData = { ...body };
+        
+        delete patchData.id;
+        delete patchData.XAuthUserId;
+        delete patchData.created_at;
+        accessRuleService.protectOwner(patchData, access);
+        
+        if (Object.keys(patchData).length === 0) {
+          return null;
+        }
+        
+        patchData.updated_at = new Date().toISOString();
+        return patchData;
+      };
+
+      // Notify the API's streams and webhooks of changed rows, as stored in the table
+      const emitChange = (req, event, rows) => {
+        const changed = (Array.isArray(rows) ? rows : [rows]).filter(Boolean);
+        if (changed.length === 0) return;
+        
+        realtimeService.publish(req.apiId, tableName, event, changed);
+        webhookService.emit(req.apiId, tableName, event, changed.map(row => relationshipService.project(row, null, [])));
+      };
+
+      graphqlTables.push({ name: tableName, schema, prefixedTableName, prepareInsertData, preparePatchData, emitChange });
+
+      // POST many items in one request
+      router.post(`/${tableName}/bulk`, async (req, res) => {
+        try {
+          console.log(`[API ${router._instanceId}] Accessing table: ${prefixedTableName} for bulk POST`);
+          
+          const access = authorizeAccess(req, res, 'write');
+          if (!access) return;
+          
+          const { items, transactional, error: requestError, status } = bulkOperationService.parseRequest(
+            req.body, 'items', await getMaxBatchSize(req)
+          );
+          if (requestError) {
+            return res.status(status).json(requestError);
+          }
           
-          // Only remove ID if it's one of our placeholder values
-          if (requestData.id === "uuid-generated-by-database" || 
-              requestData.id === "string" || 
-              requestData.id === "" || 
-              requestData.id === undefined) {
-            delete requestData.id;
+          // Check every item before touching the database
+          const rowsByIndex = [];
+          const results = items.map((item, index) => {
+            let errors = bulkOperationService.checkItem(item);
+            if (errors.length === 0) {
+              rowsByIndex[index] = prepareInsertData(item, req, access);
+              errors = schemaValidator.validate(rowsByIndex[index], schema, { mode: 'create' });
+            }
+            return errors.length > 0 ? { index, status: 'invalid', errors } : { index, status: 'pending' };
+          });
+          const pending = results.filter(r => r.status === 'pending');
+          
+          if (transactional && pending.length !== results.length) {
+            pending.forEach(r => { r.status = 'skipped'; });
+            return res.status(422).json(bulkOperationService.summarize(results, transactional, ['created']));
           }
           
-          // Check if the table has an XAuthUserId column before adding it
-          const hasXAuthUserIdColumn = schema.columns && 
-            Array.isArray(schema.columns) && 
-            schema.columns.some(col => col.name === 'XAuthUserId');
+          const supabase = createClient(config.supabase.url, config.supabase.key);
+          const rows = pending.map(r => rowsByIndex[r.index]);
+          const createdRows = [];
           
-          // Only add XAuthUserId if the column exists in the table
-          if (hasXAuthUserIdColumn) {
-            // Always remove any client-provided XAuthUserId first
-            delete requestData.XAuthUserId;
+          // A single multi-row insert is applied atomically
+          if (rows.length > 0) {
+            const { data, error } = await supabase
+              .from(prefixedTableName)
+              .insert(rows, { defaultToNull: false })
+              .select();
+            
+            if (!error) {
+              pending.forEach((r, i) => {
+                const filteredData = relationshipService.project(data[i] || {}, null, []);
+                r.status = 'created';
+                r.data = filteredData;
+              });
+              createdRows.push(...data);
+            } else if (transactional) {
+              console.error(`Error bulk creating records in ${prefixedTableName}:`, error);
+              pending.forEach(r => {
+                r.status = 'failed';
+                r.errors = [{ field: null, code: 'database_error', message: `Database error: ${error.message}` }];
+              });
+              return res.status(500).json(bulkOperationService.summarize(results, transactional, ['created']));
+            } else {
+              // Insert row by row to find out which items the database rejects
+              for (let i = 0; i < pending.length; i++) {
+                const { data: rowData, error: rowError } = await supabase
+                  .from(prefixedTableName)
+                  .insert(rows[i])
+                  .select();
+                
+                if (rowError) {
+                  pending[i].status = 'failed';
+                  pending[i].errors = [{ field: null, code: 'database_error', message: `Database error: ${rowError.message}` }];
+                } else {
+                  const filteredData = relationshipService.project(rowData[0] || {}, null, []);
+                  pending[i].status = 'created';
+                  pending[i].data = filteredData;
+                  createdRows.push(rowData[0]);
+                }
+              }
+            }
+          }
+          
+          emitChange(req, 'create', createdRows);
+          
+          const body = bulkOperationService.summarize(results, transactional, ['created']);
+          res.status(body.summary.failed === 0 ? 201 : 207).json(body);
+        } catch (error) {
+          console.error(`Error in bulk POST ${tableName}:`, error);
+          res.status(500).json({ error: error.message });
+        }
+      });
+
+      // PATCH many items in one request, each item identified by its id
+      router.patch(`/${tableName}/bulk`, async (req, res) => {
+        try {
+          console.log(`[API ${router._instanceId}] Accessing table: ${prefixedTableName} for bulk PATCH`);
+          
+          const access = authorizeAccess(req, res, 'write');
+          if (!access) return;
+          
+          const { items, transactional, error: requestError, status } = bulkOperationService.parseRequest(
+            req.body, 'items', await getMaxBatchSize(req)
+          );
+          if (requestError) {
+            return res.status(status).json(requestError);
+          }
+          
+          // Check every item before touching the database
+          const duplicates = bulkOperationService.findDuplicates(
+            items.filter(item => item && item.id !== undefined).map(item => item.id)
+          );
+          const results = items.map((item, index) => {
+            let errors = bulkOperationService.checkItem(item, { requireId: true });
+            if (errors.length === 0 && duplicates.has(String(item.id))) {
+              errors.push({ field: 'id', code: 'duplicate', message: `id "${item.id}" appears more than once in the batch` });
+            }
+            if (errors.length === 0) {
+              errors = schemaValidator.validate(preparePatchData(item, access) || {}, schema, { mode: 'update' });
+            }
+            return errors.length > 0
+              ? { index, id: item && item.id, status: 'invalid', errors }
+              : { index, id: item.id, status: 'pending' };
+          });
+          let pending = results.filter(r => r.status === 'pending');
+          
+          const supabase = createClient(config.supabase.url, config.supabase.key);
+          
+          // Look up which of the ids exist
+          if (pending.length > 0) {
+            // Rows the caller may not change (or deleted rows) are reported as not found
+            const { data: existing, error: checkError } = await softDeleteService.hideDeleted(accessRuleService.scopeQuery(supabase
+              .from(prefixedTableName)
+              .select('id')
+              .in('id', pending.map(r => r.id)), access), getSoftDelete(req));
+            
+            if (checkError) {
+              console.error(`Error checking records in ${prefixedTableName}:`, checkError);
+              return res.status(500).json({ error: `Database error: ${checkError.message}` });
+            }
             
-            // Use this API instance's XAuthUserId or the authenticated user's ID
-            requestData.XAuthUserId = req.XAuthUserId || router.XAuthUserId;
-            console.log(`Adding XAuthUserId: ${requestData.XAuthUserId} to request`);
+            const existingIds = new Set((existing || []).map(row => String(row.id)));
+            pending.forEach(r => {
+              if (!existingIds.has(String(r.id))) {
+                r.status = 'not_found';
+                r.errors = [{ field: 'id', code: 'not_found', message: 'Record not found' }];
+              }
+            });
+            pending = pending.filter(r => r.status === 'pending');
+          }
+          
+          if (transactional && pending.length !== results.length) {
+            pending.forEach(r => { r.status = 'skipped'; });
+            return res.status(422).json(bulkOperationService.summarize(results, transactional, ['updated']));
+          }
+          
+          const updatedRows = [];
+          const updates = pending.map(r => ({
+            id: items[r.index].id,
+            data: preparePatchData(items[r.index], access) || { updated_at: new Date().toISOString() }
+          }));
+          
+          if (transactional && updates.length > 0) {
+            // All updates run in one execute_sql call so they commit or roll back together
+            const sql = bulkOperationService.buildUpdateSQL(prefixedTableName, updates, {
+              owner: access && access.scoped ? { column: access.ownerColumn, id: access.ownerId } : null,
+              deletedColumn: getSoftDelete(req) ? softDeleteService.column : null
+            });
+            const { data: sqlResult, error } = await supabase.rpc('execute_sql', { sql_query: sql });
+            const sqlError = error || (sqlResult && sqlResult.success === false ? { message: sqlResult.error } : null);
+            
+            if (sqlError) {
+              console.error(`Error bulk updating records in ${prefixedTableName}:`, sqlError);
+              pending.forEach(r => {
+                r.status = 'failed';
+                r.errors = [{ field: null, code: 'database_error', message: `Database error: ${sqlError.message}` }];
+              });
+              return res.status(500).json(bulkOperationService.summarize(results, transactional, ['updated']));
+            }
+            
+            const { data: rowsAfterUpdate } = await supabase
+              .from(prefixedTableName)
+              .select('*')
+              .in('id', pending.map(r => r.id));
+            
+            updatedRows.push(...(rowsAfterUpdate || []));
+            const rowsById = new Map(updatedRows.map(row => [String(row.id), row]));
+            pending.forEach(r => {
+              const filteredData = relationshipService.project(rowsById.get(String(r.id)) || { id: r.id }, null, []);
+              r.status = 'updated';
+              r.data = filteredData;
+            });
           } else {
-            // Remove XAuthUserId if it was included but doesn't exist in the table
-            if (requestData.XAuthUserId !== undefined) {
-              console.log(`Removing XAuthUserId as the column doesn't exist in table ${prefixedTableName}`);
-              delete requestData.XAuthUserId;
+            for (let i = 0; i < pending.length; i++) {
+              const { data: rowData, error: rowError } = await softDeleteService.hideDeleted(accessRuleService.scopeQuery(supabase
+                .from(prefixedTableName)
+                .update(updates[i].data)
+                .eq('id', updates[i].id), access), getSoftDelete(req))
+                .select();
+              
+              if (rowError) {
+                pending[i].status = 'failed';
+                pending[i].errors = [{ field: null, code: 'database_error', message: `Database error: ${rowError.message}` }];
+              } else {
+                const filteredData = relationshipService.project(rowData[0] || {}, null, []);
+                pending[i].status = 'updated';
+                pending[i].data = filteredData;
+                updatedRows.push(rowData[0]);
+              }
             }
           }
           
-          // Add proper timestamps if not provided or if they're placeholder values
-          if (!requestData.created_at || requestData.created_at === "string") {
-            requestData.created_at = new Date().toISOString();
+          emitChange(req, 'update', updatedRows);
+          
+          const body = bulkOperationService.summarize(results, transactional, ['updated']);
+          res.status(body.summary.failed === 0 ? 200 : 207).json(body);
+        } catch (error) {
+          console.error(`Error in bulk PATCH ${tableName}:`, error);
+          res.status(500).json({ error: error.message });
+        }
+      });
+
+      // DELETE many items in one request
+      router.delete(`/${tableName}/bulk`, async (req, res) => {
+        try {
+          console.log(`[API ${router._instanceId}] Accessing table: ${prefixedTableName} for bulk DELETE`);
+          
+          const access = authorizeAccess(req, res, 'write');
+          if (!access) return;
+          
+          const { items: ids, transactional, error: requestError, status } = bulkOperationService.parseRequest(
+            req.body, 'ids', await getMaxBatchSize(req)
+          );
+          if (requestError) {
+            return res.status(status).json(requestError);
+          }
+          
+          const duplicates = bulkOperationService.findDuplicates(ids);
+          const results = ids.map((id, index) => {
+            if (id === null || id === undefined || id === '' || typeof id === 'object') {
+              return { index, id, status: 'invalid', errors: [{ field: 'id', code: 'invalid_type', message: 'id must be a string or number' }] };
+            }
+            if (duplicates.has(String(id))) {
+              return { index, id, status: 'invalid', errors: [{ field: 'id', code: 'duplicate', message: `id "${id}" appears more than once in the batch` }] };
+            }
+            return { index, id, status: 'pending' };
+          });
+          let pending = results.filter(r => r.status === 'pending');
+          
+          const supabase = createClient(config.supabase.url, config.supabase.key);
+          
+          // In transactional mode every id has to exist before anything is deleted
+          if (transactional && pending.length > 0) {
+            // Rows the caller may not change (or deleted rows) are reported as not found
+            const { data: existing, error: checkError } = await softDeleteService.hideDeleted(accessRuleService.scopeQuery(supabase
+              .from(prefixedTableName)
+              .select('id')
+              .in('id', pending.map(r => r.id)), access), getSoftDelete(req));
+            
+            if (checkError) {
+              console.error(`Error checking records in ${prefixedTableName}:`, checkError);
+              return res.status(500).json({ error: `Database error: ${checkError.message}` });
+            }
+            
+            const existingIds = new Set((existing || []).map(row => String(row.id)));
+            pending.forEach(r => {
+              if (!existingIds.has(String(r.id))) {
+                r.status = 'not_found';
+                r.errors = [{ field: 'id', code: 'not_found', message: 'Record not found' }];
+              }
+            });
+            pending = pending.filter(r => r.status === 'pending');
           }
-          if (!requestData.updated_at || requestData.updated_at === "string") {
-            requestData.updated_at = new Date().toISOString();
+          
+          if (transactional && pending.length !== results.length) {
+            pending.forEach(r => { r.status = 'skipped'; });
+            return res.status(422).json(bulkOperationService.summarize(results, transactional, ['deleted']));
           }
           
-          // Clean any placeholder values for foreign keys
-          Object.keys(requestData).forEach(key => {
-            // Only clean placeholder values, keep valid values
-            if (requestData[key] === "string" || 
-                (key.endsWith('_id') && 
-                 (requestData[key] === "00000000-0000-0000-0000-000000000000" || 
-                  requestData[key] === ""))) {
+          // A single DELETE ... WHERE id IN (...) is applied atomically; tables
+          // with soft delete get a single UPDATE setting deleted_at instead
+          if (pending.length > 0) {
+            const softDelete = getSoftDelete(req);
+            const table = supabase.from(prefixedTableName);
+            const { data: deleted, error } = await softDeleteService.hideDeleted(accessRuleService.scopeQuery(softDelete
+              ? table.update({ [softDeleteService.column]: new Date().toISOString() })
+              : table.delete(), access)
+              .in('id', pending.map(r => r.id)), softDelete)
+              .select();
+            
+            if (error) {
+              console.error(`Error bulk deleting records from ${prefixedTableName}:`, error);
+              pending.forEach(r => {
+                r.status = 'failed';
+                r.errors = [{ field: null, code: 'database_error', message: `Database error: ${error.message}` }];
+              });
+            } else {
+              const deletedIds = new Set((deleted || []).map(row => String(row.id)));
+              pending.forEach(r => {
+                if (deletedIds.has(String(r.id))) {
+                  r.status = 'deleted';
+                } else {
+                  r.status = 'not_found';
+                  r.errors = [{ field: 'id', code: 'not_found', message: 'Record not found' }];
+                }
+              });
               
-              if (key.endsWith('_id')) {
-                // For foreign keys, use null instead of empty values
-                requestData[key] = null;
-              } else if (key !== 'created_at' && key !== 'updated_at' && key !== 'id') {
-                // For regular string fields
-                requestData[key] = '';
+              if (!softDelete) {
+                await fileService.removeRowFiles(req.apiId, schema, deleted);
               }
+              
+              emitChange(req, 'delete', deleted);
+            }
+          }
+          
+          const body = bulkOperationService.summarize(results, transactional, ['deleted']);
+          if (transactional && body.summary.failed > 0) {
+            return res.status(500).json(body);
+          }
+          res.status(body.summary.failed === 0 ? 200 : 207).json(body);
+        } catch (error) {
+          console.error(`Error in bulk DELETE ${tableName}:`, error);
+          res.status(500).json({ error: error.message });
+        }
+      });
+
+      // POST a CSV, xlsx or NDJSON file (multipart field "file") to create its rows.
+      // Optional fields: format, mapping (JSON object of file column to table column)
+      // and dry_run=true to only check the rows. Valid rows are inserted even when
+      // others fail; every failed row is reported with its line in the file.
+      router.post(`/${tableName}/import`, async (req, res) => {
+        try {
+          console.log(`[API ${router._instanceId}] Accessing table: ${prefixedTableName} for import`);
+
+          const access = authorizeAccess(req, res, 'write');
+          if (!access) return;
+
+          // Run multer here so upload errors get this API's JSON error format
+          const uploadError = await new Promise(resolve => importUpload(req, res, resolve));
+          if (uploadError) {
+            return res.status(400).json({
+              error: 'Invalid upload',
+              details: uploadError.code === 'LIMIT_FILE_SIZE'
+                ? `The file must be at most ${importExportService.maxImportFileSize / (1024 * 1024)}MB`
+                : uploadError.message
+            });
+          }
+
+          if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded', details: 'Send the file as multipart/form-data in the "file" field' });
+          }
+
+          const { format: formatParam, mapping: mappingParam, dry_run: dryRunParam } = { ...req.query, ...req.body };
+          const dryRun = String(dryRunParam).toLowerCase() === 'true';
+          const format = importExportService.detectFormat(req.file, formatParam && String(formatParam).toLowerCase());
+          if (!format) {
+            return res.status(400).json({
+              error: 'Unsupported file format',
+              details: `format must be one of: ${Object.keys(importExportService.formats).join(', ')}`
+            });
+          }
+
+          let parsed;
+          try {
+            parsed = await importExportService.parseFile(format, req.file.buffer);
+          } catch (parseError) {
+            return res.status(400).json({ error: `Could not read the ${format} file`, details: parseError.message });
+          }
+          const { headers, records } = parsed;
+
+          if (records.length === 0) {
+            return res.status(400).json({ error: 'The file has no rows to import' });
+          }
+          if (records.length > importExportService.maxImportRows) {
+            return res.status(413).json({
+              error: 'Too many rows',
+              details: `An import can hold at most ${importExportService.maxImportRows} rows, the file has ${records.length}`
+            });
+          }
+
+          const { mapping, ignored, errors: mappingErrors } = importExportService.resolveMapping(mappingParam, headers, schema);
+          if (mappingErrors.length > 0) {
+            return res.status(400).json({ error: 'Invalid column mapping', details: mappingErrors, columns: headers });
+          }
+
+          // Coerce and validate every row before touching the database
+          const failed = [];
+          const valid = [];
+          records.forEach(record => {
+            if (record.error) {
+              failed.push({ row: record.line, errors: [{ field: null, code: 'parse_error', message: record.error }] });
+              return;
             }
+
+            const { row, errors: coerceErrors } = importExportService.coerceRecord(record.values, mapping, schema);
+            let errors = coerceErrors;
+            let data = null;
+            if (errors.length === 0) {
+              data = prepareInsertData(row, req, access);
+              errors = schemaValidator.validate(data, schema, { mode: 'create' });
+            }
+
+            if (errors.length > 0) failed.push({ row: record.line, errors });
+            else valid.push({ row: record.line, data });
           });
+
+          const buildReport = (imported) => ({
+            dryRun,
+            format,
+            summary: {
+              total: records.length,
+              [dryRun ? 'valid' : 'imported']: imported,
+              failed: failed.length
+            },
+            errors: failed.sort((a, b) => a.row - b.row),
+            ignoredColumns: ignored
+          });
+
+          if (dryRun) {
+            return res.json(buildReport(valid.length));
+          }
+
+          const supabase = createClient(config.supabase.url, config.supabase.key);
+          const createdRows = [];
+
+          for (let start = 0; start < valid.length; start += importExportService.importChunkSize) {
+            const chunk = valid.slice(start, start + importExportService.importChunkSize);
+            const { data, error } = await supabase
+              .from(prefixedTableName)
+              .insert(chunk.map(item => item.data), { defaultToNull: false })
+              .select();
+
+            if (!error) {
+              createdRows.push(...data);
+              continue;
+            }
+
+            // Insert row by row to find out which rows the database rejects
+            for (const item of chunk) {
+              const { data: rowData, error: rowError } = await supabase
+                .from(prefixedTableName)
+                .insert(item.data)
+                .select();
+
+              if (rowError) {
+                failed.push({ row: item.row, errors: [{ field: null, code: 'database_error', message: `Database error: ${rowError.message}` }] });
+              } else {
+                createdRows.push(rowData[0]);
+              }
+            }
+          }
+
+          emitChange(req, 'create', createdRows);
+
+          res.status(failed.length === 0 ? 201 : 207).json(buildReport(createdRows.length));
+        } catch (error) {
+          console.error(`Error in POST ${tableName}/import:`, error);
+          res.status(500).json({ error: error.message });
+        }
+      });
+
+      // POST new item
+      router.post(`/${tableName}`, async (req, res) => {
+        try {
+          // Add debug logging about the table being accessed
+          console.log(`[API ${router._instanceId}] Accessing table: ${prefixedTableName} for POST new item`);
+          
+          const access = authorizeAccess(req, res, 'write');
+          if (!access) return;
+          
+          const requestData = prepareInsertData(req.body, req, access);
+          
+          // Reject payloads that do not match the table schema
+          const validationErrors = schemaValidator.validate(requestData, schema, { mode: 'create' });
+          if (validationErrors.length > 0) {
+            return res.status(422).json({ error: 'Validation failed', details: validationErrors });
+          }
           
           console.log(`Adding record to ${prefixedTableName}:`, requestData);
           
@@ -456,7 +1664,8 @@ class APIGenerator {
           
           // Filter out XAuthUserId from response
           if (data && data[0]) {
-            const { XAuthUserId, ...filteredData } = data[0];
+            const filteredData = relationshipService.project(data[0], null, []);
+            emitChange(req, 'create', data[0]);
             return res.status(201).json(filteredData);
           }
           
@@ -470,58 +1679,152 @@ class APIGenerator {
         }
       });
 
+      // PUT on the collection: insert or update a record keyed by a unique column
+      router.put(`/${tableName}`, async (req, res) => {
+        try {
+          const access = authorizeAccess(req, res, 'write');
+          if (!access) return;
+          
+          const conflictColumn = req.query.on_conflict;
+          const uniqueColumns = queryBuilder.getUniqueColumns(schema);
+          
+          if (!conflictColumn) {
+            return res.status(400).json({
+              error: 'Missing on_conflict parameter',
+              details: `Use PUT /${tableName}?on_conflict=<column> with one of: ${uniqueColumns.join(', ')}`
+            });
+          }
+          
+          if (!uniqueColumns.includes(conflictColumn)) {
+            return res.status(400).json({
+              error: 'Invalid on_conflict parameter',
+              details: `"${conflictColumn}" is not a unique column. Unique columns: ${uniqueColumns.join(', ')}`
+            });
+          }
+          
+          if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+            return res.status(400).json({ error: 'Request body must be an object' });
+          }
+          
+          const conflictValue = req.body[conflictColumn];
+          if (conflictValue === undefined || conflictValue === null || conflictValue === '') {
+            return res.status(400).json({
+              error: 'Missing conflict value',
+              details: `The request body must contain "${conflictColumn}"`
+            });
+          }
+          
+          console.log(`[API ${router._instanceId}] Accessing table: ${prefixedTableName} for PUT upsert on ${conflictColumn}`);
+          
+          const upsertData = prepareInsertData(req.body, req, access);
+          
+          // Reject payloads that do not match the table schema
+          const validationErrors = schemaValidator.validate(upsertData, schema, { mode: 'create' });
+          if (validationErrors.length > 0) {
+            return res.status(422).json({ error: 'Validation failed', details: validationErrors });
+          }
+          
+          // Keep the original creation time when the record already exists
+          if (!req.body.created_at) {
+            delete upsertData.created_at;
+          }
+          
+          const supabase = createClient(config.supabase.url, config.supabase.key);
+          
+          // Look up the record first so the response can tell created from updated
+          const softDelete = getSoftDelete(req);
+          const checkColumns = [conflictColumn];
+          if (access.scoped) checkColumns.push(access.ownerColumn);
+          if (softDelete) checkColumns.push(softDeleteService.column);
+          const { data: existing, error: checkError } = await supabase
+            .from(prefixedTableName)
+            .select(checkColumns.join(', '))
+            .eq(conflictColumn, conflictValue)
+            .maybeSingle();
+          
+          if (checkError) {
+            console.error(`Error checking record in ${prefixedTableName}:`, checkError);
+            return res.status(500).json({ error: `Database error: ${checkError.message}` });
+          }
+          
+          // An upsert must not take over a record owned by someone else
+          if (existing && !accessRuleService.ownsRow(existing, access)) {
+            return res.status(403).json({
+              error: 'Forbidden',
+              message: `A record with this ${conflictColumn} belongs to another user`
+            });
+          }
+          
+          // ...nor silently bring back a deleted one
+          if (existing && softDelete && existing[softDeleteService.column]) {
+            return res.status(409).json({
+              error: 'Record is deleted',
+              message: `A deleted record with this ${conflictColumn} exists - restore it with POST /${tableName}/:id/restore`
+            });
+          }
+          
+          // Updating an existing record keeps its owner
+          if (existing) {
+            accessRuleService.protectOwner(upsertData, access);
+          }
+          
+          const { data, error } = await supabase
+            .from(prefixedTableName)
+            .upsert(upsertData, { onConflict: conflictColumn })
+            .select();
+          
+          if (error) {
+            console.error(`Error upserting record in ${prefixedTableName}:`, error);
+            return res.status(500).json({ error: `Database error: ${error.message}` });
+          }
+          
+          // Filter out XAuthUserId from response
+          const filteredData = relationshipService.project((data && data[0]) || {}, null, []);
+          emitChange(req, existing ? 'update' : 'create', data && data[0]);
+          res.status(existing ? 200 : 201).json(filteredData);
+        } catch (error) {
+          console.error(`Error in PUT ${tableName}:`, error);
+          res.status(500).json({ error: error.message });
+        }
+      });
+
       // PUT/UPDATE item
       router.put(`/${tableName}/:id`, async (req, res) => {
         try {
           // Add debug logging about the table being accessed
           console.log(`[API ${router._instanceId}] Accessing table: ${prefixedTableName} for PUT update to ID: ${req.params.id}`);
           
+          const access = authorizeAccess(req, res, 'write');
+          if (!access) return;
+          
+          const updateData = prepareUpdateData(req.body, req, access);
+          
+          // Reject payloads that do not match the table schema
+          const validationErrors = schemaValidator.validate(updateData, schema, { mode: 'update' });
+          if (validationErrors.length > 0) {
+            return res.status(422).json({ error: 'Validation failed', details: validationErrors });
+          }
+          
           // Use a new Supabase client instance to avoid shared state
           const supabase = createClient(config.supabase.url, config.supabase.key);
           
-          // First check if record exists
-          const { data: checkData, error: checkError } = await supabase
+          // First check if record exists (and belongs to the caller under an ownership rule)
+          const softDelete = getSoftDelete(req);
+          const { data: checkData, error: checkError } = await softDeleteService.hideDeleted(accessRuleService.scopeQuery(supabase
             .from(prefixedTableName)
             .select('id, XAuthUserId')
-            .eq('id', req.params.id)
+            .eq('id', req.params.id), access), softDelete)
             .single();
           
           if (checkError || !checkData) {
             return res.status(404).json({ error: 'Record not found' });
           }
           
-          // Clone the request body to avoid modifying it
-          const updateData = { ...req.body };
-          
-          // Check if the table has an XAuthUserId column before adding it
-          const hasXAuthUserIdColumn = schema.columns && 
-            Array.isArray(schema.columns) && 
-            schema.columns.some(col => col.name === 'XAuthUserId');
-          
-          // Only add XAuthUserId if the column exists in the table
-          if (hasXAuthUserIdColumn) {
-            // Always remove any client-provided XAuthUserId first
-            delete updateData.XAuthUserId;
-            
-            // Use this API instance's XAuthUserId or the authenticated user's ID
-            updateData.XAuthUserId = req.XAuthUserId || router.XAuthUserId;
-            console.log(`Adding XAuthUserId: ${updateData.XAuthUserId} to update data`);
-          } else {
-            // Remove XAuthUserId if it was included but doesn't exist in the table
-            if (updateData.XAuthUserId !== undefined) {
-              console.log(`Removing XAuthUserId as the column doesn't exist in table ${prefixedTableName}`);
-              delete updateData.XAuthUserId;
-            }
-          }
-          
-          // Always add updated_at timestamp
-          updateData.updated_at = new Date().toISOString();
-          
           // Record exists, proceed with update
-          const { data, error } = await supabase
+          const { data, error } = await softDeleteService.hideDeleted(accessRuleService.scopeQuery(supabase
             .from(prefixedTableName)
             .update(updateData)
-            .eq('id', req.params.id)
+            .eq('id', req.params.id), access), softDelete)
             .select();
           
           if (error) {
@@ -531,7 +1834,8 @@ class APIGenerator {
           
           // Filter out XAuthUserId from response
           if (data && data[0]) {
-            const { XAuthUserId, ...filteredData } = data[0];
+            const filteredData = relationshipService.project(data[0], null, []);
+            emitChange(req, 'update', data[0]);
             return res.json(filteredData);
           }
           
@@ -542,49 +1846,419 @@ class APIGenerator {
         }
       });
 
+      // PATCH item: partial update of the supplied fields only
+      router.patch(`/${tableName}/:id`, async (req, res) => {
+        try {
+          console.log(`[API ${router._instanceId}] Accessing table: ${prefixedTableName} for PATCH update to ID: ${req.params.id}`);
+          
+          if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+            return res.status(400).json({ error: 'Request body must be an object' });
+          }
+          
+          const access = authorizeAccess(req, res, 'write');
+          if (!access) return;
+          
+          const patchData = preparePatchData(req.body, access);
+          if (!patchData) {
+            return res.status(400).json({ error: 'No fields to update' });
+          }
+          
+          // Reject payloads that do not match the table schema
+          const validationErrors = schemaValidator.validate(patchData, schema, { mode: 'update' });
+          if (validationErrors.length > 0) {
+            return res.status(422).json({ error: 'Validation failed', details: validationErrors });
+          }
+          
+          const supabase = createClient(config.supabase.url, config.supabase.key);
+          
+          // The update only matches existing rows the caller may change,
+          // so an empty result means not found
+          const { data, error } = await softDeleteService.hideDeleted(accessRuleService.scopeQuery(supabase
+            .from(prefixedTableName)
+            .update(patchData)
+            .eq('id', req.params.id), access), getSoftDelete(req))
+            .select();
+          
+          if (error) {
+            console.error(`Error patching record in ${prefixedTableName}:`, error);
+            return res.status(500).json({ error: `Database error: ${error.message}` });
+          }
+          
+          if (!data || data.length === 0) {
+            return res.status(404).json({ error: 'Record not found' });
+          }
+          
+          // Filter out XAuthUserId from response
+          const filteredData = relationshipService.project(data[0], null, []);
+          emitChange(req, 'update', data[0]);
+          res.json(filteredData);
+        } catch (error) {
+          console.error(`Error in PATCH ${tableName}/:id:`, error);
+          res.status(500).json({ error: error.message });
+        }
+      });
+
       // DELETE item
       router.delete(`/${tableName}/:id`, async (req, res) => {
         try {
           // Add debug logging about the table being accessed
           console.log(`[API ${router._instanceId}] Accessing table: ${prefixedTableName} for DELETE ID: ${req.params.id}`);
           
+          const access = authorizeAccess(req, res, 'write');
+          if (!access) return;
+          
           // Use a new Supabase client instance to avoid shared state
           const supabase = createClient(config.supabase.url, config.supabase.key);
-          
-          // First check if record exists
-          const { data: checkData, error: checkError } = await supabase
-            .from(prefixedTableName)
-            .select('id')
-            .eq('id', req.params.id)
-            .single();
-          
-          if (checkError || !checkData) {
+          
+          // First check if record exists (and belongs to the caller under an ownership rule)
+          const softDelete = getSoftDelete(req);
+          const { data: checkData, error: checkError } = await softDeleteService.hideDeleted(accessRuleService.scopeQuery(supabase
+            .from(prefixedTableName)
+            .select('id')
+            .eq('id', req.params.id), access), softDelete)
+            .single();
+          
+          if (checkError || !checkData) {
+            return res.status(404).json({ error: 'Record not found' });
+          }
+          
+          // Delete from Supabase, or only mark the row as deleted with soft delete
+          const table = supabase.from(prefixedTableName);
+          const { data: deleted, error } = await softDeleteService.hideDeleted(accessRuleService.scopeQuery(softDelete
+            ? table.update({ [softDeleteService.column]: new Date().toISOString() })
+            : table.delete(), access)
+            .eq('id', req.params.id), softDelete)
+            .select();
+          
+          if (error) {
+            console.error(`Error deleting record from ${prefixedTableName}:`, error);
+            return res.status(500).json({ error: `Database error: ${error.message}` });
+          }
+          
+          // Files of rows deleted for good are removed with them
+          if (!softDelete) {
+            await fileService.removeRowFiles(req.apiId, schema, deleted);
+          }
+          
+          emitChange(req, 'delete', deleted);
+          
+          res.status(204).send();
+        } catch (error) {
+          console.error(`Error in DELETE ${tableName}/:id:`, error);
+          res.status(500).json({ error: error.message });
+        }
+      });
+
+      // POST restore a soft-deleted item
+      router.post(`/${tableName}/:id/restore`, async (req, res) => {
+        try {
+          console.log(`[API ${router._instanceId}] Accessing table: ${prefixedTableName} for restore of ID: ${req.params.id}`);
+          
+          const access = authorizeAccess(req, res, 'write');
+          if (!access) return;
+          
+          if (!getSoftDelete(req)) {
+            return res.status(400).json({ error: 'Soft delete is not enabled for this table' });
+          }
+          
+          const supabase = createClient(config.supabase.url, config.supabase.key);
+          
+          // Only deleted rows the caller may change are restored
+          const { data, error } = await accessRuleService.scopeQuery(supabase
+            .from(prefixedTableName)
+            .update({ [softDeleteService.column]: null, updated_at: new Date().toISOString() })
+            .eq('id', req.params.id), access)
+            .not(softDeleteService.column, 'is', null)
+            .select();
+          
+          if (error) {
+            console.error(`Error restoring record in ${prefixedTableName}:`, error);
+            return res.status(500).json({ error: `Database error: ${error.message}` });
+          }
+          
+          if (!data || data.length === 0) {
+            return res.status(404).json({ error: 'Deleted record not found' });
+          }
+          
+          emitChange(req, 'update', data[0]);
+          
+          const filteredData = relationshipService.project(data[0], null, []);
+          res.json(filteredData);
+        } catch (error) {
+          console.error(`Error in POST ${tableName}/:id/restore:`, error);
+          res.status(500).json({ error: error.message });
+        }
+      });
+
+      // File attachments, for tables with file columns
+      const fileColumns = fileService.getFileColumns(schema);
+      if (fileColumns.size === 0) return;
+
+      // Resolve the :column parameter, responding with 404 for other columns
+      const getFileColumn = (req, res) => {
+        const settings = fileColumns.get(req.params.column);
+        if (!settings) {
+          res.status(404).json({
+            error: 'File column not found',
+            details: `${tableName} has these file columns: ${[...fileColumns.keys()].join(', ')}`
+          });
+          return null;
+        }
+        return settings;
+      };
+
+      // Read the row owning a file (null when it does not exist for the caller)
+      const findFileRow = async (supabase, req, access, column, deletedFilter) => {
+        const { data, error } = await softDeleteService.hideDeleted(accessRuleService.scopeQuery(supabase
+          .from(prefixedTableName)
+          .select(`id,${column}`)
+          .eq('id', req.params.id), access), deletedFilter)
+          .maybeSingle();
+
+        if (error) throw new Error(`Database error: ${error.message}`);
+        return data;
+      };
+
+      // Build a download URL that works without credentials until it expires
+      const buildFileUrl = (req, column, metadata, ttl) => {
+        const { expires, signature } = fileService.sign({
+          apiId: req.apiId, table: tableName, id: req.params.id, column, key: metadata.key
+        }, ttl);
+
+        return {
+          url: `${req.protocol}://${req.get('host')}/api/${req.apiId}/${tableName}/${encodeURIComponent(req.params.id)}/files/${column}?expires=${expires}&signature=${signature}`,
+          expiresAt: new Date(expires * 1000).toISOString()
+        };
+      };
+
+      // POST a file (multipart field "file") to a file column of a record,
+      // replacing the file attached before
+      router.post(`/${tableName}/:id/files/:column`, async (req, res) => {
+        try {
+          console.log(`[API ${router._instanceId}] Accessing table: ${prefixedTableName} for file upload to ${req.params.column} of ID: ${req.params.id}`);
+
+          const access = authorizeAccess(req, res, 'write');
+          if (!access) return;
+
+          const settings = getFileColumn(req, res);
+          if (!settings) return;
+          const { column } = req.params;
+
+          // Run multer here so upload errors get this API's JSON error format
+          const uploadError = await new Promise(resolve => attachmentUpload(req, res, resolve));
+          if (uploadError) {
+            return res.status(uploadError.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+              error: 'Invalid upload',
+              details: uploadError.code === 'LIMIT_FILE_SIZE'
+                ? `The file must be at most ${fileService.formatSize(settings.maxSize)}`
+                : uploadError.message
+            });
+          }
+
+          if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded', details: 'Send the file as multipart/form-data in the "file" field' });
+          }
+
+          const fileError = fileService.checkFile(req.file, settings);
+          if (fileError) {
+            return res.status(fileError.status).json({ error: 'File rejected', details: fileError.message });
+          }
+
+          const supabase = createClient(config.supabase.url, config.supabase.key);
+          const row = await findFileRow(supabase, req, access, column, getSoftDelete(req));
+          if (!row) {
+            return res.status(404).json({ error: 'Record not found' });
+          }
+
+          const metadata = await fileService.save(req.apiId, req.file);
+
+          const { data, error } = await accessRuleService.scopeQuery(supabase
+            .from(prefixedTableName)
+            .update({ [column]: metadata, updated_at: new Date().toISOString() })
+            .eq('id', req.params.id), access)
+            .select();
+
+          if (error || !data || data.length === 0) {
+            await fileService.remove(req.apiId, metadata);
+            if (error) {
+              console.error(`Error attaching file to ${prefixedTableName}:`, error);
+              return res.status(500).json({ error: `Database error: ${error.message}` });
+            }
+            return res.status(404).json({ error: 'Record not found' });
+          }
+
+          // The replaced file is no longer referenced
+          await fileService.remove(req.apiId, row[column]);
+
+          emitChange(req, 'update', data[0]);
+
+          res.status(201).json({
+            data: relationshipService.project(data[0], null, []),
+            file: metadata,
+            download: buildFileUrl(req, column, metadata)
+          });
+        } catch (error) {
+          console.error(`Error in POST ${tableName}/:id/files/:column:`, error);
+          res.status(500).json({ error: error.message });
+        }
+      });
+
+      // GET a signed download URL for the file of a record (?expires_in= seconds)
+      router.get(`/${tableName}/:id/files/:column/url`, async (req, res) => {
+        try {
+          const access = authorizeAccess(req, res, 'read');
+          if (!access) return;
+
+          if (!getFileColumn(req, res)) return;
+          const { column } = req.params;
+
+          let ttl = fileService.defaultUrlTtl;
+          if (req.query.expires_in !== undefined) {
+            ttl = Number(req.query.expires_in);
+            if (!Number.isInteger(ttl) || ttl < 1 || ttl > fileService.maxUrlTtl) {
+              return res.status(400).json({
+                error: 'Invalid expires_in parameter',
+                details: `expires_in must be a number of seconds between 1 and ${fileService.maxUrlTtl}`
+              });
+            }
+          }
+
+          const supabase = createClient(config.supabase.url, config.supabase.key);
+          const row = await findFileRow(supabase, req, access, column, getDeletedFilter(req));
+          if (!row) {
+            return res.status(404).json({ error: 'Record not found' });
+          }
+          if (!fileService.getPath(req.apiId, row[column])) {
+            return res.status(404).json({ error: 'No file attached' });
+          }
+
+          res.json({ ...buildFileUrl(req, column, row[column], ttl), file: row[column] });
+        } catch (error) {
+          console.error(`Error in GET ${tableName}/:id/files/:column/url:`, error);
+          res.status(500).json({ error: error.message });
+        }
+      });
+
+      // GET the file of a record, as an authenticated caller or with a signed
+      // URL (?expires=&signature=), which needs no credentials
+      router.get(`/${tableName}/:id/files/:column`, async (req, res) => {
+        try {
+          const signed = req.query.signature !== undefined;
+
+          let access = null;
+          if (!signed) {
+            access = authorizeAccess(req, res, 'read');
+            if (!access) return;
+          }
+
+          if (!getFileColumn(req, res)) return;
+          const { column } = req.params;
+
+          const supabase = createClient(config.supabase.url, config.supabase.key);
+          const row = await findFileRow(supabase, req, access, column, signed ? getSoftDelete(req) : getDeletedFilter(req));
+          const metadata = row && row[column];
+          const filePath = fileService.getPath(req.apiId, metadata);
+
+          // The key of the current file is part of the signature, so links to replaced files stop working
+          if (signed && !(filePath && fileService.verify({
+            apiId: req.apiId, table: tableName, id: req.params.id, column, key: metadata.key
+          }, req.query.expires, req.query.signature))) {
+            return res.status(403).json({ error: 'Invalid or expired download link' });
+          }
+
+          if (!row) {
+            return res.status(404).json({ error: 'Record not found' });
+          }
+          if (!filePath) {
+            return res.status(404).json({ error: 'No file attached' });
+          }
+
+          // Always a download, so uploaded HTML or SVG never runs in the API's origin
+          res.attachment(metadata.filename);
+          res.setHeader('Content-Type', metadata.mimeType || 'application/octet-stream');
+          res.setHeader('X-Content-Type-Options', 'nosniff');
+          res.setHeader('Cache-Control', 'private, no-cache');
+
+          res.sendFile(filePath, error => {
+            if (!error) return;
+            console.error(`Error sending file ${metadata.key} of ${prefixedTableName}:`, error.message);
+            if (!res.headersSent) {
+              res.removeHeader('Content-Disposition');
+              res.status(error.code === 'ENOENT' ? 404 : 500).json({ error: error.code === 'ENOENT' ? 'File not found' : error.message });
+            }
+          });
+        } catch (error) {
+          console.error(`Error in GET ${tableName}/:id/files/:column:`, error);
+          res.status(500).json({ error: error.message });
+        }
+      });
+
+      // DELETE the file of a record
+      router.delete(`/${tableName}/:id/files/:column`, async (req, res) => {
+        try {
+          const access = authorizeAccess(req, res, 'write');
+          if (!access) return;
+
+          if (!getFileColumn(req, res)) return;
+          const { column } = req.params;
+
+          const supabase = createClient(config.supabase.url, config.supabase.key);
+          const row = await findFileRow(supabase, req, access, column, getSoftDelete(req));
+          if (!row) {
             return res.status(404).json({ error: 'Record not found' });
           }
-          
-          // Delete from Supabase
-          const { error } = await supabase
+          if (!row[column]) {
+            return res.status(404).json({ error: 'No file attached' });
+          }
+
+          const { data, error } = await accessRuleService.scopeQuery(supabase
             .from(prefixedTableName)
-            .delete()
-            .eq('id', req.params.id);
-          
+            .update({ [column]: null, updated_at: new Date().toISOString() })
+            .eq('id', req.params.id), access)
+            .select();
+
           if (error) {
-            console.error(`Error deleting record from ${prefixedTableName}:`, error);
+            console.error(`Error removing file from ${prefixedTableName}:`, error);
             return res.status(500).json({ error: `Database error: ${error.message}` });
           }
-          
+
+          await fileService.remove(req.apiId, row[column]);
+          emitChange(req, 'update', data);
+
           res.status(204).send();
         } catch (error) {
-          console.error(`Error in DELETE ${tableName}/:id:`, error);
+          console.error(`Error in DELETE ${tableName}/:id/files/:column:`, error);
           res.status(500).json({ error: error.message });
         }
       });
     });
 
+    // Get the auth configuration of the API this request was routed to
+    const getAuthConfig = (req) => apiAuthService.getAuthConfig(getApiMetadata(req));
+
+    // Options documenting the API's auth in its Swagger spec
+    const getSwaggerOptions = (req) => ({
+      auth: getAuthConfig(req),
+      endUserAuth: !!endUserAuthService.getSettings(getApiMetadata(req)),
+      graphql: true,
+      realtime: true,
+      search: true,
+      aggregate: true,
+      importExport: true,
+      files: true,
+      softDelete: (getApiMetadata(req) || {}).softDelete || {}
+    });
+
+    // GraphiQL IDE next to the Swagger UI; like the docs it loads without
+    // credentials, which are entered in its headers editor
+    router.get('/docs/graphql', (req, res) => {
+      res.type('html').send(graphqlService.renderGraphiQL(`/api/${req.apiId}/graphql`, getAuthConfig(req)));
+    });
+
     // Add Swagger JSON endpoint 
     router.get('/swagger.json', (req, res) => {
       // Create a new isolated instance of _generateSwaggerSpec for this request
-      const swaggerSpec = _generateSwaggerSpec(safeTableSchemas, XAuthUserId);
+      const swaggerSpec = _generateSwaggerSpec(safeTableSchemas, XAuthUserId, getSwaggerOptions(req));
       
       // Get the apiId from the request for constructing proper URLs
       const apiId = req.apiId;
@@ -605,7 +2279,7 @@ class APIGenerator {
     // Mount the Swagger UI - switch back to middleware approach
     router.use('/docs', swaggerUi.serve);
     router.get('/docs', (req, res, next) => {
-      const swaggerSpec = _generateSwaggerSpec(safeTableSchemas, XAuthUserId);
+      const swaggerSpec = _generateSwaggerSpec(safeTableSchemas, XAuthUserId, getSwaggerOptions(req));
       
       // Get the apiId from the request for constructing proper URLs
       const apiId = req.apiId;
@@ -634,13 +2308,13 @@ class APIGenerator {
     });
 
     // Add method to the router to generate Swagger spec with proper context
-    router._generateSwaggerSpec = () => {
+    router._generateSwaggerSpec = (options = {}) => {
       // Get the correct XAuthUserId from the router instance itself
       const effectiveXAuthUserId = router.XAuthUserId;
       console.log(`Router ${router._instanceId} generating Swagger spec for user: ${effectiveXAuthUserId}`);
       
       // Call the generator method with the isolated context
-      return _generateSwaggerSpec(safeTableSchemas, effectiveXAuthUserId);
+      return _generateSwaggerSpec(safeTableSchemas, effectiveXAuthUserId, options);
     };
 
     // Add a log statement to summarize all tables created for this API instance
@@ -651,7 +2325,10 @@ class APIGenerator {
 }
 
 // Create a standalone function version of _generateSwaggerSpec that doesn't depend on 'this'
-function _generateSwaggerSpec(tableSchemas, XAuthUserId) {
+// options.auth is the API's auth configuration, used to document its security scheme
+// options.endUserAuth documents the /auth routes of APIs with end-user auth enabled
+// options.graphql documents the /graphql endpoint of hosted APIs
+function _generateSwaggerSpec(tableSchemas, XAuthUserId, options = {}) {
   // Make a safe copy to prevent modification
   const safeSchemas = JSON.parse(JSON.stringify(tableSchemas));
   
@@ -663,8 +2340,23 @@ function _generateSwaggerSpec(tableSchemas, XAuthUserId) {
   // Build the paths from the schemas
   const paths = {};
   
-  // No security schemes - allow free access to Swagger UI testing
-  const securitySchemes = {};
+  // Security schemes follow the API's auth mode; public APIs have none
+  const security = apiAuthService.getSwaggerSecurity(options.auth);
+  const securitySchemes = security ? security.securitySchemes : {};
+  
+  if (options.endUserAuth) {
+    Object.assign(paths, _generateEndUserAuthPaths());
+    securitySchemes.EndUserAuth = {
+      type: 'http',
+      scheme: 'bearer',
+      bearerFormat: 'JWT',
+      description: 'End-user access token from /auth/login'
+    };
+  }
+  
+  if (options.graphql) {
+    Object.assign(paths, _generateGraphQLPaths());
+  }
   
   // For each table, create swagger paths
   safeSchemas.forEach(schema => {
@@ -674,11 +2366,21 @@ function _generateSwaggerSpec(tableSchemas, XAuthUserId) {
     const tableName = schema.originalName || schema.name;
     if (!tableName) return; // Skip if no table name
     
+    // Tables with soft delete hide deleted rows unless asked not to
+    const softDelete = !!(options.softDelete && options.softDelete[tableName]);
+    const withDeletedParameters = softDelete ? [{
+      name: 'with_deleted',
+      in: 'query',
+      description: 'Include soft-deleted rows (they have deleted_at set)',
+      schema: { type: 'boolean', default: false }
+    }] : [];
+    
     // GET collection path
     paths[`/${tableName}`] = {
       get: {
         tags: [tableName],
         summary: `Get all ${tableName} records`,
+        description: 'Filter with column=value for equality or column[op]=value for operators such as gte, in, ilike and is (e.g. price[gte]=10, status[in]=a,b, name[ilike]=%foo%, deleted_at[is]=null). Prefix an operator with not_ to negate it. Plain parameters that are not columns (such as _=123 or utm_source) are ignored.',
         parameters: [
           {
             name: 'page',
@@ -703,11 +2405,28 @@ function _generateSwaggerSpec(tableSchemas, XAuthUserId) {
             in: 'query',
             description: 'Sort order (asc or desc)',
             schema: { type: 'string', enum: ['asc', 'desc'], default: 'asc' }
-          }
+          },
+          {
+            name: 'cursor',
+            in: 'query',
+            description: 'Switches to cursor pagination. Pass an empty value for the first page, then next_cursor or prev_cursor from the previous response. page is ignored and sort defaults to the primary key.',
+            schema: { type: 'string' }
+          },
+          {
+            name: 'count',
+            in: 'query',
+            description: 'How to compute pagination.total. Defaults to exact for page pagination and none for cursor pagination.',
+            schema: { type: 'string', enum: ['none', 'estimated', 'exact'] }
+          },
+          // Sparse fieldsets and relationship embeds
+          ...relationshipService.describeReadParameters(schema, safeSchemas),
+          ...withDeletedParameters,
+          // One deepObject parameter per filterable column (e.g. price[gte]=10)
+          ...queryBuilder.describeFilterParameters(schema)
         ],
         responses: {
           '200': { description: 'Successful operation' },
-          '400': { description: 'Bad request - Invalid parameters' },
+          '400': { description: 'Bad request - Invalid parameters or filter expressions' },
           '500': { description: 'Internal server error' }
         }
       },
@@ -727,11 +2446,401 @@ function _generateSwaggerSpec(tableSchemas, XAuthUserId) {
         responses: {
           '201': { description: 'Record created successfully' },
           '400': { description: 'Bad request - Invalid data' },
+          '422': { description: 'Validation failed - details lists each failing field' },
+          '500': { description: 'Internal server error' }
+        }
+      },
+      put: {
+        tags: [tableName],
+        summary: `Create or update a ${tableName} record by a unique column`,
+        parameters: [
+          {
+            name: 'on_conflict',
+            in: 'query',
+            required: true,
+            description: 'Unique column used to find an existing record',
+            schema: { type: 'string', enum: queryBuilder.getUniqueColumns(schema) }
+          }
+        ],
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: { 
+                $ref: `#/components/schemas/${tableName}` 
+              }
+            }
+          },
+          description: 'Full record, including the on_conflict column'
+        },
+        responses: {
+          '200': { description: 'Existing record updated' },
+          '201': { description: 'Record created' },
+          '400': { description: 'Bad request - Missing or invalid on_conflict column' },
+          '422': { description: 'Validation failed - details lists each failing field' },
           '500': { description: 'Internal server error' }
         }
       }
     };
     
+    // Bulk create/update/delete path
+    const bulkResponses = {
+      '207': { description: 'Some items failed - see results for per-item errors' },
+      '400': { description: 'Bad request - Missing or empty batch' },
+      '413': { description: 'Batch larger than the maximum allowed by the plan of the API owner' },
+      '422': { description: 'Transactional batch rejected (invalid or missing items) - nothing was written' },
+      '500': { description: 'Internal server error' }
+    };
+    const transactionalProperty = {
+      type: 'boolean',
+      default: false,
+      description: 'Apply all items or none of them'
+    };
+    
+    paths[`/${tableName}/bulk`] = {
+      post: {
+        tags: [tableName],
+        summary: `Create many ${tableName} records`,
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['items'],
+                properties: {
+                  items: { type: 'array', items: { $ref: `#/components/schemas/${tableName}` } },
+                  transactional: transactionalProperty
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '201': { description: 'All records created' },
+          ...bulkResponses
+        }
+      },
+      patch: {
+        tags: [tableName],
+        summary: `Update many ${tableName} records`,
+        description: 'Each item must contain the id of the record to update and the fields to change.',
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['items'],
+                properties: {
+                  items: { type: 'array', items: { $ref: `#/components/schemas/${tableName}` } },
+                  transactional: transactionalProperty
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '200': { description: 'All records updated' },
+          ...bulkResponses
+        }
+      },
+      delete: {
+        tags: [tableName],
+        summary: `Delete many ${tableName} records`,
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['ids'],
+                properties: {
+                  ids: { type: 'array', items: { type: 'string' } },
+                  transactional: transactionalProperty
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '200': { description: 'All records deleted' },
+          ...bulkResponses
+        }
+      }
+    };
+    
+    // Change stream path (served by running APIs only)
+    if (options.realtime) {
+      paths[`/${tableName}/stream`] = {
+        get: {
+          tags: [tableName],
+          summary: `Stream changes to ${tableName} records`,
+          description: 'Server-Sent Events (or a WebSocket when upgraded) with one create, update or delete event per changed row the caller may read. Filters work as on the list endpoint. Reconnect with Last-Event-ID (or last_event_id) to receive missed events; a reset event means they are no longer available.',
+          parameters: [
+            {
+              name: 'fields',
+              in: 'query',
+              description: 'Comma separated columns to include in each event',
+              schema: { type: 'string' }
+            },
+            {
+              name: 'last_event_id',
+              in: 'query',
+              description: 'Resume after this event id (same as the Last-Event-ID header)',
+              schema: { type: 'string' }
+            },
+            ...withDeletedParameters,
+            ...queryBuilder.describeFilterParameters(schema)
+          ],
+          responses: {
+            '200': {
+              description: 'Event stream',
+              content: { 'text/event-stream': { schema: { type: 'string' } } }
+            },
+            '400': { description: 'Invalid filter or fields parameter' },
+            '429': { description: 'Too many open streams for this API' }
+          }
+        }
+      };
+    }
+    
+    // Full-text search path (served by running APIs, for tables with searchable columns)
+    const searchColumns = searchService.getSearchableColumns(schema);
+    if (options.search && searchColumns.length > 0) {
+      paths[`/${tableName}/search`] = {
+        get: {
+          tags: [tableName],
+          summary: `Search ${tableName} records`,
+          description: `Full-text search over ${searchColumns.join(', ')}, best match first. Each record gets _search with its rank and highlight snippets (HTML-escaped, matches wrapped in <mark>). Filters work as on the list endpoint.`,
+          parameters: [
+            {
+              name: 'q',
+              in: 'query',
+              required: true,
+              description: 'Search query: words, "quoted phrases", or, and -excluded words',
+              schema: { type: 'string', maxLength: searchService.maxQueryLength }
+            },
+            {
+              name: 'page',
+              in: 'query',
+              description: 'Page number',
+              schema: { type: 'integer', default: 1 }
+            },
+            {
+              name: 'limit',
+              in: 'query',
+              description: 'Items per page',
+              schema: { type: 'integer', default: 10 }
+            },
+            {
+              name: 'count',
+              in: 'query',
+              description: 'How to compute pagination.total',
+              schema: { type: 'string', enum: ['none', 'estimated', 'exact'], default: 'exact' }
+            },
+            ...relationshipService.describeReadParameters(schema, safeSchemas),
+            ...withDeletedParameters,
+            ...queryBuilder.describeFilterParameters(schema)
+          ],
+          responses: {
+            '200': { description: 'Matching records with pagination' },
+            '400': { description: 'Bad request - Missing query or invalid parameters' },
+            '500': { description: 'Internal server error' }
+          }
+        }
+      };
+    }
+    
+    // Aggregate path (served by running APIs only)
+    if (options.aggregate) {
+      const filterableColumns = queryBuilder.getFilterableColumns(schema);
+      const metricColumns = fn => [...filterableColumns]
+        .filter(([, kind]) => queryBuilder.aggregateFunctions[fn].includes(kind))
+        .map(([column]) => column);
+      
+      paths[`/${tableName}/aggregate`] = {
+        get: {
+          tags: [tableName],
+          summary: `Aggregate ${tableName} records`,
+          description: 'Computes metrics over the records matching the filters, one result per group. Filters work as on the list endpoint. Metrics are named count or <function>_<column> (e.g. sum_amount) in the results.',
+          parameters: [
+            {
+              name: 'group_by',
+              in: 'query',
+              description: `Comma separated columns to group by (at most ${queryBuilder.maxGroupByColumns}). Without it a single result covers every matching record.`,
+              schema: { type: 'string' }
+            },
+            {
+              name: 'metrics',
+              in: 'query',
+              description: `Comma separated metrics, default count. count counts records and count:<column> non-null values. sum and avg work on ${metricColumns('sum').join(', ') || 'no columns of this table'}; min and max on ${metricColumns('min').join(', ') || 'no columns of this table'}.`,
+              schema: { type: 'string', default: 'count', example: 'count,sum:amount' }
+            },
+            ...withDeletedParameters,
+            ...queryBuilder.describeFilterParameters(schema)
+          ],
+          responses: {
+            '200': { description: `Aggregated results (at most ${queryBuilder.maxAggregateGroups} groups; truncated is true when there were more)` },
+            '400': { description: 'Bad request - Invalid group_by, metrics or filter parameters' },
+            '501': { description: 'Aggregate functions are not enabled on the database' },
+            '500': { description: 'Internal server error' }
+          }
+        }
+      };
+    }
+    
+    // Export and import paths (served by running APIs only)
+    if (options.importExport) {
+      paths[`/${tableName}/export`] = {
+        get: {
+          tags: [tableName],
+          summary: `Export ${tableName} records as a file`,
+          description: `Downloads every record matching the filters (at most ${importExportService.maxExportRows}). Filters work as on the list endpoint.`,
+          parameters: [
+            {
+              name: 'format',
+              in: 'query',
+              description: 'File format',
+              schema: { type: 'string', enum: Object.keys(importExportService.formats), default: 'csv' }
+            },
+            {
+              name: 'fields',
+              in: 'query',
+              description: 'Comma separated list of columns to export (e.g. fields=id,name)',
+              schema: { type: 'string' }
+            },
+            ...withDeletedParameters,
+            ...queryBuilder.describeFilterParameters(schema)
+          ],
+          responses: {
+            '200': {
+              description: 'The records as a file download',
+              content: Object.fromEntries(Object.values(importExportService.formats)
+                .map(format => [format.contentType.split(';')[0], { schema: { type: 'string', format: 'binary' } }]))
+            },
+            '400': { description: 'Bad request - Invalid format, fields or filter parameters' },
+            '413': { description: 'Too many records match - narrow the export down with filters' },
+            '500': { description: 'Internal server error' }
+          }
+        }
+      };
+      
+      paths[`/${tableName}/import`] = {
+        post: {
+          tags: [tableName],
+          summary: `Import ${tableName} records from a file`,
+          description: `Creates a record for every row of a CSV, xlsx or NDJSON file (at most ${importExportService.maxImportRows} rows, ${importExportService.maxImportFileSize / (1024 * 1024)}MB). File columns are matched to table columns by name unless a mapping is sent; values are converted to the column types. Valid rows are imported even when others fail, and the response lists the errors of each failed row by its line in the file.`,
+          requestBody: {
+            required: true,
+            content: {
+              'multipart/form-data': {
+                schema: {
+                  type: 'object',
+                  required: ['file'],
+                  properties: {
+                    file: { type: 'string', format: 'binary' },
+                    format: { type: 'string', enum: Object.keys(importExportService.formats), description: 'Defaults to the file extension' },
+                    mapping: { type: 'string', description: 'JSON object of file column to table column, null to skip a column (e.g. {"Full Name": "name", "Notes": null})' },
+                    dry_run: { type: 'boolean', description: 'Only check the rows and report the errors, without importing them' }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            '200': { description: 'Dry run report' },
+            '201': { description: 'Every row was imported' },
+            '207': { description: 'Some rows failed - errors lists them' },
+            '400': { description: 'Bad request - Missing or unreadable file, or invalid mapping' },
+            '413': { description: 'The file has too many rows' },
+            '500': { description: 'Internal server error' }
+          }
+        }
+      };
+    }
+    
+    // File attachment paths (served by running APIs only)
+    const fileColumns = fileService.getFileColumns(schema);
+    if (options.files && fileColumns.size > 0) {
+      const fileParameters = [
+        { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+        { name: 'column', in: 'path', required: true, schema: { type: 'string', enum: [...fileColumns.keys()] } }
+      ];
+      const limits = [...fileColumns].map(([column, settings]) =>
+        `${column}: at most ${fileService.formatSize(settings.maxSize)}${settings.mimeTypes ? `, ${settings.mimeTypes.join(', ')}` : ''}`);
+      
+      paths[`/${tableName}/{id}/files/{column}`] = {
+        post: {
+          tags: [tableName],
+          summary: `Upload a file to a ${tableName} record`,
+          description: `Attaches a file to a file column, replacing the previous one. Limits: ${limits.join('; ')}.`,
+          parameters: fileParameters,
+          requestBody: {
+            required: true,
+            content: {
+              'multipart/form-data': {
+                schema: { type: 'object', required: ['file'], properties: { file: { type: 'string', format: 'binary' } } }
+              }
+            }
+          },
+          responses: {
+            '201': { description: 'File attached - returns the record, the file metadata and a signed download URL' },
+            '400': { description: 'Bad request - No file uploaded' },
+            '404': { description: 'Record or file column not found' },
+            '413': { description: 'The file is too large for the column' },
+            '415': { description: 'The file type is not accepted by the column' },
+            '500': { description: 'Internal server error' }
+          }
+        },
+        get: {
+          tags: [tableName],
+          summary: `Download the file of a ${tableName} record`,
+          description: 'Needs the usual credentials, or expires and signature from a signed URL instead.',
+          parameters: [
+            ...fileParameters,
+            { name: 'expires', in: 'query', description: 'Expiry of a signed URL', schema: { type: 'integer' } },
+            { name: 'signature', in: 'query', description: 'Signature of a signed URL', schema: { type: 'string' } }
+          ],
+          responses: {
+            '200': { description: 'The file', content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } },
+            '403': { description: 'Invalid or expired signed URL' },
+            '404': { description: 'Record, file column or file not found' },
+            '500': { description: 'Internal server error' }
+          }
+        },
+        delete: {
+          tags: [tableName],
+          summary: `Remove the file of a ${tableName} record`,
+          parameters: fileParameters,
+          responses: {
+            '204': { description: 'File removed' },
+            '404': { description: 'Record, file column or file not found' },
+            '500': { description: 'Internal server error' }
+          }
+        }
+      };
+      
+      paths[`/${tableName}/{id}/files/{column}/url`] = {
+        get: {
+          tags: [tableName],
+          summary: `Get a signed download URL for the file of a ${tableName} record`,
+          description: 'The URL downloads the file without credentials until it expires, or until the file is replaced.',
+          parameters: [
+            ...fileParameters,
+            {
+              name: 'expires_in',
+              in: 'query',
+              description: `Lifetime of the URL in seconds (default ${fileService.defaultUrlTtl}, at most ${fileService.maxUrlTtl})`,
+              schema: { type: 'integer' }
+            }
+          ],
+          responses: {
+            '200': { description: 'Signed URL with its expiry and the file metadata' },
+            '400': { description: 'Bad request - Invalid expires_in' },
+            '404': { description: 'Record, file column or file not found' },
+            '500': { description: 'Internal server error' }
+          }
+        }
+      };
+    }
+    
     // GET/PUT/DELETE item path
     paths[`/${tableName}/{id}`] = {
       get: {
@@ -743,11 +2852,13 @@ function _generateSwaggerSpec(tableSchemas, XAuthUserId) {
             in: 'path',
             required: true,
             schema: { type: 'string' }
-          }
+          },
+          ...relationshipService.describeReadParameters(schema, safeSchemas),
+          ...withDeletedParameters
         ],
         responses: {
           '200': { description: 'Successful operation' },
-          '400': { description: 'Bad request - Invalid ID' },
+          '400': { description: 'Bad request - Invalid ID, fields or include' },
           '404': { description: 'Record not found' },
           '500': { description: 'Internal server error' }
         }
@@ -777,6 +2888,37 @@ function _generateSwaggerSpec(tableSchemas, XAuthUserId) {
           '200': { description: 'Record updated successfully' },
           '400': { description: 'Bad request - Invalid data or ID' },
           '404': { description: 'Record not found' },
+          '422': { description: 'Validation failed - details lists each failing field' },
+          '500': { description: 'Internal server error' }
+        }
+      },
+      patch: {
+        tags: [tableName],
+        summary: `Partially update a ${tableName} record`,
+        description: 'Only the supplied fields are changed.',
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' }
+          }
+        ],
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: { 
+                $ref: `#/components/schemas/${tableName}` 
+              }
+            }
+          },
+          description: 'Fields to change'
+        },
+        responses: {
+          '200': { description: 'Record updated successfully' },
+          '400': { description: 'Bad request - Empty update' },
+          '404': { description: 'Record not found' },
+          '422': { description: 'Validation failed - details lists each failing field' },
           '500': { description: 'Internal server error' }
         }
       },
@@ -792,13 +2934,36 @@ function _generateSwaggerSpec(tableSchemas, XAuthUserId) {
           }
         ],
         responses: {
-          '204': { description: 'Record deleted successfully' },
+          '204': { description: softDelete ? 'Record marked as deleted (restore with POST /{id}/restore)' : 'Record deleted successfully' },
           '400': { description: 'Bad request - Invalid ID' },
           '404': { description: 'Record not found' },
           '500': { description: 'Internal server error' }
         }
       }
     };
+    
+    // Restore path of tables with soft delete
+    if (softDelete) {
+      paths[`/${tableName}/{id}/restore`] = {
+        post: {
+          tags: [tableName],
+          summary: `Restore a deleted ${tableName} record`,
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: { type: 'string' }
+            }
+          ],
+          responses: {
+            '200': { description: 'Record restored' },
+            '404': { description: 'Deleted record not found' },
+            '500': { description: 'Internal server error' }
+          }
+        }
+      };
+    }
   });
   
   // Generate schema components from table schemas
@@ -827,7 +2992,25 @@ function _generateSwaggerSpec(tableSchemas, XAuthUserId) {
       
       // Skip XAuthUserId in the Swagger documentation
       if (col.name === 'XAuthUserId') return;
-      
+
+      // File columns hold the metadata of the attached file and are set by uploads only
+      if (fileService.isFileType(col.type)) {
+        properties[col.name] = {
+          type: 'object',
+          nullable: true,
+          readOnly: true,
+          description: `Attached file, uploaded with POST /${tableName}/{id}/files/${col.name}`,
+          properties: {
+            key: { type: 'string' },
+            filename: { type: 'string' },
+            size: { type: 'integer' },
+            mimeType: { type: 'string' },
+            uploadedAt: { type: 'string', format: 'date-time' }
+          }
+        };
+        return;
+      }
+
       let type = 'string';
       let format = undefined;
       let example = undefined;
@@ -839,7 +3022,8 @@ function _generateSwaggerSpec(tableSchemas, XAuthUserId) {
           ? col.constraints.join(' ').toLowerCase() 
           : (typeof col.constraints === 'string' ? col.constraints.toLowerCase() : '');
           
-        if (constraints.includes('not null') || constraints.includes('primary key')) {
+        if ((constraints.includes('not null') || constraints.includes('primary key')) &&
+            !columnDefinitionService.hasServerValue(col)) {
           required = true;
           requiredFields.push(col.name);
         }
@@ -877,11 +3061,33 @@ function _generateSwaggerSpec(tableSchemas, XAuthUserId) {
       }
       
       // Set properties with better examples
+      const maxLengthMatch = col.type.toLowerCase().match(/^(?:varchar|character varying|char|character)\s*\((\d+)\)/);
       properties[col.name] = { 
         type,
         ...(format ? { format } : {}),
+        ...(maxLengthMatch ? { maxLength: parseInt(maxLengthMatch[1]) } : {}),
         ...(example !== undefined ? { example } : {})
       };
+
+      // Declarative column options
+      if (Array.isArray(col.enum) && col.enum.length > 0) {
+        properties[col.name].enum = col.enum;
+        properties[col.name].example = col.enum[0];
+      }
+      if (col.default !== undefined && col.default !== null &&
+          !columnDefinitionService.defaultExpressions.includes(String(col.default).toLowerCase())) {
+        properties[col.name].default = col.default;
+      }
+      if (col.computed !== undefined) {
+        properties[col.name].readOnly = true;
+        properties[col.name].description = `Computed by the database: ${col.computed}`;
+      } else if (col.slug) {
+        properties[col.name].description = `Generated from ${col.slug} when omitted`;
+      } else if (col.autoCode) {
+        const { prefix, digits } = columnDefinitionService.getCodeSettings(col);
+        properties[col.name].description = 'Sequential code generated when omitted';
+        properties[col.name].example = `${prefix}${'1'.padStart(digits, '0')}`;
+      }
     });
     
     // Check for missing foreign key fields that might be added later in relationships
@@ -950,7 +3156,9 @@ function _generateSwaggerSpec(tableSchemas, XAuthUserId) {
     info: {
       title: `API for User ${effectiveXAuthUserId}`,
       version: "1.0.0",
-      description: 'API generated by Backlify\n\n**Open Access**: All API endpoints are publicly accessible and can be tested directly from this Swagger interface without authentication.'
+      description: security
+        ? 'API generated by Backlify\n\n**Authentication required**: Use the Authorize button to provide credentials before testing endpoints.'
+        : 'API generated by Backlify\n\n**Open Access**: All API endpoints are publicly accessible and can be tested directly from this Swagger interface without authentication.'
     },
     servers: [
       {
@@ -962,7 +3170,146 @@ function _generateSwaggerSpec(tableSchemas, XAuthUserId) {
       schemas: schemas || {},
       securitySchemes: securitySchemes
     },
-    // No global security requirements - open access
+    // Global security requirement for protected APIs
+    ...(security ? { security: security.security } : {})
+  };
+}
+
+// Swagger paths of the GraphQL endpoint
+function _generateGraphQLPaths() {
+  const result = {
+    type: 'object',
+    properties: {
+      data: { type: 'object', nullable: true },
+      errors: { type: 'array', items: { type: 'object' } }
+    }
+  };
+
+  return {
+    '/graphql': {
+      post: {
+        tags: ['graphql'],
+        summary: 'Run a GraphQL query or mutation',
+        description: 'Queries, nested relationships and create/update/delete mutations for every table. Explore the schema in GraphiQL at docs/graphql.',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['query'],
+                properties: {
+                  query: { type: 'string', example: '{ __schema { queryType { fields { name } } } }' },
+                  variables: { type: 'object' },
+                  operationName: { type: 'string' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: { description: 'Operation result (resolver errors are listed in errors)', content: { 'application/json': { schema: result } } },
+          400: { description: 'Invalid query' }
+        }
+      },
+      get: {
+        tags: ['graphql'],
+        summary: 'Run a GraphQL query (mutations require POST)',
+        parameters: [
+          { name: 'query', in: 'query', required: true, schema: { type: 'string' } },
+          { name: 'variables', in: 'query', description: 'JSON encoded variables', schema: { type: 'string' } },
+          { name: 'operationName', in: 'query', schema: { type: 'string' } }
+        ],
+        responses: {
+          200: { description: 'Operation result', content: { 'application/json': { schema: result } } },
+          400: { description: 'Invalid query' },
+          405: { description: 'Mutations must be sent with POST' }
+        }
+      }
+    }
+  };
+}
+
+// Swagger paths of the end-user auth routes
+function _generateEndUserAuthPaths() {
+  const credentials = {
+    type: 'object',
+    required: ['email', 'password'],
+    properties: {
+      email: { type: 'string', format: 'email' },
+      password: { type: 'string', format: 'password' }
+    }
+  };
+  const tokens = {
+    type: 'object',
+    properties: {
+      user: { type: 'object' },
+      accessToken: { type: 'string' },
+      refreshToken: { type: 'string' }
+    }
+  };
+  const jsonBody = (schema) => ({ required: true, content: { 'application/json': { schema } } });
+  const jsonResponse = (description, schema) => ({ description, content: { 'application/json': { schema } } });
+
+  return {
+    '/auth/register': {
+      post: {
+        tags: ['auth'],
+        summary: 'Register an end user',
+        security: [],
+        requestBody: jsonBody({
+          ...credentials,
+          properties: { ...credentials.properties, profile: { type: 'object' } }
+        }),
+        responses: {
+          201: jsonResponse('Registered', tokens),
+          400: { description: 'Invalid email or password' },
+          403: { description: 'Registration is closed' },
+          409: { description: 'Email already registered' },
+          429: { description: 'Too many attempts from this client, try again later' }
+        }
+      }
+    },
+    '/auth/login': {
+      post: {
+        tags: ['auth'],
+        summary: 'Log an end user in',
+        security: [],
+        requestBody: jsonBody(credentials),
+        responses: {
+          200: jsonResponse('Logged in', tokens),
+          401: { description: 'Invalid email or password' },
+          429: { description: 'Too many attempts from this client, try again later' }
+        }
+      }
+    },
+    '/auth/refresh': {
+      post: {
+        tags: ['auth'],
+        summary: 'Exchange a refresh token for new tokens',
+        security: [],
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['refreshToken'],
+          properties: { refreshToken: { type: 'string' } }
+        }),
+        responses: {
+          200: jsonResponse('New tokens', tokens),
+          401: { description: 'Invalid or expired refresh token' }
+        }
+      }
+    },
+    '/auth/me': {
+      get: {
+        tags: ['auth'],
+        summary: 'Get the signed-in end user',
+        security: [{ EndUserAuth: [] }],
+        responses: {
+          200: jsonResponse('The end user', { type: 'object', properties: { user: { type: 'object' } } }),
+          401: { description: 'Missing or invalid access token' }
+        }
+      }
+    }
   };
 }
 
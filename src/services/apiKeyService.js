@@ -0,0 +1,333 @@
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const config = require('../config/config');
+
+/**
+ * API Key Service
+ * Manages the keys third parties use to call a generated API in api_key auth mode.
+ * Only a SHA-256 hash of each key is stored; the plain key is returned once on
+ * creation or rotation.
+ *
+ * Scopes restrict what a key can do (all optional, empty means full access):
+ *   readOnly - only GET requests
+ *   tables   - table names the key may access
+ *   methods  - HTTP methods the key may use
+ */
+class ApiKeyService {
+  constructor() {
+    this.supabase = createClient(
+      process.env.SUPABASE_URL || config.supabase.url,
+      process.env.SUPABASE_KEY || config.supabase.key
+    );
+
+    this.methods = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+    this.readMethods = ['GET', 'HEAD', 'OPTIONS'];
+
+    // Columns returned to API owners (never the hash)
+    this.publicColumns = 'id, api_id, name, key_prefix, scopes, created_by, expires_at, last_used_at, revoked_at, created_at, updated_at';
+
+    // last_used_at is written at most once per interval per key
+    this.lastUsedInterval = 60 * 1000; // 1 minute
+    this.lastUsedWrites = new Map();
+  }
+
+  /**
+   * Generate a new API key and its hash
+   * @returns {{key: string, hash: string, prefix: string}} Plain key (shown once) and stored hash
+   */
+  generateKey() {
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const key = `bk_${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+    return { key, prefix, hash: this.hashKey(key) };
+  }
+
+  /**
+   * Hash an API key for storage and lookup
+   * @param {string} key - Plain API key
+   * @returns {string} Hex encoded SHA-256 hash
+   */
+  hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+  }
+
+  /**
+   * Validate scopes submitted by the API owner
+   * @param {Object} scopes - { readOnly, tables, methods }
+   * @param {Array<string>} tableNames - Tables of the API
+   * @returns {Array<string>} Validation errors
+   */
+  validateScopes(scopes, tableNames = []) {
+    const errors = [];
+
+    if (scopes === undefined || scopes === null) return errors;
+
+    if (typeof scopes !== 'object' || Array.isArray(scopes)) {
+      errors.push('scopes must be an object');
+      return errors;
+    }
+
+    if (scopes.readOnly !== undefined && typeof scopes.readOnly !== 'boolean') {
+      errors.push('scopes.readOnly must be a boolean');
+    }
+
+    if (scopes.tables !== undefined) {
+      if (!Array.isArray(scopes.tables) || scopes.tables.some(t => typeof t !== 'string')) {
+        errors.push('scopes.tables must be an array of table names');
+      } else {
+        const unknown = scopes.tables.filter(t => !tableNames.includes(t));
+        if (unknown.length > 0) {
+          errors.push(`Unknown tables in scopes.tables: ${unknown.join(', ')}`);
+        }
+      }
+    }
+
+    if (scopes.methods !== undefined) {
+      if (!Array.isArray(scopes.methods) ||
+          scopes.methods.some(m => typeof m !== 'string' || !this.methods.includes(m.toUpperCase()))) {
+        errors.push(`scopes.methods must be an array of: ${this.methods.join(', ')}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Build the scopes stored with a key, keeping only known fields
+   * @param {Object} scopes - Validated scopes
+   * @returns {Object} Scopes to persist
+   */
+  normalizeScopes(scopes) {
+    const normalized = {};
+    if (!scopes) return normalized;
+
+    if (scopes.readOnly === true) normalized.readOnly = true;
+    if (Array.isArray(scopes.tables) && scopes.tables.length > 0) normalized.tables = [...new Set(scopes.tables)];
+    if (Array.isArray(scopes.methods) && scopes.methods.length > 0) {
+      normalized.methods = [...new Set(scopes.methods.map(m => m.toUpperCase()))];
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Parse the expiry of a new key
+   * @param {Object} body - { expiresAt } (ISO date) or { expiresInDays }
+   * @returns {{expiresAt: string|null, error: string|null}}
+   */
+  parseExpiry(body) {
+    if (body.expiresAt !== undefined && body.expiresAt !== null) {
+      const date = new Date(body.expiresAt);
+      if (isNaN(date.getTime())) return { expiresAt: null, error: 'expiresAt must be a valid date' };
+      if (date.getTime() <= Date.now()) return { expiresAt: null, error: 'expiresAt must be in the future' };
+      return { expiresAt: date.toISOString(), error: null };
+    }
+
+    if (body.expiresInDays !== undefined && body.expiresInDays !== null) {
+      const days = Number(body.expiresInDays);
+      if (!Number.isInteger(days) || days <= 0) {
+        return { expiresAt: null, error: 'expiresInDays must be a positive integer' };
+      }
+      return { expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString(), error: null };
+    }
+
+    return { expiresAt: null, error: null };
+  }
+
+  /**
+   * Create a key for an API
+   * @param {string} apiId - API ID
+   * @param {Object} options - { name, scopes, expiresAt, createdBy }
+   * @returns {Promise<{key: Object, apiKey: string}>} Stored key and the plain key
+   */
+  async createKey(apiId, { name, scopes, expiresAt, createdBy }) {
+    const generated = this.generateKey();
+
+    const { data, error } = await this.supabase
+      .from('api_keys')
+      .insert([{
+        api_id: apiId,
+        name,
+        key_prefix: generated.prefix,
+        key_hash: generated.hash,
+        scopes: scopes || {},
+        created_by: createdBy,
+        expires_at: expiresAt
+      }])
+      .select(this.publicColumns)
+      .single();
+
+    if (error) throw error;
+
+    console.log(`Created API key ${generated.prefix} for API ${apiId}`);
+    return { key: data, apiKey: generated.key };
+  }
+
+  /**
+   * List the keys of an API
+   * @param {string} apiId - API ID
+   * @param {boolean} includeRevoked - Also return revoked keys
+   * @returns {Promise<Array>} Keys without their hashes
+   */
+  async listKeys(apiId, includeRevoked = false) {
+    let query = this.supabase
+      .from('api_keys')
+      .select(this.publicColumns)
+      .eq('api_id', apiId)
+      .order('created_at', { ascending: false });
+
+    if (!includeRevoked) {
+      query = query.is('revoked_at', null);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return (data || []).map(key => ({ ...key, status: this.getStatus(key) }));
+  }
+
+  /**
+   * Replace the secret of a key, keeping its name, scopes and expiry
+   * The old secret stops working immediately.
+   * @param {string} apiId - API ID
+   * @param {string} keyId - Key ID
+   * @returns {Promise<{key: Object, apiKey: string}|null>} Null when the key does not exist or is revoked
+   */
+  async rotateKey(apiId, keyId) {
+    const generated = this.generateKey();
+
+    const { data, error } = await this.supabase
+      .from('api_keys')
+      .update({
+        key_prefix: generated.prefix,
+        key_hash: generated.hash,
+        updated_at: new Date().toISOString()
+      })
+      .eq('api_id', apiId)
+      .eq('id', keyId)
+      .is('revoked_at', null)
+      .select(this.publicColumns);
+
+    if (error) throw error;
+    if (!data || data.length === 0) return null;
+
+    console.log(`Rotated API key ${keyId} of API ${apiId}`);
+    return { key: data[0], apiKey: generated.key };
+  }
+
+  /**
+   * Revoke a key
+   * @param {string} apiId - API ID
+   * @param {string} keyId - Key ID
+   * @returns {Promise<Object|null>} Revoked key, or null when it does not exist or is already revoked
+   */
+  async revokeKey(apiId, keyId) {
+    const now = new Date().toISOString();
+
+    const { data, error } = await this.supabase
+      .from('api_keys')
+      .update({ revoked_at: now, updated_at: now })
+      .eq('api_id', apiId)
+      .eq('id', keyId)
+      .is('revoked_at', null)
+      .select(this.publicColumns);
+
+    if (error) throw error;
+    if (!data || data.length === 0) return null;
+
+    console.log(`Revoked API key ${keyId} of API ${apiId}`);
+    return data[0];
+  }
+
+  /**
+   * Get the status of a key
+   * @param {Object} key - Key row
+   * @returns {string} active, expired or revoked
+   */
+  getStatus(key) {
+    if (key.revoked_at) return 'revoked';
+    if (key.expires_at && new Date(key.expires_at).getTime() <= Date.now()) return 'expired';
+    return 'active';
+  }
+
+  /**
+   * Find the active key of an API matching a plain key
+   * @param {string} apiId - API ID
+   * @param {string} plainKey - Key from the X-API-Key header
+   * @returns {Promise<{key: Object|null, reason: string|null}>} Key row, or the reason it was rejected
+   */
+  async findKey(apiId, plainKey) {
+    const { data, error } = await this.supabase
+      .from('api_keys')
+      .select(this.publicColumns)
+      .eq('key_hash', this.hashKey(plainKey))
+      .eq('api_id', apiId)
+      .limit(1);
+
+    if (error) throw error;
+
+    const key = data && data[0];
+    if (!key) return { key: null, reason: 'Invalid API key' };
+
+    const status = this.getStatus(key);
+    if (status === 'revoked') return { key: null, reason: 'API key has been revoked' };
+    if (status === 'expired') return { key: null, reason: 'API key has expired' };
+
+    return { key, reason: null };
+  }
+
+  /**
+   * Check whether a key's scopes allow a request
+   * @param {Object} scopes - Key scopes
+   * @param {string} method - HTTP method
+   * @param {string} path - Path relative to the API (e.g. /orders/1)
+   * @returns {string|null} Reason the request is not allowed, or null when allowed
+   */
+  checkScopes(scopes, method, path) {
+    if (!scopes) return null;
+
+    const upperMethod = method.toUpperCase();
+    const isRead = this.readMethods.includes(upperMethod);
+
+    if (scopes.readOnly && !isRead) {
+      return 'API key is read-only';
+    }
+
+    // HEAD and OPTIONS are covered by GET
+    const scopeMethod = isRead ? 'GET' : upperMethod;
+    if (Array.isArray(scopes.methods) && !scopes.methods.includes(scopeMethod)) {
+      return `API key is not allowed to use ${scopeMethod}`;
+    }
+
+    if (Array.isArray(scopes.tables)) {
+      const table = path.split('/').filter(Boolean)[0];
+      if (!table || !scopes.tables.includes(table)) {
+        return `API key has no access to ${table ? `table ${table}` : 'this path'}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Record that a key was used
+   * Writes are throttled and never block the request.
+   * @param {Object} key - Key row
+   */
+  touchLastUsed(key) {
+    const now = Date.now();
+    const lastWrite = this.lastUsedWrites.get(key.id) || 0;
+    if (now - lastWrite < this.lastUsedInterval) return;
+
+    this.lastUsedWrites.set(key.id, now);
+
+    this.supabase
+      .from('api_keys')
+      .update({ last_used_at: new Date(now).toISOString() })
+      .eq('id', key.id)
+      .then(({ error }) => {
+        if (error) console.error('Error updating API key last_used_at:', error);
+      });
+  }
+}
+
+module.exports = new ApiKeyService();
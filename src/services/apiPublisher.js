@@ -229,6 +229,34 @@ class APIPublisher {
     return this.apiMetadata.get(apiId);
   }
   
+  // Update API metadata in memory and in the database
+  async updateApiMetadata(apiId, updateData) {
+    const metadata = this.apiMetadata.get(apiId) || await this._getApiMetadataFromDb(apiId);
+    
+    if (!metadata) {
+      throw new Error(`API ${apiId} not found`);
+    }
+    
+    // Clone to prevent sharing references with the caller
+    const updatedMetadata = JSON.parse(JSON.stringify({ ...metadata, ...updateData }));
+    this.apiMetadata.set(apiId, updatedMetadata);
+    
+    await this._updateApiMetadata(apiId, updateData);
+    
+    return updatedMetadata;
+  }
+  
+  // Replace the router of a published API, e.g. after its schema changed,
+  // keeping its ID and merging updateData into its metadata
+  async republishAPI(apiId, router, updateData = {}) {
+    const metadata = await this.updateApiMetadata(apiId, updateData);
+
+    this.apiInstances.set(apiId, router);
+    console.log(`Republished API ${apiId} for user ${metadata.XAuthUserId}`);
+
+    return metadata;
+  }
+
   // Persist API metadata to database
   async _persistApiMetadata(apiId, metadata) {
     try {
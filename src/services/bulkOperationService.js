@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+
+/**
+ * Bulk Operation Service
+ * Shared helpers for the bulk create/update/delete endpoints of generated APIs:
+ * request parsing, per-item checks, result summaries and the SQL used for
+ * all-or-nothing updates.
+ */
+class BulkOperationService {
+  constructor() {
+    // Batch size used when no plan limit applies
+    this.defaultMaxBatchSize = 100;
+  }
+
+  /**
+   * Parse a bulk request body
+   * Accepts { items: [...], transactional } or a plain array of items
+   * @param {Object|Array} body - Request body
+   * @param {string} key - Property holding the items (items or ids)
+   * @param {number} maxBatchSize - Maximum number of items
+   * @returns {{items: Array, transactional: boolean, error: Object|null, status: number}}
+   */
+  parseRequest(body, key, maxBatchSize) {
+    const items = Array.isArray(body) ? body : (body && body[key]);
+    const transactional = !Array.isArray(body) && body && (body.transactional === true || body.transactional === 'true');
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return {
+        status: 400,
+        error: { error: 'Invalid bulk request', details: `Request body must contain a non-empty "${key}" array` }
+      };
+    }
+
+    if (items.length > maxBatchSize) {
+      return {
+        status: 413,
+        error: {
+          error: 'Batch too large',
+          details: `A bulk request can contain at most ${maxBatchSize} items (received ${items.length})`
+        }
+      };
+    }
+
+    return { items, transactional: !!transactional, error: null };
+  }
+
+  /**
+   * Check the shape of a single item of a bulk create or update
+   * Column level checks are done by schemaValidator on the prepared row.
+   * @param {*} item - Item from the request
+   * @param {Object} options - { requireId }
+   * @returns {Array} Errors for the item (empty when valid)
+   */
+  checkItem(item, { requireId = false } = {}) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      return [{ field: null, code: 'invalid_body', message: 'Item must be an object' }];
+    }
+
+    if (requireId && (item.id === undefined || item.id === null || item.id === '')) {
+      return [{ field: 'id', code: 'required', message: 'id is required' }];
+    }
+
+    return [];
+  }
+
+  /**
+   * Find ids that appear more than once in a batch
+   * @param {Array} ids - Item ids
+   * @returns {Set<string>} Duplicated ids
+   */
+  findDuplicates(ids) {
+    const seen = new Set();
+    const duplicates = new Set();
+    ids.forEach(id => {
+      const key = String(id);
+      if (seen.has(key)) duplicates.add(key);
+      seen.add(key);
+    });
+    return duplicates;
+  }
+
+  /**
+   * Build the response body for a bulk request
+   * @param {Array} results - Per-item results ({ index, status, ... })
+   * @param {boolean} transactional - Whether the batch was all-or-nothing
+   * @param {Array} successStatuses - Statuses that count as succeeded
+   * @returns {Object} Response body
+   */
+  summarize(results, transactional, successStatuses) {
+    const succeeded = results.filter(r => successStatuses.includes(r.status)).length;
+
+    return {
+      transactional,
+      summary: {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded
+      },
+      results
+    };
+  }
+
+  /**
+   * Quote a JSON value as a SQL literal
+   * Values are passed as untyped literals so Postgres casts them to the column type.
+   * @param {*} value - Value from the request
+   * @returns {string} SQL literal
+   */
+  toSqlLiteral(value) {
+    if (value === null || value === undefined) return 'NULL';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return `'${text.replace(/'/g, "''")}'`;
+  }
+
+  /**
+   * Build the SQL for updating several rows in one execute_sql call
+   * execute_sql runs the whole string in one function call, so either every
+   * statement is applied or none is. Each UPDATE repeats the access rule and
+   * soft delete conditions of the earlier lookup and fails the batch when its
+   * row no longer matches them, so a concurrent change cannot widen it.
+   * @param {string} tableName - Prefixed table name
+   * @param {Array} updates - [{ id, data }]
+   * @param {Object} conditions - { owner: { column, id } | null, deletedColumn: string | null }
+   * @returns {string} SQL statements
+   */
+  buildUpdateSQL(tableName, updates, { owner = null, deletedColumn = null } = {}) {
+    const quote = identifier => `"${String(identifier).replace(/"/g, '""')}"`;
+    // A random dollar-quote tag, so no value from the request can end the block
+    const tag = `$bulk_${crypto.randomBytes(8).toString('hex')}$`;
+
+    const statements = updates.map(({ id, data }) => {
+      const assignments = Object.entries(data)
+        .filter(([column]) => column !== 'id')
+        .map(([column, value]) => `${quote(column)} = ${this.toSqlLiteral(value)}`);
+
+      const where = [`"id" = ${this.toSqlLiteral(id)}`];
+      if (owner) where.push(`${quote(owner.column)} = ${this.toSqlLiteral(owner.id)}`);
+      if (deletedColumn) where.push(`${quote(deletedColumn)} IS NULL`);
+
+      return `  UPDATE ${quote(tableName)} SET ${assignments.join(', ')} WHERE ${where.join(' AND ')};
+  GET DIAGNOSTICS affected = ROW_COUNT;
+  IF affected = 0 THEN
+    RAISE EXCEPTION 'Record % not found', ${this.toSqlLiteral(String(id))};
+  END IF;`;
+    });
+
+    return `DO ${tag}
+DECLARE affected integer;
+BEGIN
+${statements.join('\n')}
+END ${tag};`;
+  }
+}
+
+module.exports = new BulkOperationService();
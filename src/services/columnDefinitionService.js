@@ -0,0 +1,551 @@
+const crypto = require('crypto');
+
+/**
+ * Column Definition Service
+ * Declarative column options of table definitions, turned into SQL by the
+ * table generators and the schema migrations:
+ *
+ *   computed: "first_name || ' ' || last_name"   generated (read-only) column
+ *   slug: "title"                                 URL slug filled from another column
+ *   autoCode: { prefix: "INV-", digits: 5 }      human-readable sequential code
+ *   enum: ["draft", "published"]                  allowed values
+ *   default: "draft" | 0 | true | "now()"        server-side default
+ *
+ * Slugs and codes are unique and only filled when a row is inserted without
+ * one, so they stay stable when the source column changes.
+ *
+ * Column types are checked against sqlTypes, as they are written into the DDL.
+ */
+class ColumnDefinitionService {
+  constructor() {
+    this.options = ['computed', 'slug', 'autoCode', 'enum', 'default'];
+
+    // Functions computed columns may call; Postgres only accepts immutable ones
+    this.computedFunctions = [
+      'coalesce', 'nullif', 'greatest', 'least',
+      'lower', 'upper', 'initcap', 'trim', 'ltrim', 'rtrim', 'btrim',
+      'length', 'char_length', 'substr', 'left', 'right', 'replace', 'lpad', 'rpad', 'split_part', 'md5',
+      'abs', 'round', 'trunc', 'ceil', 'floor', 'mod', 'power', 'sqrt'
+    ];
+    this.computedKeywords = ['case', 'when', 'then', 'else', 'end', 'and', 'or', 'not', 'null', 'is', 'true', 'false', 'in', 'between', 'like', 'ilike'];
+    this.maxExpressionLength = 500;
+
+    // Default expressions; any other default is stored as a literal value
+    this.defaultExpressions = ['now()', 'current_timestamp', 'current_date', 'gen_random_uuid()', 'uuid_generate_v4()'];
+
+    this.maxEnumValues = 100;
+    this.codePrefixPattern = /^[A-Za-z0-9_.#\/-]{0,20}$/;
+    this.defaultCodeDigits = 5;
+    this.maxCodeDigits = 12;
+
+    this.textTypePattern = /^(text|citext|varchar|character varying)(\s*\(\s*(\d+)\s*\))?$/i;
+
+    // Column types tables may use, each with an optional (n) or (p, s) modifier
+    // and [] for arrays
+    this.sqlTypes = [
+      'smallint', 'integer', 'int', 'int2', 'int4', 'int8', 'bigint',
+      'smallserial', 'serial', 'bigserial', 'serial2', 'serial4', 'serial8',
+      'numeric', 'decimal', 'real', 'float', 'float4', 'float8', 'double precision', 'money',
+      'boolean', 'bool',
+      'text', 'citext', 'varchar', 'character varying', 'char', 'character',
+      'uuid', 'json', 'jsonb', 'bytea', 'inet', 'cidr', 'macaddr',
+      'date', 'time', 'timetz', 'time with time zone', 'time without time zone',
+      'timestamp', 'timestamptz', 'timestamp with time zone', 'timestamp without time zone', 'interval',
+      'file'
+    ];
+  }
+
+  /**
+   * Check a column type against sqlTypes
+   * @param {string} type - Column type
+   * @returns {boolean}
+   */
+  isValidType(type) {
+    if (typeof type !== 'string') return false;
+
+    const normalized = type.toLowerCase().replace(/\s+/g, ' ').trim()
+      .replace(/ ?\( ?\d+ ?(?:, ?\d+ ?)?\)/, '')
+      .replace(/(?: ?\[ ?\])+$/, '');
+    return this.sqlTypes.includes(normalized);
+  }
+
+  /**
+   * Check whether a column has any declarative option
+   * @param {Object} column - Column definition
+   * @returns {boolean}
+   */
+  hasOptions(column) {
+    return !!column && this.options.some(option => column[option] !== undefined);
+  }
+
+  /**
+   * Check whether the database fills a column when a row is inserted without it
+   * @param {Object} column - Column definition
+   * @returns {boolean}
+   */
+  hasServerValue(column) {
+    if (!column) return false;
+    return column.computed !== undefined || !!column.slug || !!column.autoCode ||
+      (column.default !== undefined && column.default !== null);
+  }
+
+  /**
+   * Get the code settings of an autoCode column
+   * @param {Object} column - Column definition
+   * @returns {{prefix: string, digits: number, start: number}|null}
+   */
+  getCodeSettings(column) {
+    if (!column || !column.autoCode) return null;
+
+    const settings = column.autoCode === true ? {} : column.autoCode;
+    return {
+      prefix: settings.prefix || '',
+      digits: settings.digits || this.defaultCodeDigits,
+      start: settings.start || 1
+    };
+  }
+
+  /**
+   * Validate the column types and declarative options of a table definition
+   * @param {Object} table - Table definition
+   * @returns {Array<string>} Validation errors
+   */
+  validateColumns(table) {
+    const errors = [];
+    const columns = ((table && table.columns) || []).filter(Boolean);
+    const byName = new Map(columns.map(column => [column.name, column]));
+
+    columns.forEach(column => {
+      const label = `${table.name}.${column.name}`;
+
+      if (!this.isValidType(column.type)) {
+        errors.push(`${label}: type ${column.type} is not supported`);
+        return;
+      }
+
+      if (!this.hasOptions(column)) return;
+
+      const used = this.options.filter(option => column[option] !== undefined);
+      const constraints = [].concat(column.constraints || []).join(' ').toLowerCase();
+      const textMatch = String(column.type || '').trim().match(this.textTypePattern);
+
+      const generators = used.filter(option => ['computed', 'slug', 'autoCode', 'default'].includes(option));
+      if (generators.length > 1) {
+        errors.push(`${label}: ${generators.join(' and ')} cannot be combined`);
+        return;
+      }
+      if (generators.length > 0 && /default/.test(constraints)) {
+        errors.push(`${label}: ${generators[0]} cannot be combined with a default constraint`);
+      }
+      if (generators.length > 0 && /primary key/.test(constraints)) {
+        errors.push(`${label}: primary keys cannot use ${generators[0]}`);
+      }
+
+      if (column.computed !== undefined) {
+        errors.push(...this._validateExpression(label, column, byName));
+      }
+
+      if (column.slug !== undefined) {
+        const source = byName.get(column.slug);
+        if (typeof column.slug !== 'string' || !source || source === column) {
+          errors.push(`${label}: slug must name another column of the table`);
+        } else if (source.computed !== undefined) {
+          errors.push(`${label}: slug cannot be made from the computed column ${column.slug}`);
+        }
+        if (!textMatch) {
+          errors.push(`${label}: slug columns must be text or varchar`);
+        }
+      }
+
+      if (column.autoCode !== undefined) {
+        const settings = column.autoCode === true ? {} : column.autoCode;
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+          errors.push(`${label}: autoCode must be true or { prefix, digits, start }`);
+        } else {
+          if (settings.prefix !== undefined && (typeof settings.prefix !== 'string' || !this.codePrefixPattern.test(settings.prefix))) {
+            errors.push(`${label}: autoCode prefix must be up to 20 letters, digits or _ . # / -`);
+          }
+          if (settings.digits !== undefined && (!Number.isInteger(settings.digits) || settings.digits < 1 || settings.digits > this.maxCodeDigits)) {
+            errors.push(`${label}: autoCode digits must be between 1 and ${this.maxCodeDigits}`);
+          }
+          if (settings.start !== undefined && (!Number.isInteger(settings.start) || settings.start < 1)) {
+            errors.push(`${label}: autoCode start must be a positive integer`);
+          }
+          if (!textMatch) {
+            errors.push(`${label}: autoCode columns must be text or varchar`);
+          } else if (textMatch[3]) {
+            const code = this.getCodeSettings(column);
+            if (code.prefix.length + code.digits > parseInt(textMatch[3])) {
+              errors.push(`${label}: ${textMatch[0]} is too short for codes like ${code.prefix}${'0'.repeat(code.digits)}`);
+            }
+          }
+        }
+      }
+
+      if (column.enum !== undefined) {
+        const values = column.enum;
+        if (!Array.isArray(values) || values.length === 0 || values.length > this.maxEnumValues ||
+            values.some(value => typeof value !== 'string' || value === '' || value.length > 255)) {
+          errors.push(`${label}: enum must be a list of 1 to ${this.maxEnumValues} non-empty strings`);
+        } else if (new Set(values).size !== values.length) {
+          errors.push(`${label}: enum values must be unique`);
+        }
+        if (!textMatch) {
+          errors.push(`${label}: enum columns must be text or varchar`);
+        }
+        if (Array.isArray(values) && column.default !== undefined && column.default !== null && !values.includes(column.default)) {
+          errors.push(`${label}: default must be one of the enum values`);
+        }
+      }
+
+      if (column.default !== undefined && column.default !== null &&
+          !['string', 'number', 'boolean'].includes(typeof column.default)) {
+        errors.push(`${label}: default must be a string, number or boolean`);
+      } else if (typeof column.default === 'number' && !Number.isFinite(column.default)) {
+        errors.push(`${label}: default must be a finite number`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * SQL added to a column definition after its type and constraints
+   * @param {Object} column - Column definition
+   * @param {string} tableName - Table name as created
+   * @param {Object} options - { withDefault } false when the caller emits the default itself
+   * @returns {string} SQL fragment, empty for plain columns
+   */
+  getColumnSQL(column, tableName, { withDefault = true } = {}) {
+    if (!this.hasOptions(column)) return '';
+
+    const constraints = [].concat(column.constraints || []).join(' ').toLowerCase();
+    let sql = '';
+
+    if (column.computed !== undefined) {
+      sql += ` GENERATED ALWAYS AS (${this.compileExpression(column.computed)}) STORED`;
+    }
+
+    if (column.autoCode) {
+      const { prefix, digits } = this.getCodeSettings(column);
+      const sequence = this._literal(this._quote(this.getSequenceName(tableName, column.name)));
+      sql += ` DEFAULT ${prefix ? `${this._literal(prefix)} || ` : ''}lpad(nextval(${sequence})::text, ${digits}, '0')`;
+    }
+
+    if (withDefault) {
+      const defaultSQL = this.getDefaultSQL(column);
+      if (defaultSQL) sql += ` DEFAULT ${defaultSQL}`;
+    }
+
+    if ((column.slug || column.autoCode) && !/unique|primary key/.test(constraints)) {
+      sql += ' UNIQUE';
+    }
+
+    if (Array.isArray(column.enum) && column.enum.length > 0) {
+      sql += ` CONSTRAINT ${this._quote(this.getEnumConstraintName(column.name))} CHECK (${this.getEnumCheckSQL(column)})`;
+    }
+
+    return sql;
+  }
+
+  /**
+   * SQL of a declarative default
+   * @param {Object} column - Column definition
+   * @returns {string|null} Default expression or null without one
+   */
+  getDefaultSQL(column) {
+    const value = column && column.default;
+    if (value === undefined || value === null) return null;
+
+    if (typeof value === 'string' && this.defaultExpressions.includes(value.toLowerCase())) {
+      return value.toLowerCase();
+    }
+    if (typeof value === 'number' || typeof value === 'boolean') {
+      return String(value);
+    }
+    return this._literal(value);
+  }
+
+  /**
+   * Condition of the CHECK constraint of an enum column
+   * @param {Object} column - Column definition
+   * @returns {string} SQL condition
+   */
+  getEnumCheckSQL(column) {
+    return `${this._quote(column.name)} IN (${column.enum.map(value => this._literal(value)).join(', ')})`;
+  }
+
+  /**
+   * Name of the CHECK constraint of an enum column
+   * @param {string} columnName - Column name
+   * @returns {string}
+   */
+  getEnumConstraintName(columnName) {
+    return this._fitName(`${columnName}_enum_check`);
+  }
+
+  /**
+   * Name of the sequence numbering an autoCode column
+   * @param {string} tableName - Table name as created
+   * @param {string} columnName - Column name
+   * @returns {string}
+   */
+  getSequenceName(tableName, columnName) {
+    return this._fitName(`${tableName}_${columnName}_code_seq`);
+  }
+
+  /**
+   * SQL that has to run before the table (or column) is created
+   * @param {string} tableName - Table name as created
+   * @param {Array} columns - Columns being created
+   * @returns {string} SQL statements, empty when none are needed
+   */
+  getBeforeTableSQL(tableName, columns) {
+    return (columns || [])
+      .filter(column => column && column.autoCode)
+      .map(column => `CREATE SEQUENCE IF NOT EXISTS ${this._quote(this.getSequenceName(tableName, column.name))} START WITH ${this.getCodeSettings(column).start};`)
+      .join('\n');
+  }
+
+  /**
+   * SQL that has to run after the table (or column) is created: sequence
+   * ownership and the triggers filling slugs
+   * @param {string} tableName - Table name as created
+   * @param {Array} columns - Columns being created
+   * @returns {string} SQL statements, empty when none are needed
+   */
+  getAfterTableSQL(tableName, columns) {
+    const table = this._quote(tableName);
+    const statements = [];
+
+    (columns || []).filter(Boolean).forEach(column => {
+      if (column.autoCode) {
+        statements.push(`ALTER SEQUENCE ${this._quote(this.getSequenceName(tableName, column.name))} OWNED BY ${table}.${this._quote(column.name)};`);
+      }
+
+      if (column.slug) {
+        statements.push(this.getSlugSQL(tableName, column));
+      }
+    });
+
+    return statements.join('\n');
+  }
+
+  /**
+   * Function and trigger filling a slug column
+   * @param {string} tableName - Table name as created
+   * @param {Object} column - Slug column definition
+   * @returns {string} SQL statements
+   */
+  getSlugSQL(tableName, column) {
+    const table = this._quote(tableName);
+    const slug = this._quote(column.name);
+    const source = this._quote(column.slug);
+    const fn = this._quote(this._slugFunctionName(tableName, column.name));
+    const trigger = this._quote(`set_${column.name}_slug`);
+    const lengthMatch = String(column.type || '').match(this.textTypePattern);
+    // Room for the -<n> suffix of duplicates
+    const base = `regexp_replace(lower(coalesce(NEW.${source}::text, '')), '[^a-z0-9]+', '-', 'g')`;
+    const trimmed = lengthMatch && lengthMatch[3]
+      ? `left(${base}, ${Math.max(parseInt(lengthMatch[3]) - 8, 1)})`
+      : base;
+
+    return `CREATE OR REPLACE FUNCTION ${fn}()
+RETURNS TRIGGER AS $slug$
+DECLARE
+  base text;
+  candidate text;
+  n integer := 1;
+BEGIN
+  IF NEW.${slug} IS NOT NULL AND NEW.${slug} <> '' THEN
+    RETURN NEW;
+  END IF;
+  base := trim(both '-' from ${trimmed});
+  IF base = '' THEN
+    base := 'item';
+  END IF;
+  candidate := base;
+  WHILE EXISTS (SELECT 1 FROM ${table} WHERE ${slug} = candidate) LOOP
+    n := n + 1;
+    candidate := base || '-' || n;
+  END LOOP;
+  NEW.${slug} := candidate;
+  RETURN NEW;
+END;
+$slug$ LANGUAGE plpgsql;
+DROP TRIGGER IF EXISTS ${trigger} ON ${table};
+CREATE TRIGGER ${trigger}
+BEFORE INSERT OR UPDATE OF ${slug} ON ${table}
+FOR EACH ROW
+EXECUTE FUNCTION ${fn}();`;
+  }
+
+  /**
+   * Drop the function and trigger of a slug column
+   * @param {string} tableName - Table name as created
+   * @param {string} columnName - Name the slug column had when they were created
+   * @returns {string} SQL statements
+   */
+  getDropSlugSQL(tableName, columnName) {
+    return `DROP TRIGGER IF EXISTS ${this._quote(`set_${columnName}_slug`)} ON ${this._quote(tableName)};
+DROP FUNCTION IF EXISTS ${this._quote(this._slugFunctionName(tableName, columnName))}();`;
+  }
+
+  /**
+   * Compare the options of a column before and after a schema change
+   * Postgres carries generated expressions through column renames, so the
+   * current definition is compared with the renamed columns applied.
+   * @param {Object} before - Current column definition
+   * @param {Object} after - Proposed column definition
+   * @param {Map<string, string>} renamed - Old column name to new name
+   * @returns {{generatorChanged: boolean, enumChanged: boolean, slugRenamed: boolean}}
+   */
+  diffColumn(before, after, renamed = new Map()) {
+    const generator = (column, names) => JSON.stringify({
+      computed: column.computed === undefined ? null : this.compileExpression(column.computed, names),
+      slug: column.slug ? (names.get(column.slug) || column.slug) : null,
+      autoCode: this.getCodeSettings(column)
+    });
+    const enumValues = column => JSON.stringify(Array.isArray(column.enum) ? column.enum : null);
+
+    return {
+      generatorChanged: generator(before, renamed) !== generator(after, new Map()),
+      enumChanged: enumValues(before) !== enumValues(after),
+      // The slug trigger names its columns, so renames have to rebuild it
+      slugRenamed: !!after.slug && (before.name !== after.name || before.slug !== after.slug)
+    };
+  }
+
+  /**
+   * Turn a validated computed expression into SQL, quoting column names
+   * @param {string} expression - Expression from the column definition
+   * @param {Map<string, string>} renamed - Column names to replace
+   * @returns {string} SQL expression
+   */
+  compileExpression(expression, renamed = new Map()) {
+    const tokens = this._tokenize(String(expression));
+    return tokens.map((token, index) => {
+      if (token.type !== 'identifier') return token.value;
+      const lower = token.value.toLowerCase();
+      const next = tokens.slice(index + 1).find(t => t.type !== 'space');
+      if (next && next.value === '(' && this.computedFunctions.includes(lower)) return lower;
+      if (this.computedKeywords.includes(lower)) return lower.toUpperCase();
+      return this._quote(renamed.get(token.value) || token.value);
+    }).join('');
+  }
+
+  /**
+   * Check a computed expression: only columns of the table, literals,
+   * operators and the allowed functions
+   * @private
+   */
+  _validateExpression(label, column, byName) {
+    const expression = column.computed;
+    if (typeof expression !== 'string' || expression.trim() === '' || expression.length > this.maxExpressionLength) {
+      return [`${label}: computed must be an SQL expression of at most ${this.maxExpressionLength} characters`];
+    }
+
+    let tokens;
+    try {
+      tokens = this._tokenize(expression);
+    } catch (error) {
+      return [`${label}: ${error.message}`];
+    }
+
+    const errors = [];
+    let depth = 0;
+    tokens.forEach((token, index) => {
+      if (token.value === '(') depth++;
+      if (token.value === ')') depth--;
+      if (depth < 0) errors.push(`${label}: unbalanced parentheses in computed expression`);
+
+      if (token.type !== 'identifier') return;
+
+      const lower = token.value.toLowerCase();
+      const next = tokens.slice(index + 1).find(t => t.type !== 'space');
+      if (next && next.value === '(') {
+        if (!this.computedFunctions.includes(lower)) {
+          errors.push(`${label}: function ${token.value}() is not allowed in computed columns. Allowed: ${this.computedFunctions.join(', ')}`);
+        }
+      } else if (!this.computedKeywords.includes(lower)) {
+        const source = byName.get(token.value);
+        if (!source) {
+          errors.push(`${label}: computed expression uses unknown column "${token.value}"`);
+        } else if (source === column) {
+          errors.push(`${label}: a computed column cannot use itself`);
+        } else if (source.computed !== undefined) {
+          errors.push(`${label}: computed columns cannot use other computed columns (${token.value})`);
+        }
+      }
+    });
+
+    if (depth > 0) errors.push(`${label}: unbalanced parentheses in computed expression`);
+    return [...new Set(errors)];
+  }
+
+  /**
+   * Split an expression into tokens, rejecting anything that is not a
+   * literal, identifier, operator or parenthesis
+   * @private
+   */
+  _tokenize(expression) {
+    const pattern = /\s+|'(?:[^']|'')*'|\d+(?:\.\d+)?|[A-Za-z_][A-Za-z0-9_]*|\|\||<=|>=|<>|!=|[-+*\/%=<>(),]/y;
+    const tokens = [];
+    let position = 0;
+
+    while (position < expression.length) {
+      pattern.lastIndex = position;
+      const match = pattern.exec(expression);
+      if (!match) {
+        throw new Error(`unexpected "${expression.slice(position, position + 10)}" in computed expression`);
+      }
+
+      const value = match[0];
+      let type = 'operator';
+      if (/^\s/.test(value)) type = 'space';
+      else if (value[0] === "'") type = 'string';
+      else if (/^\d/.test(value)) type = 'number';
+      else if (/^[A-Za-z_]/.test(value)) type = 'identifier';
+
+      tokens.push({ type, value });
+      position += value.length;
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Name of the function filling a slug column
+   * @private
+   */
+  _slugFunctionName(tableName, columnName) {
+    return this._fitName(`${tableName}_${columnName}_slug`);
+  }
+
+  /**
+   * Shorten a name to Postgres' 63 character limit, keeping it unique
+   * @private
+   */
+  _fitName(name) {
+    if (name.length <= 63) return name;
+    return `${name.slice(0, 30)}_${crypto.createHash('md5').update(name).digest('hex')}`;
+  }
+
+  /**
+   * Quote an SQL string literal
+   * @private
+   */
+  _literal(value) {
+    return `'${String(value).replace(/'/g, "''")}'`;
+  }
+
+  /**
+   * Quote an SQL identifier
+   * @private
+   */
+  _quote(identifier) {
+    return `"${String(identifier).replace(/"/g, '""')}"`;
+  }
+}
+
+module.exports = new ColumnDefinitionService();
@@ -0,0 +1,349 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createClient } = require('@supabase/supabase-js');
+const config = require('../config/config');
+const passwordPolicy = require('../utils/security/passwordPolicy');
+
+// Tokens of every API are signed with a key derived from the server secret
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(64).toString('hex');
+const JWT_EXPIRY = process.env.JWT_EXPIRY || '1h';
+const REFRESH_TOKEN_EXPIRY = process.env.REFRESH_TOKEN_EXPIRY || '7d';
+
+/**
+ * End User Auth Service
+ * Sign-up and login for the end users of a generated API. Each API that enables
+ * it gets its own users table and its own token signing key, so tokens issued
+ * for one API are rejected by every other API.
+ *
+ * Settings are stored in the API metadata as endUserAuth:
+ *   { enabled, table, allowRegistration, defaultRoles, secretVersion }
+ */
+class EndUserAuthService {
+  constructor() {
+    this.supabase = createClient(
+      process.env.SUPABASE_URL || config.supabase.url,
+      process.env.SUPABASE_KEY || config.supabase.key
+    );
+
+    this.issuer = 'backlify';
+    this.emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+    // Hash checked when a login email is unknown, so unknown and known emails
+    // take as long to answer (created on first use)
+    this.dummyPasswordHash = null;
+  }
+
+  /**
+   * Get the end-user auth settings of an API
+   * @param {Object} metadata - API metadata from the registry
+   * @returns {Object|null} Settings, or null when end-user auth is disabled
+   */
+  getSettings(metadata) {
+    const settings = metadata && metadata.endUserAuth;
+    return settings && settings.enabled ? settings : null;
+  }
+
+  /**
+   * Get the name of an API's users table
+   * The double underscore keeps it apart from the API's own tables.
+   * @param {Object} metadata - API metadata
+   * @returns {string} Table name
+   */
+  getTableName(metadata) {
+    return `${metadata.XAuthUserId}_${metadata.apiIdentifier}__auth_users`.toLowerCase();
+  }
+
+  /**
+   * Create the users table of an API
+   * @param {string} tableName - Table name from getTableName
+   */
+  async createUsersTable(tableName) {
+    const table = `"${tableName.replace(/"/g, '""')}"`;
+
+    const { data, error } = await this.supabase.rpc('execute_sql', {
+      sql_query: `
+        CREATE TABLE IF NOT EXISTS ${table} (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          email VARCHAR(255) NOT NULL UNIQUE,
+          password_hash VARCHAR(255) NOT NULL,
+          roles JSONB NOT NULL DEFAULT '[]',
+          profile JSONB NOT NULL DEFAULT '{}',
+          last_login_at TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        );
+      `
+    });
+
+    const sqlError = error || (data && data.success === false ? { message: data.error } : null);
+    if (sqlError) {
+      console.error(`Error creating end-user table ${tableName}:`, sqlError);
+      throw new Error(sqlError.message);
+    }
+
+    console.log(`✅ End-user table ${tableName} ready`);
+  }
+
+  /**
+   * Derive the token signing key of an API
+   * @private
+   */
+  _getSigningKey(apiId, settings) {
+    return crypto
+      .createHmac('sha256', JWT_SECRET)
+      .update(`api-users:${apiId}:${settings.secretVersion || 1}`)
+      .digest('hex');
+  }
+
+  /**
+   * Issue access and refresh tokens for an end user
+   * @param {string} apiId - API ID
+   * @param {Object} settings - End-user auth settings
+   * @param {Object} user - User row
+   * @returns {{accessToken: string, refreshToken: string}}
+   */
+  issueTokens(apiId, settings, user) {
+    const key = this._getSigningKey(apiId, settings);
+    const claims = { email: user.email, roles: user.roles || [] };
+    const options = { issuer: this.issuer, audience: apiId, subject: String(user.id) };
+
+    return {
+      accessToken: jwt.sign({ ...claims, type: 'access' }, key, { ...options, expiresIn: JWT_EXPIRY }),
+      refreshToken: jwt.sign({ type: 'refresh' }, key, { ...options, expiresIn: REFRESH_TOKEN_EXPIRY })
+    };
+  }
+
+  /**
+   * Verify an end-user token of an API
+   * @param {string} apiId - API ID
+   * @param {Object} settings - End-user auth settings
+   * @param {string} token - JWT
+   * @param {string} type - access or refresh
+   * @returns {Object|null} Token claims, or null when the token is invalid
+   */
+  verifyToken(apiId, settings, token, type = 'access') {
+    try {
+      const claims = jwt.verify(token, this._getSigningKey(apiId, settings), {
+        algorithms: ['HS256'],
+        issuer: this.issuer,
+        audience: apiId
+      });
+      return claims.type === type ? claims : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Build the caller identity (req.apiUser) for an access token
+   * @param {Object} claims - Verified access token claims
+   * @returns {Object} Caller identity
+   */
+  toApiUser(claims) {
+    return { id: claims.sub, email: claims.email, roles: claims.roles || [], type: 'api_user' };
+  }
+
+  /**
+   * Remove the password hash from a user row
+   * @param {Object} user - User row
+   * @returns {Object} Public user
+   */
+  toPublicUser(user) {
+    const { password_hash, ...rest } = user;
+    return rest;
+  }
+
+  /**
+   * Register a new end user
+   * @param {Object} metadata - API metadata
+   * @param {Object} body - { email, password, profile }
+   * @returns {Promise<Object>} { success, user, tokens } or { success: false, status, error, details }
+   */
+  async register(metadata, body) {
+    const settings = this.getSettings(metadata);
+    const { email, password, profile } = body || {};
+
+    if (settings.allowRegistration === false) {
+      return { success: false, status: 403, error: 'Registration is closed for this API' };
+    }
+
+    if (!email || typeof email !== 'string' || !this.emailPattern.test(email)) {
+      return { success: false, status: 400, error: 'A valid email is required' };
+    }
+
+    if (!password || typeof password !== 'string') {
+      return { success: false, status: 400, error: 'Password is required' };
+    }
+
+    if (profile !== undefined && (typeof profile !== 'object' || profile === null || Array.isArray(profile))) {
+      return { success: false, status: 400, error: 'profile must be an object' };
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+    const validation = passwordPolicy.validatePassword(password, { email: normalizedEmail });
+    if (!validation.valid) {
+      return { success: false, status: 400, error: 'Password does not meet requirements', details: validation.errors };
+    }
+
+    // Fast path only; the UNIQUE email column decides when two sign-ups race
+    const { data: existing, error: checkError } = await this.supabase
+      .from(settings.table)
+      .select('id')
+      .eq('email', normalizedEmail)
+      .maybeSingle();
+
+    if (checkError) throw checkError;
+    if (existing) {
+      return { success: false, status: 409, error: 'An account with this email already exists' };
+    }
+
+    const { data: user, error } = await this.supabase
+      .from(settings.table)
+      .insert([{
+        email: normalizedEmail,
+        password_hash: await passwordPolicy.hashPassword(password),
+        roles: settings.defaultRoles || [],
+        profile: profile || {}
+      }])
+      .select()
+      .single();
+
+    if (error && error.code === '23505') {
+      return { success: false, status: 409, error: 'An account with this email already exists' };
+    }
+    if (error) throw error;
+
+    console.log(`Registered end user ${user.id} for API ${metadata.apiId}`);
+    return { success: true, user: this.toPublicUser(user), tokens: this.issueTokens(metadata.apiId, settings, user) };
+  }
+
+  /**
+   * Log an end user in with email and password
+   * @param {Object} metadata - API metadata
+   * @param {Object} body - { email, password }
+   * @returns {Promise<Object>} { success, user, tokens } or { success: false, status, error }
+   */
+  async login(metadata, body) {
+    const settings = this.getSettings(metadata);
+    const { email, password } = body || {};
+
+    if (!email || !password || typeof email !== 'string' || typeof password !== 'string') {
+      return { success: false, status: 400, error: 'Email and password are required' };
+    }
+
+    const { data: user, error } = await this.supabase
+      .from(settings.table)
+      .select('*')
+      .eq('email', email.trim().toLowerCase())
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!user) {
+      if (!this.dummyPasswordHash) {
+        this.dummyPasswordHash = passwordPolicy.hashPassword(crypto.randomBytes(16).toString('hex'));
+      }
+      await passwordPolicy.verifyPassword(password, await this.dummyPasswordHash);
+      return { success: false, status: 401, error: 'Invalid email or password' };
+    }
+
+    if (!(await passwordPolicy.verifyPassword(password, user.password_hash))) {
+      return { success: false, status: 401, error: 'Invalid email or password' };
+    }
+
+    const now = new Date().toISOString();
+    await this.supabase
+      .from(settings.table)
+      .update({ last_login_at: now })
+      .eq('id', user.id);
+
+    return {
+      success: true,
+      user: this.toPublicUser({ ...user, last_login_at: now }),
+      tokens: this.issueTokens(metadata.apiId, settings, user)
+    };
+  }
+
+  /**
+   * Exchange a refresh token for new tokens
+   * Roles are re-read so role changes apply from the next refresh.
+   * @param {Object} metadata - API metadata
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<Object>} { success, tokens } or { success: false, status, error }
+   */
+  async refresh(metadata, refreshToken) {
+    const settings = this.getSettings(metadata);
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return { success: false, status: 400, error: 'refreshToken is required' };
+    }
+
+    const claims = this.verifyToken(metadata.apiId, settings, refreshToken, 'refresh');
+    if (!claims) {
+      return { success: false, status: 401, error: 'Invalid or expired refresh token' };
+    }
+
+    const user = await this.getUser(settings, claims.sub);
+    if (!user) {
+      return { success: false, status: 401, error: 'User no longer exists' };
+    }
+
+    return { success: true, tokens: this.issueTokens(metadata.apiId, settings, user) };
+  }
+
+  /**
+   * Get an end user by id
+   * @param {Object} settings - End-user auth settings
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Public user or null
+   */
+  async getUser(settings, userId) {
+    const { data, error } = await this.supabase
+      .from(settings.table)
+      .select('*')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? this.toPublicUser(data) : null;
+  }
+
+  /**
+   * List the end users of an API
+   * @param {Object} settings - End-user auth settings
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<{users: Array, total: number}>}
+   */
+  async listUsers(settings, { page = 1, limit = 50 } = {}) {
+    const offset = (page - 1) * limit;
+
+    const { data, error, count } = await this.supabase
+      .from(settings.table)
+      .select('id, email, roles, profile, last_login_at, created_at, updated_at', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return { users: data || [], total: count || 0 };
+  }
+
+  /**
+   * Replace the roles of an end user
+   * @param {Object} settings - End-user auth settings
+   * @param {string} userId - User ID
+   * @param {Array<string>} roles - Role names
+   * @returns {Promise<Object|null>} Updated public user, or null when not found
+   */
+  async setRoles(settings, userId, roles) {
+    const { data, error } = await this.supabase
+      .from(settings.table)
+      .update({ roles, updated_at: new Date().toISOString() })
+      .eq('id', userId)
+      .select();
+
+    if (error) throw error;
+    return data && data[0] ? this.toPublicUser(data[0]) : null;
+  }
+}
+
+module.exports = new EndUserAuthService();
@@ -0,0 +1,289 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Download links are signed with a key derived from the server secret
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(64).toString('hex');
+
+/**
+ * File Service
+ * File attachments for the tables of generated APIs.
+ *
+ * A column of type "file" is stored as a jsonb column holding the metadata of
+ * the attached file ({ key, filename, size, mimeType, uploadedAt }); the file
+ * itself is kept on local disk under uploads/files/<apiId>/. Columns can set
+ * maxSize (bytes) and mimeTypes (e.g. ["image/png", "image/*"]).
+ *
+ * Files are uploaded with POST /:table/:id/files/:column and downloaded with
+ * GET on the same path, either as an authenticated caller or through a
+ * signed URL from GET /:table/:id/files/:column/url that works without
+ * credentials until it expires.
+ */
+class FileService {
+  constructor() {
+    this.type = 'file';
+    this.sqlType = 'jsonb';
+
+    this.defaultMaxSize = 10 * 1024 * 1024; // 10MB
+    this.maxFileSize = 50 * 1024 * 1024; // 50MB
+
+    // Lifetime of signed download URLs, in seconds
+    this.defaultUrlTtl = 15 * 60;
+    this.maxUrlTtl = 7 * 24 * 60 * 60;
+
+    this.mimeTypePattern = /^[a-z0-9!#$&^_.+-]+\/(\*|[a-z0-9!#$&^_.+-]+)$/i;
+
+    // Names of stored files: random hex plus the original extension
+    this.keyPattern = /^[a-f0-9]{32}(\.[a-z0-9]{1,10})?$/;
+
+    this.uploadsDir = path.resolve(process.env.FILE_UPLOADS_DIR || path.join(__dirname, '../../uploads/files'));
+  }
+
+  /**
+   * Check whether a column type is the file type
+   * @param {string} type - Column type from the table schema
+   * @returns {boolean}
+   */
+  isFileType(type) {
+    return String(type || '').trim().toLowerCase() === this.type;
+  }
+
+  /**
+   * Get the SQL type a column is stored as
+   * @param {string} type - Column type from the table schema
+   * @returns {string} jsonb for file columns, the type itself otherwise
+   */
+  toSqlType(type) {
+    return this.isFileType(type) ? this.sqlType : type;
+  }
+
+  /**
+   * Get the file columns of a table with their upload limits
+   * @param {Object} schema - Table schema
+   * @returns {Map<string, {maxSize: number, mimeTypes: Array|null}>} Column name to settings
+   */
+  getFileColumns(schema) {
+    const columns = new Map();
+
+    ((schema && schema.columns) || []).forEach(col => {
+      if (!col || !col.name || !this.isFileType(col.type)) return;
+
+      columns.set(col.name, {
+        maxSize: Math.min(col.maxSize || this.defaultMaxSize, this.maxFileSize),
+        mimeTypes: Array.isArray(col.mimeTypes) && col.mimeTypes.length > 0
+          ? col.mimeTypes.map(type => type.toLowerCase())
+          : null
+      });
+    });
+
+    return columns;
+  }
+
+  /**
+   * Validate the file columns of a table definition
+   * @param {Object} table - Table definition
+   * @returns {Array<string>} Validation errors
+   */
+  validateColumns(table) {
+    const errors = [];
+
+    ((table && table.columns) || []).forEach(column => {
+      if (!column) return;
+
+      if (!this.isFileType(column.type)) {
+        if (column.maxSize !== undefined || column.mimeTypes !== undefined) {
+          errors.push(`${table.name}.${column.name}: maxSize and mimeTypes only apply to file columns`);
+        }
+        return;
+      }
+
+      if (column.maxSize !== undefined &&
+          (!Number.isInteger(column.maxSize) || column.maxSize < 1 || column.maxSize > this.maxFileSize)) {
+        errors.push(`${table.name}.${column.name}: maxSize must be a number of bytes between 1 and ${this.maxFileSize}`);
+      }
+
+      if (column.mimeTypes !== undefined &&
+          (!Array.isArray(column.mimeTypes) || column.mimeTypes.some(type => typeof type !== 'string' || !this.mimeTypePattern.test(type)))) {
+        errors.push(`${table.name}.${column.name}: mimeTypes must be an array of MIME types such as "image/png" or "image/*"`);
+      }
+
+      if (/primary key|unique|references/i.test([].concat(column.constraints || []).join(' '))) {
+        errors.push(`${table.name}.${column.name}: file columns cannot be keys or references`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Check an uploaded file against the limits of its column
+   * @param {Object} file - File from multer
+   * @param {Object} settings - Column settings from getFileColumns
+   * @returns {{status: number, message: string}|null} Error or null when accepted
+   */
+  checkFile(file, settings) {
+    if (file.size > settings.maxSize) {
+      return {
+        status: 413,
+        message: `The file is ${this.formatSize(file.size)}, the maximum for this column is ${this.formatSize(settings.maxSize)}`
+      };
+    }
+
+    const mimeType = String(file.mimetype || '').toLowerCase();
+    if (settings.mimeTypes && !settings.mimeTypes.some(allowed =>
+      allowed === mimeType || (allowed.endsWith('/*') && mimeType.startsWith(allowed.slice(0, -1))))) {
+      return {
+        status: 415,
+        message: `Files of type ${mimeType || 'unknown'} are not accepted. Allowed types: ${settings.mimeTypes.join(', ')}`
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Format a number of bytes for messages
+   * @param {number} bytes - Size in bytes
+   * @returns {string} e.g. 512 bytes, 20.5KB, 10MB
+   */
+  formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} bytes`;
+    if (bytes < 1024 * 1024) return `${parseFloat((bytes / 1024).toFixed(1))}KB`;
+    return `${parseFloat((bytes / 1024 / 1024).toFixed(2))}MB`;
+  }
+
+  /**
+   * Store an uploaded file on disk
+   * @param {string} apiId - API the file belongs to
+   * @param {Object} file - File from multer (memory storage)
+   * @returns {Promise<Object>} Metadata stored in the column
+   */
+  async save(apiId, file) {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    const key = `${crypto.randomBytes(16).toString('hex')}${/^\.[a-z0-9]{1,10}$/.test(extension) ? extension : ''}`;
+
+    const directory = this._apiDir(apiId);
+    await fs.promises.mkdir(directory, { recursive: true });
+    await fs.promises.writeFile(path.join(directory, key), file.buffer);
+    console.log(`💾 File saved for API ${apiId}: ${key}`);
+
+    return {
+      key,
+      filename: path.basename(file.originalname || key),
+      size: file.size,
+      mimeType: file.mimetype || 'application/octet-stream',
+      uploadedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Get the path of a stored file
+   * @param {string} apiId - API the file belongs to
+   * @param {Object} metadata - Metadata stored in the column
+   * @returns {string|null} Path on disk, null when the metadata holds no valid key
+   */
+  getPath(apiId, metadata) {
+    if (!metadata || typeof metadata !== 'object' || !this.keyPattern.test(String(metadata.key))) {
+      return null;
+    }
+    return path.join(this._apiDir(apiId), metadata.key);
+  }
+
+  /**
+   * Remove a stored file, ignoring files that are already gone
+   * @param {string} apiId - API the file belongs to
+   * @param {Object} metadata - Metadata stored in the column
+   * @returns {Promise<void>}
+   */
+  async remove(apiId, metadata) {
+    const filePath = this.getPath(apiId, metadata);
+    if (!filePath) return;
+
+    try {
+      await fs.promises.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error removing file ${metadata.key} of API ${apiId}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Remove the files attached to rows (after the rows were deleted)
+   * @param {string} apiId - API the rows belong to
+   * @param {Object} schema - Table schema
+   * @param {Array} rows - Deleted rows
+   * @returns {Promise<void>}
+   */
+  async removeRowFiles(apiId, schema, rows) {
+    const columns = [...this.getFileColumns(schema).keys()];
+    for (const row of rows || []) {
+      for (const column of columns) {
+        await this.remove(apiId, row[column]);
+      }
+    }
+  }
+
+  /**
+   * Sign a download URL for the file attached to a row
+   * The key of the file is part of the signature, so replacing the file
+   * invalidates the URLs handed out for the old one.
+   * @param {Object} target - { apiId, table, id, column, key }
+   * @param {number} ttl - Lifetime in seconds
+   * @returns {{expires: number, signature: string}}
+   */
+  sign(target, ttl = this.defaultUrlTtl) {
+    const expires = Math.floor(Date.now() / 1000) + ttl;
+    return { expires, signature: this._signature(target, expires) };
+  }
+
+  /**
+   * Check the signature of a download URL
+   * @param {Object} target - { apiId, table, id, column, key }
+   * @param {string|number} expires - Expiry from the URL (unix seconds)
+   * @param {string} signature - Signature from the URL
+   * @returns {boolean}
+   */
+  verify(target, expires, signature) {
+    const expiresAt = parseInt(expires);
+    if (!Number.isInteger(expiresAt) || expiresAt < Math.floor(Date.now() / 1000)) return false;
+
+    const expected = Buffer.from(this._signature(target, expiresAt));
+    const given = Buffer.from(String(signature || ''));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  /**
+   * Check whether a request carries a download signature
+   * Such requests skip the API's authentication; the router verifies them.
+   * @param {Object} req - Express request
+   * @returns {boolean}
+   */
+  isSignedRequest(req) {
+    return req.method === 'GET' &&
+      /^\/[^/]+\/[^/]+\/files\/[^/]+\/?$/.test(req.path) &&
+      typeof req.query.signature === 'string' &&
+      req.query.expires !== undefined;
+  }
+
+  /**
+   * Compute the signature of a download URL
+   * @private
+   */
+  _signature({ apiId, table, id, column, key }, expires) {
+    return crypto
+      .createHmac('sha256', JWT_SECRET)
+      .update(`api-files:${apiId}:${table}:${id}:${column}:${key}:${expires}`)
+      .digest('hex');
+  }
+
+  /**
+   * Directory holding the files of an API
+   * @private
+   */
+  _apiDir(apiId) {
+    return path.join(this.uploadsDir, String(apiId).replace(/[^a-zA-Z0-9_-]/g, '_'));
+  }
+}
+
+module.exports = new FileService();
@@ -0,0 +1,811 @@
+const {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLInputObjectType,
+  GraphQLEnumType,
+  GraphQLScalarType,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLID,
+  GraphQLInt,
+  GraphQLFloat,
+  GraphQLString,
+  GraphQLBoolean,
+  GraphQLError,
+  Kind,
+  parse,
+  validate,
+  execute,
+  getOperationAST,
+  valueFromASTUntyped
+} = require('graphql');
+const queryBuilder = require('./queryBuilder');
+const schemaValidator = require('./schemaValidator');
+const relationshipService = require('./relationshipService');
+const softDeleteService = require('./softDeleteService');
+const accessRuleService = require('./accessRuleService');
+const { camelCase, pascalCase, singular, uniqueName } = require('../utils/naming');
+
+/**
+ * GraphQL Service
+ * Builds a GraphQL schema for a generated API from its table schemas and
+ * executes operations against it.
+ *
+ * Per table (e.g. products):
+ *   query    products(page, limit, sort, order, cursor, count, where): ProductPage!
+ *   query    product(id): Product
+ *   mutation createProduct(input), updateProduct(id, input), deleteProduct(id)
+ *
+ * Relationship fields resolve nested records with one batched query per
+ * relationship and level. Filters, pagination, validation and access rules
+ * follow the REST endpoints of the same API.
+ */
+class GraphQLService {
+  constructor() {
+    // Column kinds (queryBuilder.getColumnKind) to GraphQL scalars, with the filter input prefix
+    this.kindTypes = {
+      integer: { type: GraphQLInt, filter: 'Int' },
+      number: { type: GraphQLFloat, filter: 'Float' },
+      boolean: { type: GraphQLBoolean, filter: 'Boolean' },
+      uuid: { type: GraphQLID, filter: 'ID' },
+      datetime: { type: GraphQLString, filter: 'DateTime' },
+      string: { type: GraphQLString, filter: 'String' }
+    };
+
+    // Maximum nesting of fields in an operation (relationships can recurse)
+    this.maxDepth = 6;
+
+    // Page size used when no limit is given, as in the REST endpoints
+    this.defaultLimit = 10;
+
+    this.jsonType = new GraphQLScalarType({
+      name: 'JSON',
+      description: 'Any JSON value (json and jsonb columns)',
+      serialize: value => value,
+      parseValue: value => value,
+      parseLiteral: (ast, variables) => valueFromASTUntyped(ast, variables)
+    });
+    this.kindTypes.json = { type: this.jsonType, filter: 'JSON' };
+
+    this.orderType = new GraphQLEnumType({
+      name: 'SortOrder',
+      values: { asc: { value: 'asc' }, desc: { value: 'desc' } }
+    });
+
+    this.countType = new GraphQLEnumType({
+      name: 'CountMode',
+      description: 'How the total is counted: exact by default, none for cursor pagination',
+      values: Object.keys(queryBuilder.countModes).reduce((values, mode) => ({ ...values, [mode]: { value: mode } }), {})
+    });
+
+    this.paginationType = new GraphQLObjectType({
+      name: 'Pagination',
+      fields: {
+        page: { type: GraphQLInt, description: 'Page number (offset pagination)' },
+        limit: { type: new GraphQLNonNull(GraphQLInt) },
+        total: { type: GraphQLInt, description: 'Matching records, null when count is none' },
+        next_cursor: { type: GraphQLString, description: 'Cursor of the next page (cursor pagination)' },
+        prev_cursor: { type: GraphQLString, description: 'Cursor of the previous page (cursor pagination)' }
+      }
+    });
+
+    // One filter input per column kind, built from the operators the query builder supports
+    this.filterTypes = new Map();
+    Object.entries(this.kindTypes).forEach(([kind, { type, filter }]) => {
+      this.filterTypes.set(kind, this._filterType(kind, type, `${filter}Filter`));
+    });
+
+    this.reservedTypeNames = [
+      'Query', 'Mutation', 'JSON', 'SortOrder', 'CountMode', 'Pagination',
+      ...Array.from(this.filterTypes.values()).map(type => type.name)
+    ];
+  }
+
+  /**
+   * Build the GraphQL schema of an API
+   * @param {Array<Object>} tables - { name, schema, prefixedTableName, prepareInsertData, preparePatchData, emitChange }
+   * @param {string} prefix - Table name prefix of the API (XAuthUserId_apiIdentifier_)
+   * @returns {GraphQLSchema} Executable schema
+   */
+  buildSchema(tables, prefix) {
+    const typeNames = new Set(this.reservedTypeNames);
+    const fieldNames = new Set();
+    const schemas = tables.map(table => table.schema);
+    const byPrefixedName = new Map();
+
+    const types = tables.map(table => {
+      const typeName = this._typeName(pascalCase(singular(table.name)), typeNames);
+      const listField = uniqueName(camelCase(table.name), fieldNames, 'List');
+      const singleName = camelCase(singular(table.name));
+      const type = {
+        table,
+        typeName,
+        listField,
+        singleField: uniqueName(singleName === listField ? `${singleName}ById` : singleName, fieldNames, 'Record'),
+        columns: this._columns(table.schema),
+        relations: relationshipService.getRelations(table.schema, schemas, prefix)
+      };
+      byPrefixedName.set(table.prefixedTableName.toLowerCase(), type);
+      return type;
+    });
+
+    // Object types reference each other through relationships, so fields are thunks
+    types.forEach(type => {
+      type.objectType = new GraphQLObjectType({
+        name: type.typeName,
+        description: `A record of ${type.table.name}`,
+        fields: () => this._objectFields(type, byPrefixedName)
+      });
+    });
+
+    const queryFields = {};
+    const mutationFields = {};
+
+    types.forEach(type => {
+      const { typeName, objectType, columns } = type;
+      const idType = this._idType(columns);
+
+      const pageType = new GraphQLObjectType({
+        name: `${typeName}Page`,
+        fields: {
+          data: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(objectType))) },
+          pagination: { type: new GraphQLNonNull(this.paginationType) }
+        }
+      });
+
+      const filterType = new GraphQLInputObjectType({
+        name: `${typeName}Filter`,
+        description: `Filters on ${type.table.name}, combined with AND`,
+        fields: columns.reduce((fields, column) => ({
+          ...fields,
+          [column.name]: { type: this.filterTypes.get(column.kind) }
+        }), {})
+      });
+
+      queryFields[type.listField] = {
+        type: new GraphQLNonNull(pageType),
+        description: `List ${type.table.name} records (offset pagination with page, keyset pagination with cursor)`,
+        args: {
+          page: { type: GraphQLInt, defaultValue: 1 },
+          limit: { type: GraphQLInt, defaultValue: this.defaultLimit },
+          sort: { type: GraphQLString, description: 'Column to sort by' },
+          order: { type: this.orderType, defaultValue: 'asc' },
+          cursor: { type: GraphQLString, description: 'Empty string for the first page, then next_cursor or prev_cursor' },
+          count: { type: this.countType },
+          where: { type: filterType }
+        },
+        resolve: (root, args, context) => this._list(type, args, context)
+      };
+
+      queryFields[type.singleField] = {
+        type: objectType,
+        description: `Get a ${type.table.name} record by id`,
+        args: { id: { type: new GraphQLNonNull(idType) } },
+        resolve: (root, args, context) => this._get(type, args.id, context)
+      };
+
+      // Tables without client-writable columns only get the delete mutation
+      const hasInput = columns.some(column => !schemaValidator.systemColumns.includes(column.name));
+
+      if (hasInput) {
+        mutationFields[uniqueName(`create${typeName}`, fieldNames, 'Record')] = {
+          type: new GraphQLNonNull(objectType),
+          args: { input: { type: new GraphQLNonNull(this._inputType(type, 'Input', true)) } },
+          resolve: (root, args, context) => this._create(type, args.input, context)
+        };
+
+        mutationFields[uniqueName(`update${typeName}`, fieldNames, 'Record')] = {
+          type: new GraphQLNonNull(objectType),
+          description: 'Update the given fields only',
+          args: {
+            id: { type: new GraphQLNonNull(idType) },
+            input: { type: new GraphQLNonNull(this._inputType(type, 'Patch', false)) }
+          },
+          resolve: (root, args, context) => this._update(type, args.id, args.input, context)
+        };
+      }
+
+      mutationFields[uniqueName(`delete${typeName}`, fieldNames, 'Record')] = {
+        type: new GraphQLNonNull(GraphQLBoolean),
+        args: { id: { type: new GraphQLNonNull(idType) } },
+        resolve: (root, args, context) => this._delete(type, args.id, context)
+      };
+    });
+
+    if (types.length === 0) {
+      queryFields._empty = { type: GraphQLBoolean, description: 'The API has no tables', resolve: () => null };
+    }
+
+    return new GraphQLSchema({
+      query: new GraphQLObjectType({ name: 'Query', fields: queryFields }),
+      mutation: types.length > 0 ? new GraphQLObjectType({ name: 'Mutation', fields: mutationFields }) : undefined
+    });
+  }
+
+  /**
+   * Execute a GraphQL request
+   * @param {GraphQLSchema} schema - Schema from buildSchema
+   * @param {Object} params - { query, variables, operationName } from the body or query string
+   * @param {Object} context - { req, metadata, supabase }
+   * @param {Object} options - { allowMutations } (false for GET requests)
+   * @returns {Promise<{status: number, body: Object}>} HTTP status and response body
+   */
+  async execute(schema, params, context, { allowMutations = true } = {}) {
+    const { query, operationName } = params || {};
+    const failure = (status, message) => ({ status, body: { errors: [{ message }] } });
+
+    if (!query || typeof query !== 'string') {
+      return failure(400, 'Missing query');
+    }
+
+    let variables = (params && params.variables) || null;
+    if (typeof variables === 'string') {
+      try {
+        variables = JSON.parse(variables);
+      } catch (error) {
+        return failure(400, 'variables must be a JSON object');
+      }
+    }
+
+    let document;
+    try {
+      document = parse(query);
+    } catch (error) {
+      return { status: 400, body: { errors: [error] } };
+    }
+
+    const validationErrors = validate(schema, document);
+    if (validationErrors.length > 0) {
+      return { status: 400, body: { errors: validationErrors } };
+    }
+
+    const operation = getOperationAST(document, operationName || null);
+    if (!operation) {
+      return failure(400, operationName ? `Unknown operation "${operationName}"` : 'The operation to run must be named');
+    }
+
+    if (operation.operation === 'mutation' && !allowMutations) {
+      return failure(405, 'Mutations must be sent with POST');
+    }
+
+    const fragments = new Map(document.definitions
+      .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION)
+      .map(definition => [definition.name.value, definition]));
+    if (this._depth(operation.selectionSet, fragments) > this.maxDepth) {
+      return failure(400, `Queries can be nested at most ${this.maxDepth} levels deep`);
+    }
+
+    const result = await execute({
+      schema,
+      document,
+      operationName: operationName || null,
+      variableValues: variables,
+      contextValue: { ...context, batches: new Map() }
+    });
+
+    return { status: 200, body: result };
+  }
+
+  /**
+   * Render the GraphiQL page of an API
+   * @param {string} endpoint - URL of the GraphQL endpoint
+   * @param {Object} auth - Auth configuration of the API (prefills the headers editor)
+   * @returns {string} HTML
+   */
+  renderGraphiQL(endpoint, auth) {
+    const headers = {
+      api_key: { 'X-API-Key': '' },
+      backlify_jwt: { Authorization: 'Bearer ' },
+      external_jwt: { Authorization: 'Bearer ' },
+      api_users: { Authorization: 'Bearer ' }
+    }[auth && auth.mode];
+    const script = value => JSON.stringify(value).replace(/</g, '\\u003c');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>GraphiQL</title>
+  <style>body { height: 100vh; margin: 0; } #graphiql { height: 100vh; }</style>
+  <link rel="stylesheet" href="https://unpkg.com/graphiql@3/graphiql.min.css" />
+  <script crossorigin src="https://unpkg.com/react@18/umd/react.production.min.js"></script>
+  <script crossorigin src="https://unpkg.com/react-dom@18/umd/react-dom.production.min.js"></script>
+  <script crossorigin src="https://unpkg.com/graphiql@3/graphiql.min.js"></script>
+</head>
+<body>
+  <div id="graphiql">Loading...</div>
+  <script>
+    const fetcher = GraphiQL.createFetcher({ url: ${script(endpoint)} });
+    ReactDOM.createRoot(document.getElementById('graphiql')).render(
+      React.createElement(GraphiQL, {
+        fetcher,
+        defaultEditorToolsVisibility: ${headers ? "'headers'" : 'false'},
+        defaultHeaders: ${script(headers ? JSON.stringify(headers, null, 2) : '')}
+      })
+    );
+  </script>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Build the filter input of a column kind
+   * @private
+   */
+  _filterType(kind, scalar, name) {
+    const fields = {};
+
+    Object.entries(queryBuilder.operators).forEach(([operator, kinds]) => {
+      if (!kinds.includes(kind)) return;
+
+      let type = scalar;
+      if (operator === 'in') type = new GraphQLList(new GraphQLNonNull(scalar));
+      if (operator === 'is') type = GraphQLString;
+
+      fields[operator] = { type, ...(operator === 'is' ? { description: kind === 'boolean' ? 'null, true or false' : 'null' } : {}) };
+      fields[`not_${operator}`] = { type };
+    });
+
+    return new GraphQLInputObjectType({ name, fields });
+  }
+
+  /**
+   * Pick a type name whose derived input and page names are free too
+   * @private
+   */
+  _typeName(base, typeNames) {
+    const suffixes = ['', 'Page', 'Filter', 'Input', 'Patch'];
+    const isFree = name => suffixes.every(suffix => !typeNames.has(`${name}${suffix}`));
+
+    let name = isFree(base) ? base : `${base}Record`;
+    let counter = 2;
+    while (!isFree(name)) {
+      name = `${base}Record${counter++}`;
+    }
+    suffixes.forEach(suffix => typeNames.add(`${name}${suffix}`));
+    return name;
+  }
+
+  /**
+   * Columns of a table exposed as GraphQL fields
+   * @private
+   */
+  _columns(schema) {
+    const rules = schemaValidator.getRules(schema);
+    const definitions = new Map((schema.columns || []).map(col => [col && col.name, col]));
+    const columns = [];
+
+    queryBuilder.getFilterableColumns(schema).forEach((kind, name) => {
+      if (!/^[_A-Za-z][_0-9A-Za-z]*$/.test(name) || name.startsWith('__')) {
+        console.warn(`GraphQL: skipping column "${name}", it is not a valid field name`);
+        return;
+      }
+
+      const rule = rules.get(name);
+      const type = String((definitions.get(name) || {}).type || '').toLowerCase().trim();
+      columns.push({
+        name,
+        kind,
+        array: type.endsWith('[]'),
+        itemKind: type.endsWith('[]') ? queryBuilder.getColumnKind(type.slice(0, -2)) : kind,
+        notNull: rule ? rule.notNull : false,
+        required: rule ? rule.required : false
+      });
+    });
+
+    return columns;
+  }
+
+  /**
+   * GraphQL type of a column value
+   * @private
+   */
+  _columnType(column) {
+    const scalar = this.kindTypes[column.itemKind].type;
+    return column.array ? new GraphQLList(scalar) : scalar;
+  }
+
+  /**
+   * @private
+   */
+  _idType(columns) {
+    const id = columns.find(column => column.name === 'id');
+    return id && id.kind === 'integer' ? GraphQLInt : GraphQLID;
+  }
+
+  /**
+   * Fields of a table's object type: its columns and relationships
+   * @private
+   */
+  _objectFields(type, byPrefixedName) {
+    const fields = {};
+
+    type.columns.forEach(column => {
+      const columnType = this._columnType(column);
+      fields[column.name] = { type: column.notNull ? new GraphQLNonNull(columnType) : columnType };
+    });
+
+    type.relations.forEach((relation, name) => {
+      const target = byPrefixedName.get(relation.table);
+      if (!target || fields[name] || !/^[_A-Za-z][_0-9A-Za-z]*$/.test(name)) return;
+
+      fields[name] = {
+        type: relation.many
+          ? new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(target.objectType)))
+          : target.objectType,
+        description: `Related ${target.table.name} record${relation.many ? 's' : ''}`,
+        resolve: async (row, args, context) => {
+          const key = row[relation.localColumn];
+          if (key === null || key === undefined) return relation.many ? [] : null;
+
+          const rows = await this._loadRelated(target, relation.remoteColumn, key, context);
+          return relation.many ? rows : (rows[0] || null);
+        }
+      };
+    });
+
+    return fields;
+  }
+
+  /**
+   * Input type for creating (all required columns) or patching a table
+   * @private
+   */
+  _inputType(type, suffix, create) {
+    return new GraphQLInputObjectType({
+      name: `${type.typeName}${suffix}`,
+      fields: type.columns
+        .filter(column => !schemaValidator.systemColumns.includes(column.name))
+        .reduce((fields, column) => {
+          const columnType = this._columnType(column);
+          return {
+            ...fields,
+            [column.name]: { type: create && column.required ? new GraphQLNonNull(columnType) : columnType }
+          };
+        }, {})
+    });
+  }
+
+  /**
+   * Authorize the caller for a table, throwing when the access rule denies it
+   * @private
+   */
+  _authorize(type, action, context) {
+    const rule = accessRuleService.getRule(context.metadata, type.table.name);
+    const access = accessRuleService.authorize(rule, accessRuleService.getCaller(context.req), action);
+
+    if (!access.allowed) {
+      throw this._error(access.message, access.status === 401 ? 'UNAUTHENTICATED' : 'FORBIDDEN');
+    }
+    return access;
+  }
+
+  /**
+   * @private
+   */
+  _error(message, code, details) {
+    return new GraphQLError(message, { extensions: { code, ...(details ? { details } : {}) } });
+  }
+
+  /**
+   * Throw database errors as GraphQL errors
+   * @private
+   */
+  _checkDatabaseError(error, type, action) {
+    if (!error) return;
+    console.error(`GraphQL: error during ${action} on ${type.table.prefixedTableName}:`, error);
+    throw this._error(`Database error: ${error.message}`, 'DATABASE_ERROR');
+  }
+
+  /**
+   * Hide XAuthUserId from a row
+   * @private
+   */
+  _shape(row) {
+    return relationshipService.project(row, null, []);
+  }
+
+  /**
+   * Check that an id matches the primary key type before querying with it
+   * @private
+   */
+  _isValidId(type, id) {
+    const column = type.columns.find(col => col.name === 'id');
+    return !column || queryBuilder.isValidValue(column.kind, String(id));
+  }
+
+  /**
+   * Convert a where argument to the REST filter grammar and parse it
+   * @private
+   */
+  _parseWhere(type, where) {
+    const params = {};
+
+    Object.entries(where || {}).forEach(([column, operators]) => {
+      if (!operators) return;
+      params[column] = {};
+      Object.entries(operators).forEach(([operator, value]) => {
+        if (value === undefined || value === null) return;
+        params[column][operator] = Array.isArray(value) ? value.map(String).join(',') : String(value);
+      });
+    });
+
+    const { filters, errors } = queryBuilder.parseFilters(params, type.table.schema, { strict: true });
+    if (errors.length > 0) {
+      throw this._error('Invalid filter', 'BAD_USER_INPUT', errors);
+    }
+    return filters;
+  }
+
+  /**
+   * Soft delete settings of a table (null when rows are deleted for good)
+   * @private
+   */
+  _getSoftDelete(type, context) {
+    return softDeleteService.getSettings(context.metadata, type.table.name);
+  }
+
+  /**
+   * Resolve a list query, mirroring GET /<table>
+   * @private
+   */
+  async _list(type, args, context) {
+    const access = this._authorize(type, 'read', context);
+    const { supabase } = context;
+    const table = type.table.prefixedTableName;
+    const filters = this._parseWhere(type, args.where);
+    const limit = Math.max(args.limit || this.defaultLimit, 1);
+    const useCursor = args.cursor !== undefined && args.cursor !== null;
+    const countOption = queryBuilder.countModes[args.count || (useCursor ? 'none' : 'exact')];
+
+    if (args.sort && !queryBuilder.getFilterableColumns(type.table.schema).has(args.sort)) {
+      throw this._error(`Unknown sort column "${args.sort}"`, 'BAD_USER_INPUT');
+    }
+
+    const softDelete = this._getSoftDelete(type, context);
+    const filtered = query => softDeleteService.hideDeleted(
+      accessRuleService.scopeQuery(queryBuilder.applyFilters(query, filters), access), softDelete);
+
+    if (!useCursor) {
+      const page = Math.max(args.page || 1, 1);
+      const offset = (page - 1) * limit;
+
+      let listQuery = filtered(supabase.from(table).select('*', countOption ? { count: countOption } : undefined));
+      if (args.sort) {
+        listQuery = listQuery.order(args.sort, { ascending: args.order !== 'desc' });
+      }
+
+      const { data, error, count } = await listQuery.range(offset, offset + limit - 1);
+      this._checkDatabaseError(error, type, 'list');
+
+      return {
+        data: (data || []).map(row => this._shape(row)),
+        pagination: { page, limit, total: countOption ? (count || 0) : null }
+      };
+    }
+
+    const primaryKey = queryBuilder.getPrimaryKey(type.table.schema);
+    const sortColumn = args.sort || primaryKey;
+    const sortOrder = args.order === 'desc' ? 'desc' : 'asc';
+
+    let position = null;
+    if (args.cursor !== '') {
+      position = queryBuilder.decodeCursor(args.cursor);
+      if (!position) {
+        throw this._error('Invalid cursor', 'BAD_USER_INPUT');
+      }
+      if (position.column !== sortColumn || position.order !== sortOrder) {
+        throw this._error('The cursor was issued for a different sort column or order', 'BAD_USER_INPUT');
+      }
+    }
+    const backwards = position && position.direction === 'prev';
+
+    // Walking backwards reads the rows before the cursor in reverse order,
+    // one extra row tells whether another page exists
+    const { data, error } = await queryBuilder.applyCursor(filtered(supabase.from(table).select('*')), {
+      column: sortColumn,
+      primaryKey,
+      ascending: (sortOrder === 'asc') !== backwards,
+      position
+    }).limit(limit + 1);
+    this._checkDatabaseError(error, type, 'list');
+
+    const hasMore = data.length > limit;
+    const rows = data.slice(0, limit);
+    if (backwards) rows.reverse();
+
+    const hasNext = backwards ? true : hasMore;
+    const hasPrev = backwards ? hasMore : position !== null;
+    const cursorFor = (row, direction) => queryBuilder.encodeCursor({
+      column: sortColumn,
+      order: sortOrder,
+      value: row[sortColumn],
+      key: row[primaryKey],
+      direction
+    });
+
+    // The total ignores the cursor so it stays stable across pages
+    let total = null;
+    if (countOption) {
+      const { count, error: countError } = await filtered(supabase.from(table).select('*', { count: countOption, head: true }));
+      this._checkDatabaseError(countError, type, 'count');
+      total = count || 0;
+    }
+
+    return {
+      data: rows.map(row => this._shape(row)),
+      pagination: {
+        limit,
+        next_cursor: hasNext && rows.length > 0 ? cursorFor(rows[rows.length - 1], 'next') : null,
+        prev_cursor: hasPrev && rows.length > 0 ? cursorFor(rows[0], 'prev') : null,
+        total
+      }
+    };
+  }
+
+  /**
+   * Resolve a record by id, null when missing or hidden by the access rule
+   * @private
+   */
+  async _get(type, id, context) {
+    const access = this._authorize(type, 'read', context);
+    if (!this._isValidId(type, id)) return null;
+
+    const { data, error } = await softDeleteService.hideDeleted(accessRuleService.scopeQuery(context.supabase
+      .from(type.table.prefixedTableName)
+      .select('*')
+      .eq('id', id), access), this._getSoftDelete(type, context))
+      .maybeSingle();
+    this._checkDatabaseError(error, type, 'get');
+
+    return data ? this._shape(data) : null;
+  }
+
+  /**
+   * Load related records, batching the keys requested for the same relationship
+   * @private
+   */
+  _loadRelated(type, column, key, context) {
+    const batchKey = `${type.table.prefixedTableName}.${column}`;
+    let batch = context.batches.get(batchKey);
+
+    if (!batch) {
+      batch = { keys: new Set() };
+      context.batches.set(batchKey, batch);
+
+      // Sibling resolvers of the same level run before the batch is sent
+      batch.rows = new Promise(resolve => setImmediate(resolve)).then(async () => {
+        context.batches.delete(batchKey);
+
+        const access = this._authorize(type, 'read', context);
+        const { data, error } = await softDeleteService.hideDeleted(accessRuleService.scopeQuery(context.supabase
+          .from(type.table.prefixedTableName)
+          .select('*')
+          .in(column, [...batch.keys]), access), this._getSoftDelete(type, context));
+        this._checkDatabaseError(error, type, 'include');
+
+        const related = new Map();
+        (data || []).forEach(row => {
+          const rowKey = String(row[column]);
+          if (!related.has(rowKey)) related.set(rowKey, []);
+          related.get(rowKey).push(this._shape(row));
+        });
+        return related;
+      });
+    }
+
+    batch.keys.add(String(key));
+    return batch.rows.then(related => related.get(String(key)) || []);
+  }
+
+  /**
+   * Resolve a create mutation, mirroring POST /<table>
+   * @private
+   */
+  async _create(type, input, context) {
+    const access = this._authorize(type, 'write', context);
+    const requestData = type.table.prepareInsertData(input, context.req, access);
+
+    const validationErrors = schemaValidator.validate(requestData, type.table.schema, { mode: 'create' });
+    if (validationErrors.length > 0) {
+      throw this._error('Validation failed', 'BAD_USER_INPUT', validationErrors);
+    }
+
+    const { data, error } = await context.supabase
+      .from(type.table.prefixedTableName)
+      .insert(requestData)
+      .select();
+    this._checkDatabaseError(error, type, 'create');
+
+    type.table.emitChange(context.req, 'create', data[0]);
+    return this._shape(data[0]);
+  }
+
+  /**
+   * Resolve an update mutation, mirroring PATCH /<table>/:id
+   * @private
+   */
+  async _update(type, id, input, context) {
+    const access = this._authorize(type, 'write', context);
+
+    const patchData = type.table.preparePatchData(input, access);
+    if (!patchData) {
+      throw this._error('No fields to update', 'BAD_USER_INPUT');
+    }
+
+    const validationErrors = schemaValidator.validate(patchData, type.table.schema, { mode: 'update' });
+    if (validationErrors.length > 0) {
+      throw this._error('Validation failed', 'BAD_USER_INPUT', validationErrors);
+    }
+
+    if (!this._isValidId(type, id)) {
+      throw this._error('Record not found', 'NOT_FOUND');
+    }
+
+    // The update only matches rows the caller may change (deleted rows are not found)
+    const { data, error } = await softDeleteService.hideDeleted(accessRuleService.scopeQuery(context.supabase
+      .from(type.table.prefixedTableName)
+      .update(patchData)
+      .eq('id', id), access), this._getSoftDelete(type, context))
+      .select();
+    this._checkDatabaseError(error, type, 'update');
+
+    if (!data || data.length === 0) {
+      throw this._error('Record not found', 'NOT_FOUND');
+    }
+
+    type.table.emitChange(context.req, 'update', data[0]);
+    return this._shape(data[0]);
+  }
+
+  /**
+   * Resolve a delete mutation, mirroring DELETE /<table>/:id
+   * @private
+   */
+  async _delete(type, id, context) {
+    const access = this._authorize(type, 'write', context);
+
+    if (!this._isValidId(type, id)) {
+      throw this._error('Record not found', 'NOT_FOUND');
+    }
+
+    // Tables with soft delete only mark the row as deleted
+    const softDelete = this._getSoftDelete(type, context);
+    const table = context.supabase.from(type.table.prefixedTableName);
+    const { data, error } = await softDeleteService.hideDeleted(accessRuleService.scopeQuery(softDelete
+      ? table.update({ [softDeleteService.column]: new Date().toISOString() })
+      : table.delete(), access)
+      .eq('id', id), softDelete)
+      .select();
+    this._checkDatabaseError(error, type, 'delete');
+
+    if (!data || data.length === 0) {
+      throw this._error('Record not found', 'NOT_FOUND');
+    }
+
+    type.table.emitChange(context.req, 'delete', data[0]);
+    return true;
+  }
+
+  /**
+   * Nesting depth of a selection set, following fragments
+   * @private
+   */
+  _depth(selectionSet, fragments) {
+    if (!selectionSet) return 0;
+
+    return Math.max(0, ...selectionSet.selections.map(selection => {
+      if (selection.kind === Kind.FIELD) {
+        return 1 + this._depth(selection.selectionSet, fragments);
+      }
+      if (selection.kind === Kind.FRAGMENT_SPREAD) {
+        const fragment = fragments.get(selection.name.value);
+        return fragment ? this._depth(fragment.selectionSet, fragments) : 0;
+      }
+      return this._depth(selection.selectionSet, fragments);
+    }));
+  }
+}
+
+module.exports = new GraphQLService();
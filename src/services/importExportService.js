@@ -0,0 +1,490 @@
+const ExcelJS = require('exceljs');
+const queryBuilder = require('./queryBuilder');
+const schemaValidator = require('./schemaValidator');
+
+/**
+ * Import/Export Service
+ * Reads and writes the rows of generated tables as CSV, Excel (xlsx) or
+ * newline-delimited JSON for GET /:table/export and POST /:table/import.
+ *
+ * Imports map the file's columns to table columns (by name, or through an
+ * explicit { "<file column>": "<table column>" } mapping) and coerce each
+ * value to the column's type before the usual request validation runs.
+ */
+class ImportExportService {
+  constructor() {
+    this.formats = {
+      csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+      xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+      ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+    };
+
+    // Rows read per query while exporting
+    this.exportBatchSize = 1000;
+    this.maxExportRows = 100000;
+
+    this.maxImportRows = 10000;
+    this.maxImportFileSize = 10 * 1024 * 1024; // 10MB
+
+    // Rows inserted per query while importing
+    this.importChunkSize = 500;
+
+    // Upload types accepted besides the ones implied by the file extension
+    this.uploadMimeTypes = {
+      'text/csv': 'csv',
+      'application/csv': 'csv',
+      'application/vnd.ms-excel': 'csv',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+      'application/x-ndjson': 'ndjson',
+      'application/jsonl': 'ndjson'
+    };
+
+    // Spreadsheet apps run cells starting with these characters as formulas
+    this.formulaPrefixes = ['=', '+', '-', '@', '\t', '\r'];
+  }
+
+  /**
+   * Work out the format of an uploaded file
+   * @param {Object} file - File from multer
+   * @param {string} requested - format field sent with the upload
+   * @returns {string|null} csv, xlsx, ndjson or null when unknown
+   */
+  detectFormat(file, requested) {
+    if (requested) {
+      return Object.prototype.hasOwnProperty.call(this.formats, requested) ? requested : null;
+    }
+
+    const extension = String(file.originalname || '').split('.').pop().toLowerCase();
+    if (extension === 'jsonl') return 'ndjson';
+    if (Object.prototype.hasOwnProperty.call(this.formats, extension)) return extension;
+
+    return this.uploadMimeTypes[file.mimetype] || null;
+  }
+
+  /**
+   * Get the columns written by an export, in table order
+   * @param {Object} schema - Table schema
+   * @param {Array|null} fields - Requested columns (null = all)
+   * @param {boolean} withDeleted - Whether deleted_at is included
+   * @returns {Array<string>} Column names
+   */
+  getExportColumns(schema, fields, withDeleted = false) {
+    if (fields) return fields;
+
+    const columns = [...queryBuilder.getFilterableColumns(schema).keys()];
+    if (withDeleted) columns.push('deleted_at');
+    return columns;
+  }
+
+  /**
+   * Create a writer that streams rows to a response in the given format
+   * @param {string} format - csv, xlsx or ndjson
+   * @param {Object} res - Express response (headers already set)
+   * @param {Array<string>} columns - Columns to write
+   * @param {string} sheetName - Worksheet name for xlsx
+   * @returns {{write: Function, end: Function}} write(rows) and end() return promises
+   */
+  createWriter(format, res, columns, sheetName) {
+    // Wait for the client to catch up instead of buffering the whole table
+    const send = (chunk) => new Promise(resolve => {
+      if (res.write(chunk)) return resolve();
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.on('drain', done);
+      res.on('close', done);
+    });
+
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+      const sheet = workbook.addWorksheet(String(sheetName).replace(/[\[\]:*?\/\\]/g, '_').slice(0, 31) || 'Sheet1');
+      sheet.columns = columns.map(column => ({ header: column, key: column }));
+
+      return {
+        write: async (rows) => {
+          rows.forEach(row => {
+            const values = {};
+            columns.forEach(column => { values[column] = this._toCellValue(row[column]); });
+            sheet.addRow(values).commit();
+          });
+        },
+        end: async () => {
+          sheet.commit();
+          await workbook.commit();
+        }
+      };
+    }
+
+    if (format === 'ndjson') {
+      return {
+        write: (rows) => send(rows.map(row => `${JSON.stringify(row)}\n`).join('')),
+        end: async () => res.end()
+      };
+    }
+
+    // CSV with a byte order mark so Excel reads it as UTF-8
+    let started = false;
+    return {
+      write: async (rows) => {
+        let chunk = started ? '' : `\uFEFF${columns.map(column => this._csvField(column)).join(',')}\r\n`;
+        started = true;
+        rows.forEach(row => {
+          chunk += `${columns.map(column => this._csvField(row[column], true)).join(',')}\r\n`;
+        });
+        await send(chunk);
+      },
+      end: async () => {
+        if (!started) await send(`\uFEFF${columns.map(column => this._csvField(column)).join(',')}\r\n`);
+        res.end();
+      }
+    };
+  }
+
+  /**
+   * Read the records of an uploaded file
+   * @param {string} format - csv, xlsx or ndjson
+   * @param {Buffer} buffer - File contents
+   * @returns {Promise<{headers: Array<string>, records: Array<Object>}>} Records as
+   *   { line, values, error } with values keyed by the file's column names
+   */
+  async parseFile(format, buffer) {
+    if (format === 'xlsx') return this._parseXlsx(buffer);
+    if (format === 'ndjson') return this._parseNdjson(buffer.toString('utf8'));
+    return this._parseCsv(buffer.toString('utf8'));
+  }
+
+  /**
+   * Resolve which table column each column of the file goes to
+   * @param {Object|string|undefined} rawMapping - { "<file column>": "<table column>" | null }, may be a JSON string
+   * @param {Array<string>} headers - Columns of the file
+   * @param {Object} schema - Table schema
+   * @returns {{mapping: Map<string, string>, ignored: Array<string>, errors: Array<string>}}
+   */
+  resolveMapping(rawMapping, headers, schema) {
+    // File columns are only written by uploads, computed columns by the database
+    const targets = [...schemaValidator.getRules(schema)]
+      .filter(([column, rule]) => column !== 'XAuthUserId' && !rule.file && !rule.readOnly)
+      .map(([column]) => column);
+    const mapping = new Map();
+    const ignored = [];
+    const errors = [];
+
+    let explicit = rawMapping;
+    if (typeof explicit === 'string' && explicit.trim() !== '') {
+      try {
+        explicit = JSON.parse(explicit);
+      } catch (error) {
+        return { mapping, ignored, errors: ['mapping must be a JSON object'] };
+      }
+    }
+
+    if (explicit !== undefined && explicit !== '' && explicit !== null) {
+      if (typeof explicit !== 'object' || Array.isArray(explicit)) {
+        return { mapping, ignored, errors: ['mapping must be an object of file column to table column'] };
+      }
+
+      Object.entries(explicit).forEach(([header, column]) => {
+        if (!headers.includes(header)) {
+          errors.push(`mapping: the file has no column "${header}"`);
+        } else if (column === null || column === '') {
+          // Mapped to nothing on purpose
+        } else if (!targets.includes(column)) {
+          errors.push(`mapping: unknown table column "${column}" for "${header}"`);
+        } else {
+          mapping.set(header, column);
+        }
+      });
+
+      headers.forEach(header => {
+        if (!mapping.has(header)) ignored.push(header);
+      });
+    } else {
+      // Match file columns to table columns by name, ignoring case and spacing
+      const normalize = name => String(name).trim().toLowerCase().replace(/[\s-]+/g, '_');
+      const byName = new Map(targets.map(column => [normalize(column), column]));
+
+      headers.forEach(header => {
+        const column = targets.includes(header) ? header : byName.get(normalize(header));
+        if (column) mapping.set(header, column);
+        else ignored.push(header);
+      });
+    }
+
+    const seen = new Map();
+    mapping.forEach((column, header) => {
+      if (seen.has(column)) {
+        errors.push(`mapping: "${seen.get(column)}" and "${header}" both go to column ${column}`);
+      }
+      seen.set(column, header);
+    });
+
+    if (errors.length === 0 && mapping.size === 0) {
+      errors.push('None of the file columns match a table column - send a mapping');
+    }
+
+    return { mapping, ignored, errors };
+  }
+
+  /**
+   * Turn the values of a record into a row for the table
+   * Empty values are left out so column defaults apply.
+   * @param {Object} values - Values keyed by file column
+   * @param {Map<string, string>} mapping - From resolveMapping
+   * @param {Object} schema - Table schema
+   * @returns {{row: Object, errors: Array}} Errors as { field, code, message }
+   */
+  coerceRecord(values, mapping, schema) {
+    const rules = schemaValidator.getRules(schema);
+    const row = {};
+    const errors = [];
+
+    mapping.forEach((column, header) => {
+      const value = values[header];
+      if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) return;
+
+      const { value: coerced, error } = this._coerce(value, rules.get(column));
+      if (error) {
+        errors.push({ field: column, code: 'invalid_type', message: `${column} ${error} (got "${value}")` });
+      } else {
+        row[column] = coerced;
+      }
+    });
+
+    return { row, errors };
+  }
+
+  /**
+   * Coerce a value read from a file to a column's kind
+   * @private
+   */
+  _coerce(value, rule) {
+    if (!rule || rule.kind === null) return { value };
+
+    if (rule.array) {
+      if (Array.isArray(value)) return { value };
+      const text = String(value).trim();
+      if (text.startsWith('[')) {
+        try {
+          const parsed = JSON.parse(text);
+          return Array.isArray(parsed) ? { value: parsed } : { error: 'must be a list' };
+        } catch (error) {
+          return { error: 'must be a list' };
+        }
+      }
+      return { value: text.split(',').map(item => item.trim()) };
+    }
+
+    const text = typeof value === 'string' ? value.trim() : value;
+
+    switch (rule.kind) {
+      case 'integer':
+        if (Number.isInteger(text)) return { value: text };
+        if (typeof text === 'string' && /^-?\d+$/.test(text)) {
+          return { value: Number.isSafeInteger(Number(text)) ? Number(text) : text };
+        }
+        return { error: 'must be an integer' };
+      case 'number':
+        if (typeof text === 'number' && Number.isFinite(text)) return { value: text };
+        if (typeof text === 'string' && /^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(text)) return { value: Number(text) };
+        return { error: 'must be a number' };
+      case 'boolean': {
+        if (typeof text === 'boolean') return { value: text };
+        const normalized = String(text).toLowerCase();
+        if (['true', '1', 'yes', 'y'].includes(normalized)) return { value: true };
+        if (['false', '0', 'no', 'n'].includes(normalized)) return { value: false };
+        return { error: 'must be a boolean (true/false, yes/no or 1/0)' };
+      }
+      case 'datetime':
+        if (text instanceof Date) {
+          return isNaN(text.getTime()) ? { error: 'must be a valid date/time' } : { value: rule.timeOnly ? text.toISOString().slice(11, 19) : text.toISOString() };
+        }
+        return { value: String(text) };
+      case 'json':
+        if (typeof text !== 'string') return { value: text };
+        try {
+          return { value: JSON.parse(text) };
+        } catch (error) {
+          return { error: 'must be valid JSON' };
+        }
+      default:
+        return { value: text instanceof Date ? text.toISOString() : (typeof text === 'object' ? JSON.stringify(text) : String(text)) };
+    }
+  }
+
+  /**
+   * Parse CSV text (comma, semicolon or tab separated, RFC 4180 quoting)
+   * @private
+   */
+  _parseCsv(text) {
+    const source = text.replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0] || '';
+    const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+      firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+
+      if (quoted) {
+        if (char === '"' && source[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          if (char === '\n') line++;
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && source[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push({ line: rowLine, fields: row });
+        row = [];
+        field = '';
+        line++;
+        rowLine = line;
+      } else {
+        field += char;
+      }
+    }
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push({ line: rowLine, fields: row });
+    }
+
+    const [header, ...body] = rows.filter(({ fields }) => fields.some(value => value !== ''));
+    const headers = header ? header.fields.map(value => value.trim()) : [];
+
+    const records = body.map(({ line: recordLine, fields }) => {
+      const values = {};
+      headers.forEach((name, index) => { values[name] = this._unguardFormula(fields[index]); });
+      return { line: recordLine, values };
+    });
+
+    return { headers, records };
+  }
+
+  /**
+   * Parse the first worksheet of an xlsx file, the first row holding the column names
+   * @private
+   */
+  async _parseXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return { headers: [], records: [] };
+
+    let headers = null;
+    const records = [];
+
+    sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+      const cells = row.values.slice(1).map(value => this._fromCellValue(value));
+
+      if (!headers) {
+        headers = cells.map(value => (value === undefined || value === null ? '' : String(value).trim()));
+        return;
+      }
+
+      const values = {};
+      headers.forEach((name, index) => {
+        if (name) values[name] = cells[index];
+      });
+      records.push({ line: rowNumber, values });
+    });
+
+    return { headers: (headers || []).filter(Boolean), records };
+  }
+
+  /**
+   * Parse newline-delimited JSON, one object per line
+   * @private
+   */
+  _parseNdjson(text) {
+    const headers = new Set();
+    const records = [];
+
+    text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((content, index) => {
+      if (content.trim() === '') return;
+
+      try {
+        const values = JSON.parse(content);
+        if (!values || typeof values !== 'object' || Array.isArray(values)) {
+          records.push({ line: index + 1, values: {}, error: 'Line must be a JSON object' });
+          return;
+        }
+        Object.keys(values).forEach(key => headers.add(key));
+        records.push({ line: index + 1, values });
+      } catch (error) {
+        records.push({ line: index + 1, values: {}, error: `Invalid JSON: ${error.message}` });
+      }
+    });
+
+    return { headers: [...headers], records };
+  }
+
+  /**
+   * Format a value as a CSV field
+   * @private
+   */
+  _csvField(value, guardFormulas = false) {
+    if (value === null || value === undefined) return '';
+
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+    // Keep spreadsheet apps from running text cells as formulas
+    if (guardFormulas && typeof value === 'string' && this.formulaPrefixes.includes(text[0])) {
+      text = `'${text}`;
+    }
+
+    return /[",\r\n;\t]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Undo the formula guard added to exported CSV fields
+   * @private
+   */
+  _unguardFormula(value) {
+    if (typeof value !== 'string') return value;
+    return value[0] === "'" && this.formulaPrefixes.includes(value[1]) ? value.slice(1) : value;
+  }
+
+  /**
+   * Convert a value for an xlsx cell
+   * @private
+   */
+  _toCellValue(value) {
+    if (value === undefined) return null;
+    if (value !== null && typeof value === 'object') return JSON.stringify(value);
+    return value;
+  }
+
+  /**
+   * Convert an xlsx cell value (formula, rich text, hyperlink...) to a plain value
+   * @private
+   */
+  _fromCellValue(value) {
+    if (value === null || value === undefined || value instanceof Date) return value === null ? undefined : value;
+    if (typeof value !== 'object') return value;
+    if (value.result !== undefined) return this._fromCellValue(value.result);
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return this._fromCellValue(value.text);
+    if (value.error !== undefined) return String(value.error);
+    return JSON.stringify(value);
+  }
+}
+
+module.exports = new ImportExportService();
@@ -1,5 +1,6 @@
 const axios = require('axios');
 const config = require('../config/config');
+const { reservedTableNames } = require('../utils/naming');
 
 class MistralService {
   constructor() {
@@ -80,6 +81,7 @@ IMPORTANT RULES FOR SCHEMA DESIGN:
 6. DO NOT include "references" or "on delete" in constraints - use the relationships array instead.
 7. For constraints, use ONLY simple strings like: "primary key", "unique", "not null", "default now()".
 8. NEVER put objects like {"default value": "something"} inside constraint arrays - use "default something" format instead.
+9. NEVER name a table ${reservedTableNames.join(', ')} - these names are reserved for platform routes.
 
 RULES FOR HANDLING RELATIONSHIPS:
 1. For one-to-many relationships, the foreign key should be placed in the "many" side table.
@@ -387,7 +389,8 @@ IMPORTANT NOTES:
 7. Maintain existing relationships unless they conflict with new changes.
 8. DO NOT include "references" or "on delete" in constraints - use the relationships array instead.
 9. For constraints, use ONLY simple strings like: "primary key", "unique", "not null", "default now()".
-10. NEVER put objects like {"default value": "something"} inside constraint arrays - use "default something" format instead.`;
+10. NEVER put objects like {"default value": "something"} inside constraint arrays - use "default something" format instead.
+11. NEVER name a table ${reservedTableNames.join(', ')} - these names are reserved for platform routes.`;
       
       // Provide the existing schema as context
       const existingSchemaJson = JSON.stringify(existingTables, null, 2);
@@ -0,0 +1,568 @@
+/**
+ * Query Builder
+ * Parses the filter grammar accepted by generated list endpoints and applies it
+ * to Supabase queries.
+ *
+ * Grammar:
+ *   column=value              equality
+ *   column[op]=value          operator filter (eq, neq, gt, gte, lt, lte, like, ilike, in, is)
+ *   column[not_op]=value      negated operator filter (e.g. status[not_in]=a,b)
+ *
+ * Plain parameters that are not columns (cache busters such as _=123, tracking
+ * parameters such as utm_source) are ignored, unless strict parsing is asked for.
+ * Operator filters on unknown columns (foo[gt]=1) are always rejected.
+ *
+ * Aggregate endpoints also take group_by=col1,col2 and metrics=count,sum:amount,avg:price
+ */
+class QueryBuilder {
+  constructor() {
+    // Operators and the column kinds they can be used with
+    this.operators = {
+      eq: ['integer', 'number', 'boolean', 'uuid', 'datetime', 'string'],
+      neq: ['integer', 'number', 'boolean', 'uuid', 'datetime', 'string'],
+      gt: ['integer', 'number', 'datetime', 'string'],
+      gte: ['integer', 'number', 'datetime', 'string'],
+      lt: ['integer', 'number', 'datetime', 'string'],
+      lte: ['integer', 'number', 'datetime', 'string'],
+      like: ['string'],
+      ilike: ['string'],
+      in: ['integer', 'number', 'uuid', 'datetime', 'string'],
+      is: ['integer', 'number', 'boolean', 'uuid', 'datetime', 'string', 'json']
+    };
+
+    // Query parameters that control the request rather than filter rows
+    this.reservedParams = ['skipAuth', 'XAuthUserId', 'xauthuserid', 'x-user-id'];
+
+    // Maximum number of values accepted by an IN list
+    this.maxInValues = 100;
+
+    // Supported ?count= modes mapped to the Supabase count option
+    this.countModes = {
+      none: null,
+      estimated: 'estimated',
+      exact: 'exact'
+    };
+
+    // Aggregate functions accepted by ?metrics= and the column kinds they work on
+    // (count takes any column, or none to count rows)
+    this.aggregateFunctions = {
+      count: null,
+      sum: ['integer', 'number'],
+      avg: ['integer', 'number'],
+      min: ['integer', 'number', 'datetime'],
+      max: ['integer', 'number', 'datetime']
+    };
+
+    this.maxGroupByColumns = 5;
+    this.maxMetrics = 10;
+
+    // Maximum number of groups returned by an aggregate request
+    this.maxAggregateGroups = 1000;
+  }
+
+  /**
+   * Map a Postgres column type to a filter kind
+   * @param {string} type - Column type from the table schema
+   * @returns {string} integer | number | boolean | uuid | datetime | json | string
+   */
+  getColumnKind(type) {
+    const normalized = (type || '').toLowerCase().replace(/\(.*\)/, '').trim();
+
+    if (normalized.endsWith('[]')) return 'string';
+    if (/^(small|big)?(int|integer|serial)\d*$/.test(normalized)) return 'integer';
+    if (/^(numeric|decimal|real|float\d*|double precision|money)$/.test(normalized)) return 'number';
+    if (normalized.startsWith('bool')) return 'boolean';
+    if (normalized === 'uuid') return 'uuid';
+    if (normalized.startsWith('timestamp') || normalized === 'date' || normalized.startsWith('time')) return 'datetime';
+    // File columns hold the attached file's metadata as jsonb
+    if (normalized.startsWith('json') || normalized === 'file') return 'json';
+    return 'string';
+  }
+
+  /**
+   * Get the columns that can be used in filters for a table schema
+   * Includes the timestamp columns the generator always adds, but never XAuthUserId
+   * @param {Object} schema - Table schema
+   * @returns {Map<string, string>} Column name to column kind
+   */
+  getFilterableColumns(schema) {
+    const columns = new Map();
+
+    (schema.columns || []).forEach(col => {
+      if (!col || !col.name || col.name === 'XAuthUserId') return;
+      columns.set(col.name, this.getColumnKind(col.type));
+    });
+
+    if (!columns.has('created_at')) columns.set('created_at', 'datetime');
+    if (!columns.has('updated_at')) columns.set('updated_at', 'datetime');
+
+    return columns;
+  }
+
+  /**
+   * Parse filters from the query string against a table schema
+   * @param {Object} params - Query parameters left over after pagination/sorting
+   * @param {Object} schema - Table schema
+   * @param {Object} options - { strict: also reject plain parameters that are not columns }
+   * @returns {{filters: Array, errors: Array}} Parsed filters and validation errors
+   */
+  parseFilters(params, schema, { strict = false } = {}) {
+    const columns = this.getFilterableColumns(schema);
+    const filters = [];
+    const errors = [];
+
+    Object.entries(params || {}).forEach(([column, raw]) => {
+      if (this.reservedParams.includes(column)) return;
+
+      if (!columns.has(column)) {
+        const isOperatorFilter = raw !== null && typeof raw === 'object' && !Array.isArray(raw);
+        if (!strict && !isOperatorFilter) return;
+        errors.push({ parameter: column, message: `Unknown column "${column}"` });
+        return;
+      }
+
+      const kind = columns.get(column);
+
+      // Repeated plain parameters (?status=a&status=b) are treated as an IN list
+      let expressions;
+      if (Array.isArray(raw)) {
+        expressions = [['in', raw.join(',')]];
+      } else if (raw !== null && typeof raw === 'object') {
+        expressions = Object.entries(raw);
+      } else {
+        expressions = [['eq', raw]];
+      }
+
+      expressions.forEach(([rawOperator, value]) => {
+        const filter = this._parseExpression(column, kind, rawOperator, value);
+        if (filter.error) {
+          errors.push({ parameter: `${column}[${rawOperator}]`, message: filter.error });
+        } else {
+          filters.push(filter);
+        }
+      });
+    });
+
+    return { filters, errors };
+  }
+
+  /**
+   * Validate a single column/operator/value expression
+   * @private
+   */
+  _parseExpression(column, kind, rawOperator, value) {
+    const negated = rawOperator.startsWith('not_');
+    const operator = negated ? rawOperator.slice(4) : rawOperator;
+
+    if (!this.operators[operator]) {
+      return { error: `Unsupported operator "${rawOperator}". Supported: ${Object.keys(this.operators).join(', ')} (prefix with not_ to negate)` };
+    }
+
+    if (!this.operators[operator].includes(kind)) {
+      return { error: `Operator "${operator}" cannot be used with ${kind} column "${column}"` };
+    }
+
+    if (typeof value !== 'string') {
+      return { error: 'Filter value must be a string' };
+    }
+
+    if (operator === 'is') {
+      const allowed = kind === 'boolean' ? ['null', 'true', 'false'] : ['null'];
+      if (!allowed.includes(value.toLowerCase())) {
+        return { error: `Operator "is" only accepts ${allowed.join(', ')}` };
+      }
+      const isValue = { null: null, true: true, false: false }[value.toLowerCase()];
+      return { column, operator, negated, value: isValue };
+    }
+
+    if (operator === 'in') {
+      const values = value.split(',').map(v => v.trim()).filter(v => v !== '');
+      if (values.length === 0) {
+        return { error: 'Operator "in" requires a comma separated list of values' };
+      }
+      if (values.length > this.maxInValues) {
+        return { error: `Operator "in" accepts at most ${this.maxInValues} values` };
+      }
+      const invalid = values.find(v => !this.isValidValue(kind, v));
+      if (invalid !== undefined) {
+        return { error: `Value "${invalid}" is not a valid ${kind}` };
+      }
+      return { column, operator, negated, value: values };
+    }
+
+    if (operator !== 'like' && operator !== 'ilike' && !this.isValidValue(kind, value)) {
+      return { error: `Value "${value}" is not a valid ${kind}` };
+    }
+
+    return { column, operator, negated, value };
+  }
+
+  /**
+   * Check that a raw query string value can be cast to the column kind
+   * @param {string} kind - Column kind
+   * @param {string} value - Raw value
+   * @returns {boolean} True if the value is valid
+   */
+  isValidValue(kind, value) {
+    switch (kind) {
+      case 'integer':
+        return /^-?\d+$/.test(value);
+      case 'number':
+        return value.trim() !== '' && Number.isFinite(Number(value));
+      case 'boolean':
+        return value === 'true' || value === 'false';
+      case 'uuid':
+        return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+      case 'datetime':
+        return !isNaN(Date.parse(value));
+      case 'json':
+        return false;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Apply parsed filters to a Supabase query
+   * @param {Object} query - Supabase query builder
+   * @param {Array} filters - Filters returned by parseFilters
+   * @returns {Object} The filtered query
+   */
+  applyFilters(query, filters) {
+    filters.forEach(({ column, operator, negated, value }) => {
+      if (negated) {
+        const notValue = operator === 'in' ? this._formatInList(value) : value;
+        query = query.not(column, operator, notValue);
+      } else if (operator === 'in') {
+        query = query.in(column, value);
+      } else {
+        query = query[operator](column, value);
+      }
+    });
+
+    return query;
+  }
+
+  /**
+   * Format a list of values for a PostgREST "in" filter
+   * @private
+   */
+  _formatInList(values) {
+    const formatted = values.map(v => (/[,()"\s]/.test(v) ? `"${v.replace(/"/g, '\\"')}"` : v));
+    return `(${formatted.join(',')})`;
+  }
+
+  /**
+   * Check a row against parsed filters in memory, as applyFilters would in SQL
+   * Comparisons with a NULL column never match, negated or not (except "is").
+   * @param {Object} row - Row from the table
+   * @param {Array} filters - Filters returned by parseFilters
+   * @param {Object} schema - Table schema the filters were parsed against
+   * @returns {boolean} True if the row matches every filter
+   */
+  matchesFilters(row, filters, schema) {
+    const columns = this.getFilterableColumns(schema);
+
+    return filters.every(({ column, operator, negated, value }) => {
+      const actual = row ? row[column] : undefined;
+
+      if (operator === 'is') {
+        const matches = value === null ? actual === null || actual === undefined : actual === value;
+        return negated ? !matches : matches;
+      }
+
+      if (actual === null || actual === undefined) return false;
+
+      const matches = this._compare(columns.get(column), actual, operator, value);
+      return negated ? !matches : matches;
+    });
+  }
+
+  /**
+   * Evaluate a single non-null comparison for matchesFilters
+   * @private
+   */
+  _compare(kind, actual, operator, value) {
+    const toComparable = (v) => {
+      switch (kind) {
+        case 'integer':
+        case 'number':
+          return Number(v);
+        case 'datetime':
+          return Date.parse(v);
+        case 'uuid':
+          return String(v).toLowerCase();
+        default:
+          return typeof v === 'object' ? JSON.stringify(v) : String(v);
+      }
+    };
+
+    if (operator === 'like' || operator === 'ilike') {
+      // % (or *) matches any run of characters, _ a single character
+      const pattern = String(value).split('').map(chr => {
+        if (chr === '%' || chr === '*') return '.*';
+        if (chr === '_') return '.';
+        return chr.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      }).join('');
+      return new RegExp(`^${pattern}$`, operator === 'ilike' ? 'is' : 's').test(String(actual));
+    }
+
+    const left = toComparable(actual);
+
+    if (operator === 'in') {
+      return value.some(v => toComparable(v) === left);
+    }
+
+    const right = kind === 'boolean' ? String(value) : toComparable(value);
+    switch (operator) {
+      case 'eq': return (kind === 'boolean' ? String(actual) : left) === right;
+      case 'neq': return (kind === 'boolean' ? String(actual) : left) !== right;
+      case 'gt': return left > right;
+      case 'gte': return left >= right;
+      case 'lt': return left < right;
+      case 'lte': return left <= right;
+      default: return false;
+    }
+  }
+
+  /**
+   * Parse the group_by and metrics parameters of an aggregate request
+   * Metrics are named count for the row count and <function>_<column> otherwise.
+   * @param {string} groupByParam - Comma separated columns to group by
+   * @param {string} metricsParam - Comma separated metrics (count, sum:amount, ...), defaults to count
+   * @param {Object} schema - Table schema
+   * @returns {{groupBy: Array<string>, metrics: Array<Object>, errors: Array}} Metrics as { name, fn, column }
+   */
+  parseAggregation(groupByParam, metricsParam, schema) {
+    const columns = this.getFilterableColumns(schema);
+    const errors = [];
+    const split = value => [...new Set(String(value).split(',').map(item => item.trim()).filter(Boolean))];
+
+    const groupBy = groupByParam === undefined || groupByParam === '' ? [] : split(groupByParam);
+    groupBy.forEach(column => {
+      if (!columns.has(column)) {
+        errors.push({ parameter: 'group_by', message: `Unknown column "${column}"` });
+      }
+    });
+    if (groupBy.length > this.maxGroupByColumns) {
+      errors.push({ parameter: 'group_by', message: `At most ${this.maxGroupByColumns} columns can be grouped by` });
+    }
+
+    const metrics = [];
+    const rawMetrics = metricsParam === undefined || metricsParam === '' ? ['count'] : split(metricsParam);
+    rawMetrics.forEach(raw => {
+      const [fn, column, ...rest] = raw.split(':').map(part => part.trim());
+
+      if (!Object.prototype.hasOwnProperty.call(this.aggregateFunctions, fn) || rest.length > 0) {
+        errors.push({ parameter: 'metrics', message: `Invalid metric "${raw}" - use count or <function>:<column> with function one of: ${Object.keys(this.aggregateFunctions).join(', ')}` });
+        return;
+      }
+
+      if (!column) {
+        if (fn !== 'count') {
+          errors.push({ parameter: 'metrics', message: `${fn} needs a column (e.g. ${fn}:amount)` });
+          return;
+        }
+        metrics.push({ name: 'count', fn, column: null });
+        return;
+      }
+
+      if (!columns.has(column)) {
+        errors.push({ parameter: 'metrics', message: `Unknown column "${column}" in ${raw}` });
+        return;
+      }
+
+      const kinds = this.aggregateFunctions[fn];
+      if (kinds && !kinds.includes(columns.get(column))) {
+        errors.push({ parameter: 'metrics', message: `${fn} cannot be used on ${column} (${columns.get(column)}), only on ${kinds.join(', ')} columns` });
+        return;
+      }
+
+      metrics.push({ name: `${fn}_${column}`, fn, column });
+    });
+
+    if (metrics.length > this.maxMetrics) {
+      errors.push({ parameter: 'metrics', message: `At most ${this.maxMetrics} metrics can be requested` });
+    }
+
+    metrics.forEach(metric => {
+      if (groupBy.includes(metric.name)) {
+        errors.push({ parameter: 'metrics', message: `Metric ${metric.name} has the same name as a group_by column` });
+      }
+    });
+
+    return { groupBy, metrics, errors };
+  }
+
+  /**
+   * Build the Supabase select clause of an aggregate request
+   * The grouped columns are selected as they are, which makes PostgREST group by them.
+   * @param {Array<string>} groupBy - Columns to group by
+   * @param {Array<Object>} metrics - Metrics from parseAggregation
+   * @returns {string} Supabase select clause
+   */
+  buildAggregateSelect(groupBy, metrics) {
+    return [
+      ...groupBy,
+      ...metrics.map(metric => `${metric.name}:${metric.column ? `${metric.column}.` : ''}${metric.fn}()`)
+    ].join(',');
+  }
+
+  /**
+   * Get the primary key column of a table schema
+   * @param {Object} schema - Table schema
+   * @returns {string} Primary key column name (defaults to id)
+   */
+  getPrimaryKey(schema) {
+    const pkColumn = (schema.columns || []).find(col => {
+      if (!col || !col.constraints) return false;
+      const constraints = Array.isArray(col.constraints)
+        ? col.constraints.join(' ')
+        : String(col.constraints);
+      return constraints.toLowerCase().includes('primary key');
+    });
+
+    return pkColumn ? pkColumn.name : 'id';
+  }
+
+  /**
+   * Get the columns with a unique or primary key constraint
+   * @param {Object} schema - Table schema
+   * @returns {Array<string>} Column names usable as an upsert conflict target
+   */
+  getUniqueColumns(schema) {
+    const columns = (schema.columns || [])
+      .filter(col => {
+        if (!col || !col.name || !col.constraints) return false;
+        const constraints = (Array.isArray(col.constraints)
+          ? col.constraints.join(' ')
+          : String(col.constraints)).toLowerCase();
+        return /\bunique\b/.test(constraints) || constraints.includes('primary key');
+      })
+      .map(col => col.name);
+
+    const primaryKey = this.getPrimaryKey(schema);
+    if (!columns.includes(primaryKey)) columns.unshift(primaryKey);
+
+    return columns;
+  }
+
+  /**
+   * Encode a keyset position as an opaque cursor string
+   * @param {Object} position - { column, order, value, key, direction }
+   * @returns {string} Base64url encoded cursor
+   */
+  encodeCursor(position) {
+    return Buffer.from(JSON.stringify({
+      c: position.column,
+      o: position.order,
+      v: position.value === undefined ? null : position.value,
+      k: position.key,
+      d: position.direction
+    })).toString('base64url');
+  }
+
+  /**
+   * Decode a cursor produced by encodeCursor
+   * @param {string} cursor - Cursor string from the client
+   * @returns {Object|null} Decoded position or null if the cursor is malformed
+   */
+  decodeCursor(cursor) {
+    try {
+      const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (!decoded || typeof decoded.c !== 'string' || decoded.k === undefined ||
+          !['next', 'prev'].includes(decoded.d) || !['asc', 'desc'].includes(decoded.o)) {
+        return null;
+      }
+      return {
+        column: decoded.c,
+        order: decoded.o,
+        value: decoded.v,
+        key: decoded.k,
+        direction: decoded.d
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Apply keyset ordering and the "rows after the cursor" condition to a query
+   * Rows are ordered by the sort column with the primary key as tie-breaker.
+   * Postgres sorts NULLs last when ascending and first when descending.
+   * @param {Object} query - Supabase query builder
+   * @param {Object} options - { column, primaryKey, ascending, position }
+   * @returns {Object} The ordered query
+   */
+  applyCursor(query, { column, primaryKey, ascending, position }) {
+    const cmp = ascending ? 'gt' : 'lt';
+
+    if (position) {
+      const key = this._quoteLogicValue(position.key);
+
+      if (column === primaryKey) {
+        query = query.filter(primaryKey, cmp, position.key);
+      } else if (position.value === null) {
+        const conditions = [`and(${column}.is.null,${primaryKey}.${cmp}.${key})`];
+        if (!ascending) conditions.push(`${column}.not.is.null`);
+        query = query.or(conditions.join(','));
+      } else {
+        const value = this._quoteLogicValue(position.value);
+        const conditions = [
+          `${column}.${cmp}.${value}`,
+          `and(${column}.eq.${value},${primaryKey}.${cmp}.${key})`
+        ];
+        if (ascending) conditions.push(`${column}.is.null`);
+        query = query.or(conditions.join(','));
+      }
+    }
+
+    query = query.order(column, { ascending });
+    if (column !== primaryKey) {
+      query = query.order(primaryKey, { ascending });
+    }
+
+    return query;
+  }
+
+  /**
+   * Quote a value for use inside a PostgREST logic tree (or/and)
+   * @private
+   */
+  _quoteLogicValue(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  }
+
+  /**
+   * Describe the filter parameters of a table for the Swagger spec
+   * @param {Object} schema - Table schema
+   * @returns {Array} OpenAPI parameter objects
+   */
+  describeFilterParameters(schema) {
+    const parameters = [];
+
+    this.getFilterableColumns(schema).forEach((kind, column) => {
+      const operators = Object.keys(this.operators).filter(op => this.operators[op].includes(kind));
+
+      parameters.push({
+        name: column,
+        in: 'query',
+        description: `Filter by ${column} (${kind}). Use ${column}=value for equality or ${column}[op]=value with op one of: ${operators.join(', ')}. Prefix an operator with not_ to negate it.`,
+        required: false,
+        style: 'deepObject',
+        explode: true,
+        schema: {
+          type: 'object',
+          properties: operators.reduce((props, op) => {
+            props[op] = { type: 'string' };
+            return props;
+          }, {})
+        }
+      });
+    });
+
+    return parameters;
+  }
+}
+
+module.exports = new QueryBuilder();
@@ -0,0 +1,298 @@
+const http = require('http');
+const { WebSocketServer } = require('ws');
+
+/**
+ * Realtime Service
+ * Pushes rows created, updated or deleted through a generated API to clients
+ * connected to GET /api/:apiId/:table/stream, as Server-Sent Events or over a
+ * WebSocket when the request asks to upgrade.
+ *
+ * Every event has an id of the form "<epoch>-<sequence>". The last events of
+ * each table are kept in memory so a client reconnecting with Last-Event-ID
+ * (or ?last_event_id=) receives what it missed. When those events are no
+ * longer available (too old, or the server restarted) the client gets a
+ * reset event and should reload the data. Events are only seen by clients
+ * connected to the process that handled the change.
+ *
+ * Message format (SSE data and WebSocket messages):
+ *   { id, event: 'create' | 'update' | 'delete' | 'reset', table, data, occurredAt }
+ */
+class RealtimeService {
+  constructor() {
+    // Events kept per table for clients that reconnect
+    this.bufferSize = 500;
+
+    // Open streams allowed per API
+    this.maxConnectionsPerApi = 100;
+
+    this.heartbeatInterval = 25 * 1000;
+
+    // Reconnection delay suggested to EventSource clients
+    this.retryDelay = 3000;
+
+    // Changes on restart, so event ids issued by an earlier process are recognised
+    this.epoch = Date.now().toString(36);
+    this.sequence = 0;
+
+    // `${apiId}:${tableName}` -> { events, evictedUpTo, subscribers }
+    this.channels = new Map();
+
+    // apiId -> number of open streams
+    this.connections = new Map();
+
+    this.wss = new WebSocketServer({ noServer: true });
+  }
+
+  /**
+   * Publish changed rows to the streams of a table
+   * @param {string} apiId - API ID
+   * @param {string} tableName - Table name without prefix
+   * @param {string} event - create, update or delete
+   * @param {Array<Object>|Object} rows - Changed rows as stored (including the owner column)
+   */
+  publish(apiId, tableName, event, rows) {
+    const channel = this.channels.get(`${apiId}:${tableName}`);
+
+    // Nobody has streamed this table yet, so nobody can resume from it either
+    if (!channel) return;
+
+    const occurredAt = new Date().toISOString();
+
+    (Array.isArray(rows) ? rows : [rows]).filter(Boolean).forEach(row => {
+      const entry = { sequence: ++this.sequence, event, row, occurredAt };
+
+      channel.events.push(entry);
+      if (channel.events.length > this.bufferSize) {
+        channel.evictedUpTo = channel.events.shift().sequence;
+      }
+
+      channel.subscribers.forEach(subscriber => {
+        try {
+          subscriber(entry);
+        } catch (error) {
+          console.error(`Error sending ${tableName} change to a stream of API ${apiId}:`, error);
+        }
+      });
+    });
+  }
+
+  /**
+   * Check whether an API may open another stream
+   * @param {string} apiId - API ID
+   * @returns {boolean} False when the API reached maxConnectionsPerApi
+   */
+  canConnect(apiId) {
+    return (this.connections.get(apiId) || 0) < this.maxConnectionsPerApi;
+  }
+
+  /**
+   * Check whether a request asks to be upgraded to a WebSocket
+   * @param {Object} req - Express request object
+   * @returns {boolean}
+   */
+  isWebSocketRequest(req) {
+    return !!req.websocket;
+  }
+
+  /**
+   * Open a stream of a table's changes for a request
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Object} options - { apiId, tableName, lastEventId, accept(row, event), shape(row) }
+   */
+  stream(req, res, options) {
+    if (this.isWebSocketRequest(req)) {
+      this._openWebSocket(req, res, options);
+    } else {
+      this._openEventStream(req, res, options);
+    }
+  }
+
+  /**
+   * Route WebSocket upgrade requests of a server through an Express app
+   * The upgrade only happens in a stream route, after the app's middleware
+   * (including the generated API's auth) ran; any other response is written
+   * back to the socket as plain HTTP.
+   * @param {Object} server - HTTP server returned by app.listen
+   * @param {Function} app - Express app
+   */
+  attach(server, app) {
+    server.on('upgrade', (req, socket, head) => {
+      const path = req.url.split('?')[0];
+      if (!/\/stream\/?$/.test(path)) {
+        socket.destroy();
+        return;
+      }
+
+      req.websocket = { socket, head };
+
+      const res = new http.ServerResponse(req);
+      res.shouldKeepAlive = false;
+      res.assignSocket(socket);
+      res.on('finish', () => socket.end());
+
+      app(req, res);
+    });
+
+    console.log('Realtime WebSocket streams enabled');
+  }
+
+  /**
+   * Register a subscriber and collect the events it missed
+   * @private
+   */
+  _subscribe(apiId, tableName, lastEventId, subscriber) {
+    const key = `${apiId}:${tableName}`;
+    let channel = this.channels.get(key);
+    if (!channel) {
+      channel = { events: [], evictedUpTo: this.sequence, subscribers: new Set() };
+      this.channels.set(key, channel);
+    }
+
+    let missed = [];
+    let reset = false;
+
+    if (lastEventId) {
+      const [epoch, sequenceText] = String(lastEventId).split('-');
+      const lastSequence = Number(sequenceText);
+
+      if (epoch !== this.epoch || !Number.isInteger(lastSequence) || lastSequence < channel.evictedUpTo) {
+        reset = true;
+      } else {
+        missed = channel.events.filter(entry => entry.sequence > lastSequence);
+      }
+    }
+
+    channel.subscribers.add(subscriber);
+    this.connections.set(apiId, (this.connections.get(apiId) || 0) + 1);
+
+    const unsubscribe = () => {
+      if (!channel.subscribers.delete(subscriber)) return;
+
+      const remaining = (this.connections.get(apiId) || 1) - 1;
+      if (remaining > 0) {
+        this.connections.set(apiId, remaining);
+      } else {
+        this.connections.delete(apiId);
+      }
+    };
+
+    return { missed, reset, unsubscribe };
+  }
+
+  /**
+   * Turn a buffered event into a message for a client, or null when the
+   * client may not see the row or it does not match the client's filters
+   * @private
+   */
+  _toMessage(entry, { tableName, accept, shape }) {
+    if (!accept(entry.row, entry.event)) return null;
+
+    return {
+      id: `${this.epoch}-${entry.sequence}`,
+      event: entry.event,
+      table: tableName,
+      data: shape(entry.row),
+      occurredAt: entry.occurredAt
+    };
+  }
+
+  /**
+   * Message telling a client that missed events are no longer available
+   * @private
+   */
+  _resetMessage(tableName) {
+    return {
+      id: `${this.epoch}-${this.sequence}`,
+      event: 'reset',
+      table: tableName,
+      data: { message: 'Missed changes are no longer available - reload the data' },
+      occurredAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Stream changes as Server-Sent Events
+   * @private
+   */
+  _openEventStream(req, res, options) {
+    const { apiId, tableName, lastEventId } = options;
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${this.retryDelay}\n\n`);
+
+    const send = (message) => {
+      res.write(`id: ${message.id}\nevent: ${message.event}\ndata: ${JSON.stringify(message)}\n\n`);
+    };
+
+    const { missed, reset, unsubscribe } = this._subscribe(apiId, tableName, lastEventId, entry => {
+      const message = this._toMessage(entry, options);
+      if (message) send(message);
+    });
+
+    if (reset) send(this._resetMessage(tableName));
+    missed.forEach(entry => {
+      const message = this._toMessage(entry, options);
+      if (message) send(message);
+    });
+
+    // Comments keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), this.heartbeatInterval);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      console.log(`Closed ${tableName} event stream of API ${apiId}`);
+    });
+
+    console.log(`Opened ${tableName} event stream of API ${apiId}${lastEventId ? ` (resuming after ${lastEventId})` : ''}`);
+  }
+
+  /**
+   * Stream changes over a WebSocket
+   * @private
+   */
+  _openWebSocket(req, res, options) {
+    const { apiId, tableName, lastEventId } = options;
+    const { socket, head } = req.websocket;
+
+    // The socket now belongs to the WebSocket, not to the HTTP response
+    res.detachSocket(socket);
+
+    this.wss.handleUpgrade(req, socket, head, ws => {
+      const send = (message) => {
+        if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+      };
+
+      const { missed, reset, unsubscribe } = this._subscribe(apiId, tableName, lastEventId, entry => {
+        const message = this._toMessage(entry, options);
+        if (message) send(message);
+      });
+
+      if (reset) send(this._resetMessage(tableName));
+      missed.forEach(entry => {
+        const message = this._toMessage(entry, options);
+        if (message) send(message);
+      });
+
+      const heartbeat = setInterval(() => ws.ping(), this.heartbeatInterval);
+
+      ws.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        console.log(`Closed ${tableName} WebSocket stream of API ${apiId}`);
+      });
+      ws.on('error', error => console.error(`WebSocket stream error (${tableName}, API ${apiId}):`, error.message));
+
+      console.log(`Opened ${tableName} WebSocket stream of API ${apiId}${lastEventId ? ` (resuming after ${lastEventId})` : ''}`);
+    });
+  }
+}
+
+module.exports = new RealtimeService();
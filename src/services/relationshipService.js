@@ -0,0 +1,291 @@
+const searchService = require('./searchService');
+
+/**
+ * Relationship Service
+ * Resolves sparse fieldsets (?fields=) and relationship embedding (?include=)
+ * for generated endpoints, based on the `relationships` metadata stored on
+ * each table schema.
+ *
+ * A relationship declared on a table links its `sourceColumn` to
+ * `targetTable.targetColumn`. It can be embedded from both sides:
+ *   - forward, under the target table name (or the source column without _id)
+ *   - reverse, on the target table under the declaring table's name
+ */
+class RelationshipService {
+  constructor() {
+    // Relationship types that embed a list of rows instead of a single row
+    this.manyTypes = ['one-to-many', 'many-to-many'];
+
+    // Maximum number of relationships embedded in a single request
+    this.maxIncludes = 10;
+  }
+
+  /**
+   * Resolve the table name a relationship points to, without the API prefix
+   * @private
+   */
+  _baseTableName(name, prefix) {
+    const lower = (name || '').toLowerCase();
+    return lower.startsWith(prefix) ? lower.slice(prefix.length) : lower;
+  }
+
+  /**
+   * Find a table schema by its original or prefixed name
+   * @private
+   */
+  _findSchema(tableSchemas, name, prefix) {
+    const baseName = this._baseTableName(name, prefix);
+    return tableSchemas.find(s => s && [s.originalName, s.name, s.prefixedName]
+      .some(n => n && this._baseTableName(n, prefix) === baseName));
+  }
+
+  /**
+   * Get the physical table name of a schema
+   * @private
+   */
+  _tableName(schema, prefix) {
+    return (schema.prefixedName || `${prefix}${schema.originalName || schema.name}`).toLowerCase();
+  }
+
+  /**
+   * Build the relations that can be embedded from a table
+   * @param {Object} schema - Table schema the request targets
+   * @param {Array} tableSchemas - All table schemas of the API
+   * @param {string} prefix - Table name prefix of the API (XAuthUserId_apiIdentifier_)
+   * @returns {Map<string, Object>} Relation name to { table, target, localColumn, remoteColumn, many }
+   */
+  getRelations(schema, tableSchemas, prefix) {
+    const relations = new Map();
+    const lowerPrefix = prefix.toLowerCase();
+    const columnNames = new Set((schema.columns || []).map(col => col && col.name));
+    const ownName = this._baseTableName(schema.originalName || schema.name, lowerPrefix);
+
+    const addRelation = (name, relation) => {
+      if (!name || relations.has(name) || columnNames.has(name)) return;
+      relations.set(name, relation);
+    };
+
+    // Relationships declared on this table
+    (schema.relationships || []).forEach(rel => {
+      if (!rel || !rel.sourceColumn || !rel.targetTable) return;
+
+      const target = this._findSchema(tableSchemas, rel.originalTargetTable || rel.targetTable, lowerPrefix);
+      if (!target) return;
+
+      const relation = {
+        table: this._tableName(target, lowerPrefix),
+        target: target.originalName || this._baseTableName(target.name, lowerPrefix),
+        localColumn: rel.sourceColumn,
+        remoteColumn: rel.targetColumn || 'id',
+        many: this.manyTypes.includes(rel.type)
+      };
+
+      addRelation(this._baseTableName(target.originalName || target.name, lowerPrefix), relation);
+      if (rel.sourceColumn.endsWith('_id')) {
+        addRelation(rel.sourceColumn.slice(0, -3), relation);
+      }
+    });
+
+    // Relationships declared on other tables that point at this table
+    tableSchemas.forEach(other => {
+      if (!other || other === schema) return;
+
+      (other.relationships || []).forEach(rel => {
+        if (!rel || !rel.sourceColumn || !rel.targetTable) return;
+        if (this._baseTableName(rel.originalTargetTable || rel.targetTable, lowerPrefix) !== ownName) return;
+
+        addRelation(this._baseTableName(other.originalName || other.name, lowerPrefix), {
+          table: this._tableName(other, lowerPrefix),
+          target: other.originalName || this._baseTableName(other.name, lowerPrefix),
+          localColumn: rel.targetColumn || 'id',
+          remoteColumn: rel.sourceColumn,
+          many: rel.type !== 'one-to-one' && rel.type !== 'one-to-many'
+        });
+      });
+    });
+
+    return relations;
+  }
+
+  /**
+   * Split a comma separated query parameter into unique names
+   * @private
+   */
+  _splitList(value) {
+    const raw = Array.isArray(value) ? value.join(',') : String(value);
+    return [...new Set(raw.split(',').map(v => v.trim()).filter(Boolean))];
+  }
+
+  /**
+   * Parse the ?fields= parameter against the table columns
+   * @param {string|Array|undefined} value - Raw query parameter
+   * @param {Object} schema - Table schema
+   * @returns {{fields: Array|null, errors: Array}} Requested columns (null = all)
+   */
+  parseFields(value, schema) {
+    if (value === undefined || value === '') return { fields: null, errors: [] };
+
+    const columns = new Set((schema.columns || [])
+      .map(col => col && col.name)
+      .filter(name => name && name !== 'XAuthUserId'));
+    columns.add('created_at');
+    columns.add('updated_at');
+
+    const fields = this._splitList(value);
+    const errors = fields
+      .filter(field => !columns.has(field))
+      .map(field => ({ parameter: 'fields', message: `Unknown column "${field}"` }));
+
+    return { fields, errors };
+  }
+
+  /**
+   * Parse the ?include= parameter against the available relations
+   * @param {string|Array|undefined} value - Raw query parameter
+   * @param {Map<string, Object>} relations - Relations returned by getRelations
+   * @returns {{includes: Array, errors: Array}} Relations to embed
+   */
+  parseIncludes(value, relations) {
+    if (value === undefined || value === '') return { includes: [], errors: [] };
+
+    const names = this._splitList(value);
+    const errors = [];
+
+    if (names.length > this.maxIncludes) {
+      errors.push({ parameter: 'include', message: `At most ${this.maxIncludes} relationships can be included` });
+    }
+
+    const includes = [];
+    names.forEach(name => {
+      if (!relations.has(name)) {
+        const available = [...relations.keys()];
+        errors.push({
+          parameter: 'include',
+          message: `Unknown relationship "${name}"${available.length ? `. Available: ${available.join(', ')}` : ''}`
+        });
+        return;
+      }
+      includes.push({ name, ...relations.get(name) });
+    });
+
+    return { includes, errors };
+  }
+
+  /**
+   * Build the select clause for a read, adding the columns needed for embedding
+   * @param {Array|null} fields - Requested columns (null = all)
+   * @param {Array} includes - Relations to embed
+   * @param {Array} extraColumns - Other columns the handler needs (e.g. cursor keys)
+   * @returns {string} Supabase select clause
+   */
+  buildSelect(fields, includes, extraColumns = []) {
+    if (!fields) return '*';
+
+    const columns = new Set(fields);
+    includes.forEach(include => columns.add(include.localColumn));
+    extraColumns.forEach(column => columns.add(column));
+
+    return [...columns].join(',');
+  }
+
+  /**
+   * Embed related rows into the given rows using one query per relationship
+   * @param {Object} supabase - Supabase client
+   * @param {Array} rows - Rows fetched from the main table (mutated in place)
+   * @param {Array} includes - Relations to embed
+   * @returns {Promise<void>}
+   */
+  async embed(supabase, rows, includes) {
+    for (const include of includes) {
+      const keys = [...new Set(rows
+        .map(row => row[include.localColumn])
+        .filter(key => key !== null && key !== undefined))];
+
+      const related = new Map();
+      if (keys.length > 0) {
+        let query = supabase
+          .from(include.table)
+          .select('*')
+          .in(include.remoteColumn, keys);
+
+        // Soft-deleted rows of the related table are never embedded
+        if (include.hideDeleted) {
+          query = query.is('deleted_at', null);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+          throw new Error(`Failed to include "${include.name}": ${error.message}`);
+        }
+
+        (data || []).forEach(item => {
+          const key = String(item[include.remoteColumn]);
+          if (!related.has(key)) related.set(key, []);
+          related.get(key).push(this.project(item, null, []));
+        });
+      }
+
+      rows.forEach(row => {
+        const matches = related.get(String(row[include.localColumn])) || [];
+        row[include.name] = include.many ? matches : (matches[0] || null);
+      });
+    }
+  }
+
+  /**
+   * Shape a row for the response: hide XAuthUserId, the full-text search
+   * column and columns that were only selected internally
+   * @param {Object} row - Row with embedded relations
+   * @param {Array|null} fields - Requested columns (null = all)
+   * @param {Array} includes - Embedded relations
+   * @returns {Object} Row as returned to the client
+   */
+  project(row, fields, includes) {
+    if (!row) return row;
+
+    if (!fields) {
+      const { XAuthUserId, [searchService.column]: searchVector, ...rest } = row;
+      return rest;
+    }
+
+    const projected = {};
+    fields.forEach(field => { projected[field] = row[field]; });
+    includes.forEach(include => { projected[include.name] = row[include.name]; });
+    return projected;
+  }
+
+  /**
+   * Describe the fields and include parameters of a table for the Swagger spec
+   * @param {Object} schema - Table schema
+   * @param {Array} tableSchemas - All table schemas of the API
+   * @returns {Array} OpenAPI parameter objects
+   */
+  describeReadParameters(schema, tableSchemas) {
+    const name = (schema.originalName || schema.name || '').toLowerCase();
+    const prefixedName = (schema.prefixedName || '').toLowerCase();
+    const prefix = prefixedName.endsWith(name) ? prefixedName.slice(0, prefixedName.length - name.length) : '';
+    const relationNames = [...this.getRelations(schema, tableSchemas, prefix).keys()];
+
+    return [
+      {
+        name: 'fields',
+        in: 'query',
+        description: 'Comma separated list of columns to return (e.g. fields=id,name)',
+        required: false,
+        schema: { type: 'string' }
+      },
+      {
+        name: 'include',
+        in: 'query',
+        description: relationNames.length > 0
+          ? `Comma separated list of related records to embed. Available: ${relationNames.join(', ')}`
+          : 'Comma separated list of related records to embed. This table has no relationships.',
+        required: false,
+        schema: { type: 'string' }
+      }
+    ];
+  }
+}
+
+module.exports = new RelationshipService();
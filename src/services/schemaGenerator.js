@@ -1,6 +1,9 @@
 const { createClient } = require('@supabase/supabase-js');
 const config = require('../config/config');
 const edgeFunctionService = require('./edgeFunctionService');
+const searchService = require('./searchService');
+const fileService = require('./fileService');
+const columnDefinitionService = require('./columnDefinitionService');
 
 class SchemaGenerator {
   constructor() {
@@ -258,6 +261,12 @@ class SchemaGenerator {
       
       console.log(`Attempting to create table ${name} in Supabase...`);
       
+      // Check computed, slug, autoCode, enum and default column options
+      const definitionErrors = columnDefinitionService.validateColumns({ name, columns });
+      if (definitionErrors.length > 0) {
+        return { success: false, message: definitionErrors.join('; ') };
+      }
+      
       // Generate SQL for table creation
       let sql = `
         -- Create table with UUID extension
@@ -266,6 +275,8 @@ class SchemaGenerator {
         -- Drop existing table if it exists
         DROP TABLE IF EXISTS "${name}" CASCADE;
         
+        ${columnDefinitionService.getBeforeTableSQL(name, columns)}
+        
         -- Create the new table
         CREATE TABLE "${name}" (
       `;
@@ -276,7 +287,8 @@ class SchemaGenerator {
       // Add column definitions
       const columnDefinitions = [];
       for (const col of columns) {
-        let colDef = `"${col.name}" ${col.type}`;
+        // File columns hold the metadata of the attached file
+        let colDef = `"${col.name}" ${fileService.toSqlType(col.type)}`;
         
         // Handle constraints properly
         if (col.constraints) {
@@ -364,6 +376,9 @@ class SchemaGenerator {
           colDef += constraintText;
         }
         
+        // Declarative options: generated expression, server default, enum check
+        colDef += columnDefinitionService.getColumnSQL(col, name);
+        
         columnDefinitions.push(colDef);
       }
       
@@ -400,6 +415,8 @@ class SchemaGenerator {
         BEFORE UPDATE ON "${name}"
         FOR EACH ROW
         EXECUTE FUNCTION "update_${name}_updated_at"();
+        
+        ${columnDefinitionService.getAfterTableSQL(name, columns)}
       `;
       
       console.log(`Generated SQL for table ${name}:`);
@@ -456,6 +473,21 @@ class SchemaGenerator {
         }
       }
       
+      // Add the full-text search column and functions for searchable columns
+      const searchColumns = searchService.getSearchableColumns(tableSchema);
+      if (searchColumns.length > 0) {
+        console.log(`Adding full-text search on ${searchColumns.join(', ')} for table ${name}`);
+        
+        const { data: searchData, error: searchError } = await this.supabase.rpc('execute_sql', {
+          sql_query: searchService.generateSQL(name, searchColumns)
+        });
+        
+        if (searchError || (searchData && searchData.success === false)) {
+          console.warn(`Warning: Could not add full-text search to ${name}:`, searchError || searchData.error);
+          // Don't fail the whole operation, the search endpoint reports the missing setup
+        }
+      }
+      
       // Double-check if the table exists
       try {
         const { count, error: verifyError } = await this.supabase
@@ -628,13 +660,19 @@ CREATE EXTENSION IF NOT EXISTS "pgcrypto";
     // Drop the table if it exists
     sql += `DROP TABLE IF EXISTS "${fullTableName}" CASCADE;\n\n`;
     
+    // Sequences of autoCode columns have to exist before the table
+    const beforeTableSQL = columnDefinitionService.getBeforeTableSQL(fullTableName, columns);
+    if (beforeTableSQL) {
+      sql += `${beforeTableSQL}\n\n`;
+    }
+    
     // Track foreign keys for separate handling
     const foreignKeys = [];
     
     // Generate column definitions
     const columnDefinitions = columns.map(column => {
       // Clean up the column data to avoid SQL syntax errors
-      const cleanedType = this._cleanSqlIdentifier(column.type);
+      const cleanedType = this._cleanSqlIdentifier(fileService.toSqlType(column.type));
       
       // Start with column name and type
       let colSql = `"${column.name}" ${cleanedType}`;
@@ -707,6 +745,9 @@ CREATE EXTENSION IF NOT EXISTS "pgcrypto";
         colSql += constraintText;
       }
       
+      // Declarative options: generated expression, server default, enum check
+      colSql += columnDefinitionService.getColumnSQL(column, fullTableName);
+      
       return colSql;
     });
     
@@ -769,6 +810,18 @@ FOR EACH ROW
 EXECUTE FUNCTION update_modified_column_${safeFunctionName}();
 `;
 
+    // Sequence ownership and slug triggers
+    const afterTableSQL = columnDefinitionService.getAfterTableSQL(fullTableName, columns);
+    if (afterTableSQL) {
+      sql += `\n${afterTableSQL}\n`;
+    }
+
+    // Add full-text search for searchable columns
+    const searchColumns = searchService.getSearchableColumns({ columns });
+    if (searchColumns.length > 0) {
+      sql += `\n${searchService.generateSQL(fullTableName, searchColumns)}`;
+    }
+
     // Debug the SQL being executed
     console.log("Generated SQL:", sql);
     
@@ -854,6 +907,11 @@ $$;
       } else if (col.name === 'id' && col.type.includes('serial')) {
         // Skip serial IDs as they're auto-generated
         return;
+      } else if (col.computed !== undefined || col.slug || col.autoCode) {
+        // Filled by the database
+        return;
+      } else if (Array.isArray(col.enum) && col.enum.length > 0) {
+        columnValues[col.name] = `'${String(col.enum[0]).replace(/'/g, "''")}'`;
       } else if (col.name === 'created_at' || col.name === 'updated_at') {
         columnValues[col.name] = "now()";
       } else if (col.name === 'XAuthUserId') {
@@ -0,0 +1,683 @@
+/**
+ * Schema Import Service
+ * Parses a Postgres DDL file (CREATE TABLE, ALTER TABLE ... FOREIGN KEY,
+ * CREATE TYPE ... AS ENUM) into the tables structure /generate-schema returns,
+ * so existing databases can be turned into an API with /create-api-from-schema.
+ *
+ * Output per table:
+ *   { name, columns: [{ name, type, constraints }], relationships: [{ type, sourceColumn, targetTable, targetColumn }] }
+ *
+ * Statements that do not describe tables (indexes, grants, functions, data)
+ * are skipped and reported as warnings. pg_dump output is supported.
+ */
+class SchemaImportService {
+  constructor() {
+    this.identifierPattern = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+    // Keywords that end a column type and start its constraints
+    this.columnConstraintKeywords = ['CONSTRAINT', 'NOT', 'NULL', 'DEFAULT', 'PRIMARY', 'UNIQUE', 'REFERENCES', 'CHECK', 'COLLATE', 'GENERATED'];
+    this.tableConstraintKeywords = ['CONSTRAINT', 'PRIMARY', 'FOREIGN', 'UNIQUE', 'CHECK', 'EXCLUDE', 'LIKE'];
+
+    // Statements that never describe tables and are skipped without a warning
+    this.ignoredStatements = [
+      /^SET\b/, /^SELECT\b/, /^COMMENT\b/, /^GRANT\b/, /^REVOKE\b/, /^BEGIN\b/, /^COMMIT\b/, /^START\b/,
+      /^CREATE (OR REPLACE )?(EXTENSION|SCHEMA|SEQUENCE)\b/, /^ALTER (SEQUENCE|SCHEMA|EXTENSION|DEFAULT)\b/,
+      /^CREATE INDEX\b/, /^DROP\b/, /^ANALYZE\b/, /^VACUUM\b/
+    ];
+
+    this.serialTypes = { smallint: 'smallserial', integer: 'serial', int: 'serial', int4: 'serial', int2: 'smallserial', bigint: 'bigserial', int8: 'bigserial' };
+  }
+
+  /**
+   * Import a DDL file
+   * @param {string} sql - SQL text
+   * @returns {{tables: Array<Object>, warnings: Array<string>}}
+   */
+  importSQL(sql) {
+    const state = { tables: new Map(), enums: new Map(), warnings: [], renamed: new Map() };
+
+    this._splitStatements(this._stripCopyData(String(sql))).forEach(tokens => {
+      try {
+        this._parseStatement(tokens, state);
+      } catch (error) {
+        state.warnings.push(`Skipped statement "${this._preview(tokens)}": ${error.message}`);
+      }
+    });
+
+    const tables = this._finalizeTables(state);
+    return { tables, warnings: state.warnings };
+  }
+
+  /**
+   * Remove the data blocks of COPY ... FROM stdin statements (pg_dump)
+   * @private
+   */
+  _stripCopyData(sql) {
+    return sql.replace(/^COPY\s[^;]*FROM\s+stdin;\r?\n[\s\S]*?^\\\.\s*$/gim, '');
+  }
+
+  /**
+   * Split SQL into tokens
+   * @private
+   */
+  _tokenize(sql) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < sql.length) {
+      const char = sql[i];
+      const rest = sql.substring(i);
+
+      if (/\s/.test(char)) { i++; continue; }
+
+      if (rest.startsWith('--')) {
+        const end = sql.indexOf('\n', i);
+        i = end === -1 ? sql.length : end + 1;
+        continue;
+      }
+
+      if (rest.startsWith('/*')) {
+        const end = sql.indexOf('*/', i + 2);
+        if (end === -1) throw new Error('Unterminated comment');
+        i = end + 2;
+        continue;
+      }
+
+      if (char === "'" || char === '"') {
+        let j = i + 1;
+        let value = '';
+        while (j < sql.length) {
+          if (sql[j] === char && sql[j + 1] === char) { value += char; j += 2; continue; }
+          if (sql[j] === char) break;
+          value += sql[j++];
+        }
+        if (j >= sql.length) throw new Error(`Unterminated ${char === "'" ? 'string' : 'identifier'}`);
+        tokens.push({ type: char === "'" ? 'string' : 'quoted', value, start: i, end: j + 1 });
+        i = j + 1;
+        continue;
+      }
+
+      const dollar = rest.match(/^\$([a-zA-Z_]*)\$/);
+      if (dollar) {
+        const end = sql.indexOf(dollar[0], i + dollar[0].length);
+        if (end === -1) throw new Error('Unterminated dollar-quoted string');
+        tokens.push({ type: 'string', value: sql.substring(i + dollar[0].length, end), start: i, end: end + dollar[0].length });
+        i = end + dollar[0].length;
+        continue;
+      }
+
+      const word = rest.match(/^[a-zA-Z_][a-zA-Z0-9_$]*/);
+      if (word) {
+        tokens.push({ type: 'word', value: word[0], start: i, end: i + word[0].length });
+        i += word[0].length;
+        continue;
+      }
+
+      const number = rest.match(/^\d+(\.\d+)?/);
+      if (number) {
+        tokens.push({ type: 'number', value: number[0], start: i, end: i + number[0].length });
+        i += number[0].length;
+        continue;
+      }
+
+      const punct = rest.startsWith('::') ? '::' : char;
+      tokens.push({ type: 'punct', value: punct, start: i, end: i + punct.length });
+      i += punct.length;
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Split SQL into statements of tokens, keeping the source for previews
+   * @private
+   */
+  _splitStatements(sql) {
+    const statements = [];
+    let current = [];
+
+    this._tokenize(sql).forEach(token => {
+      if (token.type === 'punct' && token.value === ';') {
+        if (current.length > 0) statements.push(current);
+        current = [];
+        return;
+      }
+      token.source = sql;
+      current.push(token);
+    });
+
+    if (current.length > 0) statements.push(current);
+    return statements;
+  }
+
+  /**
+   * Get the original text of a token range, with whitespace collapsed
+   * @private
+   */
+  _text(tokens) {
+    if (tokens.length === 0) return '';
+    const source = tokens[0].source;
+    return source.substring(tokens[0].start, tokens[tokens.length - 1].end).replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Short preview of a statement for warnings
+   * @private
+   */
+  _preview(tokens) {
+    const text = this._text(tokens);
+    return text.length > 60 ? `${text.substring(0, 57)}...` : text;
+  }
+
+  /**
+   * Uppercase keyword of a token, or null when it is not a bare word
+   * @private
+   */
+  _keyword(token) {
+    return token && token.type === 'word' ? token.value.toUpperCase() : null;
+  }
+
+  /**
+   * Check whether the tokens at an index spell the given keywords
+   * @private
+   */
+  _matches(tokens, index, ...keywords) {
+    return keywords.every((keyword, offset) => this._keyword(tokens[index + offset]) === keyword);
+  }
+
+  /**
+   * Find the index of the parenthesis closing the one at index
+   * @private
+   */
+  _closingParen(tokens, index) {
+    let depth = 0;
+    for (let i = index; i < tokens.length; i++) {
+      if (tokens[i].type !== 'punct') continue;
+      if (tokens[i].value === '(') depth++;
+      if (tokens[i].value === ')' && --depth === 0) return i;
+    }
+    throw new Error('Unbalanced parentheses');
+  }
+
+  /**
+   * Split tokens on commas outside parentheses
+   * @private
+   */
+  _splitTopLevel(tokens) {
+    const parts = [];
+    let current = [];
+    let depth = 0;
+
+    tokens.forEach(token => {
+      if (token.type === 'punct' && token.value === '(') depth++;
+      if (token.type === 'punct' && token.value === ')') depth--;
+      if (depth === 0 && token.type === 'punct' && token.value === ',') {
+        parts.push(current);
+        current = [];
+        return;
+      }
+      current.push(token);
+    });
+
+    if (current.length > 0) parts.push(current);
+    return parts;
+  }
+
+  /**
+   * Read a possibly schema-qualified name, returning the last part
+   * @private
+   * @returns {{name: string, next: number}}
+   */
+  _readName(tokens, index) {
+    let i = index;
+    let name = this._identifier(tokens[i]);
+    while (tokens[i + 1] && tokens[i + 1].value === '.' && tokens[i + 2]) {
+      i += 2;
+      name = this._identifier(tokens[i]);
+    }
+    return { name, next: i + 1 };
+  }
+
+  /**
+   * Get the name of an identifier token (unquoted names fold to lowercase)
+   * @private
+   */
+  _identifier(token) {
+    if (!token || (token.type !== 'word' && token.type !== 'quoted')) {
+      throw new Error('Expected an identifier');
+    }
+    return token.type === 'quoted' ? token.value : token.value.toLowerCase();
+  }
+
+  /**
+   * Read a parenthesized list of column names
+   * @private
+   * @returns {{columns: Array<string>, next: number}}
+   */
+  _readColumnList(tokens, index) {
+    if (!tokens[index] || tokens[index].value !== '(') throw new Error('Expected a column list');
+    const close = this._closingParen(tokens, index);
+    const columns = this._splitTopLevel(tokens.slice(index + 1, close)).map(part => this._identifier(part[0]));
+    return { columns, next: close + 1 };
+  }
+
+  /**
+   * Parse one statement into the import state
+   * @private
+   */
+  _parseStatement(tokens, state) {
+    const head = tokens.slice(0, 4).map(token => this._keyword(token) || '').join(' ');
+
+    if (this.ignoredStatements.some(pattern => pattern.test(head))) {
+      return;
+    }
+
+    let i = 1;
+    if (this._keyword(tokens[0]) === 'CREATE') {
+      if (this._matches(tokens, 1, 'OR', 'REPLACE')) i += 2;
+      while (['GLOBAL', 'LOCAL', 'TEMP', 'TEMPORARY', 'UNLOGGED'].includes(this._keyword(tokens[i]))) i++;
+
+      if (this._keyword(tokens[i]) === 'TABLE') return this._parseCreateTable(tokens, i + 1, state);
+      if (this._keyword(tokens[i]) === 'TYPE') return this._parseCreateType(tokens, i + 1, state);
+      if (this._matches(tokens, i, 'UNIQUE', 'INDEX')) return this._parseUniqueIndex(tokens, i + 2, state);
+    }
+
+    if (this._matches(tokens, 0, 'ALTER', 'TABLE')) return this._parseAlterTable(tokens, 2, state);
+
+    state.warnings.push(`Skipped unsupported statement "${this._preview(tokens)}"`);
+  }
+
+  /**
+   * CREATE TABLE [IF NOT EXISTS] name ( ... )
+   * @private
+   */
+  _parseCreateTable(tokens, index, state) {
+    let i = index;
+    if (this._matches(tokens, i, 'IF', 'NOT', 'EXISTS')) i += 3;
+
+    const { name, next } = this._readName(tokens, i);
+    if (!tokens[next] || tokens[next].value !== '(') {
+      state.warnings.push(`Skipped table ${name}: only CREATE TABLE with a column list is supported`);
+      return;
+    }
+
+    if (state.tables.has(name)) {
+      state.warnings.push(`Table ${name} is defined more than once, the last definition is used`);
+    }
+
+    const table = { name, columns: [], relationships: [], primaryKey: null, uniques: [] };
+    state.tables.set(name, table);
+
+    const close = this._closingParen(tokens, next);
+    if (this._keyword(tokens[close + 1]) === 'PARTITION' || this._keyword(tokens[close + 1]) === 'INHERITS') {
+      state.warnings.push(`Table ${name}: partitioning and inheritance are not imported`);
+    }
+
+    this._splitTopLevel(tokens.slice(next + 1, close)).forEach(element => {
+      if (element.length === 0) return;
+      if (this.tableConstraintKeywords.includes(this._keyword(element[0]))) {
+        this._parseTableConstraint(element, table, state);
+      } else {
+        this._parseColumn(element, table, state);
+      }
+    });
+  }
+
+  /**
+   * A column definition inside CREATE TABLE or ALTER TABLE ADD COLUMN
+   * @private
+   */
+  _parseColumn(tokens, table, state) {
+    const name = this._identifier(tokens[0]);
+    let i = 1;
+
+    // The type runs until the first constraint keyword outside parentheses
+    const typeStart = i;
+    while (i < tokens.length && !this.columnConstraintKeywords.includes(this._keyword(tokens[i]))) {
+      if (tokens[i].value === '(') i = this._closingParen(tokens, i);
+      i++;
+    }
+    if (i === typeStart) throw new Error(`Column ${name} has no type`);
+
+    const column = {
+      name,
+      type: this._text(tokens.slice(typeStart, i)).toLowerCase(),
+      notNull: false,
+      primaryKey: false,
+      unique: false,
+      default: null,
+      checks: []
+    };
+
+    while (i < tokens.length) {
+      const keyword = this._keyword(tokens[i]);
+
+      if (keyword === 'CONSTRAINT') {
+        i += 2;
+      } else if (this._matches(tokens, i, 'NOT', 'NULL')) {
+        column.notNull = true;
+        i += 2;
+      } else if (keyword === 'NULL') {
+        i++;
+      } else if (keyword === 'DEFAULT') {
+        const start = ++i;
+        while (i < tokens.length && !this.columnConstraintKeywords.includes(this._keyword(tokens[i]))) {
+          if (tokens[i].value === '(') i = this._closingParen(tokens, i);
+          i++;
+        }
+        column.default = this._text(tokens.slice(start, i));
+      } else if (this._matches(tokens, i, 'PRIMARY', 'KEY')) {
+        column.primaryKey = true;
+        i += 2;
+      } else if (keyword === 'UNIQUE') {
+        column.unique = true;
+        i++;
+      } else if (keyword === 'REFERENCES') {
+        const { name: targetTable, next } = this._readName(tokens, i + 1);
+        let targetColumn = 'id';
+        i = next;
+        if (tokens[i] && tokens[i].value === '(') {
+          const list = this._readColumnList(tokens, i);
+          targetColumn = list.columns[0];
+          i = list.next;
+        }
+        table.relationships.push({ type: 'many-to-one', sourceColumn: name, targetTable, targetColumn });
+        // ON DELETE / ON UPDATE / MATCH / DEFERRABLE clauses
+        while (i < tokens.length && !this.columnConstraintKeywords.includes(this._keyword(tokens[i]))) i++;
+      } else if (keyword === 'CHECK') {
+        const close = this._closingParen(tokens, i + 1);
+        column.checks.push(this._text(tokens.slice(i + 1, close + 1)));
+        i = close + 1;
+      } else if (keyword === 'COLLATE') {
+        i += 2;
+      } else if (keyword === 'GENERATED') {
+        const end = this._skipGenerated(tokens, i);
+        if (tokens.slice(i, end).some(token => this._keyword(token) === 'IDENTITY')) {
+          column.identity = true;
+        } else {
+          state.warnings.push(`${table.name}.${name}: generated column expression was not imported`);
+        }
+        i = end;
+      } else {
+        throw new Error(`Unexpected "${tokens[i].value}" in column ${name}`);
+      }
+    }
+
+    if (table.columns.some(existing => existing.name === name)) {
+      throw new Error(`Column ${name} is defined more than once`);
+    }
+    table.columns.push(column);
+  }
+
+  /**
+   * Skip a GENERATED ... clause, returning the index after it
+   * @private
+   */
+  _skipGenerated(tokens, index) {
+    let i = index + 1;
+    while (i < tokens.length && !this.columnConstraintKeywords.includes(this._keyword(tokens[i]))) {
+      if (tokens[i].value === '(') i = this._closingParen(tokens, i);
+      i++;
+    }
+    return i;
+  }
+
+  /**
+   * PRIMARY KEY / UNIQUE / FOREIGN KEY / CHECK at table level
+   * @private
+   */
+  _parseTableConstraint(tokens, table, state) {
+    let i = 0;
+    if (this._keyword(tokens[i]) === 'CONSTRAINT') i += 2;
+
+    if (this._matches(tokens, i, 'PRIMARY', 'KEY')) {
+      table.primaryKey = this._readColumnList(tokens, i + 2).columns;
+    } else if (this._keyword(tokens[i]) === 'UNIQUE') {
+      table.uniques.push(this._readColumnList(tokens, i + 1).columns);
+    } else if (this._matches(tokens, i, 'FOREIGN', 'KEY')) {
+      const source = this._readColumnList(tokens, i + 2);
+      if (this._keyword(tokens[source.next]) !== 'REFERENCES') throw new Error('Expected REFERENCES');
+
+      const { name: targetTable, next } = this._readName(tokens, source.next + 1);
+      const targetColumns = tokens[next] && tokens[next].value === '('
+        ? this._readColumnList(tokens, next).columns
+        : ['id'];
+
+      if (source.columns.length > 1) {
+        state.warnings.push(`${table.name}: composite foreign key (${source.columns.join(', ')}) was not imported`);
+        return;
+      }
+      table.relationships.push({ type: 'many-to-one', sourceColumn: source.columns[0], targetTable, targetColumn: targetColumns[0] });
+    } else if (this._keyword(tokens[i]) === 'CHECK') {
+      const close = this._closingParen(tokens, i + 1);
+      const check = this._text(tokens.slice(i + 1, close + 1));
+      const columns = table.columns.filter(column => new RegExp(`\\b${column.name}\\b`).test(check));
+      if (columns.length === 1) {
+        columns[0].checks.push(check);
+      } else {
+        state.warnings.push(`${table.name}: table-level CHECK ${check} was not imported`);
+      }
+    } else {
+      state.warnings.push(`${table.name}: constraint "${this._preview(tokens)}" was not imported`);
+    }
+  }
+
+  /**
+   * CREATE TYPE name AS ENUM ( ... )
+   * @private
+   */
+  _parseCreateType(tokens, index, state) {
+    const { name, next } = this._readName(tokens, index);
+    if (!this._matches(tokens, next, 'AS', 'ENUM')) {
+      state.warnings.push(`Skipped type ${name}: only enum types are supported`);
+      return;
+    }
+
+    const close = this._closingParen(tokens, next + 2);
+    const values = tokens.slice(next + 3, close).filter(token => token.type === 'string').map(token => token.value);
+    state.enums.set(name, values);
+  }
+
+  /**
+   * CREATE UNIQUE INDEX name ON table (column)
+   * @private
+   */
+  _parseUniqueIndex(tokens, index, state) {
+    let i = index;
+    if (this._keyword(tokens[i]) === 'CONCURRENTLY') i++;
+    if (this._matches(tokens, i, 'IF', 'NOT', 'EXISTS')) i += 3;
+    if (this._keyword(tokens[i]) !== 'ON') i++;
+    if (this._keyword(tokens[i]) !== 'ON') throw new Error('Expected ON');
+    i++;
+    if (this._keyword(tokens[i]) === 'ONLY') i++;
+
+    const { name, next } = this._readName(tokens, i);
+    let listStart = next;
+    if (this._keyword(tokens[listStart]) === 'USING') listStart += 2;
+
+    const table = state.tables.get(name);
+    if (!table) return;
+
+    const close = this._closingParen(tokens, listStart);
+    const parts = this._splitTopLevel(tokens.slice(listStart + 1, close));
+    if (parts.length === 1 && parts[0].length === 1 && this._keyword(tokens[close + 1]) !== 'WHERE') {
+      table.uniques.push([this._identifier(parts[0][0])]);
+    }
+  }
+
+  /**
+   * ALTER TABLE [IF EXISTS] [ONLY] name action, ...
+   * @private
+   */
+  _parseAlterTable(tokens, index, state) {
+    let i = index;
+    if (this._matches(tokens, i, 'IF', 'EXISTS')) i += 2;
+    if (this._keyword(tokens[i]) === 'ONLY') i++;
+
+    const { name, next } = this._readName(tokens, i);
+    const table = state.tables.get(name);
+
+    this._splitTopLevel(tokens.slice(next)).forEach(action => {
+      const keyword = this._keyword(action[0]);
+
+      // pg_dump ownership and replica settings
+      if (keyword === 'OWNER' || keyword === 'REPLICA' || keyword === 'ENABLE' || keyword === 'DISABLE') return;
+
+      if (!table) {
+        state.warnings.push(`ALTER TABLE on unknown table ${name} was skipped`);
+        return;
+      }
+
+      if (keyword === 'ADD') {
+        let j = 1;
+        if (this._keyword(action[j]) === 'COLUMN') j++;
+        if (this._matches(action, j, 'IF', 'NOT', 'EXISTS')) j += 3;
+
+        const rest = action.slice(j);
+        if (this.tableConstraintKeywords.includes(this._keyword(rest[0]))) {
+          this._parseTableConstraint(rest, table, state);
+        } else {
+          this._parseColumn(rest, table, state);
+        }
+        return;
+      }
+
+      if (keyword === 'ALTER') {
+        let j = 1;
+        if (this._keyword(action[j]) === 'COLUMN') j++;
+        const column = table.columns.find(col => col.name === this._identifier(action[j]));
+        if (column && this._matches(action, j + 1, 'SET', 'DEFAULT')) {
+          column.default = this._text(action.slice(j + 3));
+          return;
+        }
+        if (column && this._matches(action, j + 1, 'SET', 'NOT', 'NULL')) {
+          column.notNull = true;
+          return;
+        }
+        if (column && this._matches(action, j + 1, 'ADD', 'GENERATED')) {
+          column.identity = true;
+          return;
+        }
+      }
+
+      state.warnings.push(`${name}: ALTER TABLE action "${this._preview(action)}" was not imported`);
+    });
+  }
+
+  /**
+   * Turn the parsed tables into the /generate-schema structure
+   * @private
+   */
+  _finalizeTables(state) {
+    const tables = [...state.tables.values()];
+
+    // Names must be plain identifiers for the generated routes and prefixed table names
+    const tableNames = new Map();
+    tables.forEach(table => {
+      const safeName = this._safeIdentifier(table.name);
+      if (safeName !== table.name) {
+        state.warnings.push(`Table "${table.name}" was renamed to ${safeName}`);
+      }
+      tableNames.set(table.name, safeName);
+    });
+
+    return tables.map(table => {
+      const columnNames = new Map(table.columns.map(column => [column.name, this._safeIdentifier(column.name)]));
+      columnNames.forEach((safeName, name) => {
+        if (safeName !== name) state.warnings.push(`Column "${table.name}.${name}" was renamed to ${safeName}`);
+      });
+
+      const primaryKey = table.primaryKey || table.columns.filter(column => column.primaryKey).map(column => column.name);
+      const uniques = new Set(table.uniques.filter(cols => cols.length === 1).map(cols => cols[0]));
+      table.uniques.filter(cols => cols.length > 1).forEach(cols => {
+        state.warnings.push(`${table.name}: composite unique constraint (${cols.join(', ')}) was not imported`);
+      });
+
+      const columns = table.columns.map(column => this._finalizeColumn(table, column, primaryKey, uniques, state, columnNames));
+
+      // Generated APIs address rows by a uuid or serial id primary key
+      const idColumn = columns.find(column => column.name === 'id');
+      if (!idColumn) {
+        columns.unshift({ name: 'id', type: 'uuid', constraints: ['primary key', 'default uuid_generate_v4()'] });
+        if (primaryKey.length > 0) {
+          state.warnings.push(`${table.name}: primary key (${primaryKey.join(', ')}) was kept as ${primaryKey.length > 1 ? 'columns' : 'a unique column'} and an id column was added`);
+        }
+      } else if (!/uuid|serial/.test(idColumn.type)) {
+        state.warnings.push(`${table.name}.id: generated APIs need id to be a uuid or serial column, found ${idColumn.type}`);
+      }
+
+      const relationships = [];
+      table.relationships.forEach(rel => {
+        if (!tableNames.has(rel.targetTable)) {
+          state.warnings.push(`${table.name}.${rel.sourceColumn}: reference to unknown table ${rel.targetTable} was not imported`);
+          return;
+        }
+        relationships.push({
+          type: rel.type,
+          sourceColumn: columnNames.get(rel.sourceColumn) || rel.sourceColumn,
+          targetTable: tableNames.get(rel.targetTable),
+          targetColumn: this._safeIdentifier(rel.targetColumn)
+        });
+      });
+
+      return { name: tableNames.get(table.name), columns, relationships };
+    });
+  }
+
+  /**
+   * Build an imported column in the { name, type, constraints } format
+   * @private
+   */
+  _finalizeColumn(table, column, primaryKey, uniques, state, columnNames) {
+    let type = column.type.replace(/^public\./, '');
+    let columnDefault = column.default;
+    const checks = [...column.checks];
+
+    // Sequences (serial columns in pg_dump output) and identity columns become serial types
+    const baseType = type.replace(/\s+/g, ' ');
+    const isSequence = columnDefault && /^nextval\(/i.test(columnDefault);
+    if ((column.identity || isSequence) && this.serialTypes[baseType]) {
+      type = this.serialTypes[baseType];
+      columnDefault = null;
+    }
+
+    // Enum types are not created, their values become an enum text column
+    const enumValues = state.enums.get(type.replace(/^"|"$/g, ''));
+    if (enumValues) {
+      type = 'text';
+      if (columnDefault) columnDefault = columnDefault.replace(/::[\w."]+$/, '');
+    }
+
+    // An id primary key without a generator becomes serial so rows can be inserted through the API
+    const isPrimaryKey = primaryKey.length === 1 && primaryKey[0] === column.name;
+    if (isPrimaryKey && column.name === 'id' && this.serialTypes[baseType] && !columnDefault && !/serial/.test(type)) {
+      state.warnings.push(`${table.name}.id: ${type} primary key was imported as ${this.serialTypes[baseType]}`);
+      type = this.serialTypes[baseType];
+    }
+
+    const constraints = [];
+    if (isPrimaryKey && column.name === 'id') {
+      constraints.push('primary key');
+    } else {
+      // Other primary keys stay unique, the API gets its own id column
+      if (column.notNull || primaryKey.includes(column.name)) constraints.push('not null');
+      if (column.unique || uniques.has(column.name) || isPrimaryKey) constraints.push('unique');
+    }
+    if (columnDefault) constraints.push(`default ${columnDefault}`);
+    checks.forEach(check => constraints.push(`check ${check}`));
+
+    return { name: columnNames.get(column.name), type, constraints, ...(enumValues ? { enum: enumValues } : {}) };
+  }
+
+  /**
+   * Make a name usable as a Backlify identifier
+   * @private
+   */
+  _safeIdentifier(name) {
+    if (this.identifierPattern.test(name)) return name;
+    const safe = name.replace(/[^a-zA-Z0-9_]/g, '_');
+    return /^[0-9]/.test(safe) ? `_${safe}` : safe;
+  }
+}
+
+module.exports = new SchemaImportService();
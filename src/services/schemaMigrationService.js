@@ -0,0 +1,885 @@
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const config = require('../config/config');
+const searchService = require('./searchService');
+const fileService = require('./fileService');
+const columnDefinitionService = require('./columnDefinitionService');
+const { isReservedTableName } = require('../utils/naming');
+
+// Confirmation tokens for destructive migrations are signed with the server secret
+const TOKEN_SECRET = process.env.JWT_SECRET || crypto.randomBytes(64).toString('hex');
+
+/**
+ * Schema Migration Service
+ * Turns a change of an API's table definitions into ALTER statements and runs
+ * them against the API's tables.
+ *
+ * Tables use the same format as /generate-schema:
+ *   { name, columns: [{ name, type, constraints }], relationships: [{ sourceColumn, targetTable, targetColumn }] }
+ * A column can carry renamedFrom: '<old name>' to be renamed instead of dropped
+ * and re-added, and searchable: true to be part of the table's full-text search.
+ * The computed, slug and autoCode options of a column are fixed once it exists;
+ * its enum values and default can change.
+ *
+ * Each statement of a migration plan is classified by risk:
+ *   safe          - metadata-only change, no noticeable lock
+ *   blocking-lock - rewrites or scans the table while holding a lock
+ *   data-loss     - drops or may truncate existing data; needs a confirmation token
+ */
+class SchemaMigrationService {
+  constructor() {
+    this.supabase = createClient(
+      process.env.SUPABASE_URL || config.supabase.url,
+      process.env.SUPABASE_KEY || config.supabase.key
+    );
+
+    // Columns every generated table gets, never dropped by a migration
+    this.systemColumns = ['id', 'XAuthUserId', 'created_at', 'updated_at'];
+
+    this.identifierPattern = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+    // Spellings Postgres treats as the same type
+    this.typeAliases = {
+      int: 'integer',
+      int4: 'integer',
+      int8: 'bigint',
+      int2: 'smallint',
+      bool: 'boolean',
+      float8: 'double precision',
+      float4: 'real',
+      varchar: 'character varying',
+      char: 'character',
+      timestamptz: 'timestamp with time zone',
+      timestamp: 'timestamp without time zone',
+      decimal: 'numeric'
+    };
+
+    // Order in which the statements of a migration run
+    this.changeOrder = [
+      'drop_foreign_key',
+      'drop_search',
+      'create_table',
+      'rename_column',
+      'add_column',
+      'alter_column_type',
+      'alter_column_default',
+      'alter_column_nullability',
+      'alter_column_unique',
+      'alter_column_enum',
+      'alter_column_slug',
+      'drop_column',
+      'drop_table',
+      'add_foreign_key',
+      'add_search'
+    ];
+
+    this.risks = ['safe', 'blocking-lock', 'data-loss'];
+    this.confirmationTtl = 15 * 60 * 1000; // 15 minutes
+
+    // Type changes Postgres can make without touching the rows
+    this.metadataOnlyCasts = [
+      [/^character varying\((\d+)\)$/, /^text$/],
+      [/^character varying\((\d+)\)$/, /^character varying$/],
+      [/^character varying$/, /^text$/],
+      [/^text$/, /^character varying$/]
+    ];
+
+    // Type changes that keep every value but rewrite the table
+    this.wideningCasts = {
+      smallint: ['integer', 'bigint', 'numeric', 'real', 'double precision'],
+      integer: ['bigint', 'numeric', 'double precision'],
+      bigint: ['numeric'],
+      real: ['double precision'],
+      date: ['timestamp without time zone', 'timestamp with time zone'],
+      'timestamp without time zone': ['timestamp with time zone']
+    };
+  }
+
+  /**
+   * Get the table definitions of an API from its metadata
+   * Relationships point at the original (unprefixed) table names.
+   * @param {Object} metadata - API metadata from the registry
+   * @returns {Array<Object>} Table definitions
+   */
+  getTables(metadata) {
+    const prefix = `${metadata.XAuthUserId}_${metadata.apiIdentifier}_`.toLowerCase();
+
+    return (metadata.tables || []).map(table => ({
+      name: table.originalName || table.name,
+      columns: (table.columns || []).map(({ renamedFrom, ...column }) => column),
+      relationships: (table.relationships || []).map(rel => {
+        let targetTable = rel.originalTargetTable || rel.targetTable;
+        if (targetTable && targetTable.toLowerCase().startsWith(prefix)) {
+          targetTable = targetTable.substring(prefix.length);
+        }
+        return {
+          ...(rel.type ? { type: rel.type } : {}),
+          sourceColumn: rel.sourceColumn,
+          targetTable,
+          targetColumn: rel.targetColumn || 'id'
+        };
+      })
+    }));
+  }
+
+  /**
+   * Remove renamedFrom hints, which only describe a single migration
+   * @param {Array<Object>} tables - Table definitions
+   * @returns {Array<Object>} Copies of the tables without the hints
+   */
+  stripRenames(tables) {
+    return (tables || []).map(table => ({
+      ...table,
+      columns: (table.columns || []).map(({ renamedFrom, ...column }) => column)
+    }));
+  }
+
+  /**
+   * Validate proposed table definitions
+   * @param {Array<Object>} tables - Proposed tables
+   * @returns {Array<string>} Validation errors
+   */
+  validateTables(tables) {
+    const errors = [];
+
+    if (!Array.isArray(tables) || tables.length === 0) {
+      return ['tables must be a non-empty array'];
+    }
+
+    const tableNames = new Set();
+    tables.forEach((table, index) => {
+      if (!table || typeof table.name !== 'string' || !this.identifierPattern.test(table.name)) {
+        errors.push(`tables[${index}]: name must be a valid identifier`);
+        return;
+      }
+      if (tableNames.has(table.name)) {
+        errors.push(`${table.name}: duplicate table name`);
+      }
+      tableNames.add(table.name);
+    });
+
+    tables.forEach(table => {
+      if (!table || !tableNames.has(table.name)) return;
+
+      if (!Array.isArray(table.columns) || table.columns.length === 0) {
+        errors.push(`${table.name}: columns must be a non-empty array`);
+        return;
+      }
+
+      const columnNames = new Set();
+      table.columns.forEach((column, index) => {
+        if (!column || typeof column.name !== 'string' || !this.identifierPattern.test(column.name)) {
+          errors.push(`${table.name}.columns[${index}]: name must be a valid identifier`);
+          return;
+        }
+        if (columnNames.has(column.name)) {
+          errors.push(`${table.name}.${column.name}: duplicate column name`);
+        }
+        columnNames.add(column.name);
+
+        const constraints = this._constraintText(column);
+        if (constraints.includes(';') || constraints.includes('--')) {
+          errors.push(`${table.name}.${column.name}: constraints may not contain ; or --`);
+        }
+
+        if (column.renamedFrom !== undefined &&
+            (typeof column.renamedFrom !== 'string' || !this.identifierPattern.test(column.renamedFrom))) {
+          errors.push(`${table.name}.${column.name}: renamedFrom must be a valid identifier`);
+        }
+      });
+
+      errors.push(...searchService.validateColumns(table));
+      errors.push(...fileService.validateColumns(table));
+      errors.push(...columnDefinitionService.validateColumns(table));
+
+      if (table.relationships !== undefined && !Array.isArray(table.relationships)) {
+        errors.push(`${table.name}: relationships must be an array`);
+        return;
+      }
+
+      (table.relationships || []).forEach((rel, index) => {
+        if (!rel || !columnNames.has(rel.sourceColumn)) {
+          errors.push(`${table.name}.relationships[${index}]: sourceColumn must be a column of the table`);
+        }
+        if (!rel || !tableNames.has(rel.targetTable)) {
+          errors.push(`${table.name}.relationships[${index}]: targetTable must be one of the API's tables`);
+        }
+        if (rel && rel.targetColumn !== undefined && !this.identifierPattern.test(String(rel.targetColumn))) {
+          errors.push(`${table.name}.relationships[${index}]: targetColumn must be a valid identifier`);
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * Check that no table takes a name reserved for a platform route
+   * @param {Array<Object>} tables - Tables to create
+   * @returns {Array<string>} Validation errors
+   */
+  checkTableNames(tables) {
+    return (tables || [])
+      .filter(table => table && isReservedTableName(table.name))
+      .map(table => `${table.name}: this name is reserved for /api/:apiId/${String(table.name).toLowerCase()}, choose another table name`);
+  }
+
+  /**
+   * Compute the changes between the current and the proposed tables
+   * @param {Array<Object>} currentTables - Tables from getTables
+   * @param {Array<Object>} proposedTables - Validated proposed tables
+   * @returns {{changes: Array<Object>, errors: Array<string>}}
+   */
+  diffTables(currentTables, proposedTables) {
+    const changes = [];
+    const errors = [];
+    const currentByName = new Map(currentTables.map(table => [table.name, table]));
+    const proposedByName = new Map(proposedTables.map(table => [table.name, table]));
+
+    proposedTables.forEach(table => {
+      const current = currentByName.get(table.name);
+
+      if (!current) {
+        const nameErrors = this.checkTableNames([table]);
+        if (nameErrors.length > 0) {
+          errors.push(...nameErrors);
+          return;
+        }
+
+        changes.push({ type: 'create_table', table: table.name, definition: table });
+        (table.relationships || []).forEach(relationship => {
+          changes.push({ type: 'add_foreign_key', table: table.name, relationship });
+        });
+        this._diffSearch(null, table, changes);
+        return;
+      }
+
+      this._diffColumns(current, table, changes, errors);
+      this._diffRelationships(current, table, changes);
+      this._diffSearch(current, table, changes);
+    });
+
+    currentTables.forEach(table => {
+      if (!proposedByName.has(table.name)) {
+        this._diffSearch(table, null, changes);
+        changes.push({ type: 'drop_table', table: table.name, definition: table });
+      }
+    });
+
+    changes.sort((a, b) => this.changeOrder.indexOf(a.type) - this.changeOrder.indexOf(b.type));
+    return { changes, errors };
+  }
+
+  /**
+   * Diff the columns of a table that exists on both sides
+   * @private
+   */
+  _diffColumns(current, proposed, changes, errors) {
+    const table = proposed.name;
+    const currentColumns = new Map(current.columns.map(column => [column.name, column]));
+    const matched = new Set();
+    const renamed = new Map(
+      proposed.columns.filter(column => column.renamedFrom).map(column => [column.renamedFrom, column.name])
+    );
+
+    proposed.columns.forEach(column => {
+      let before = currentColumns.get(column.name);
+
+      if (!before && column.renamedFrom) {
+        before = currentColumns.get(column.renamedFrom);
+        if (!before) {
+          errors.push(`${table}.${column.name}: renamedFrom column "${column.renamedFrom}" does not exist`);
+          return;
+        }
+        if (matched.has(before.name)) {
+          errors.push(`${table}.${column.name}: column "${column.renamedFrom}" is renamed more than once`);
+          return;
+        }
+        changes.push({ type: 'rename_column', table, from: before.name, to: column.name });
+      }
+
+      if (!before) {
+        changes.push({ type: 'add_column', table, column });
+        return;
+      }
+
+      matched.add(before.name);
+
+      const from = this._parseColumn(before);
+      const to = this._parseColumn(column);
+
+      const typeChanged = this._normalizeType(from.type) !== this._normalizeType(to.type);
+      const definition = columnDefinitionService.diffColumn(before, column, renamed);
+
+      if (definition.generatorChanged) {
+        errors.push(`${table}.${column.name}: computed, slug and autoCode cannot be changed on an existing column, drop and add the column instead`);
+        return;
+      }
+
+      // Foreign keys of other tables depend on the primary key
+      if (from.primaryKey !== to.primaryKey || (to.primaryKey && (typeChanged || from.default !== to.default))) {
+        errors.push(`${table}.${column.name}: changing the primary key is not supported`);
+        return;
+      }
+
+      if (typeChanged && /serial$/.test(this._normalizeType(to.type))) {
+        errors.push(`${table}.${column.name}: an existing column cannot be changed to a serial type`);
+        return;
+      }
+
+      if (typeChanged) {
+        changes.push({ type: 'alter_column_type', table, column: column.name, from: from.type, to: to.type });
+      }
+      if ((from.default || null) !== (to.default || null)) {
+        changes.push({ type: 'alter_column_default', table, column: column.name, from: from.default, to: to.default });
+      }
+      if (!to.primaryKey && from.notNull !== to.notNull) {
+        changes.push({ type: 'alter_column_nullability', table, column: column.name, from: from.notNull, to: to.notNull });
+      }
+      if (!to.primaryKey && from.unique !== to.unique) {
+        changes.push({ type: 'alter_column_unique', table, column: column.name, from: from.unique, to: to.unique });
+      }
+      if (definition.enumChanged) {
+        changes.push({
+          type: 'alter_column_enum',
+          table,
+          column: column.name,
+          previousColumn: before.name,
+          from: before.enum || null,
+          to: column.enum || null
+        });
+      }
+      if (definition.slugRenamed) {
+        changes.push({ type: 'alter_column_slug', table, column, previousColumn: before.name });
+      }
+    });
+
+    current.columns.forEach(column => {
+      if (!matched.has(column.name) && !this.systemColumns.includes(column.name)) {
+        changes.push({ type: 'drop_column', table, column });
+      }
+    });
+  }
+
+  /**
+   * Diff the foreign keys of a table that exists on both sides
+   * @private
+   */
+  _diffRelationships(current, proposed, changes) {
+    const key = rel => `${rel.sourceColumn}->${rel.targetTable}.${rel.targetColumn || 'id'}`;
+    const currentKeys = new Map((current.relationships || []).map(rel => [key(rel), rel]));
+    const proposedKeys = new Map((proposed.relationships || []).map(rel => [key(rel), rel]));
+    const renamedColumns = new Map(
+      proposed.columns.filter(column => column.renamedFrom).map(column => [column.renamedFrom, column.name])
+    );
+
+    currentKeys.forEach((relationship, relKey) => {
+      // A foreign key follows its column through a rename
+      const renamedTo = renamedColumns.get(relationship.sourceColumn);
+      const followed = renamedTo && key({ ...relationship, sourceColumn: renamedTo });
+      if (!proposedKeys.has(relKey) && !(followed && proposedKeys.has(followed))) {
+        changes.push({ type: 'drop_foreign_key', table: proposed.name, relationship });
+      }
+    });
+
+    proposedKeys.forEach((relationship, relKey) => {
+      const renamedFrom = proposed.columns.find(column => column.name === relationship.sourceColumn && column.renamedFrom);
+      const previous = renamedFrom && key({ ...relationship, sourceColumn: renamedFrom.renamedFrom });
+      if (!currentKeys.has(relKey) && !(previous && currentKeys.has(previous))) {
+        changes.push({ type: 'add_foreign_key', table: proposed.name, relationship });
+      }
+    });
+  }
+
+  /**
+   * Rebuild the full-text search of a table when its searchable columns change
+   * The search column is computed from those columns, so it is dropped before
+   * they are renamed, retyped or dropped and added back afterwards.
+   * @private
+   */
+  _diffSearch(current, proposed, changes) {
+    const before = searchService.getSearchableColumns(current);
+    const after = searchService.getSearchableColumns(proposed);
+    const table = (proposed || current).name;
+
+    const retyped = changes.some(change =>
+      change.table === table && change.type === 'alter_column_type' && before.includes(change.column));
+
+    if (before.join(',') === after.join(',') && !retyped) return;
+
+    if (before.length > 0) {
+      changes.push({ type: 'drop_search', table, columns: before });
+    }
+    if (after.length > 0) {
+      changes.push({ type: 'add_search', table, columns: after });
+    }
+  }
+
+  /**
+   * Generate the SQL of each change
+   * @param {Array<Object>} changes - Changes from diffTables
+   * @param {Object} metadata - API metadata (for the table prefix)
+   * @param {Object} options - { tableName, ownerColumn } to name tables without the
+   *   API prefix and leave out the XAuthUserId column (standalone exports)
+   * @returns {Array<{change: Object, sql: string}>} Statements in execution order
+   */
+  generateStatements(changes, metadata, { tableName = name => this.getTableName(metadata, name), ownerColumn = true } = {}) {
+
+    return changes.map(change => {
+      const table = this._quote(tableName(change.table));
+      let sql;
+
+      switch (change.type) {
+        case 'create_table':
+          sql = this._createTableSQL(tableName(change.table), change.definition.columns, ownerColumn);
+          break;
+        case 'drop_table':
+          sql = `DROP TABLE IF EXISTS ${table} CASCADE;`;
+          break;
+        case 'rename_column':
+          sql = `ALTER TABLE ${table} RENAME COLUMN ${this._quote(change.from)} TO ${this._quote(change.to)};`;
+          break;
+        case 'add_column': {
+          const name = tableName(change.table);
+          sql = [
+            columnDefinitionService.getBeforeTableSQL(name, [change.column]),
+            `ALTER TABLE ${table} ADD COLUMN ${this._columnDefinition(change.column, name)};`,
+            columnDefinitionService.getAfterTableSQL(name, [change.column]),
+            // The slug trigger fills the new column of the existing rows
+            change.column.slug ? `UPDATE ${table} SET ${this._quote(change.column.name)} = NULL;` : ''
+          ].filter(Boolean).join('\n');
+          break;
+        }
+        case 'drop_column':
+          sql = `ALTER TABLE ${table} DROP COLUMN IF EXISTS ${this._quote(change.column.name)} CASCADE;`;
+          break;
+        case 'alter_column_type': {
+          const column = this._quote(change.column);
+          sql = `ALTER TABLE ${table} ALTER COLUMN ${column} TYPE ${change.to} USING ${column}::${change.to};`;
+          break;
+        }
+        case 'alter_column_default':
+          sql = change.to
+            ? `ALTER TABLE ${table} ALTER COLUMN ${this._quote(change.column)} SET DEFAULT ${change.to};`
+            : `ALTER TABLE ${table} ALTER COLUMN ${this._quote(change.column)} DROP DEFAULT;`;
+          break;
+        case 'alter_column_nullability':
+          sql = `ALTER TABLE ${table} ALTER COLUMN ${this._quote(change.column)} ${change.to ? 'SET' : 'DROP'} NOT NULL;`;
+          break;
+        case 'alter_column_unique':
+          sql = change.to
+            ? `ALTER TABLE ${table} ADD CONSTRAINT ${this._quote(`${tableName(change.table)}_${change.column}_key`)} UNIQUE (${this._quote(change.column)});`
+            : this._dropConstraintsSQL(tableName(change.table), change.column, 'u');
+          break;
+        case 'alter_column_enum': {
+          // The constraint is named after the column it was created for
+          const names = [...new Set([change.previousColumn || change.column, change.column])]
+            .map(name => columnDefinitionService.getEnumConstraintName(name));
+          const statements = names.map(name => `ALTER TABLE ${table} DROP CONSTRAINT IF EXISTS ${this._quote(name)};`);
+          if (change.to) {
+            statements.push(`ALTER TABLE ${table} ADD CONSTRAINT ${this._quote(columnDefinitionService.getEnumConstraintName(change.column))} ` +
+              `CHECK (${columnDefinitionService.getEnumCheckSQL({ name: change.column, enum: change.to })});`);
+          }
+          sql = statements.join('\n');
+          break;
+        }
+        case 'alter_column_slug': {
+          const name = tableName(change.table);
+          sql = `${columnDefinitionService.getDropSlugSQL(name, change.previousColumn)}\n${columnDefinitionService.getSlugSQL(name, change.column)}`;
+          break;
+        }
+        case 'add_foreign_key': {
+          const { sourceColumn, targetTable, targetColumn } = change.relationship;
+          const constraint = `fk_${tableName(change.table)}_${sourceColumn}_${tableName(targetTable)}`;
+          sql = `ALTER TABLE ${table} ADD CONSTRAINT ${this._quote(constraint)} ` +
+            `FOREIGN KEY (${this._quote(sourceColumn)}) REFERENCES ${this._quote(tableName(targetTable))} (${this._quote(targetColumn || 'id')}) ON DELETE CASCADE;`;
+          break;
+        }
+        case 'drop_foreign_key':
+          sql = this._dropConstraintsSQL(tableName(change.table), change.relationship.sourceColumn, 'f');
+          break;
+        case 'add_search':
+          sql = searchService.generateSQL(tableName(change.table), change.columns).trim();
+          break;
+        case 'drop_search':
+          sql = searchService.generateDropSQL(tableName(change.table));
+          break;
+        default:
+          throw new Error(`Unknown schema change type: ${change.type}`);
+      }
+
+      return { change, sql };
+    });
+  }
+
+  /**
+   * Classify the risk of a change
+   * @param {Object} change - Change from diffTables
+   * @returns {{risk: string, reason: string}}
+   */
+  classifyChange(change) {
+    switch (change.type) {
+      case 'create_table':
+        return { risk: 'safe', reason: 'Creates a new, empty table' };
+      case 'drop_table':
+        return { risk: 'data-loss', reason: 'Deletes the table and all of its rows' };
+      case 'rename_column':
+        return { risk: 'safe', reason: 'Renames the column without touching its data' };
+      case 'add_column': {
+        const column = this._parseColumn(change.column);
+        if (change.column.computed !== undefined || change.column.slug || change.column.autoCode) {
+          return { risk: 'blocking-lock', reason: 'Fills the new column of every row while the table is locked' };
+        }
+        if (column.notNull && !column.default) {
+          return { risk: 'blocking-lock', reason: 'NOT NULL without a default fails when the table has rows' };
+        }
+        if (column.default && /\(\s*\)/.test(column.default)) {
+          return { risk: 'blocking-lock', reason: 'A function default rewrites every row while the table is locked' };
+        }
+        return { risk: 'safe', reason: 'Adds a column without rewriting the table' };
+      }
+      case 'drop_column':
+        return { risk: 'data-loss', reason: `Deletes the values of column ${change.column.name}` };
+      case 'alter_column_type': {
+        const from = this._normalizeType(change.from);
+        const to = this._normalizeType(change.to);
+        if (this._isMetadataOnlyCast(from, to)) {
+          return { risk: 'safe', reason: 'Widens the column without rewriting the table' };
+        }
+        if ((this.wideningCasts[from] || []).includes(to)) {
+          return { risk: 'blocking-lock', reason: 'Rewrites the table while it is locked, values are kept' };
+        }
+        return { risk: 'data-loss', reason: `Converting ${change.from} to ${change.to} can truncate or reject existing values` };
+      }
+      case 'alter_column_default':
+        return { risk: 'safe', reason: 'Only affects rows inserted later' };
+      case 'alter_column_nullability':
+        return change.to
+          ? { risk: 'blocking-lock', reason: 'Scans every row while the table is locked, fails on NULL values' }
+          : { risk: 'safe', reason: 'Allows NULL values' };
+      case 'alter_column_unique':
+        return change.to
+          ? { risk: 'blocking-lock', reason: 'Builds a unique index while the table is locked, fails on duplicates' }
+          : { risk: 'safe', reason: 'Drops the unique constraint' };
+      case 'alter_column_enum':
+        return change.to
+          ? { risk: 'blocking-lock', reason: 'Checks every row while the table is locked, fails on values outside the list' }
+          : { risk: 'safe', reason: 'Drops the list of allowed values' };
+      case 'alter_column_slug':
+        return { risk: 'safe', reason: 'Rebuilds the trigger filling the slug for the renamed columns' };
+      case 'add_foreign_key':
+        return { risk: 'blocking-lock', reason: 'Validates every row while both tables are locked' };
+      case 'drop_foreign_key':
+        return { risk: 'safe', reason: 'Drops the foreign key constraint' };
+      case 'add_search':
+        return { risk: 'blocking-lock', reason: 'Computes the search column of every row while the table is locked' };
+      case 'drop_search':
+        return { risk: 'safe', reason: 'Drops the full-text search column, which is derived from other columns' };
+      default:
+        return { risk: 'data-loss', reason: 'Unknown change' };
+    }
+  }
+
+  /**
+   * Check whether a type change only updates the catalog
+   * @private
+   */
+  _isMetadataOnlyCast(from, to) {
+    const widerVarchar = from.match(/^character varying\((\d+)\)$/) && to.match(/^character varying\((\d+)\)$/);
+    if (widerVarchar) {
+      return parseInt(to.match(/\((\d+)\)/)[1]) >= parseInt(from.match(/\((\d+)\)/)[1]);
+    }
+    return this.metadataOnlyCasts.some(([fromPattern, toPattern]) => fromPattern.test(from) && toPattern.test(to));
+  }
+
+  /**
+   * Estimate the row counts of API tables
+   * @param {Object} metadata - API metadata
+   * @param {Array<string>} tableNames - Table names without prefix
+   * @returns {Promise<Map<string, number|null>>} Estimated rows per table, null when unknown
+   */
+  async estimateRows(metadata, tableNames) {
+    const estimates = new Map();
+
+    for (const name of new Set(tableNames)) {
+      try {
+        const { count, error } = await this.supabase
+          .from(this.getTableName(metadata, name))
+          .select('*', { count: 'estimated', head: true });
+
+        estimates.set(name, error ? null : (count || 0));
+      } catch (error) {
+        console.error(`Error estimating rows of table ${name}:`, error);
+        estimates.set(name, null);
+      }
+    }
+
+    return estimates;
+  }
+
+  /**
+   * Build a dry-run plan for a set of changes
+   * @param {Array<Object>} changes - Changes from diffTables
+   * @param {Object} metadata - API metadata
+   * @returns {Promise<Object>} { steps, summary, destructive }
+   */
+  async planChanges(changes, metadata) {
+    const statements = this.generateStatements(changes, metadata);
+    const existingTables = changes.filter(change => change.type !== 'create_table').map(change => change.table);
+    const estimates = await this.estimateRows(metadata, existingTables);
+
+    const summary = { safe: 0, 'blocking-lock': 0, 'data-loss': 0 };
+    const steps = statements.map(({ change, sql }, index) => {
+      const { risk, reason } = this.classifyChange(change);
+      summary[risk]++;
+
+      return {
+        step: index + 1,
+        type: change.type,
+        table: change.table,
+        risk,
+        reason,
+        estimatedRows: change.type === 'create_table' ? 0 : estimates.get(change.table),
+        sql
+      };
+    });
+
+    return { steps, summary, destructive: summary['data-loss'] > 0 };
+  }
+
+  /**
+   * Create the token that confirms a destructive plan
+   * The token is bound to the exact statements, so it stops working when the
+   * pending changes change.
+   * @param {string} apiId - API ID
+   * @param {Array<Object>} steps - Plan steps
+   * @returns {{confirmationToken: string, expiresAt: string}}
+   */
+  createConfirmationToken(apiId, steps) {
+    const expiresAt = Date.now() + this.confirmationTtl;
+    return {
+      confirmationToken: `${expiresAt}.${this._signPlan(apiId, steps, expiresAt)}`,
+      expiresAt: new Date(expiresAt).toISOString()
+    };
+  }
+
+  /**
+   * Verify a confirmation token against a plan
+   * @param {string} apiId - API ID
+   * @param {Array<Object>} steps - Plan steps
+   * @param {string} token - Token from createConfirmationToken
+   * @returns {boolean} True when the token confirms this plan and has not expired
+   */
+  verifyConfirmationToken(apiId, steps, token) {
+    if (!token || typeof token !== 'string') return false;
+
+    const [expiresAtText, signature] = token.split('.');
+    const expiresAt = Number(expiresAtText);
+    if (!Number.isInteger(expiresAt) || expiresAt <= Date.now() || !signature) return false;
+
+    const expected = Buffer.from(this._signPlan(apiId, steps, expiresAt));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Sign the statements of a plan
+   * @private
+   */
+  _signPlan(apiId, steps, expiresAt) {
+    const statements = steps.map(step => step.sql).join('\n');
+    return crypto
+      .createHmac('sha256', TOKEN_SECRET)
+      .update(`schema-plan:${apiId}:${expiresAt}:${statements}`)
+      .digest('hex');
+  }
+
+  /**
+   * Run migration statements in a single transaction
+   * execute_sql runs its whole input in one call, so a failing statement
+   * rolls back every statement before it.
+   * @param {Array<{sql: string}>} statements - Statements from generateStatements
+   * @returns {Promise<{success: boolean, error: string|null}>}
+   */
+  async runStatements(statements) {
+    if (statements.length === 0) return { success: true, error: null };
+
+    const sql = statements.map(statement => statement.sql).join('\n');
+    console.log(`Running schema migration with ${statements.length} statements`);
+
+    const { data, error } = await this.supabase.rpc('execute_sql', { sql_query: sql });
+
+    const sqlError = error ? error.message : (data && data.success === false ? data.error : null);
+    if (sqlError) {
+      console.error('Schema migration failed and was rolled back:', sqlError);
+      return { success: false, error: sqlError };
+    }
+
+    console.log('Schema migration completed');
+    return { success: true, error: null };
+  }
+
+  /**
+   * Get the database name of an API table
+   * @param {Object} metadata - API metadata
+   * @param {string} name - Table name without prefix
+   * @returns {string} Prefixed, lowercase table name
+   */
+  getTableName(metadata, name) {
+    return `${metadata.XAuthUserId}_${metadata.apiIdentifier}_${name}`.toLowerCase();
+  }
+
+  /**
+   * Quote an SQL identifier
+   * @private
+   */
+  _quote(identifier) {
+    return `"${String(identifier).replace(/"/g, '""')}"`;
+  }
+
+  /**
+   * Normalize a column's constraints to a lowercase string
+   * @private
+   */
+  _constraintText(column) {
+    if (!column.constraints) return '';
+    return (Array.isArray(column.constraints)
+      ? column.constraints.join(' ')
+      : String(column.constraints)).toLowerCase();
+  }
+
+  /**
+   * Parse the parts of a column definition a migration can change
+   * @private
+   */
+  _parseColumn(column) {
+    const raw = Array.isArray(column.constraints)
+      ? column.constraints.join(' ')
+      : String(column.constraints || '');
+    const text = raw.toLowerCase();
+    const primaryKey = text.includes('primary key');
+
+    // "default: X" is the spelling the schema generator also accepts
+    const defaultMatch = raw.match(/default:?\s+(.+?)(?=\s+(?:not\s+null|null|unique|primary\s+key|references|foreign\s+key|check)\b|$)/i);
+
+    return {
+      name: column.name,
+      type: fileService.toSqlType(String(column.type || '').trim()),
+      primaryKey,
+      notNull: primaryKey || text.includes('not null'),
+      unique: !primaryKey && /\bunique\b/.test(text),
+      default: defaultMatch ? this._defaultSQL(defaultMatch[1]) : columnDefinitionService.getDefaultSQL(column)
+    };
+  }
+
+  /**
+   * Render a default written in the constraints as SQL
+   * Numbers, booleans, NULL and the default functions columnDefinitionService
+   * allows are kept; anything else becomes a quoted literal.
+   * @private
+   */
+  _defaultSQL(value) {
+    const text = value.trim();
+
+    if (/^(-?\d+(\.\d+)?|true|false|null)$/i.test(text)) return text.toLowerCase();
+
+    // A quoted literal, possibly cast ('draft'::text), keeps only its value
+    const quoted = text.match(/^'((?:[^']|'')*)'(?:::[a-z ]+)?$/i);
+    return columnDefinitionService.getDefaultSQL({ default: quoted ? quoted[1].replace(/''/g, "'") : text });
+  }
+
+  /**
+   * Normalize a type for comparison
+   * @private
+   */
+  _normalizeType(type) {
+    const normalized = String(type).toLowerCase().replace(/\s+/g, ' ').replace(/\s*\(\s*/g, '(').replace(/\s*\)/g, ')').trim();
+    const match = normalized.match(/^([a-z0-9]+)(\(.*\))?(\[\])?$/);
+    if (match && this.typeAliases[match[1]]) {
+      return this.typeAliases[match[1]] + (match[2] || '') + (match[3] || '');
+    }
+    return normalized;
+  }
+
+  /**
+   * Build the definition of a column for CREATE TABLE or ADD COLUMN
+   * Foreign keys are left to the relationships.
+   * @private
+   */
+  _columnDefinition(column, tableName) {
+    const parsed = this._parseColumn(column);
+    let sql = `${this._quote(column.name)} ${parsed.type}`;
+
+    if (parsed.primaryKey) sql += ' PRIMARY KEY';
+    if (parsed.default) sql += ` DEFAULT ${parsed.default}`;
+    if (parsed.notNull && !parsed.primaryKey) sql += ' NOT NULL';
+    if (parsed.unique) sql += ' UNIQUE';
+
+    return sql + columnDefinitionService.getColumnSQL(column, tableName, { withDefault: false });
+  }
+
+  /**
+   * Build CREATE TABLE for a new table, with the columns and trigger every
+   * generated table has
+   * @private
+   */
+  _createTableSQL(tableName, columns, ownerColumn = true) {
+    const table = this._quote(tableName);
+    const definitions = columns.map(column => this._columnDefinition(column, tableName));
+
+    if (!columns.find(col => col.name === 'created_at')) {
+      definitions.push('"created_at" timestamp with time zone DEFAULT now()');
+    }
+    if (!columns.find(col => col.name === 'updated_at')) {
+      definitions.push('"updated_at" timestamp with time zone DEFAULT now()');
+    }
+    if (ownerColumn && !columns.find(col => col.name === 'XAuthUserId')) {
+      definitions.push('"XAuthUserId" varchar(255) NOT NULL');
+    }
+
+    const safeFunctionName = tableName.replace(/[^a-zA-Z0-9_]/g, '_');
+    const beforeTableSQL = columnDefinitionService.getBeforeTableSQL(tableName, columns);
+    const afterTableSQL = columnDefinitionService.getAfterTableSQL(tableName, columns);
+
+    return `${beforeTableSQL ? `${beforeTableSQL}\n` : ''}CREATE TABLE ${table} (
+  ${definitions.join(',\n  ')}
+);
+CREATE OR REPLACE FUNCTION update_modified_column_${safeFunctionName}()
+RETURNS TRIGGER AS $fn$
+BEGIN
+  NEW.updated_at = now();
+  RETURN NEW;
+END;
+$fn$ language 'plpgsql';
+CREATE TRIGGER set_timestamp_${safeFunctionName}
+BEFORE UPDATE ON ${table}
+FOR EACH ROW
+EXECUTE FUNCTION update_modified_column_${safeFunctionName}();${afterTableSQL ? `\n${afterTableSQL}` : ''}`;
+  }
+
+  /**
+   * Drop the constraints of a type on a column, whatever they were named
+   * Existing tables were created by several generators with different
+   * constraint names, so they are looked up in pg_constraint.
+   * @private
+   */
+  _dropConstraintsSQL(tableName, column, constraintType) {
+    const literal = value => `'${String(value).replace(/'/g, "''")}'`;
+
+    return `DO $drop$
+DECLARE r record;
+BEGIN
+  FOR r IN
+    SELECT c.conname FROM pg_constraint c
+    JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = ANY(c.conkey)
+    WHERE c.conrelid = ${literal(this._quote(tableName))}::regclass
+      AND c.contype = ${literal(constraintType)}
+      AND a.attname = ${literal(column)}
+  LOOP
+    EXECUTE format('ALTER TABLE %I DROP CONSTRAINT %I', ${literal(tableName)}, r.conname);
+  END LOOP;
+END $drop$;`;
+  }
+}
+
+module.exports = new SchemaMigrationService();
@@ -0,0 +1,185 @@
+const queryBuilder = require('./queryBuilder');
+const columnDefinitionService = require('./columnDefinitionService');
+
+/**
+ * Schema Validator
+ * Validates request bodies of generated endpoints against the table's column
+ * metadata (types, NOT NULL constraints, varchar lengths, enum values) so bad
+ * payloads are rejected before they reach the database.
+ */
+class SchemaValidator {
+  constructor() {
+    // Columns filled in by the generated handlers rather than by clients
+    this.systemColumns = ['XAuthUserId', 'created_at', 'updated_at'];
+  }
+
+  /**
+   * Normalize a column's constraints to a lowercase string
+   * @private
+   */
+  _constraintText(col) {
+    if (!col.constraints) return '';
+    return (Array.isArray(col.constraints)
+      ? col.constraints.join(' ')
+      : String(col.constraints)).toLowerCase();
+  }
+
+  /**
+   * Build the validation rules for a table schema
+   * @param {Object} schema - Table schema
+   * @returns {Map<string, Object>} Column name to { kind, timeOnly, array, file, readOnly, enum, notNull, required, maxLength }
+   */
+  getRules(schema) {
+    const rules = new Map();
+
+    (schema.columns || []).forEach(col => {
+      if (!col || !col.name) return;
+
+      const type = (col.type || '').toLowerCase().trim();
+      const constraints = this._constraintText(col);
+      const isPrimaryKey = constraints.includes('primary key');
+      const notNull = constraints.includes('not null') || isPrimaryKey;
+      const hasDefault = constraints.includes('default') || /serial/.test(type) || isPrimaryKey ||
+        columnDefinitionService.hasServerValue(col);
+      const lengthMatch = type.match(/^(?:varchar|character varying|char|character)\s*\((\d+)\)/);
+
+      rules.set(col.name, {
+        kind: queryBuilder.getColumnKind(type),
+        timeOnly: /^time(\s|\(|$)/.test(type),
+        array: type.endsWith('[]'),
+        file: type === 'file',
+        readOnly: col.computed !== undefined,
+        enum: Array.isArray(col.enum) && col.enum.length > 0 ? col.enum : null,
+        notNull,
+        required: notNull && !hasDefault && !this.systemColumns.includes(col.name),
+        maxLength: lengthMatch ? parseInt(lengthMatch[1]) : null
+      });
+    });
+
+    // Foreign keys that only exist in the relationships metadata
+    (schema.relationships || []).forEach(rel => {
+      if (rel && rel.sourceColumn && !rules.has(rel.sourceColumn)) {
+        rules.set(rel.sourceColumn, { kind: null, timeOnly: false, array: false, file: false, readOnly: false, enum: null, notNull: false, required: false, maxLength: null });
+      }
+    });
+
+    return rules;
+  }
+
+  /**
+   * Validate a request body against a table schema
+   * @param {Object} body - Request body (after placeholder cleanup)
+   * @param {Object} schema - Table schema
+   * @param {Object} options - { mode: 'create' | 'update' }
+   * @returns {Array} Errors as { field, code, message } (empty when valid)
+   */
+  validate(body, schema, { mode = 'create' } = {}) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return [{ field: null, code: 'invalid_body', message: 'Request body must be a JSON object' }];
+    }
+
+    const rules = this.getRules(schema);
+    const errors = [];
+
+    Object.entries(body).forEach(([field, value]) => {
+      const rule = rules.get(field);
+
+      if (!rule) {
+        if (!this.systemColumns.includes(field)) {
+          errors.push({ field, code: 'unknown_field', message: `Unknown field "${field}"` });
+        }
+        return;
+      }
+
+      // Computed columns are generated by the database, even null is rejected
+      if (rule.readOnly) {
+        errors.push({ field, code: 'read_only', message: `${field} is a computed column and cannot be written` });
+        return;
+      }
+
+      if (value === null || value === undefined) {
+        if (rule.notNull) {
+          errors.push({ field, code: 'not_null', message: `${field} cannot be null` });
+        }
+        return;
+      }
+
+      // Files are attached through the upload endpoint; writes can only clear them
+      if (rule.file) {
+        errors.push({ field, code: 'read_only', message: `${field} is a file column - upload files with POST /:table/:id/files/${field}` });
+        return;
+      }
+
+      const typeError = this._checkType(value, rule);
+      if (typeError) {
+        errors.push({ field, code: 'invalid_type', message: `${field} ${typeError}` });
+        return;
+      }
+
+      if (rule.enum && !rule.enum.includes(value)) {
+        errors.push({ field, code: 'invalid_value', message: `${field} must be one of: ${rule.enum.join(', ')}` });
+        return;
+      }
+
+      if (rule.maxLength !== null && typeof value === 'string' && value.length > rule.maxLength) {
+        errors.push({
+          field,
+          code: 'max_length',
+          message: `${field} must be at most ${rule.maxLength} characters (got ${value.length})`
+        });
+      }
+    });
+
+    if (mode === 'create') {
+      rules.forEach((rule, field) => {
+        if (rule.required && body[field] === undefined) {
+          errors.push({ field, code: 'required', message: `${field} is required` });
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check that a value matches the column kind
+   * @private
+   * @returns {string|null} Error message or null when valid
+   */
+  _checkType(value, rule) {
+    if (rule.kind === null) return null;
+
+    if (rule.array) {
+      return Array.isArray(value) ? null : 'must be an array';
+    }
+
+    switch (rule.kind) {
+      case 'integer':
+        return Number.isInteger(value) || (typeof value === 'string' && /^-?\d+$/.test(value))
+          ? null : 'must be an integer';
+      case 'number':
+        return (typeof value === 'number' && Number.isFinite(value)) ||
+          (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)))
+          ? null : 'must be a number';
+      case 'boolean':
+        return typeof value === 'boolean' || value === 'true' || value === 'false'
+          ? null : 'must be a boolean';
+      case 'uuid':
+        return typeof value === 'string' && queryBuilder.isValidValue('uuid', value)
+          ? null : 'must be a valid UUID';
+      case 'datetime':
+        if (rule.timeOnly) {
+          return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?([+-]\d{2}(:?\d{2})?|Z)?$/.test(value)
+            ? null : 'must be a valid time (HH:MM[:SS])';
+        }
+        return typeof value === 'string' && !isNaN(Date.parse(value))
+          ? null : 'must be a valid date/time string';
+      case 'json':
+        return null;
+      default:
+        return typeof value === 'object' ? 'must be a string' : null;
+    }
+  }
+}
+
+module.exports = new SchemaValidator();
@@ -0,0 +1,192 @@
+const { createClient } = require('@supabase/supabase-js');
+const config = require('../config/config');
+const schemaMigrationService = require('./schemaMigrationService');
+
+/**
+ * Schema Version Service
+ * Keeps every applied schema of an API as a numbered version in
+ * api_schema_versions, with the changes and SQL that produced it, who applied
+ * it and the prompt used. Versions are never rewritten: a rollback is recorded
+ * as a new version.
+ *
+ * Sources: created, schema_routes, modify_schema, rollback
+ */
+class SchemaVersionService {
+  constructor() {
+    this.supabase = createClient(
+      process.env.SUPABASE_URL || config.supabase.url,
+      process.env.SUPABASE_KEY || config.supabase.key
+    );
+
+    this.summaryColumns = 'version, source, author, prompt, rollback_to, changes, created_at';
+  }
+
+  /**
+   * Get the latest version of an API
+   * @param {string} apiId - API ID
+   * @returns {Promise<Object|null>} Version row or null when none was recorded
+   */
+  async getLatestVersion(apiId) {
+    const { data, error } = await this.supabase
+      .from('api_schema_versions')
+      .select('*')
+      .eq('api_id', apiId)
+      .order('version', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+    return data && data[0] ? data[0] : null;
+  }
+
+  /**
+   * Get a version of an API
+   * @param {string} apiId - API ID
+   * @param {number} version - Version number
+   * @returns {Promise<Object|null>} Version row or null when not found
+   */
+  async getVersion(apiId, version) {
+    const { data, error } = await this.supabase
+      .from('api_schema_versions')
+      .select('*')
+      .eq('api_id', apiId)
+      .eq('version', version)
+      .limit(1);
+
+    if (error) throw error;
+    return data && data[0] ? data[0] : null;
+  }
+
+  /**
+   * List the versions of an API, newest first, without their table definitions
+   * @param {string} apiId - API ID
+   * @returns {Promise<Array>} Version summaries
+   */
+  async listVersions(apiId) {
+    const { data, error } = await this.supabase
+      .from('api_schema_versions')
+      .select(this.summaryColumns)
+      .eq('api_id', apiId)
+      .order('version', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Make sure an API has a first version
+   * APIs created before versioning get their current tables recorded as version 1.
+   * @param {Object} metadata - API metadata
+   * @returns {Promise<Object>} Latest version row
+   */
+  async ensureBaseline(metadata) {
+    const latest = await this.getLatestVersion(metadata.apiId);
+    if (latest) return latest;
+
+    return this.recordVersion(metadata.apiId, 1, {
+      tables: schemaMigrationService.getTables(metadata),
+      source: 'created',
+      author: metadata.XAuthUserId,
+      prompt: metadata.prompt || null
+    });
+  }
+
+  /**
+   * Record an applied schema
+   * @param {string} apiId - API ID
+   * @param {number} version - Version number (latest + 1)
+   * @param {Object} entry - { tables, changes, statements, source, author, prompt, rollbackTo }
+   * @returns {Promise<Object>} Stored version row
+   */
+  async recordVersion(apiId, version, { tables, changes = [], statements = [], source, author, prompt = null, rollbackTo = null }) {
+    const { data, error } = await this.supabase
+      .from('api_schema_versions')
+      .insert([{
+        api_id: apiId,
+        version,
+        tables: schemaMigrationService.stripRenames(tables),
+        changes,
+        statements,
+        source,
+        author,
+        prompt,
+        rollback_to: rollbackTo
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(`Recorded schema version ${version} of API ${apiId} (${source})`);
+    return data;
+  }
+
+  /**
+   * Build the diff between two versions of an API
+   * Columns renamed in the versions between them are diffed as renames.
+   * @param {string} apiId - API ID
+   * @param {Object} fromVersion - Version row to start from
+   * @param {Object} toVersion - Version row to end at
+   * @returns {Promise<{tables: Array, changes: Array, errors: Array}>} Target tables (with renamedFrom) and changes
+   */
+  async diffVersions(apiId, fromVersion, toVersion) {
+    const forward = fromVersion.version < toVersion.version;
+    const low = Math.min(fromVersion.version, toVersion.version);
+    const high = Math.max(fromVersion.version, toVersion.version);
+
+    const { data, error } = await this.supabase
+      .from('api_schema_versions')
+      .select('version, changes')
+      .eq('api_id', apiId)
+      .gt('version', low)
+      .lte('version', high)
+      .order('version', { ascending: true });
+
+    if (error) throw error;
+
+    // Renames in the order they have to be replayed to get from one version to the other
+    let renames = (data || []).flatMap(row => (row.changes || []).filter(change => change.type === 'rename_column'));
+    if (!forward) {
+      renames = renames.reverse().map(change => ({ ...change, from: change.to, to: change.from }));
+    }
+
+    const tables = this._applyRenames(fromVersion.tables, toVersion.tables, renames);
+    const { changes, errors } = schemaMigrationService.diffTables(schemaMigrationService.stripRenames(fromVersion.tables), tables);
+
+    return { tables, changes, errors };
+  }
+
+  /**
+   * Mark the columns of the target tables that were renamed on the way
+   * @private
+   */
+  _applyRenames(sourceTables, targetTables, renames) {
+    // originalName[table][nameNow] = name in the source tables
+    const originalName = {};
+    renames.forEach(({ table, from, to }) => {
+      const names = originalName[table] || (originalName[table] = {});
+      names[to] = names[from] !== undefined ? names[from] : from;
+      delete names[from];
+    });
+
+    const sourceByName = new Map(sourceTables.map(table => [table.name, table]));
+
+    return schemaMigrationService.stripRenames(targetTables).map(table => {
+      const source = sourceByName.get(table.name);
+      const names = originalName[table.name];
+      if (!source || !names) return table;
+
+      const sourceColumns = new Set(source.columns.map(column => column.name));
+      return {
+        ...table,
+        columns: table.columns.map(column => {
+          const previous = names[column.name];
+          return previous && previous !== column.name && sourceColumns.has(previous) && !sourceColumns.has(column.name)
+            ? { ...column, renamedFrom: previous }
+            : column;
+        })
+      };
+    });
+  }
+}
+
+module.exports = new SchemaVersionService();
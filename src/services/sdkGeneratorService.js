@@ -0,0 +1,415 @@
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const queryBuilder = require('./queryBuilder');
+const schemaValidator = require('./schemaValidator');
+const relationshipService = require('./relationshipService');
+const schemaMigrationService = require('./schemaMigrationService');
+const apiAuthService = require('./apiAuthService');
+const endUserAuthService = require('./endUserAuthService');
+const { camelCase, pascalCase, singular, uniqueName } = require('../utils/naming');
+
+/**
+ * SDK Generator Service
+ * Generates client SDKs for a generated API from the same table schemas its
+ * Swagger spec is built from: a TypeScript client with a model, input type
+ * and relation names per table, a plain JavaScript (ESM) client, and an npm
+ * package bundling the JavaScript client with its type declarations.
+ *
+ * The request logic (filters, pagination, auth headers, token refresh) lives
+ * in src/templates/sdk/runtime.*; only the table-specific part is generated.
+ */
+class SdkGeneratorService {
+  constructor() {
+    this.templateDir = path.join(__dirname, '..', 'templates', 'sdk');
+
+    // Column kinds (queryBuilder.getColumnKind) to TypeScript types
+    this.kindTypes = {
+      integer: 'number',
+      number: 'number',
+      boolean: 'boolean',
+      json: 'unknown'
+    };
+
+    // Names used by the runtime, never used for generated types or table properties
+    this.reservedTypeNames = [
+      'Operator', 'Filter', 'Filters', 'ReadParams', 'ListParams', 'Page', 'BulkResult', 'Tokens',
+      'ClientOptions', 'BacklifyError', 'BaseClient', 'TableClient', 'EndUser', 'AuthClient', 'BacklifyClient'
+    ];
+    this.reservedProperties = ['options', 'tokens', 'setToken', 'request', 'refreshTokens', 'auth', 'constructor'];
+  }
+
+  /**
+   * Get the npm package name of an API's client
+   * @param {Object} metadata - API metadata
+   * @returns {string} Package name
+   */
+  getPackageName(metadata) {
+    return `backlify-client-${String(metadata.apiId).substring(0, 8).toLowerCase()}`;
+  }
+
+  /**
+   * Describe the models of an API's tables
+   * @param {Object} metadata - API metadata
+   * @returns {Array<Object>} { table, property, typeName, fields, inputFields, relations }
+   */
+  getModels(metadata) {
+    const tables = schemaMigrationService.getTables(metadata);
+    const typeNames = new Set(this.reservedTypeNames);
+    const properties = new Set(this.reservedProperties);
+
+    return tables.map(table => {
+      const rules = schemaValidator.getRules(table);
+      const columns = new Map((table.columns || []).map(col => [col.name, col]));
+
+      const fields = Array.from(queryBuilder.getFilterableColumns(table).keys()).map(name => {
+        const rule = rules.get(name);
+        return {
+          name,
+          type: this._fieldType(columns.get(name)),
+          // Timestamps are filled in by the generated handlers
+          nullable: rule ? !rule.notNull : false
+        };
+      });
+
+      // Foreign keys that only exist in the relationships metadata
+      rules.forEach((rule, name) => {
+        if (!fields.some(field => field.name === name) && name !== 'XAuthUserId') {
+          fields.push({ name, type: 'string | number', nullable: true });
+        }
+      });
+
+      const inputFields = fields
+        .filter(field => !schemaValidator.systemColumns.includes(field.name))
+        .map(field => ({ ...field, optional: !(rules.get(field.name) || {}).required }));
+
+      const relations = Array.from(relationshipService.getRelations(table, tables, '').keys());
+
+      return {
+        table: table.name,
+        property: uniqueName(camelCase(table.name), properties, 'Table'),
+        typeName: uniqueName(pascalCase(singular(table.name)), typeNames, 'Record'),
+        fields,
+        inputFields,
+        relations
+      };
+    });
+  }
+
+  /**
+   * Generate the TypeScript client of an API
+   * @param {Object} metadata - API metadata
+   * @param {string} baseUrl - URL of the API the client defaults to
+   * @returns {string} Source of client.ts
+   */
+  generateTypeScript(metadata, baseUrl) {
+    const models = this.getModels(metadata);
+    const withAuth = !!endUserAuthService.getSettings(metadata);
+
+    const body = [
+      ...models.map(model => this._typeDeclarations(model)),
+      [
+        this._clientDoc(metadata),
+        'export class BacklifyClient extends BaseClient {',
+        ...models.map(model => `  readonly ${model.property}: ${this._tableClientType(model)};`),
+        ...(withAuth ? ['  readonly auth: AuthClient;'] : []),
+        '',
+        '  constructor(options: ClientOptions = {}) {',
+        ...this._constructorBody(models, baseUrl, withAuth),
+        '  }',
+        '}',
+        '',
+        'export default BacklifyClient;'
+      ].join('\n')
+    ];
+
+    return this._compose(metadata, 'runtime.ts', body);
+  }
+
+  /**
+   * Generate the JavaScript (ESM) client of an API
+   * @param {Object} metadata - API metadata
+   * @param {string} baseUrl - URL of the API the client defaults to
+   * @returns {string} Source of client.js
+   */
+  generateJavaScript(metadata, baseUrl) {
+    const models = this.getModels(metadata);
+    const withAuth = !!endUserAuthService.getSettings(metadata);
+
+    const body = [
+      ...models.map(model => this._typedef(model)),
+      [
+        this._clientDoc(metadata),
+        'export class BacklifyClient extends BaseClient {',
+        '  constructor(options = {}) {',
+        ...this._constructorBody(models, baseUrl, withAuth),
+        '  }',
+        '}',
+        '',
+        'export default BacklifyClient;'
+      ].join('\n')
+    ];
+
+    return this._compose(metadata, 'runtime.js', body);
+  }
+
+  /**
+   * Generate the type declarations of the JavaScript client
+   * @param {Object} metadata - API metadata
+   * @returns {string} Source of index.d.ts
+   */
+  generateDeclarations(metadata) {
+    const models = this.getModels(metadata);
+    const withAuth = !!endUserAuthService.getSettings(metadata);
+
+    const body = [
+      ...models.map(model => this._typeDeclarations(model)),
+      [
+        this._clientDoc(metadata),
+        'export declare class BacklifyClient extends BaseClient {',
+        ...models.map(model => `  readonly ${model.property}: ${this._tableClientType(model)};`),
+        ...(withAuth ? ['  readonly auth: AuthClient;'] : []),
+        '  constructor(options?: ClientOptions);',
+        '}',
+        '',
+        'export default BacklifyClient;'
+      ].join('\n')
+    ];
+
+    return this._compose(metadata, 'runtime.d.ts', body);
+  }
+
+  /**
+   * Write the npm package of an API's client as a tarball to a stream
+   * The tarball can be installed with `npm install ./<name>.tgz`.
+   * @param {Object} metadata - API metadata
+   * @param {string} baseUrl - URL of the API the client defaults to
+   * @param {stream.Writable} output - Stream receiving the archive (e.g. the response)
+   * @returns {Promise<void>} Resolves when the archive is finalized
+   */
+  async writePackage(metadata, baseUrl, output) {
+    const name = this.getPackageName(metadata);
+    const files = [
+      { name: 'package.json', content: this._packageJson(name, metadata) },
+      { name: 'index.js', content: this.generateJavaScript(metadata, baseUrl) },
+      { name: 'index.d.ts', content: this.generateDeclarations(metadata) },
+      { name: 'README.md', content: this._readme(name, metadata, baseUrl) }
+    ];
+    const archive = archiver('tar', { gzip: true });
+
+    archive.on('warning', error => console.warn('SDK package warning:', error.message));
+    archive.pipe(output);
+
+    // npm expects the package contents under package/
+    files.forEach(file => {
+      archive.append(file.content, { name: `package/${file.name}` });
+    });
+
+    await archive.finalize();
+  }
+
+  /**
+   * Join the header, a runtime template and the generated code
+   * @private
+   */
+  _compose(metadata, runtimeFile, body) {
+    const runtime = fs.readFileSync(path.join(this.templateDir, runtimeFile), 'utf8');
+
+    return [
+      `// Client for Backlify API ${metadata.apiId}, generated from its table schemas.`,
+      '// Download it again after changing the schema instead of editing it.',
+      '',
+      runtime.trimEnd(),
+      '',
+      '// ---- Models ----',
+      '',
+      body.join('\n\n'),
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Interfaces and relation names of a table
+   * @private
+   */
+  _typeDeclarations(model) {
+    const { typeName } = model;
+    const fieldLine = (field, optional) =>
+      `  ${this._propertyKey(field.name)}${optional ? '?' : ''}: ${field.type}${field.nullable ? ' | null' : ''};`;
+
+    return [
+      `/** A record of ${model.table} */`,
+      `export interface ${typeName} {`,
+      ...model.fields.map(field => fieldLine(field, false)),
+      '}',
+      '',
+      `/** Body accepted when creating ${model.table} records */`,
+      `export interface ${typeName}Input {`,
+      ...model.inputFields.map(field => fieldLine(field, field.optional)),
+      '}',
+      '',
+      `/** Relations of ${model.table} accepted by include */`,
+      `export type ${typeName}Relations = ${model.relations.length > 0
+        ? model.relations.map(relation => JSON.stringify(relation)).join(' | ')
+        : 'never'};`
+    ].join('\n');
+  }
+
+  /**
+   * JSDoc typedefs of a table for the JavaScript client
+   * @private
+   */
+  _typedef(model) {
+    const property = (field, optional) => {
+      const type = `${field.type}${field.nullable ? ' | null' : ''}`.replace(/\s/g, '');
+      return ` * @property {${type}} ${optional ? `[${field.name}]` : field.name}`;
+    };
+
+    return [
+      '/**',
+      ` * A record of ${model.table}`,
+      ` * @typedef {Object} ${model.typeName}`,
+      ...model.fields.map(field => property(field, false)),
+      ' */',
+      '',
+      '/**',
+      ` * Body accepted when creating ${model.table} records`,
+      ` * @typedef {Object} ${model.typeName}Input`,
+      ...model.inputFields.map(field => property(field, field.optional)),
+      ' */'
+    ].join('\n');
+  }
+
+  /**
+   * Doc comment of the client class describing how to authenticate
+   * @private
+   */
+  _clientDoc(metadata) {
+    const auth = apiAuthService.getAuthConfig(metadata);
+    const withAuth = !!endUserAuthService.getSettings(metadata);
+    const lines = {
+      public: 'The API is public, no credentials are needed.',
+      api_key: 'Pass { apiKey } with an API key of the API (sent as X-API-Key).',
+      backlify_jwt: 'Pass { token } with a Backlify access token.',
+      external_jwt: `Pass { token } with a JWT issued by ${auth.issuer}.`,
+      api_users: withAuth
+        ? 'Sign in with client.auth.login(), or pass { token } with an end-user access token.'
+        : 'Pass { token } with an end-user access token.'
+    };
+
+    return [
+      '/**',
+      ` * Client for Backlify API ${metadata.apiId}`,
+      ` * ${lines[auth.mode]}`,
+      ' */'
+    ].join('\n');
+  }
+
+  /**
+   * Constructor statements shared by the TypeScript and JavaScript clients
+   * @private
+   */
+  _constructorBody(models, baseUrl, withAuth) {
+    return [
+      `    super({ baseUrl: ${JSON.stringify(baseUrl)}, ...options });`,
+      ...models.map(model => `    this.${model.property} = new TableClient(this, ${JSON.stringify(`/${model.table}`)});`),
+      ...(withAuth ? ['    this.auth = new AuthClient(this);'] : [])
+    ];
+  }
+
+  /**
+   * @private
+   */
+  _tableClientType(model) {
+    return `TableClient<${model.typeName}, ${model.typeName}Input, ${model.typeName}Relations>`;
+  }
+
+  /**
+   * TypeScript type of a column
+   * @private
+   */
+  _fieldType(column) {
+    if (!column) return 'string';
+
+    const type = String(column.type || '').toLowerCase().trim();
+    if (type.endsWith('[]')) {
+      const itemType = this._fieldType({ type: type.slice(0, -2) });
+      return itemType.includes(' ') ? `Array<${itemType}>` : `${itemType}[]`;
+    }
+    return this.kindTypes[queryBuilder.getColumnKind(type)] || 'string';
+  }
+
+  /**
+   * Quote property names that are not valid identifiers
+   * @private
+   */
+  _propertyKey(name) {
+    return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : JSON.stringify(name);
+  }
+
+  /**
+   * @private
+   */
+  _packageJson(name, metadata) {
+    return `${JSON.stringify({
+      name,
+      version: '1.0.0',
+      description: `Client for Backlify API ${metadata.apiId}`,
+      type: 'module',
+      main: 'index.js',
+      types: 'index.d.ts',
+      exports: {
+        '.': { types: './index.d.ts', default: './index.js' }
+      },
+      engines: { node: '>=18' }
+    }, null, 2)}\n`;
+  }
+
+  /**
+   * @private
+   */
+  _readme(name, metadata, baseUrl) {
+    const models = this.getModels(metadata);
+    const auth = apiAuthService.getAuthConfig(metadata);
+    const example = models[0];
+    const options = {
+      api_key: '{ apiKey: process.env.BACKLIFY_API_KEY }',
+      backlify_jwt: '{ token: () => getAccessToken() }',
+      external_jwt: '{ token: () => getAccessToken() }',
+      api_users: '{ token: () => getAccessToken() }'
+    }[auth.mode] || '';
+
+    return `# ${name}
+
+Client for the Backlify API \`${metadata.apiId}\` (${baseUrl}).
+
+## Usage
+
+\`\`\`js
+import BacklifyClient from '${name}';
+
+const client = new BacklifyClient(${options});
+${example ? `
+const page = await client.${example.property}.list({ limit: 20, sort: 'created_at', order: 'desc' });
+for await (const record of client.${example.property}.all()) {
+  console.log(record);
+}
+` : ''}\`\`\`
+
+Pass \`baseUrl\` to use another server and \`fetch\` to use another fetch
+implementation. Failed requests throw a \`BacklifyError\` with the response
+\`status\` and \`body\`.
+
+## Tables
+
+${models.map(model => `- \`client.${model.property}\` (\`/${model.table}\`): \`${model.typeName}\` records, created from \`${model.typeName}Input\``).join('\n')}
+
+Every table has \`list\`, \`all\`, \`get\`, \`create\`, \`upsert\`, \`update\`,
+\`patch\`, \`delete\`, \`bulkCreate\`, \`bulkUpdate\` and \`bulkDelete\`.
+Filters use the API's operators, e.g.
+\`list({ filters: { price: { gte: 10 }, status: { in: ['a', 'b'] } } })\`.
+`;
+  }
+}
+
+module.exports = new SdkGeneratorService();
@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+
+/**
+ * Search Service
+ * Postgres full-text search for the tables of generated APIs.
+ *
+ * Text columns marked searchable: true are combined into a generated
+ * search_vector column with a GIN index. Earlier columns weigh more in the
+ * ranking (the first gets weight A, the second B, the third C, the rest D).
+ * Two SQL functions per table serve GET /:table/search:
+ *   search_<table>(search_query)                    matching rows, best match first
+ *   search_matches_<table>(search_query, record_ids) rank and highlights of rows
+ * Queries use the websearch syntax ("quoted phrases", or, -excluded).
+ */
+class SearchService {
+  constructor() {
+    this.column = 'search_vector';
+    this.language = 'english';
+    this.maxQueryLength = 200;
+
+    // Column types that can be marked searchable
+    this.textTypePattern = /^(text|citext|varchar|character varying|char|character)(\s*\(\s*\d+\s*\))?$/i;
+
+    // Size of the highlight snippets
+    this.headlineOptions = 'MaxFragments=2, MaxWords=20, MinWords=5, FragmentDelimiter=" ... "';
+  }
+
+  /**
+   * Check whether a column type can be searched
+   * @param {string} type - Column type from the table schema
+   * @returns {boolean}
+   */
+  isTextType(type) {
+    return this.textTypePattern.test(String(type || '').trim());
+  }
+
+  /**
+   * Get the searchable columns of a table, in ranking order
+   * @param {Object} schema - Table schema
+   * @returns {Array<string>} Column names
+   */
+  getSearchableColumns(schema) {
+    return ((schema && schema.columns) || [])
+      .filter(col => col && col.searchable === true && this.isTextType(col.type))
+      .map(col => col.name);
+  }
+
+  /**
+   * Validate the searchable flags of a table definition
+   * @param {Object} table - Table definition
+   * @returns {Array<string>} Validation errors
+   */
+  validateColumns(table) {
+    const errors = [];
+    const columns = (table && table.columns) || [];
+
+    columns.forEach(column => {
+      if (!column || column.searchable === undefined) return;
+
+      if (typeof column.searchable !== 'boolean') {
+        errors.push(`${table.name}.${column.name}: searchable must be a boolean`);
+      } else if (column.searchable && !this.isTextType(column.type)) {
+        errors.push(`${table.name}.${column.name}: only text and varchar columns can be searchable`);
+      }
+    });
+
+    if (columns.some(column => column && column.name === this.column) &&
+        columns.some(column => column && column.searchable === true)) {
+      errors.push(`${table.name}: ${this.column} is reserved for full-text search`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Names of the SQL functions of a table
+   * Long table names are hashed so the names fit Postgres' 63 character limit.
+   * @param {string} tableName - Prefixed table name
+   * @returns {{search: string, matches: string}}
+   */
+  getFunctionNames(tableName) {
+    const name = (kind) => {
+      const full = `${kind}_${tableName}`;
+      if (full.length <= 63) return full;
+      return `${kind}_${crypto.createHash('md5').update(tableName).digest('hex')}`;
+    };
+
+    return { search: name('search'), matches: name('search_matches') };
+  }
+
+  /**
+   * SQL adding the search column, its index and the search functions to a table
+   * @param {string} tableName - Prefixed table name
+   * @param {Array<string>} columns - Searchable columns, in ranking order
+   * @returns {string} SQL statements
+   */
+  generateSQL(tableName, columns) {
+    const table = this._quote(tableName);
+    const column = this._quote(this.column);
+    const { search, matches } = this.getFunctionNames(tableName);
+    const language = `'${this.language}'::regconfig`;
+    const weights = ['A', 'B', 'C'];
+
+    const vector = columns
+      .map((name, index) => `setweight(to_tsvector(${language}, coalesce(${this._quote(name)}, '')), '${weights[index] || 'D'}')`)
+      .join(' ||\n    ');
+
+    // Matches are marked with control characters so the snippets can be
+    // HTML-escaped before the <mark> tags are put in (see _formatSnippet)
+    const highlights = columns
+      .map(name => `'${name.replace(/'/g, "''")}', CASE WHEN to_tsvector(${language}, coalesce(t.${this._quote(name)}, '')) @@ q.query
+        THEN ts_headline(${language}, t.${this._quote(name)}, q.query, 'StartSel=' || chr(1) || ', StopSel=' || chr(2) || ', ${this.headlineOptions}') END`)
+      .join(',\n      ');
+
+    return `-- Full-text search for ${tableName}
+ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${column} tsvector GENERATED ALWAYS AS (
+    ${vector}
+  ) STORED;
+CREATE INDEX IF NOT EXISTS ${this._quote(`idx_${tableName}_${this.column}`)} ON ${table} USING GIN (${column});
+
+CREATE OR REPLACE FUNCTION ${this._quote(search)}(search_query text)
+RETURNS SETOF ${table}
+LANGUAGE sql STABLE
+AS $search$
+  SELECT t.* FROM ${table} t, websearch_to_tsquery(${language}, search_query) AS q(query)
+  WHERE t.${column} @@ q.query
+  ORDER BY ts_rank(t.${column}, q.query) DESC, t."id"
+$search$;
+
+CREATE OR REPLACE FUNCTION ${this._quote(matches)}(search_query text, record_ids text[])
+RETURNS TABLE (id text, rank real, highlights jsonb)
+LANGUAGE sql STABLE
+AS $search$
+  SELECT t."id"::text, ts_rank(t.${column}, q.query), jsonb_strip_nulls(jsonb_build_object(
+      ${highlights}
+    ))
+  FROM ${table} t, websearch_to_tsquery(${language}, search_query) AS q(query)
+  WHERE t."id"::text = ANY(record_ids)
+$search$;
+`;
+  }
+
+  /**
+   * SQL removing the search column and functions of a table
+   * @param {string} tableName - Prefixed table name
+   * @returns {string} SQL statements
+   */
+  generateDropSQL(tableName) {
+    const { search, matches } = this.getFunctionNames(tableName);
+
+    return `DROP FUNCTION IF EXISTS ${this._quote(search)}(text);
+DROP FUNCTION IF EXISTS ${this._quote(matches)}(text, text[]);
+ALTER TABLE ${this._quote(tableName)} DROP COLUMN IF EXISTS ${this._quote(this.column)};`;
+  }
+
+  /**
+   * Get the rank and highlight snippets of found rows
+   * @param {Object} supabase - Supabase client
+   * @param {string} tableName - Prefixed table name
+   * @param {string} query - Search query
+   * @param {Array} ids - Ids of the rows
+   * @returns {Promise<Map<string, {rank: number, highlights: Object}>>} By row id
+   */
+  async getMatches(supabase, tableName, query, ids) {
+    const matches = new Map();
+    if (ids.length === 0) return matches;
+
+    const { data, error } = await supabase.rpc(this.getFunctionNames(tableName).matches, {
+      search_query: query,
+      record_ids: ids.map(String)
+    });
+    if (error) throw error;
+
+    (data || []).forEach(match => {
+      const highlights = {};
+      Object.entries(match.highlights || {}).forEach(([column, snippet]) => {
+        highlights[column] = this._formatSnippet(snippet);
+      });
+      matches.set(String(match.id), { rank: match.rank, highlights });
+    });
+
+    return matches;
+  }
+
+  /**
+   * Escape a snippet for HTML and mark the matched words
+   * @private
+   */
+  _formatSnippet(snippet) {
+    return String(snippet)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/\u0001/g, '<mark>')
+      .replace(/\u0002/g, '</mark>');
+  }
+
+  /**
+   * Quote an SQL identifier
+   * @private
+   */
+  _quote(identifier) {
+    return `"${String(identifier).replace(/"/g, '""')}"`;
+  }
+}
+
+module.exports = new SearchService();
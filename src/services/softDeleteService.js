@@ -0,0 +1,237 @@
+const { createClient } = require('@supabase/supabase-js');
+const config = require('../config/config');
+const apiPublisher = require('./apiPublisher');
+const fileService = require('./fileService');
+
+/**
+ * Soft Delete Service
+ * Opt-in soft delete for the tables of generated APIs, stored in the API
+ * metadata as softDelete: { [tableName]: { retentionDays } }.
+ *
+ * Tables with soft delete get a deleted_at column. DELETE sets it instead of
+ * removing the row, reads hide rows that have it unless ?with_deleted=true,
+ * and POST /:table/:id/restore clears it. Deleted rows older than
+ * retentionDays are removed for good by the purge job (retentionDays: null
+ * keeps them until they are purged by hand).
+ */
+class SoftDeleteService {
+  constructor() {
+    this.supabase = createClient(
+      process.env.SUPABASE_URL || config.supabase.url,
+      process.env.SUPABASE_KEY || config.supabase.key
+    );
+
+    this.column = 'deleted_at';
+    this.defaultRetentionDays = 30;
+    this.maxRetentionDays = 3650;
+
+    this.purgeInterval = 60 * 60 * 1000;
+    this.timer = null;
+  }
+
+  /**
+   * Get the soft delete settings of a table
+   * @param {Object} metadata - API metadata from the registry
+   * @param {string} tableName - Table name without prefix
+   * @returns {Object|null} { retentionDays } or null when soft delete is off
+   */
+  getSettings(metadata, tableName) {
+    const settings = metadata && metadata.softDelete && metadata.softDelete[tableName];
+    return settings && typeof settings === 'object' ? settings : null;
+  }
+
+  /**
+   * Validate the soft delete settings submitted by the API owner
+   * @param {Object} tables - { [tableName]: { enabled, retentionDays } }
+   * @param {Array<Object>} tableSchemas - Table schemas of the API
+   * @returns {Array<string>} Validation errors
+   */
+  validateSettings(tables, tableSchemas = []) {
+    const errors = [];
+
+    if (!tables || typeof tables !== 'object' || Array.isArray(tables)) {
+      return ['tables must be an object keyed by table name'];
+    }
+
+    const tablesByName = new Map(tableSchemas.map(table => [table.originalName || table.name, table]));
+
+    Object.entries(tables).forEach(([tableName, settings]) => {
+      const table = tablesByName.get(tableName);
+      if (!table) {
+        errors.push(`Unknown table "${tableName}"`);
+        return;
+      }
+
+      if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        errors.push(`${tableName}: settings must be an object`);
+        return;
+      }
+
+      if (settings.enabled !== undefined && typeof settings.enabled !== 'boolean') {
+        errors.push(`${tableName}: enabled must be a boolean`);
+      }
+
+      if (settings.retentionDays !== undefined && settings.retentionDays !== null &&
+          (!Number.isInteger(settings.retentionDays) || settings.retentionDays < 1 || settings.retentionDays > this.maxRetentionDays)) {
+        errors.push(`${tableName}: retentionDays must be null or a whole number of days between 1 and ${this.maxRetentionDays}`);
+      }
+
+      if ((table.columns || []).some(col => col && col.name === this.column)) {
+        errors.push(`${tableName}: the table already has its own ${this.column} column`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Normalize validated settings, keeping only tables with soft delete on
+   * @param {Object} tables - Validated { [tableName]: { enabled, retentionDays } }
+   * @returns {Object} { [tableName]: { retentionDays } }
+   */
+  normalizeSettings(tables) {
+    const normalized = {};
+
+    Object.entries(tables).forEach(([tableName, settings]) => {
+      if (settings.enabled === false) return;
+
+      normalized[tableName] = {
+        retentionDays: settings.retentionDays === undefined ? this.defaultRetentionDays : settings.retentionDays
+      };
+    });
+
+    return normalized;
+  }
+
+  /**
+   * SQL adding the deleted_at column to a table
+   * @param {string} tableName - Prefixed table name
+   * @returns {string} SQL statements
+   */
+  generateColumnSQL(tableName) {
+    return `-- Soft delete for ${tableName}
+ALTER TABLE "${tableName}" ADD COLUMN IF NOT EXISTS ${this.column} timestamp with time zone;
+CREATE INDEX IF NOT EXISTS "idx_${tableName}_${this.column}" ON "${tableName}" (${this.column}) WHERE ${this.column} IS NOT NULL;
+`;
+  }
+
+  /**
+   * Add the deleted_at column to a table
+   * @param {string} tableName - Prefixed table name
+   */
+  async addColumn(tableName) {
+    const { data, error } = await this.supabase.rpc('execute_sql', { sql_query: this.generateColumnSQL(tableName) });
+    const sqlError = error || (data && data.success === false ? { message: data.error } : null);
+    if (sqlError) throw new Error(`Failed to add ${this.column} to ${tableName}: ${sqlError.message}`);
+  }
+
+  /**
+   * Hide deleted rows from a query when the table has soft delete
+   * @param {Object} query - Supabase query builder
+   * @param {Object|null} settings - Result of getSettings
+   * @returns {Object} Query builder
+   */
+  hideDeleted(query, settings) {
+    return settings ? query.is(this.column, null) : query;
+  }
+
+  /**
+   * Count the deleted rows of a table
+   * @param {string} tableName - Prefixed table name
+   * @returns {Promise<number>} Number of rows with deleted_at set
+   */
+  async countDeleted(tableName) {
+    const { count, error } = await this.supabase
+      .from(tableName)
+      .select('*', { count: 'exact', head: true })
+      .not(this.column, 'is', null);
+
+    if (error) throw error;
+    return count || 0;
+  }
+
+  /**
+   * Remove deleted rows for good
+   * @param {string} tableName - Prefixed table name
+   * @param {number|null} olderThanDays - Only rows deleted before this many days ago (null = all)
+   * @param {Object} files - { apiId, schema } to also remove the files attached to the rows
+   * @returns {Promise<number>} Number of rows removed
+   */
+  async purge(tableName, olderThanDays = null, files = null) {
+    let query = this.supabase
+      .from(tableName)
+      .delete()
+      .not(this.column, 'is', null);
+
+    if (olderThanDays !== null) {
+      query = query.lt(this.column, new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000).toISOString());
+    }
+
+    const fileColumns = files ? [...fileService.getFileColumns(files.schema).keys()] : [];
+    const { data, error } = await query.select(['id', ...fileColumns].join(','));
+    if (error) throw error;
+
+    if (fileColumns.length > 0) {
+      await fileService.removeRowFiles(files.apiId, files.schema, data);
+    }
+
+    const purged = (data || []).length;
+    if (purged > 0) {
+      console.log(`Purged ${purged} deleted rows from ${tableName}`);
+    }
+    return purged;
+  }
+
+  /**
+   * Purge the rows past their retention period in every loaded API
+   * @returns {Promise<number>} Number of rows removed
+   */
+  async purgeExpired() {
+    let purged = 0;
+
+    for (const [apiId, metadata] of apiPublisher.apiMetadata) {
+      for (const [tableName, settings] of Object.entries((metadata && metadata.softDelete) || {})) {
+        if (!settings || settings.retentionDays === null || settings.retentionDays === undefined) continue;
+
+        const table = (metadata.tables || []).find(t => (t.originalName || t.name) === tableName);
+        const prefixedTableName = ((table && table.prefixedName) ||
+          `${metadata.XAuthUserId}_${metadata.apiIdentifier}_${tableName}`).toLowerCase();
+
+        try {
+          purged += await this.purge(prefixedTableName, settings.retentionDays, table ? { apiId, schema: table } : null);
+        } catch (error) {
+          console.error(`Error purging deleted rows of ${tableName} in API ${apiId}:`, error.message || error);
+        }
+      }
+    }
+
+    return purged;
+  }
+
+  /**
+   * Start the hourly purge job
+   */
+  startPurgeJob() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.purgeExpired().catch(error => console.error('Error purging soft-deleted rows:', error));
+    }, this.purgeInterval);
+
+    // The job alone does not keep the process running
+    if (this.timer.unref) this.timer.unref();
+    console.log('Soft delete purge job started');
+  }
+
+  /**
+   * Stop the purge job
+   */
+  stopPurgeJob() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new SoftDeleteService();
@@ -1,15 +1,29 @@
+const columnDefinitionService = require('./columnDefinitionService');
+
 class SQLGenerator {
   generateCreateTableSQL(tableSchema) {
     const { name, columns, relationships = [] } = tableSchema;
 
+    const definitionErrors = columnDefinitionService.validateColumns(tableSchema);
+    if (definitionErrors.length > 0) {
+      throw new Error(`Invalid column definitions: ${definitionErrors.join('; ')}`);
+    }
+
+    // The table name is unquoted below, so Postgres folds it to lowercase
+    const sqlTableName = name.toLowerCase();
+
     // Generate column definitions
     const columnDefs = columns.map(col => {
       const constraints = Array.isArray(col.constraints) 
         ? col.constraints.join(' ') 
         : (col.constraints || '');
-      return `    ${col.name} ${col.type} ${constraints}`.trim();
+      const options = columnDefinitionService.getColumnSQL(col, sqlTableName);
+      return `    ${col.name} ${col.type} ${constraints}`.trim() + options;
     });
 
+    const beforeTableSQL = columnDefinitionService.getBeforeTableSQL(sqlTableName, columns);
+    const afterTableSQL = columnDefinitionService.getAfterTableSQL(sqlTableName, columns);
+
     // Add timestamps if not present
     if (!columns.find(col => col.name === 'created_at')) {
       columnDefs.push('    created_at timestamp with time zone DEFAULT now()');
@@ -28,7 +42,7 @@ class SQLGenerator {
 
     return `
 -- Create table: ${name}
-CREATE TABLE IF NOT EXISTS ${name} (
+${beforeTableSQL ? `${beforeTableSQL}\n` : ''}CREATE TABLE IF NOT EXISTS ${name} (
 ${allDefs.join(',\n')}
 );
 
@@ -47,7 +61,7 @@ CREATE TRIGGER set_timestamp_${name}
 BEFORE UPDATE ON ${name}
 FOR EACH ROW
 EXECUTE FUNCTION update_modified_column_${name}();
-`;
+${afterTableSQL ? `\n${afterTableSQL}\n` : ''}`;
   }
 
   generateFullSQL(schemas) {
@@ -0,0 +1,697 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const { createClient } = require('@supabase/supabase-js');
+const config = require('../config/config');
+
+/**
+ * Webhook Service
+ * Notifies external systems of rows created, updated or deleted through a
+ * generated API.
+ *
+ * API owners subscribe a URL to one table (or '*' for all tables) and a set of
+ * events. Every change creates one delivery per matching subscription in
+ * api_webhook_deliveries, which is sent right away and retried with
+ * exponential backoff until it succeeds or runs out of attempts. Deliveries
+ * that ran out of attempts are kept with status failed (the dead letters) and
+ * can be sent again by the owner.
+ *
+ * Each request is signed with the subscription's secret:
+ *   X-Backlify-Signature: t=<unix timestamp>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ */
+class WebhookService {
+  constructor() {
+    this.supabase = createClient(
+      process.env.SUPABASE_URL || config.supabase.url,
+      process.env.SUPABASE_KEY || config.supabase.key
+    );
+
+    this.events = ['create', 'update', 'delete'];
+    this.statuses = ['pending', 'delivering', 'retrying', 'succeeded', 'failed'];
+
+    // Columns returned to API owners (the secret is only shown on creation and rotation)
+    this.publicColumns = 'id, api_id, url, table_name, events, description, active, created_by, created_at, updated_at';
+
+    // Retry schedule: 30s, 1m, 2m, 4m, 8m between the 6 attempts, capped at 1 hour
+    this.maxAttempts = 6;
+    this.baseRetryDelay = 30 * 1000;
+    this.maxRetryDelay = 60 * 60 * 1000;
+
+    // A delivery being sent is not picked up by the retry worker until this has passed
+    this.claimTimeout = 2 * 60 * 1000;
+    this.requestTimeout = 10 * 1000;
+
+    // Retry worker
+    this.pollInterval = 30 * 1000;
+    this.batchSize = 50;
+    this.concurrency = 5;
+    this.timer = null;
+    this.processing = false;
+
+    // Active subscriptions per API, so data changes do not query them every time
+    this.subscriptionCacheTtl = 30 * 1000;
+    this.subscriptionCache = new Map();
+
+    // Loopback, private, link-local and reserved ranges webhooks may not reach
+    this.privateRanges = new net.BlockList();
+    [
+      ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+      ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+    ].forEach(([network, prefix]) => this.privateRanges.addSubnet(network, prefix, 'ipv4'));
+    [
+      ['::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+    ].forEach(([network, prefix]) => this.privateRanges.addSubnet(network, prefix, 'ipv6'));
+  }
+
+  /**
+   * Validate a subscription submitted by the API owner
+   * @param {Object} body - { url, table, events, description, active, secret }
+   * @param {Array<string>} tableNames - Tables of the API
+   * @param {Object} options - { partial } to validate an update
+   * @returns {Array<string>} Validation errors
+   */
+  validateSubscription(body, tableNames = [], { partial = false } = {}) {
+    const errors = [];
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return ['Request body must be an object'];
+    }
+
+    if (body.url !== undefined || !partial) {
+      const urlError = this._checkUrl(body.url);
+      if (urlError) errors.push(urlError);
+    }
+
+    if (body.table !== undefined || !partial) {
+      if (typeof body.table !== 'string' || !body.table) {
+        errors.push("table is required (a table name or '*' for all tables)");
+      } else if (body.table !== '*' && !tableNames.includes(body.table)) {
+        errors.push(`Unknown table "${body.table}". Tables: ${tableNames.join(', ')}`);
+      }
+    }
+
+    if (body.events !== undefined) {
+      if (!Array.isArray(body.events) || body.events.length === 0 ||
+          body.events.some(event => !this.events.includes(event))) {
+        errors.push(`events must be a non-empty array of: ${this.events.join(', ')}`);
+      }
+    }
+
+    if (body.description !== undefined && body.description !== null && typeof body.description !== 'string') {
+      errors.push('description must be a string');
+    }
+
+    if (body.active !== undefined && typeof body.active !== 'boolean') {
+      errors.push('active must be a boolean');
+    }
+
+    if (body.secret !== undefined && (typeof body.secret !== 'string' || body.secret.length < 16)) {
+      errors.push('secret must be a string of at least 16 characters');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check that a webhook URL can be called
+   * Hosts on loopback and private networks are rejected unless
+   * WEBHOOK_ALLOW_PRIVATE_URLS=true. Host names are checked again when a
+   * delivery is sent, against the addresses they resolve to.
+   * @private
+   */
+  _checkUrl(value) {
+    if (typeof value !== 'string' || !value) return 'url is required';
+
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      return 'url must be a valid URL';
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol)) return 'url must use http or https';
+    if (url.username || url.password) return 'url must not contain credentials';
+
+    if (process.env.WEBHOOK_ALLOW_PRIVATE_URLS !== 'true') {
+      // URL already turned decimal, octal and hex IPv4 forms into dotted addresses
+      const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+      const isPrivate = host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') ||
+        host.endsWith('.internal') || (net.isIP(host) !== 0 && this.isPrivateAddress(host));
+      if (isPrivate) return 'url must not point to a local or private network address';
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether an IP address is on a loopback, private or reserved network
+   * IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4.
+   * @param {string} address - IPv4 or IPv6 address
+   * @returns {boolean}
+   */
+  isPrivateAddress(address) {
+    let ip = String(address).replace(/^\[|\]$/g, '').replace(/%.*$/, '').toLowerCase();
+
+    if (net.isIPv6(ip)) {
+      // Let URL canonicalize the address, mapped IPv4 then reads ::ffff:7f00:1
+      ip = new URL(`http://[${ip}]/`).hostname.replace(/^\[|\]$/g, '');
+      const mapped = ip.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+      if (mapped) {
+        const high = parseInt(mapped[1], 16);
+        const low = parseInt(mapped[2], 16);
+        ip = [high >> 8, high & 255, low >> 8, low & 255].join('.');
+      }
+    }
+
+    const family = net.isIP(ip);
+    if (family === 0) return true;
+    return this.privateRanges.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+  }
+
+  /**
+   * Resolve a webhook host, refusing private addresses
+   * Used as the lookup of the delivery request, so the checked address is the
+   * one connected to and a DNS answer cannot change in between.
+   * @private
+   */
+  _lookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) return callback(error);
+
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      const blocked = addresses.find(entry => this.isPrivateAddress(entry.address));
+      if (blocked && process.env.WEBHOOK_ALLOW_PRIVATE_URLS !== 'true') {
+        return callback(new Error(`${hostname} resolves to the private address ${blocked.address}`));
+      }
+
+      callback(null, address, family);
+    });
+  }
+
+  /**
+   * POST a delivery body to a webhook URL
+   * Redirects are not followed so a delivery cannot be sent somewhere else.
+   * @private
+   * @returns {Promise<{status: number, text: string}>} Status and the start of the response body
+   */
+  _post(url, headers, body) {
+    return new Promise((resolve, reject) => {
+      const target = new URL(url);
+      const client = target.protocol === 'https:' ? https : http;
+
+      const request = client.request(target, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: (hostname, options, callback) => this._lookup(hostname, options, callback)
+      }, response => {
+        let text = '';
+        response.setEncoding('utf8');
+        response.on('data', chunk => {
+          if (text.length < 500) text += chunk;
+        });
+        response.on('end', () => {
+          clearTimeout(timer);
+          resolve({ status: response.statusCode, text: text.substring(0, 500) });
+        });
+        response.on('error', reject);
+      });
+
+      const timer = setTimeout(() => {
+        const error = new Error(`No response within ${this.requestTimeout / 1000} seconds`);
+        error.name = 'TimeoutError';
+        request.destroy(error);
+      }, this.requestTimeout);
+
+      request.on('error', error => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      request.end(body);
+    });
+  }
+
+  /**
+   * Generate a signing secret
+   * @returns {string} Secret
+   */
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+  }
+
+  /**
+   * Sign a delivery body
+   * @param {string} secret - Subscription secret
+   * @param {number} timestamp - Unix timestamp in seconds
+   * @param {string} body - Raw JSON body
+   * @returns {string} Value of the X-Backlify-Signature header
+   */
+  sign(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+  }
+
+  /**
+   * Get the delay before the next attempt of a delivery
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.baseRetryDelay * Math.pow(2, Math.max(attempts - 1, 0)), this.maxRetryDelay);
+  }
+
+  /**
+   * Create a subscription
+   * @param {string} apiId - API ID
+   * @param {Object} options - Validated { url, table, events, description, active, secret, createdBy }
+   * @returns {Promise<{webhook: Object, secret: string}>} Stored subscription and its secret
+   */
+  async createSubscription(apiId, { url, table, events, description, active, secret, createdBy }) {
+    const signingSecret = secret || this.generateSecret();
+
+    const { data, error } = await this.supabase
+      .from('api_webhooks')
+      .insert([{
+        api_id: apiId,
+        url,
+        table_name: table,
+        events: events ? [...new Set(events)] : this.events,
+        secret: signingSecret,
+        description: description || null,
+        active: active !== false,
+        created_by: createdBy
+      }])
+      .select(this.publicColumns)
+      .single();
+
+    if (error) throw error;
+
+    this.subscriptionCache.delete(apiId);
+    console.log(`Created webhook ${data.id} for API ${apiId} (${table}: ${data.events.join(', ')})`);
+    return { webhook: data, secret: signingSecret };
+  }
+
+  /**
+   * List the subscriptions of an API
+   * @param {string} apiId - API ID
+   * @returns {Promise<Array>} Subscriptions without their secrets
+   */
+  async listSubscriptions(apiId) {
+    const { data, error } = await this.supabase
+      .from('api_webhooks')
+      .select(this.publicColumns)
+      .eq('api_id', apiId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Get a subscription of an API
+   * @param {string} apiId - API ID
+   * @param {string} webhookId - Subscription ID
+   * @returns {Promise<Object|null>} Subscription without its secret, or null
+   */
+  async getSubscription(apiId, webhookId) {
+    const { data, error } = await this.supabase
+      .from('api_webhooks')
+      .select(this.publicColumns)
+      .eq('api_id', apiId)
+      .eq('id', webhookId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Update a subscription
+   * @param {string} apiId - API ID
+   * @param {string} webhookId - Subscription ID
+   * @param {Object} changes - Validated { url, table, events, description, active }
+   * @returns {Promise<Object|null>} Updated subscription, or null when it does not exist
+   */
+  async updateSubscription(apiId, webhookId, changes) {
+    const update = { updated_at: new Date().toISOString() };
+    if (changes.url !== undefined) update.url = changes.url;
+    if (changes.table !== undefined) update.table_name = changes.table;
+    if (changes.events !== undefined) update.events = [...new Set(changes.events)];
+    if (changes.description !== undefined) update.description = changes.description || null;
+    if (changes.active !== undefined) update.active = changes.active;
+
+    const { data, error } = await this.supabase
+      .from('api_webhooks')
+      .update(update)
+      .eq('api_id', apiId)
+      .eq('id', webhookId)
+      .select(this.publicColumns);
+
+    if (error) throw error;
+    if (!data || data.length === 0) return null;
+
+    this.subscriptionCache.delete(apiId);
+    return data[0];
+  }
+
+  /**
+   * Replace the signing secret of a subscription
+   * @param {string} apiId - API ID
+   * @param {string} webhookId - Subscription ID
+   * @returns {Promise<{webhook: Object, secret: string}|null>} Null when the subscription does not exist
+   */
+  async rotateSecret(apiId, webhookId) {
+    const secret = this.generateSecret();
+
+    const { data, error } = await this.supabase
+      .from('api_webhooks')
+      .update({ secret, updated_at: new Date().toISOString() })
+      .eq('api_id', apiId)
+      .eq('id', webhookId)
+      .select(this.publicColumns);
+
+    if (error) throw error;
+    if (!data || data.length === 0) return null;
+
+    this.subscriptionCache.delete(apiId);
+    console.log(`Rotated secret of webhook ${webhookId} of API ${apiId}`);
+    return { webhook: data[0], secret };
+  }
+
+  /**
+   * Delete a subscription and its delivery log
+   * @param {string} apiId - API ID
+   * @param {string} webhookId - Subscription ID
+   * @returns {Promise<boolean>} False when the subscription does not exist
+   */
+  async deleteSubscription(apiId, webhookId) {
+    const { data, error } = await this.supabase
+      .from('api_webhooks')
+      .delete()
+      .eq('api_id', apiId)
+      .eq('id', webhookId)
+      .select('id');
+
+    if (error) throw error;
+
+    this.subscriptionCache.delete(apiId);
+    return !!(data && data.length > 0);
+  }
+
+  /**
+   * List deliveries of an API, newest first
+   * @param {string} apiId - API ID
+   * @param {Object} options - { webhookId, status, page, limit }
+   * @returns {Promise<{deliveries: Array, total: number}>}
+   */
+  async listDeliveries(apiId, { webhookId, status, page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+
+    let query = this.supabase
+      .from('api_webhook_deliveries')
+      .select('*', { count: 'exact' })
+      .eq('api_id', apiId)
+      .order('created_at', { ascending: false });
+
+    if (webhookId) query = query.eq('webhook_id', webhookId);
+    if (status) query = query.eq('status', status);
+
+    const { data, error, count } = await query.range(offset, offset + limit - 1);
+    if (error) throw error;
+
+    return { deliveries: data || [], total: count || 0 };
+  }
+
+  /**
+   * Send a delivery again with a fresh set of attempts (e.g. a dead letter)
+   * @param {string} apiId - API ID
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise<Object|null>} Delivery after the attempt, or null when it does not exist or is being sent
+   */
+  async retryDelivery(apiId, deliveryId) {
+    const { data: delivery, error } = await this.supabase
+      .from('api_webhook_deliveries')
+      .select('*, webhook:api_webhooks(url, secret, active)')
+      .eq('api_id', apiId)
+      .eq('id', deliveryId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!delivery || delivery.status === 'delivering') return null;
+
+    const claimed = await this._claim(delivery, { attempts: 0 });
+    if (!claimed) return null;
+
+    console.log(`Retrying webhook delivery ${deliveryId} of API ${apiId}`);
+    return this._attempt(claimed, delivery.webhook);
+  }
+
+  /**
+   * Queue deliveries for rows changed through a generated API
+   * Runs in the background and never throws, so it cannot fail the request.
+   * @param {string} apiId - API ID
+   * @param {string} tableName - Table name without prefix
+   * @param {string} event - create, update or delete
+   * @param {Array<Object>|Object} records - Changed rows (as returned to the client)
+   */
+  emit(apiId, tableName, event, records) {
+    const rows = (Array.isArray(records) ? records : [records]).filter(Boolean);
+    if (!apiId || rows.length === 0) return;
+
+    this._queue(apiId, tableName, event, rows).catch(error => {
+      console.error(`Error queueing webhook deliveries for ${tableName} (${event}) of API ${apiId}:`, error);
+    });
+  }
+
+  /**
+   * Store and send the deliveries of a change
+   * @private
+   */
+  async _queue(apiId, tableName, event, records) {
+    const webhooks = (await this._getSubscriptions(apiId)).filter(webhook =>
+      (webhook.table_name === '*' || webhook.table_name === tableName) &&
+      Array.isArray(webhook.events) && webhook.events.includes(event));
+    if (webhooks.length === 0) return;
+
+    const occurredAt = new Date().toISOString();
+    const claimedUntil = new Date(Date.now() + this.claimTimeout).toISOString();
+    const deliveries = [];
+
+    webhooks.forEach(webhook => {
+      records.forEach(record => {
+        const id = crypto.randomUUID();
+        deliveries.push({
+          id,
+          webhook_id: webhook.id,
+          api_id: apiId,
+          event,
+          table_name: tableName,
+          payload: { id, event, table: tableName, apiId, occurredAt, data: record },
+          // Sent right below; the retry worker takes over if this process stops
+          status: 'delivering',
+          attempts: 0,
+          next_attempt_at: claimedUntil
+        });
+      });
+    });
+
+    const { error } = await this.supabase.from('api_webhook_deliveries').insert(deliveries);
+    if (error) throw error;
+
+    const webhooksById = new Map(webhooks.map(webhook => [webhook.id, webhook]));
+    await this._forEachLimited(deliveries, delivery => this._attempt(delivery, webhooksById.get(delivery.webhook_id)));
+  }
+
+  /**
+   * Get the active subscriptions of an API (cached)
+   * @private
+   */
+  async _getSubscriptions(apiId) {
+    const cached = this.subscriptionCache.get(apiId);
+    if (cached && cached.expiresAt > Date.now()) return cached.webhooks;
+
+    const { data, error } = await this.supabase
+      .from('api_webhooks')
+      .select('id, url, table_name, events, secret, active')
+      .eq('api_id', apiId)
+      .eq('active', true);
+
+    if (error) throw error;
+
+    this.subscriptionCache.set(apiId, { webhooks: data || [], expiresAt: Date.now() + this.subscriptionCacheTtl });
+    return data || [];
+  }
+
+  /**
+   * Mark a delivery as being sent, unless another worker claimed it first
+   * @private
+   */
+  async _claim(delivery, extra = {}) {
+    let query = this.supabase
+      .from('api_webhook_deliveries')
+      .update({
+        ...extra,
+        status: 'delivering',
+        next_attempt_at: new Date(Date.now() + this.claimTimeout).toISOString()
+      })
+      .eq('id', delivery.id)
+      .eq('status', delivery.status);
+
+    query = delivery.next_attempt_at
+      ? query.eq('next_attempt_at', delivery.next_attempt_at)
+      : query.is('next_attempt_at', null);
+
+    const { data, error } = await query.select();
+    if (error) throw error;
+
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * Send a delivery once and record the outcome
+   * @private
+   */
+  async _attempt(delivery, webhook) {
+    const attempts = (delivery.attempts || 0) + 1;
+    const now = new Date().toISOString();
+    let statusCode = null;
+    let errorMessage = null;
+
+    if (!webhook || !webhook.active) {
+      errorMessage = 'Webhook is disabled or was deleted';
+    } else {
+      const body = JSON.stringify(delivery.payload);
+      const timestamp = Math.floor(Date.now() / 1000);
+
+      // Literal addresses are not looked up, so the URL is checked again here
+      const urlError = this._checkUrl(webhook.url);
+
+      if (urlError) {
+        errorMessage = urlError;
+      } else {
+        try {
+          const response = await this._post(webhook.url, {
+            'Content-Type': 'application/json',
+            'User-Agent': 'Backlify-Webhooks/1.0',
+            'X-Backlify-Event': delivery.event,
+            'X-Backlify-Delivery': delivery.id,
+            'X-Backlify-Signature': this.sign(webhook.secret, timestamp, body)
+          }, body);
+
+          statusCode = response.status;
+          if (statusCode < 200 || statusCode >= 300) {
+            errorMessage = `HTTP ${statusCode}${response.text ? `: ${response.text}` : ''}`;
+          }
+        } catch (error) {
+          errorMessage = error.message;
+        }
+      }
+    }
+
+    const update = { attempts, last_attempt_at: now, last_status_code: statusCode, last_error: errorMessage };
+    if (!errorMessage) {
+      Object.assign(update, { status: 'succeeded', delivered_at: now, next_attempt_at: null });
+    } else if (attempts >= this.maxAttempts || !webhook || !webhook.active) {
+      Object.assign(update, { status: 'failed', next_attempt_at: null });
+      console.warn(`Webhook delivery ${delivery.id} failed after ${attempts} attempt(s): ${errorMessage}`);
+    } else {
+      Object.assign(update, {
+        status: 'retrying',
+        next_attempt_at: new Date(Date.now() + this.getRetryDelay(attempts)).toISOString()
+      });
+    }
+
+    const { error } = await this.supabase
+      .from('api_webhook_deliveries')
+      .update(update)
+      .eq('id', delivery.id);
+
+    if (error) {
+      console.error(`Error recording webhook delivery ${delivery.id}:`, error);
+    }
+
+    const { webhook: embedded, ...row } = delivery;
+    return { ...row, ...update };
+  }
+
+  /**
+   * Send the deliveries that are due (new, retrying, or abandoned while sending)
+   * @returns {Promise<number>} Number of deliveries attempted
+   */
+  async processDueDeliveries() {
+    if (this.processing) return 0;
+    this.processing = true;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('api_webhook_deliveries')
+        .select('*, webhook:api_webhooks(url, secret, active)')
+        .in('status', ['pending', 'retrying', 'delivering'])
+        .lte('next_attempt_at', new Date().toISOString())
+        .order('next_attempt_at', { ascending: true })
+        .limit(this.batchSize);
+
+      if (error) throw error;
+
+      let attempted = 0;
+      await this._forEachLimited(data || [], async delivery => {
+        const claimed = await this._claim(delivery);
+        if (!claimed) return;
+
+        await this._attempt(claimed, delivery.webhook);
+        attempted++;
+      });
+
+      return attempted;
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Start the retry worker
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.processDueDeliveries().catch(error => console.error('Error processing webhook deliveries:', error));
+    }, this.pollInterval);
+
+    // The worker alone does not keep the process running
+    if (this.timer.unref) this.timer.unref();
+    console.log('Webhook retry worker started');
+  }
+
+  /**
+   * Stop the retry worker
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run an async function over items with limited concurrency
+   * @private
+   */
+  async _forEachLimited(items, fn) {
+    let next = 0;
+    const workers = Array.from({ length: Math.min(this.concurrency, items.length) }, async () => {
+      while (next < items.length) {
+        const item = items[next++];
+        try {
+          await fn(item);
+        } catch (error) {
+          console.error('Error sending webhook delivery:', error);
+        }
+      }
+    });
+    await Promise.all(workers);
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,134 @@
+// ---- Runtime ----
+
+export type Operator = 'eq' | 'neq' | 'gt' | 'gte' | 'lt' | 'lte' | 'like' | 'ilike';
+
+/** A plain value filters by equality, an object applies operators (prefix with not_ to negate) */
+export type Filter<T> = T | ({ [K in Operator | `not_${Operator}`]?: T } & {
+  in?: T[];
+  not_in?: T[];
+  is?: null | boolean;
+  not_is?: null | boolean;
+});
+
+export type Filters<T> = { [K in keyof T]?: Filter<NonNullable<T[K]>> };
+
+export interface ReadParams<T, R extends string = never> {
+  /** Columns to return */
+  fields?: Array<keyof T & string>;
+  /** Related records to embed */
+  include?: R[];
+}
+
+export interface ListParams<T, R extends string = never> extends ReadParams<T, R> {
+  page?: number;
+  limit?: number;
+  sort?: keyof T & string;
+  order?: 'asc' | 'desc';
+  /** Keyset pagination: '' for the first page, then next_cursor / prev_cursor */
+  cursor?: string;
+  count?: 'none' | 'estimated' | 'exact';
+  filters?: Filters<T>;
+}
+
+export interface Page<T> {
+  data: T[];
+  pagination: {
+    page?: number;
+    limit: number;
+    total: number | null;
+    next_cursor?: string | null;
+    prev_cursor?: string | null;
+  };
+}
+
+export interface BulkResult<T> {
+  transactional: boolean;
+  summary: { total: number; succeeded: number; failed: number };
+  results: Array<{
+    index: number;
+    id?: string | number;
+    status: string;
+    data?: T;
+    errors?: Array<{ field: string | null; code: string; message: string }>;
+  }>;
+}
+
+export interface Tokens {
+  accessToken: string;
+  refreshToken: string;
+}
+
+export interface ClientOptions {
+  /** Base URL of the API, defaults to the URL it was generated for */
+  baseUrl?: string;
+  /** Sent as X-API-Key (APIs in api_key mode) */
+  apiKey?: string;
+  /** Bearer token, or a function returning one (JWT modes) */
+  token?: string | (() => string | null | Promise<string | null>);
+  /** Extra headers sent with every request */
+  headers?: Record<string, string>;
+  /** fetch implementation, defaults to the global fetch */
+  fetch?: typeof fetch;
+}
+
+export declare class BacklifyError extends Error {
+  status: number;
+  body: any;
+  constructor(status: number, body: any);
+}
+
+/** Serialize list parameters to the query string of generated endpoints */
+export declare function buildQuery(params?: Record<string, any>): string;
+
+export declare class BaseClient {
+  protected options: ClientOptions;
+  /** End-user tokens, managed by AuthClient */
+  tokens: Tokens | null;
+  constructor(options: ClientOptions);
+  /** Use a bearer token for the following requests */
+  setToken(token: ClientOptions['token']): void;
+  request<T = any>(method: string, path: string, body?: unknown, retry?: boolean): Promise<T>;
+  protected refreshTokens(): Promise<void>;
+}
+
+export declare class TableClient<T, I, R extends string = never> {
+  private client;
+  private path;
+  constructor(client: BaseClient, path: string);
+  /** List records with pagination, sorting and filters */
+  list(params?: ListParams<T, R>): Promise<Page<T>>;
+  /** Iterate over all matching records using keyset pagination */
+  all(params?: Omit<ListParams<T, R>, 'cursor' | 'page'>): AsyncGenerator<T>;
+  get(id: string | number, params?: ReadParams<T, R>): Promise<T>;
+  create(data: I): Promise<T>;
+  /** Insert or update a record keyed by a unique column */
+  upsert(onConflict: keyof T & string, data: I): Promise<T>;
+  update(id: string | number, data: Partial<I>): Promise<T>;
+  /** Update only the supplied fields */
+  patch(id: string | number, data: Partial<I>): Promise<T>;
+  delete(id: string | number): Promise<void>;
+  bulkCreate(items: I[], options?: { transactional?: boolean }): Promise<BulkResult<T>>;
+  bulkUpdate(items: Array<Partial<I> & { id: string | number }>, options?: { transactional?: boolean }): Promise<BulkResult<T>>;
+  bulkDelete(ids: Array<string | number>, options?: { transactional?: boolean }): Promise<BulkResult<T>>;
+}
+
+export interface EndUser {
+  id: string;
+  email: string;
+  roles?: string[];
+  profile?: Record<string, unknown>;
+  [key: string]: unknown;
+}
+
+/** End-user auth: tokens from register/login are sent with every following request */
+export declare class AuthClient {
+  private client;
+  constructor(client: BaseClient);
+  register(email: string, password: string, profile?: Record<string, unknown>): Promise<{ user: EndUser } & Tokens>;
+  login(email: string, password: string): Promise<{ user: EndUser } & Tokens>;
+  me(): Promise<EndUser>;
+  /** Restore tokens saved from an earlier session */
+  setTokens(tokens: Tokens | null): void;
+  getTokens(): Tokens | null;
+  logout(): void;
+}
@@ -0,0 +1,188 @@
+// ---- Runtime ----
+
+export class BacklifyError extends Error {
+  constructor(status, body) {
+    super((body && (body.message || body.error)) || `Request failed with status ${status}`);
+    this.name = 'BacklifyError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/** Serialize list parameters to the query string of generated endpoints */
+export function buildQuery(params = {}) {
+  const query = new URLSearchParams();
+  const { filters, fields, include, ...rest } = params;
+
+  Object.entries(rest).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) query.append(key, String(value));
+  });
+  if (fields && fields.length > 0) query.append('fields', fields.join(','));
+  if (include && include.length > 0) query.append('include', include.join(','));
+
+  Object.entries(filters || {}).forEach(([column, filter]) => {
+    if (filter === undefined) return;
+    if (filter === null || typeof filter !== 'object') {
+      query.append(column, String(filter));
+      return;
+    }
+    Object.entries(filter).forEach(([operator, value]) => {
+      if (value === undefined) return;
+      query.append(`${column}[${operator}]`, Array.isArray(value) ? value.join(',') : String(value));
+    });
+  });
+
+  const text = query.toString();
+  return text ? `?${text}` : '';
+}
+
+export class BaseClient {
+  /**
+   * @param {Object} options - { baseUrl, apiKey, token, headers, fetch }
+   */
+  constructor(options) {
+    this.options = { ...options };
+    // End-user tokens, managed by AuthClient
+    this.tokens = null;
+  }
+
+  /** Use a bearer token (or a function returning one) for the following requests */
+  setToken(token) {
+    this.options.token = token;
+  }
+
+  async request(method, path, body, retry = true) {
+    const fetchImpl = this.options.fetch || fetch;
+    const headers = { Accept: 'application/json', ...(this.options.headers || {}) };
+
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (this.options.apiKey) headers['X-API-Key'] = this.options.apiKey;
+
+    const token = this.tokens
+      ? this.tokens.accessToken
+      : (typeof this.options.token === 'function' ? await this.options.token() : this.options.token);
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const response = await fetchImpl(`${this.options.baseUrl}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    // Expired end-user access tokens are refreshed once
+    if (response.status === 401 && retry && this.tokens && !path.startsWith('/auth/')) {
+      await this.refreshTokens();
+      return this.request(method, path, body, false);
+    }
+
+    if (response.status === 204) return undefined;
+
+    const text = await response.text();
+    const data = text ? JSON.parse(text) : null;
+    if (!response.ok) throw new BacklifyError(response.status, data);
+    return data;
+  }
+
+  async refreshTokens() {
+    if (!this.tokens) return;
+    const { accessToken, refreshToken } = await this.request('POST', '/auth/refresh', { refreshToken: this.tokens.refreshToken });
+    this.tokens = { accessToken, refreshToken };
+  }
+}
+
+export class TableClient {
+  constructor(client, path) {
+    this.client = client;
+    this.path = path;
+  }
+
+  /** List records: { page, limit, sort, order, cursor, count, fields, include, filters } */
+  list(params = {}) {
+    return this.client.request('GET', `${this.path}${buildQuery(params)}`);
+  }
+
+  /** Iterate over all matching records using keyset pagination */
+  async *all(params = {}) {
+    let cursor = '';
+    while (cursor !== null && cursor !== undefined) {
+      const page = await this.list({ ...params, cursor });
+      yield* page.data;
+      cursor = page.pagination.next_cursor;
+    }
+  }
+
+  get(id, params = {}) {
+    return this.client.request('GET', `${this.path}/${encodeURIComponent(String(id))}${buildQuery(params)}`);
+  }
+
+  create(data) {
+    return this.client.request('POST', this.path, data);
+  }
+
+  /** Insert or update a record keyed by a unique column */
+  upsert(onConflict, data) {
+    return this.client.request('PUT', `${this.path}${buildQuery({ on_conflict: onConflict })}`, data);
+  }
+
+  update(id, data) {
+    return this.client.request('PUT', `${this.path}/${encodeURIComponent(String(id))}`, data);
+  }
+
+  /** Update only the supplied fields */
+  patch(id, data) {
+    return this.client.request('PATCH', `${this.path}/${encodeURIComponent(String(id))}`, data);
+  }
+
+  delete(id) {
+    return this.client.request('DELETE', `${this.path}/${encodeURIComponent(String(id))}`);
+  }
+
+  bulkCreate(items, options = {}) {
+    return this.client.request('POST', `${this.path}/bulk`, { items, ...options });
+  }
+
+  bulkUpdate(items, options = {}) {
+    return this.client.request('PATCH', `${this.path}/bulk`, { items, ...options });
+  }
+
+  bulkDelete(ids, options = {}) {
+    return this.client.request('DELETE', `${this.path}/bulk`, { ids, ...options });
+  }
+}
+
+/** End-user auth: tokens from register/login are sent with every following request */
+export class AuthClient {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async register(email, password, profile) {
+    const result = await this.client.request('POST', '/auth/register', { email, password, profile });
+    this.client.tokens = { accessToken: result.accessToken, refreshToken: result.refreshToken };
+    return result;
+  }
+
+  async login(email, password) {
+    const result = await this.client.request('POST', '/auth/login', { email, password });
+    this.client.tokens = { accessToken: result.accessToken, refreshToken: result.refreshToken };
+    return result;
+  }
+
+  async me() {
+    const { user } = await this.client.request('GET', '/auth/me');
+    return user;
+  }
+
+  /** Restore tokens saved from an earlier session */
+  setTokens(tokens) {
+    this.client.tokens = tokens;
+  }
+
+  getTokens() {
+    return this.client.tokens;
+  }
+
+  logout() {
+    this.client.tokens = null;
+  }
+}
@@ -0,0 +1,264 @@
+// ---- Runtime ----
+
+export type Operator = 'eq' | 'neq' | 'gt' | 'gte' | 'lt' | 'lte' | 'like' | 'ilike';
+
+/** A plain value filters by equality, an object applies operators (prefix with not_ to negate) */
+export type Filter<T> = T | ({ [K in Operator | `not_${Operator}`]?: T } & {
+  in?: T[];
+  not_in?: T[];
+  is?: null | boolean;
+  not_is?: null | boolean;
+});
+
+export type Filters<T> = { [K in keyof T]?: Filter<NonNullable<T[K]>> };
+
+export interface ReadParams<T, R extends string = never> {
+  /** Columns to return */
+  fields?: Array<keyof T & string>;
+  /** Related records to embed */
+  include?: R[];
+}
+
+export interface ListParams<T, R extends string = never> extends ReadParams<T, R> {
+  page?: number;
+  limit?: number;
+  sort?: keyof T & string;
+  order?: 'asc' | 'desc';
+  /** Keyset pagination: '' for the first page, then next_cursor / prev_cursor */
+  cursor?: string;
+  count?: 'none' | 'estimated' | 'exact';
+  filters?: Filters<T>;
+}
+
+export interface Page<T> {
+  data: T[];
+  pagination: {
+    page?: number;
+    limit: number;
+    total: number | null;
+    next_cursor?: string | null;
+    prev_cursor?: string | null;
+  };
+}
+
+export interface BulkResult<T> {
+  transactional: boolean;
+  summary: { total: number; succeeded: number; failed: number };
+  results: Array<{
+    index: number;
+    id?: string | number;
+    status: string;
+    data?: T;
+    errors?: Array<{ field: string | null; code: string; message: string }>;
+  }>;
+}
+
+export interface Tokens {
+  accessToken: string;
+  refreshToken: string;
+}
+
+export interface ClientOptions {
+  /** Base URL of the API, defaults to the URL it was generated for */
+  baseUrl?: string;
+  /** Sent as X-API-Key (APIs in api_key mode) */
+  apiKey?: string;
+  /** Bearer token, or a function returning one (JWT modes) */
+  token?: string | (() => string | null | Promise<string | null>);
+  /** Extra headers sent with every request */
+  headers?: Record<string, string>;
+  /** fetch implementation, defaults to the global fetch */
+  fetch?: typeof fetch;
+}
+
+export class BacklifyError extends Error {
+  status: number;
+  body: any;
+
+  constructor(status: number, body: any) {
+    super((body && (body.message || body.error)) || `Request failed with status ${status}`);
+    this.name = 'BacklifyError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/** Serialize list parameters to the query string of generated endpoints */
+export function buildQuery(params: Record<string, any> = {}): string {
+  const query = new URLSearchParams();
+  const { filters, fields, include, ...rest } = params;
+
+  Object.entries(rest).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) query.append(key, String(value));
+  });
+  if (fields && fields.length > 0) query.append('fields', fields.join(','));
+  if (include && include.length > 0) query.append('include', include.join(','));
+
+  Object.entries(filters || {}).forEach(([column, filter]) => {
+    if (filter === undefined) return;
+    if (filter === null || typeof filter !== 'object') {
+      query.append(column, String(filter));
+      return;
+    }
+    Object.entries(filter).forEach(([operator, value]) => {
+      if (value === undefined) return;
+      query.append(`${column}[${operator}]`, Array.isArray(value) ? value.join(',') : String(value));
+    });
+  });
+
+  const text = query.toString();
+  return text ? `?${text}` : '';
+}
+
+export class BaseClient {
+  protected options: ClientOptions;
+  /** End-user tokens, managed by AuthClient */
+  tokens: Tokens | null = null;
+
+  constructor(options: ClientOptions) {
+    this.options = { ...options };
+  }
+
+  /** Use a bearer token for the following requests */
+  setToken(token: ClientOptions['token']): void {
+    this.options.token = token;
+  }
+
+  async request<T = any>(method: string, path: string, body?: unknown, retry = true): Promise<T> {
+    const fetchImpl = this.options.fetch || fetch;
+    const headers: Record<string, string> = { Accept: 'application/json', ...(this.options.headers || {}) };
+
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (this.options.apiKey) headers['X-API-Key'] = this.options.apiKey;
+
+    const token = this.tokens
+      ? this.tokens.accessToken
+      : (typeof this.options.token === 'function' ? await this.options.token() : this.options.token);
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const response = await fetchImpl(`${this.options.baseUrl}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    // Expired end-user access tokens are refreshed once
+    if (response.status === 401 && retry && this.tokens && !path.startsWith('/auth/')) {
+      await this.refreshTokens();
+      return this.request<T>(method, path, body, false);
+    }
+
+    if (response.status === 204) return undefined as T;
+
+    const text = await response.text();
+    const data = text ? JSON.parse(text) : null;
+    if (!response.ok) throw new BacklifyError(response.status, data);
+    return data as T;
+  }
+
+  protected async refreshTokens(): Promise<void> {
+    if (!this.tokens) return;
+    const { accessToken, refreshToken } = await this.request<Tokens>('POST', '/auth/refresh', { refreshToken: this.tokens.refreshToken });
+    this.tokens = { accessToken, refreshToken };
+  }
+}
+
+export class TableClient<T, I, R extends string = never> {
+  constructor(private client: BaseClient, private path: string) {}
+
+  /** List records with pagination, sorting and filters */
+  list(params: ListParams<T, R> = {}): Promise<Page<T>> {
+    return this.client.request('GET', `${this.path}${buildQuery(params)}`);
+  }
+
+  /** Iterate over all matching records using keyset pagination */
+  async *all(params: Omit<ListParams<T, R>, 'cursor' | 'page'> = {}): AsyncGenerator<T> {
+    let cursor: string | null | undefined = '';
+    while (cursor !== null && cursor !== undefined) {
+      const page: Page<T> = await this.list({ ...params, cursor });
+      yield* page.data;
+      cursor = page.pagination.next_cursor;
+    }
+  }
+
+  get(id: string | number, params: ReadParams<T, R> = {}): Promise<T> {
+    return this.client.request('GET', `${this.path}/${encodeURIComponent(String(id))}${buildQuery(params)}`);
+  }
+
+  create(data: I): Promise<T> {
+    return this.client.request('POST', this.path, data);
+  }
+
+  /** Insert or update a record keyed by a unique column */
+  upsert(onConflict: keyof T & string, data: I): Promise<T> {
+    return this.client.request('PUT', `${this.path}${buildQuery({ on_conflict: onConflict })}`, data);
+  }
+
+  update(id: string | number, data: Partial<I>): Promise<T> {
+    return this.client.request('PUT', `${this.path}/${encodeURIComponent(String(id))}`, data);
+  }
+
+  /** Update only the supplied fields */
+  patch(id: string | number, data: Partial<I>): Promise<T> {
+    return this.client.request('PATCH', `${this.path}/${encodeURIComponent(String(id))}`, data);
+  }
+
+  delete(id: string | number): Promise<void> {
+    return this.client.request('DELETE', `${this.path}/${encodeURIComponent(String(id))}`);
+  }
+
+  bulkCreate(items: I[], options: { transactional?: boolean } = {}): Promise<BulkResult<T>> {
+    return this.client.request('POST', `${this.path}/bulk`, { items, ...options });
+  }
+
+  bulkUpdate(items: Array<Partial<I> & { id: string | number }>, options: { transactional?: boolean } = {}): Promise<BulkResult<T>> {
+    return this.client.request('PATCH', `${this.path}/bulk`, { items, ...options });
+  }
+
+  bulkDelete(ids: Array<string | number>, options: { transactional?: boolean } = {}): Promise<BulkResult<T>> {
+    return this.client.request('DELETE', `${this.path}/bulk`, { ids, ...options });
+  }
+}
+
+export interface EndUser {
+  id: string;
+  email: string;
+  roles?: string[];
+  profile?: Record<string, unknown>;
+  [key: string]: unknown;
+}
+
+/** End-user auth: tokens from register/login are sent with every following request */
+export class AuthClient {
+  constructor(private client: BaseClient) {}
+
+  async register(email: string, password: string, profile?: Record<string, unknown>): Promise<{ user: EndUser } & Tokens> {
+    const result = await this.client.request('POST', '/auth/register', { email, password, profile });
+    this.client.tokens = { accessToken: result.accessToken, refreshToken: result.refreshToken };
+    return result;
+  }
+
+  async login(email: string, password: string): Promise<{ user: EndUser } & Tokens> {
+    const result = await this.client.request('POST', '/auth/login', { email, password });
+    this.client.tokens = { accessToken: result.accessToken, refreshToken: result.refreshToken };
+    return result;
+  }
+
+  async me(): Promise<EndUser> {
+    const { user } = await this.client.request('GET', '/auth/me');
+    return user;
+  }
+
+  /** Restore tokens saved from an earlier session */
+  setTokens(tokens: Tokens | null): void {
+    this.client.tokens = tokens;
+  }
+
+  getTokens(): Tokens | null {
+    return this.client.tokens;
+  }
+
+  logout(): void {
+    this.client.tokens = null;
+  }
+}
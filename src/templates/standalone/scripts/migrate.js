@@ -0,0 +1,42 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const db = require('../src/db');
+
+const migrationsDir = path.join(__dirname, '..', 'migrations');
+
+/**
+ * Apply the migrations in migrations/ that have not run yet, each in its own transaction
+ */
+async function migrate() {
+  await db.query('CREATE TABLE IF NOT EXISTS schema_migrations (name text PRIMARY KEY, applied_at timestamp with time zone DEFAULT now())');
+
+  const { rows } = await db.query('SELECT name FROM schema_migrations');
+  const applied = new Set(rows.map(row => row.name));
+
+  const files = fs.readdirSync(migrationsDir).filter(file => file.endsWith('.sql')).sort();
+  for (const file of files) {
+    if (applied.has(file)) continue;
+
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(fs.readFileSync(path.join(migrationsDir, file), 'utf8'));
+      await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [file]);
+      await client.query('COMMIT');
+      console.log(`Applied ${file}`);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw new Error(`${file}: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+}
+
+migrate()
+  .then(() => db.end())
+  .catch(error => {
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  });
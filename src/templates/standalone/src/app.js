@@ -0,0 +1,45 @@
+const express = require('express');
+const schema = require('./schema.json');
+const openapi = require('../openapi.json');
+const createTableRouter = require('./crud');
+
+/**
+ * Build the Express app
+ * @param {Object} options - { db } a pg Pool (or anything with the same query/connect methods)
+ * @returns {express.Application}
+ */
+function createApp({ db }) {
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+
+  // API overview
+  app.get('/', (req, res) => {
+    res.json({
+      api: schema.name,
+      tables: schema.tables.map(table => table.name),
+      docs: '/openapi.json'
+    });
+  });
+
+  app.get('/openapi.json', (req, res) => {
+    res.json(openapi);
+  });
+
+  schema.tables.forEach(table => {
+    app.use(`/${table.name}`, createTableRouter(table, schema.tables, db));
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ error: 'Not found' });
+  });
+
+  // Malformed JSON bodies and other errors raised before a route handler
+  app.use((error, req, res, next) => {
+    console.error('Unhandled error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  });
+
+  return app;
+}
+
+module.exports = createApp;
@@ -0,0 +1,675 @@
+const express = require('express');
+const queryBuilder = require('./lib/queryBuilder');
+const schemaValidator = require('./lib/schemaValidator');
+const bulkOperationService = require('./lib/bulkOperationService');
+const relationshipService = require('./lib/relationshipService');
+
+// SQL for the comparison operators of the filter grammar (see lib/queryBuilder.js)
+const comparisons = { eq: '=', neq: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=', like: 'LIKE', ilike: 'ILIKE' };
+
+const quote = identifier => `"${String(identifier).replace(/"/g, '""')}"`;
+
+/**
+ * Run queries in a transaction on one pooled connection
+ */
+async function transaction(db, fn) {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Build the routes of one table
+ * Same endpoints, query parameters and responses as the Backlify hosted API.
+ * @param {Object} schema - Table definition from schema.json
+ * @param {Array} tables - All table definitions (for ?include=)
+ * @param {Object} db - pg Pool
+ * @returns {express.Router}
+ */
+function createTableRouter(schema, tables, db) {
+  const router = express.Router();
+  const table = quote(schema.name);
+  const primaryKey = queryBuilder.getPrimaryKey(schema);
+  const kinds = queryBuilder.getFilterableColumns(schema);
+  const relations = relationshipService.getRelations(schema, tables, '');
+  const maxBatchSize = parseInt(process.env.MAX_BATCH_SIZE || bulkOperationService.defaultMaxBatchSize);
+
+  // pg sends JS arrays as Postgres arrays, json columns need JSON text
+  const toParam = (column, value) => (kinds.get(column) === 'json' && value !== null && value !== undefined
+    ? JSON.stringify(value)
+    : value);
+
+  // Ids that cannot match the primary key type are reported as not found
+  const isValidId = id => queryBuilder.isValidValue(kinds.get(primaryKey) || 'string', String(id));
+
+  const whereClauses = (filters, params) => filters.map(({ column, operator, negated, value }) => {
+    let clause;
+    if (operator === 'is') {
+      clause = `${quote(column)} IS ${value === null ? 'NULL' : (value ? 'TRUE' : 'FALSE')}`;
+    } else if (operator === 'in') {
+      params.push(value);
+      clause = `${quote(column)} = ANY($${params.length})`;
+    } else {
+      params.push(operator === 'like' || operator === 'ilike' ? value.replace(/\*/g, '%') : value);
+      clause = `${quote(column)} ${comparisons[operator]} $${params.length}`;
+    }
+    return negated ? `NOT (${clause})` : clause;
+  });
+
+  const selectList = (fields, includes, extraColumns = []) => {
+    const select = relationshipService.buildSelect(fields, includes, extraColumns);
+    return select === '*' ? '*' : select.split(',').map(quote).join(', ');
+  };
+
+  // Parse ?fields= and ?include=
+  const resolveReadOptions = (fieldsParam, include) => {
+    const { fields, errors: fieldErrors } = relationshipService.parseFields(fieldsParam, schema);
+    if (fieldErrors.length > 0) {
+      return { error: { error: 'Invalid fields parameter', details: fieldErrors } };
+    }
+
+    const { includes, errors: includeErrors } = relationshipService.parseIncludes(include, relations);
+    if (includeErrors.length > 0) {
+      return { error: { error: 'Invalid include parameter', details: includeErrors } };
+    }
+
+    return { fields, includes };
+  };
+
+  // Embed related rows with one query per relationship, then apply ?fields=
+  const shapeRows = async (rows, fields, includes) => {
+    for (const include of includes) {
+      const keys = [...new Set(rows
+        .map(row => row[include.localColumn])
+        .filter(key => key !== null && key !== undefined))];
+
+      const related = new Map();
+      if (keys.length > 0) {
+        const { rows: relatedRows } = await db.query(
+          `SELECT * FROM ${quote(include.table)} WHERE ${quote(include.remoteColumn)} = ANY($1)`,
+          [keys]
+        );
+        relatedRows.forEach(item => {
+          const key = String(item[include.remoteColumn]);
+          if (!related.has(key)) related.set(key, []);
+          related.get(key).push(item);
+        });
+      }
+
+      rows.forEach(row => {
+        const matches = related.get(String(row[include.localColumn])) || [];
+        row[include.name] = include.many ? matches : (matches[0] || null);
+      });
+    }
+
+    return rows.map(row => relationshipService.project(row, fields, includes));
+  };
+
+  const insertRow = async (client, data, conflictColumn = null) => {
+    const columns = Object.keys(data);
+    const params = columns.map(column => toParam(column, data[column]));
+
+    let sql = columns.length > 0
+      ? `INSERT INTO ${table} (${columns.map(quote).join(', ')}) VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})`
+      : `INSERT INTO ${table} DEFAULT VALUES`;
+    if (conflictColumn) {
+      const updates = columns.filter(column => column !== conflictColumn)
+        .map(column => `${quote(column)} = EXCLUDED.${quote(column)}`);
+      sql += ` ON CONFLICT (${quote(conflictColumn)}) DO UPDATE SET ${updates.length > 0 ? updates.join(', ') : `${quote(conflictColumn)} = EXCLUDED.${quote(conflictColumn)}`}`;
+    }
+
+    const { rows } = await client.query(`${sql} RETURNING *`, params);
+    return rows[0];
+  };
+
+  const updateRow = async (client, id, data) => {
+    const columns = Object.keys(data);
+    const params = columns.map(column => toParam(column, data[column]));
+    params.push(id);
+
+    const { rows } = await client.query(
+      `UPDATE ${table} SET ${columns.map((column, i) => `${quote(column)} = $${i + 1}`).join(', ')} WHERE ${quote(primaryKey)} = $${params.length} RETURNING *`,
+      params
+    );
+    return rows[0] || null;
+  };
+
+  // Drop placeholder ids and stamp timestamps
+  const prepareInsertData = (body) => {
+    const requestData = { ...body };
+    delete requestData.XAuthUserId;
+
+    if (requestData.id === 'uuid-generated-by-database' || requestData.id === 'string' || requestData.id === '') {
+      delete requestData.id;
+    }
+    if (!requestData.created_at || requestData.created_at === 'string') {
+      requestData.created_at = new Date().toISOString();
+    }
+    if (!requestData.updated_at || requestData.updated_at === 'string') {
+      requestData.updated_at = new Date().toISOString();
+    }
+
+    return requestData;
+  };
+
+  const prepareUpdateData = (body) => {
+    const updateData = { ...body };
+    delete updateData.XAuthUserId;
+    updateData.updated_at = new Date().toISOString();
+    return updateData;
+  };
+
+  // Keep only the supplied fields, never change the primary key
+  const preparePatchData = (body) => {
+    const patchData = { ...body };
+    delete patchData.id;
+    delete patchData.XAuthUserId;
+    delete patchData.created_at;
+
+    if (Object.keys(patchData).length === 0) {
+      return null;
+    }
+
+    patchData.updated_at = new Date().toISOString();
+    return patchData;
+  };
+
+  const handle = (route, fn) => async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (error) {
+      console.error(`Error in ${route}:`, error);
+      res.status(500).json({ error: `Database error: ${error.message}` });
+    }
+  };
+
+  // GET all items with pagination and filtering
+  // Supports offset pagination (?page=&limit=) and keyset pagination (?cursor=)
+  router.get('/', handle(`GET /${schema.name}`, async (req, res) => {
+    const { page = 1, limit = 10, sort, order = 'asc', cursor, count: countParam, fields: fieldsParam, include, ...filterParams } = req.query;
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.max(parseInt(limit) || 10, 1);
+    const useCursor = cursor !== undefined;
+    const sortOrder = String(order).toLowerCase() === 'desc' ? 'desc' : 'asc';
+
+    const countMode = countParam === undefined
+      ? (useCursor ? 'none' : 'exact')
+      : String(countParam).toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(queryBuilder.countModes, countMode)) {
+      return res.status(400).json({
+        error: 'Invalid count parameter',
+        details: `count must be one of: ${Object.keys(queryBuilder.countModes).join(', ')}`
+      });
+    }
+
+    const { filters, errors: filterErrors } = queryBuilder.parseFilters(filterParams, schema);
+    if (filterErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid filter parameters', details: filterErrors });
+    }
+
+    const readOptions = resolveReadOptions(fieldsParam, include);
+    if (readOptions.error) {
+      return res.status(400).json(readOptions.error);
+    }
+    const { fields, includes } = readOptions;
+
+    const sortColumn = sort || (useCursor ? primaryKey : null);
+    if (sortColumn && sortColumn !== primaryKey && !kinds.has(sortColumn)) {
+      return res.status(400).json({ error: 'Invalid sort parameter', details: `Unknown column "${sortColumn}"` });
+    }
+
+    const params = [];
+    const where = whereClauses(filters, params);
+
+    // The total ignores the cursor so it stays stable across pages
+    let total = null;
+    if (queryBuilder.countModes[countMode]) {
+      const { rows } = await db.query(
+        `SELECT count(*) AS count FROM ${table}${where.length > 0 ? ` WHERE ${where.join(' AND ')}` : ''}`,
+        params
+      );
+      total = parseInt(rows[0].count);
+    }
+
+    if (!useCursor) {
+      const offset = (pageNumber - 1) * pageSize;
+      const orderBy = sortColumn ? ` ORDER BY ${quote(sortColumn)} ${sortOrder.toUpperCase()}` : '';
+      const { rows } = await db.query(
+        `SELECT ${selectList(fields, includes)} FROM ${table}${where.length > 0 ? ` WHERE ${where.join(' AND ')}` : ''}${orderBy} LIMIT ${pageSize} OFFSET ${offset}`,
+        params
+      );
+
+      return res.json({
+        data: await shapeRows(rows, fields, includes),
+        pagination: { page: pageNumber, limit: pageSize, total }
+      });
+    }
+
+    let position = null;
+    if (cursor !== '') {
+      position = queryBuilder.decodeCursor(String(cursor));
+      if (!position) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      if (position.column !== sortColumn || position.order !== sortOrder) {
+        return res.status(400).json({
+          error: 'Invalid cursor',
+          details: 'The cursor was issued for a different sort column or order'
+        });
+      }
+    }
+
+    // Walking backwards reads the rows before the cursor in reverse order
+    const backwards = position?.direction === 'prev';
+    const ascending = (sortOrder === 'asc') !== backwards;
+    const direction = ascending ? 'ASC' : 'DESC';
+    if (position && sortColumn === primaryKey) {
+      params.push(position.key);
+      where.push(`${quote(primaryKey)} ${ascending ? '>' : '<'} $${params.length}`);
+    } else if (position) {
+      params.push(position.value, position.key);
+      where.push(`(${quote(sortColumn)}, ${quote(primaryKey)}) ${ascending ? '>' : '<'} ($${params.length - 1}, $${params.length})`);
+    }
+
+    const orderBy = sortColumn === primaryKey
+      ? `${quote(primaryKey)} ${direction}`
+      : `${quote(sortColumn)} ${direction}, ${quote(primaryKey)} ${direction}`;
+
+    // Fetch one extra row to know whether another page exists
+    const { rows: data } = await db.query(
+      `SELECT ${selectList(fields, includes, [sortColumn, primaryKey])} FROM ${table}${where.length > 0 ? ` WHERE ${where.join(' AND ')}` : ''} ORDER BY ${orderBy} LIMIT ${pageSize + 1}`,
+      params
+    );
+
+    const hasMore = data.length > pageSize;
+    const rows = data.slice(0, pageSize);
+    if (backwards) rows.reverse();
+
+    const hasNext = backwards ? true : hasMore;
+    const hasPrev = backwards ? hasMore : position !== null;
+    const cursorFor = (row, cursorDirection) => queryBuilder.encodeCursor({
+      column: sortColumn,
+      order: sortOrder,
+      value: row[sortColumn],
+      key: row[primaryKey],
+      direction: cursorDirection
+    });
+
+    res.json({
+      data: await shapeRows(rows.map(row => ({ ...row })), fields, includes),
+      pagination: {
+        limit: pageSize,
+        next_cursor: hasNext && rows.length > 0 ? cursorFor(rows[rows.length - 1], 'next') : null,
+        prev_cursor: hasPrev && rows.length > 0 ? cursorFor(rows[0], 'prev') : null,
+        total
+      }
+    });
+  }));
+
+  // GET item by id
+  router.get('/:id', handle(`GET /${schema.name}/:id`, async (req, res) => {
+    const readOptions = resolveReadOptions(req.query.fields, req.query.include);
+    if (readOptions.error) {
+      return res.status(400).json(readOptions.error);
+    }
+    const { fields, includes } = readOptions;
+
+    if (!isValidId(req.params.id)) {
+      return res.status(404).json({ error: 'Record not found' });
+    }
+
+    const { rows } = await db.query(
+      `SELECT ${selectList(fields, includes)} FROM ${table} WHERE ${quote(primaryKey)} = $1`,
+      [req.params.id]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Record not found' });
+    }
+
+    const [row] = await shapeRows(rows, fields, includes);
+    res.json(row);
+  }));
+
+  // POST many items in one request
+  router.post('/bulk', handle(`POST /${schema.name}/bulk`, async (req, res) => {
+    const { items, transactional, error: requestError, status } = bulkOperationService.parseRequest(req.body, 'items', maxBatchSize);
+    if (requestError) {
+      return res.status(status).json(requestError);
+    }
+
+    const rowsByIndex = [];
+    const results = items.map((item, index) => {
+      let errors = bulkOperationService.checkItem(item);
+      if (errors.length === 0) {
+        rowsByIndex[index] = prepareInsertData(item);
+        errors = schemaValidator.validate(rowsByIndex[index], schema, { mode: 'create' });
+      }
+      return errors.length > 0 ? { index, status: 'invalid', errors } : { index, status: 'pending' };
+    });
+    const pending = results.filter(r => r.status === 'pending');
+
+    if (transactional && pending.length !== results.length) {
+      pending.forEach(r => { r.status = 'skipped'; });
+      return res.status(422).json(bulkOperationService.summarize(results, transactional, ['created']));
+    }
+
+    if (transactional && pending.length > 0) {
+      try {
+        const created = await transaction(db, async client => {
+          const rows = [];
+          for (const r of pending) rows.push(await insertRow(client, rowsByIndex[r.index]));
+          return rows;
+        });
+        pending.forEach((r, i) => {
+          r.status = 'created';
+          r.data = created[i];
+        });
+      } catch (error) {
+        pending.forEach(r => {
+          r.status = 'failed';
+          r.errors = [{ field: null, code: 'database_error', message: `Database error: ${error.message}` }];
+        });
+        return res.status(500).json(bulkOperationService.summarize(results, transactional, ['created']));
+      }
+    } else {
+      for (const r of pending) {
+        try {
+          r.data = await insertRow(db, rowsByIndex[r.index]);
+          r.status = 'created';
+        } catch (error) {
+          r.status = 'failed';
+          r.errors = [{ field: null, code: 'database_error', message: `Database error: ${error.message}` }];
+        }
+      }
+    }
+
+    const body = bulkOperationService.summarize(results, transactional, ['created']);
+    res.status(body.summary.failed === 0 ? 201 : 207).json(body);
+  }));
+
+  // PATCH many items in one request, each item identified by its id
+  router.patch('/bulk', handle(`PATCH /${schema.name}/bulk`, async (req, res) => {
+    const { items, transactional, error: requestError, status } = bulkOperationService.parseRequest(req.body, 'items', maxBatchSize);
+    if (requestError) {
+      return res.status(status).json(requestError);
+    }
+
+    const duplicates = bulkOperationService.findDuplicates(
+      items.filter(item => item && item.id !== undefined).map(item => item.id)
+    );
+    const results = items.map((item, index) => {
+      let errors = bulkOperationService.checkItem(item, { requireId: true });
+      if (errors.length === 0 && duplicates.has(String(item.id))) {
+        errors.push({ field: 'id', code: 'duplicate', message: `id "${item.id}" appears more than once in the batch` });
+      }
+      if (errors.length === 0) {
+        errors = schemaValidator.validate(preparePatchData(item) || {}, schema, { mode: 'update' });
+      }
+      return errors.length > 0
+        ? { index, id: item && item.id, status: 'invalid', errors }
+        : { index, id: item.id, status: 'pending' };
+    });
+    let pending = results.filter(r => r.status === 'pending');
+
+    // Look up which of the ids exist
+    if (pending.length > 0) {
+      const ids = pending.map(r => r.id).filter(isValidId);
+      const { rows: existing } = ids.length > 0
+        ? await db.query(`SELECT ${quote(primaryKey)} AS id FROM ${table} WHERE ${quote(primaryKey)} = ANY($1)`, [ids])
+        : { rows: [] };
+
+      const existingIds = new Set(existing.map(row => String(row.id)));
+      pending.forEach(r => {
+        if (!existingIds.has(String(r.id))) {
+          r.status = 'not_found';
+          r.errors = [{ field: 'id', code: 'not_found', message: 'Record not found' }];
+        }
+      });
+      pending = pending.filter(r => r.status === 'pending');
+    }
+
+    if (transactional && pending.length !== results.length) {
+      pending.forEach(r => { r.status = 'skipped'; });
+      return res.status(422).json(bulkOperationService.summarize(results, transactional, ['updated']));
+    }
+
+    const dataFor = r => preparePatchData(items[r.index]) || { updated_at: new Date().toISOString() };
+
+    if (transactional && pending.length > 0) {
+      try {
+        const updated = await transaction(db, async client => {
+          const rows = [];
+          for (const r of pending) rows.push(await updateRow(client, r.id, dataFor(r)));
+          return rows;
+        });
+        pending.forEach((r, i) => {
+          r.status = 'updated';
+          r.data = updated[i];
+        });
+      } catch (error) {
+        pending.forEach(r => {
+          r.status = 'failed';
+          r.errors = [{ field: null, code: 'database_error', message: `Database error: ${error.message}` }];
+        });
+        return res.status(500).json(bulkOperationService.summarize(results, transactional, ['updated']));
+      }
+    } else {
+      for (const r of pending) {
+        try {
+          r.data = await updateRow(db, r.id, dataFor(r));
+          r.status = 'updated';
+        } catch (error) {
+          r.status = 'failed';
+          r.errors = [{ field: null, code: 'database_error', message: `Database error: ${error.message}` }];
+        }
+      }
+    }
+
+    const body = bulkOperationService.summarize(results, transactional, ['updated']);
+    res.status(body.summary.failed === 0 ? 200 : 207).json(body);
+  }));
+
+  // DELETE many items in one request
+  router.delete('/bulk', handle(`DELETE /${schema.name}/bulk`, async (req, res) => {
+    const { items: ids, transactional, error: requestError, status } = bulkOperationService.parseRequest(req.body, 'ids', maxBatchSize);
+    if (requestError) {
+      return res.status(status).json(requestError);
+    }
+
+    const duplicates = bulkOperationService.findDuplicates(ids);
+    const results = ids.map((id, index) => {
+      if (id === null || id === undefined || id === '' || typeof id === 'object') {
+        return { index, id, status: 'invalid', errors: [{ field: 'id', code: 'invalid_type', message: 'id must be a string or number' }] };
+      }
+      if (duplicates.has(String(id))) {
+        return { index, id, status: 'invalid', errors: [{ field: 'id', code: 'duplicate', message: `id "${id}" appears more than once in the batch` }] };
+      }
+      return { index, id, status: 'pending' };
+    });
+    const pending = results.filter(r => r.status === 'pending');
+
+    // A single DELETE ... WHERE id = ANY(...) is applied atomically
+    const deleteIds = async client => {
+      const validIds = pending.map(r => r.id).filter(isValidId);
+      if (validIds.length === 0) return new Set();
+      const { rows } = await client.query(
+        `DELETE FROM ${table} WHERE ${quote(primaryKey)} = ANY($1) RETURNING ${quote(primaryKey)} AS id`,
+        [validIds]
+      );
+      return new Set(rows.map(row => String(row.id)));
+    };
+
+    if (transactional && pending.length !== results.length) {
+      pending.forEach(r => { r.status = 'skipped'; });
+      return res.status(422).json(bulkOperationService.summarize(results, transactional, ['deleted']));
+    }
+
+    if (pending.length > 0) {
+      try {
+        // In transactional mode every id has to exist, otherwise nothing is deleted
+        const deletedIds = transactional
+          ? await transaction(db, async client => {
+            const deleted = await deleteIds(client);
+            if (deleted.size !== pending.length) throw Object.assign(new Error('Not all records were found'), { notFound: deleted });
+            return deleted;
+          })
+          : await deleteIds(db);
+
+        pending.forEach(r => {
+          if (deletedIds.has(String(r.id))) {
+            r.status = 'deleted';
+          } else {
+            r.status = 'not_found';
+            r.errors = [{ field: 'id', code: 'not_found', message: 'Record not found' }];
+          }
+        });
+      } catch (error) {
+        if (!error.notFound) throw error;
+
+        pending.forEach(r => {
+          if (error.notFound.has(String(r.id))) {
+            r.status = 'skipped';
+          } else {
+            r.status = 'not_found';
+            r.errors = [{ field: 'id', code: 'not_found', message: 'Record not found' }];
+          }
+        });
+        return res.status(422).json(bulkOperationService.summarize(results, transactional, ['deleted']));
+      }
+    }
+
+    const body = bulkOperationService.summarize(results, transactional, ['deleted']);
+    res.status(body.summary.failed === 0 ? 200 : 207).json(body);
+  }));
+
+  // POST new item
+  router.post('/', handle(`POST /${schema.name}`, async (req, res) => {
+    const requestData = prepareInsertData(req.body);
+
+    const validationErrors = schemaValidator.validate(requestData, schema, { mode: 'create' });
+    if (validationErrors.length > 0) {
+      return res.status(422).json({ error: 'Validation failed', details: validationErrors });
+    }
+
+    res.status(201).json(await insertRow(db, requestData));
+  }));
+
+  // PUT on the collection: insert or update a record keyed by a unique column
+  router.put('/', handle(`PUT /${schema.name}`, async (req, res) => {
+    const conflictColumn = req.query.on_conflict;
+    const uniqueColumns = queryBuilder.getUniqueColumns(schema);
+
+    if (!conflictColumn) {
+      return res.status(400).json({
+        error: 'Missing on_conflict parameter',
+        details: `Use PUT /${schema.name}?on_conflict=<column> with one of: ${uniqueColumns.join(', ')}`
+      });
+    }
+
+    if (!uniqueColumns.includes(conflictColumn)) {
+      return res.status(400).json({
+        error: 'Invalid on_conflict parameter',
+        details: `"${conflictColumn}" is not a unique column. Unique columns: ${uniqueColumns.join(', ')}`
+      });
+    }
+
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      return res.status(400).json({ error: 'Request body must be an object' });
+    }
+
+    const conflictValue = req.body[conflictColumn];
+    if (conflictValue === undefined || conflictValue === null || conflictValue === '') {
+      return res.status(400).json({
+        error: 'Missing conflict value',
+        details: `The request body must contain "${conflictColumn}"`
+      });
+    }
+
+    const upsertData = prepareInsertData(req.body);
+
+    const validationErrors = schemaValidator.validate(upsertData, schema, { mode: 'create' });
+    if (validationErrors.length > 0) {
+      return res.status(422).json({ error: 'Validation failed', details: validationErrors });
+    }
+
+    // Keep the original creation time when the record already exists
+    if (!req.body.created_at) {
+      delete upsertData.created_at;
+    }
+
+    const { rows: existing } = await db.query(
+      `SELECT 1 FROM ${table} WHERE ${quote(conflictColumn)} = $1`,
+      [toParam(conflictColumn, conflictValue)]
+    );
+
+    const row = await insertRow(db, upsertData, conflictColumn);
+    res.status(existing.length > 0 ? 200 : 201).json(row);
+  }));
+
+  // PUT/UPDATE item
+  router.put('/:id', handle(`PUT /${schema.name}/:id`, async (req, res) => {
+    const updateData = prepareUpdateData(req.body);
+
+    const validationErrors = schemaValidator.validate(updateData, schema, { mode: 'update' });
+    if (validationErrors.length > 0) {
+      return res.status(422).json({ error: 'Validation failed', details: validationErrors });
+    }
+
+    const row = isValidId(req.params.id) ? await updateRow(db, req.params.id, updateData) : null;
+    if (!row) {
+      return res.status(404).json({ error: 'Record not found' });
+    }
+
+    res.json(row);
+  }));
+
+  // PATCH item: partial update of the supplied fields only
+  router.patch('/:id', handle(`PATCH /${schema.name}/:id`, async (req, res) => {
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      return res.status(400).json({ error: 'Request body must be an object' });
+    }
+
+    const patchData = preparePatchData(req.body);
+    if (!patchData) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const validationErrors = schemaValidator.validate(patchData, schema, { mode: 'update' });
+    if (validationErrors.length > 0) {
+      return res.status(422).json({ error: 'Validation failed', details: validationErrors });
+    }
+
+    const row = isValidId(req.params.id) ? await updateRow(db, req.params.id, patchData) : null;
+    if (!row) {
+      return res.status(404).json({ error: 'Record not found' });
+    }
+
+    res.json(row);
+  }));
+
+  // DELETE item
+  router.delete('/:id', handle(`DELETE /${schema.name}/:id`, async (req, res) => {
+    const { rowCount } = isValidId(req.params.id)
+      ? await db.query(`DELETE FROM ${table} WHERE ${quote(primaryKey)} = $1`, [req.params.id])
+      : { rowCount: 0 };
+
+    if (!rowCount) {
+      return res.status(404).json({ error: 'Record not found' });
+    }
+
+    res.status(204).send();
+  }));
+
+  return router;
+}
+
+module.exports = createTableRouter;
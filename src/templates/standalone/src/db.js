@@ -0,0 +1,7 @@
+const { Pool } = require('pg');
+
+// Managed Postgres providers usually require SSL, set DATABASE_SSL=true for them
+module.exports = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_SSL === 'true' ? { rejectUnauthorized: false } : undefined
+});
@@ -0,0 +1,9 @@
+require('dotenv').config();
+const createApp = require('./app');
+const db = require('./db');
+
+const port = process.env.PORT || 3000;
+
+createApp({ db }).listen(port, () => {
+  console.log(`API listening on http://localhost:${port}`);
+});
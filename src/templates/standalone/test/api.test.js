@@ -0,0 +1,93 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const createApp = require('../src/app');
+const schema = require('../src/schema.json');
+const queryBuilder = require('../src/lib/queryBuilder');
+
+// In-memory stand-in for the pg Pool: records queries and returns no rows
+const queries = [];
+const db = {
+  async query(text, params) {
+    queries.push({ text, params });
+    if (/^SELECT count\(\*\)/.test(text)) return { rows: [{ count: '0' }], rowCount: 1 };
+    return { rows: [], rowCount: 0 };
+  },
+  async connect() {
+    return { query: db.query, release() {} };
+  }
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = createApp({ db }).listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+// An id that is valid for the primary key type but does not exist
+const missingId = table => {
+  const kind = queryBuilder.getFilterableColumns(table).get(queryBuilder.getPrimaryKey(table));
+  return kind === 'uuid' ? '00000000-0000-0000-0000-000000000000' : '999999';
+};
+
+test('lists the tables', async () => {
+  const res = await fetch(`${baseUrl}/`);
+  const body = await res.json();
+
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(body.tables, schema.tables.map(table => table.name));
+});
+
+test('serves the OpenAPI spec', async () => {
+  const res = await fetch(`${baseUrl}/openapi.json`);
+  const body = await res.json();
+
+  assert.strictEqual(res.status, 200);
+  schema.tables.forEach(table => assert.ok(body.paths[`/${table.name}`], `missing path for ${table.name}`));
+});
+
+schema.tables.forEach(table => {
+  test(`GET /${table.name} returns a page`, async () => {
+    const res = await fetch(`${baseUrl}/${table.name}?page=1&limit=5`);
+    const body = await res.json();
+
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(body.data, []);
+    assert.deepStrictEqual(body.pagination, { page: 1, limit: 5, total: 0 });
+  });
+
+  test(`GET /${table.name} ignores plain parameters that are not columns`, async () => {
+    const res = await fetch(`${baseUrl}/${table.name}?_=123&utm_source=test`);
+    assert.strictEqual(res.status, 200);
+  });
+
+  test(`GET /${table.name} rejects operator filters on unknown columns`, async () => {
+    const res = await fetch(`${baseUrl}/${table.name}?not_a_column[gt]=1`);
+    assert.strictEqual(res.status, 400);
+  });
+
+  test(`GET /${table.name}/:id responds 404 for missing records`, async () => {
+    const res = await fetch(`${baseUrl}/${table.name}/${missingId(table)}`);
+    assert.strictEqual(res.status, 404);
+  });
+
+  test(`POST /${table.name} validates the body`, async () => {
+    const count = queries.length;
+    const res = await fetch(`${baseUrl}/${table.name}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ not_a_column: 'value' })
+    });
+    const body = await res.json();
+
+    assert.strictEqual(res.status, 422);
+    assert.ok(body.details.some(detail => detail.code === 'unknown_field'));
+    assert.strictEqual(queries.length, count, 'invalid bodies must not reach the database');
+  });
+});
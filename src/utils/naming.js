@@ -0,0 +1,79 @@
+/**
+ * Naming helpers for code generated from table names
+ * (client SDK models, GraphQL types and fields)
+ */
+
+/**
+ * Convert a table or column name to a camelCase identifier
+ * @param {string} name - Name such as order_items
+ * @returns {string} Identifier such as orderItems
+ */
+const camelCase = (name) => {
+  const camel = String(name).replace(/[^A-Za-z0-9]+(.)?/g, (match, chr) => (chr ? chr.toUpperCase() : ''));
+  const identifier = camel.charAt(0).toLowerCase() + camel.slice(1);
+  return /^[0-9]/.test(identifier) ? `_${identifier}` : identifier || 'table';
+};
+
+/**
+ * Convert a table name to a PascalCase type name
+ * @param {string} name - Name such as order_items
+ * @returns {string} Type name such as OrderItems
+ */
+const pascalCase = (name) => {
+  const camel = camelCase(name);
+  return camel.startsWith('_') ? `T${camel}` : camel.charAt(0).toUpperCase() + camel.slice(1);
+};
+
+/**
+ * Singular form of a table name (categories -> category)
+ * @param {string} name - Table name
+ * @returns {string} Singular name
+ */
+const singular = (name) => {
+  if (/ies$/i.test(name)) return name.replace(/ies$/i, 'y');
+  if (/(ss|us|is)$/i.test(name)) return name;
+  if (/(ches|shes|sses|xes)$/i.test(name)) return name.replace(/es$/i, '');
+  if (/s$/i.test(name)) return name.slice(0, -1);
+  return name;
+};
+
+/**
+ * Add a suffix to a name that is already taken, then mark it as taken
+ * @param {string} name - Preferred name
+ * @param {Set<string>} taken - Names already in use (updated in place)
+ * @param {string} suffix - Suffix for taken names
+ * @returns {string} Unique name
+ */
+const uniqueName = (name, taken, suffix) => {
+  let unique = name;
+  let counter = 2;
+
+  if (taken.has(unique)) unique = `${name}${suffix}`;
+  while (taken.has(unique)) {
+    unique = `${name}${suffix}${counter++}`;
+  }
+  taken.add(unique);
+  return unique;
+};
+
+/**
+ * First path segments under /api/:apiId that belong to the platform, so a
+ * table with one of these names would lose its routes to them
+ */
+const reservedTableNames = ['settings', 'schema', 'export', 'sdk', 'graphql'];
+
+/**
+ * Check whether a table name is reserved for a platform route
+ * @param {string} name - Table name
+ * @returns {boolean}
+ */
+const isReservedTableName = (name) => reservedTableNames.includes(String(name).toLowerCase());
+
+module.exports = {
+  camelCase,
+  pascalCase,
+  singular,
+  uniqueName,
+  reservedTableNames,
+  isReservedTableName
+};
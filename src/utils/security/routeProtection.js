@@ -11,6 +11,7 @@ const protectedRoutes = [
   { path: '/generate-schema', method: 'POST' },
   { path: '/modify-schema', method: 'POST' },
   { path: '/create-api-from-schema', method: 'POST' },
+  { path: '/import-schema', method: 'POST' },
   
   // Add more protected routes here as needed
   // Example: { path: '/api/users', method: 'GET' },
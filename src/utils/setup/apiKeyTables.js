@@ -0,0 +1,78 @@
+const { createClient } = require('@supabase/supabase-js');
+
+class ApiKeyTablesSetup {
+  constructor() {
+    this.supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_KEY
+    );
+  }
+
+  async createTables() {
+    console.log('Creating API key database tables...');
+
+    try {
+      // 1. API keys of generated APIs
+      await this.createApiKeysTable();
+
+      // 2. Key attribution columns on api_usage
+      await this.addApiUsageKeyColumns();
+
+      console.log('✅ All API key tables created successfully');
+      return true;
+    } catch (error) {
+      console.error('❌ Error creating API key tables:', error);
+      throw error;
+    }
+  }
+
+  async createApiKeysTable() {
+    const { error } = await this.supabase.rpc('execute_sql', {
+      sql_query: `
+        CREATE TABLE IF NOT EXISTS api_keys (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          api_id VARCHAR(255) NOT NULL,
+          name VARCHAR(255) NOT NULL,
+          key_prefix VARCHAR(32) NOT NULL UNIQUE,
+          key_hash VARCHAR(64) NOT NULL UNIQUE,
+          scopes JSONB NOT NULL DEFAULT '{}',
+          created_by VARCHAR(255),
+          expires_at TIMESTAMP WITH TIME ZONE,
+          last_used_at TIMESTAMP WITH TIME ZONE,
+          revoked_at TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_api_keys_api_id ON api_keys(api_id);
+        CREATE INDEX IF NOT EXISTS idx_api_keys_key_hash ON api_keys(key_hash);
+      `
+    });
+
+    if (error) {
+      console.error('Error creating api_keys table:', error);
+      throw error;
+    }
+    console.log('✅ api_keys table created');
+  }
+
+  async addApiUsageKeyColumns() {
+    const { error } = await this.supabase.rpc('execute_sql', {
+      sql_query: `
+        ALTER TABLE api_usage
+        ADD COLUMN IF NOT EXISTS api_id VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS api_key_id UUID;
+
+        CREATE INDEX IF NOT EXISTS idx_api_usage_api_key_id ON api_usage(api_key_id);
+      `
+    });
+
+    if (error) {
+      console.error('Error adding key columns to api_usage:', error);
+      throw error;
+    }
+    console.log('✅ api_usage key columns added');
+  }
+}
+
+module.exports = ApiKeyTablesSetup;
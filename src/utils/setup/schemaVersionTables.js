@@ -0,0 +1,55 @@
+const { createClient } = require('@supabase/supabase-js');
+
+class SchemaVersionTablesSetup {
+  constructor() {
+    this.supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_KEY
+    );
+  }
+
+  async createTables() {
+    console.log('Creating schema version database tables...');
+
+    try {
+      await this.createSchemaVersionsTable();
+
+      console.log('✅ All schema version tables created successfully');
+      return true;
+    } catch (error) {
+      console.error('❌ Error creating schema version tables:', error);
+      throw error;
+    }
+  }
+
+  async createSchemaVersionsTable() {
+    const { error } = await this.supabase.rpc('execute_sql', {
+      sql_query: `
+        CREATE TABLE IF NOT EXISTS api_schema_versions (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          api_id VARCHAR(255) NOT NULL,
+          version INTEGER NOT NULL,
+          tables JSONB NOT NULL,
+          changes JSONB NOT NULL DEFAULT '[]',
+          statements JSONB NOT NULL DEFAULT '[]',
+          source VARCHAR(50) NOT NULL,
+          author VARCHAR(255),
+          prompt TEXT,
+          rollback_to INTEGER,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          UNIQUE (api_id, version)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_api_schema_versions_api_id ON api_schema_versions(api_id);
+      `
+    });
+
+    if (error) {
+      console.error('Error creating api_schema_versions table:', error);
+      throw error;
+    }
+    console.log('✅ api_schema_versions table created');
+  }
+}
+
+module.exports = SchemaVersionTablesSetup;
@@ -0,0 +1,90 @@
+const { createClient } = require('@supabase/supabase-js');
+
+class WebhookTablesSetup {
+  constructor() {
+    this.supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_KEY
+    );
+  }
+
+  async createTables() {
+    console.log('Creating webhook database tables...');
+
+    try {
+      // 1. Webhook subscriptions of generated APIs
+      await this.createWebhooksTable();
+
+      // 2. Delivery log, including retries and dead letters
+      await this.createDeliveriesTable();
+
+      console.log('✅ All webhook tables created successfully');
+      return true;
+    } catch (error) {
+      console.error('❌ Error creating webhook tables:', error);
+      throw error;
+    }
+  }
+
+  async createWebhooksTable() {
+    const { error } = await this.supabase.rpc('execute_sql', {
+      sql_query: `
+        CREATE TABLE IF NOT EXISTS api_webhooks (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          api_id VARCHAR(255) NOT NULL,
+          url TEXT NOT NULL,
+          table_name VARCHAR(255) NOT NULL,
+          events JSONB NOT NULL DEFAULT '["create", "update", "delete"]',
+          secret VARCHAR(255) NOT NULL,
+          description TEXT,
+          active BOOLEAN NOT NULL DEFAULT true,
+          created_by VARCHAR(255),
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_api_webhooks_api_id ON api_webhooks(api_id);
+      `
+    });
+
+    if (error) {
+      console.error('Error creating api_webhooks table:', error);
+      throw error;
+    }
+    console.log('✅ api_webhooks table created');
+  }
+
+  async createDeliveriesTable() {
+    const { error } = await this.supabase.rpc('execute_sql', {
+      sql_query: `
+        CREATE TABLE IF NOT EXISTS api_webhook_deliveries (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          webhook_id UUID NOT NULL REFERENCES api_webhooks(id) ON DELETE CASCADE,
+          api_id VARCHAR(255) NOT NULL,
+          event VARCHAR(50) NOT NULL,
+          table_name VARCHAR(255) NOT NULL,
+          payload JSONB NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'pending',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          last_attempt_at TIMESTAMP WITH TIME ZONE,
+          last_status_code INTEGER,
+          last_error TEXT,
+          delivered_at TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_api_webhook_deliveries_webhook_id ON api_webhook_deliveries(webhook_id, created_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_api_webhook_deliveries_due ON api_webhook_deliveries(status, next_attempt_at);
+      `
+    });
+
+    if (error) {
+      console.error('Error creating api_webhook_deliveries table:', error);
+      throw error;
+    }
+    console.log('✅ api_webhook_deliveries table created');
+  }
+}
+
+module.exports = WebhookTablesSetup;